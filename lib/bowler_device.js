@@ -4,11 +4,18 @@ var packet = require('dyio/packet');
 var bowler_util = require('dyio/util');
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
-var Q = require('q');
-var gen_run = null;  // only load if necessary
 var introspection_util = null; // only load if necessary
+var capture_util = null; // only load if necessary
+var dissector = null; // only load if necessary
+var reconnect_util = null; // only load if necessary
+var heartbeat_util = null; // only load if necessary
+var watchdog_util = null; // only load if necessary
+var status_util = require('dyio/status');
 var CommandHandler = require('dyio/command_handler').CommandHandler;
-var BowlerNamespace = require('dyio/extra_namespaces').BowlerNamespace;
+var extra_namespaces = require('dyio/extra_namespaces');
+var BowlerNamespace = extra_namespaces.BowlerNamespace;
+var BowlerFramer = require('dyio/framer').BowlerFramer;
+var errors = require('dyio/errors');
 
 // `dyio.bowler` namespace
 // =======================
@@ -45,12 +52,25 @@ const BOWLER_CHANNEL_MODES = {
   0x10: 'count_in_home',
   0x11: 'count_out_int',
   0x12: 'count_out_dir',
-  0x13: 'count_in_home',
+  0x13: 'count_out_home',
   0x14: 'dc_motor_vel',
   0x15: 'dc_motor_dir',
   0x16: 'ppm_in'
 };
 
+/* BOWLER_CHANNEL_MODES_HR
+ * -----------------------
+ *
+ * This constant object maps between
+ * human-readable channel mode names and
+ * raw byte values.  It is the inverse
+ * version of `BOWLER_CHANNEL_MODES`.
+ */
+const BOWLER_CHANNEL_MODES_HR = {};
+for (var mode_byte in BOWLER_CHANNEL_MODES) {
+  BOWLER_CHANNEL_MODES_HR[BOWLER_CHANNEL_MODES[mode_byte]] = parseInt(mode_byte, 10);
+}
+
 /* BOWLER_METHODS
  * --------------
  *
@@ -59,6 +79,19 @@ const BOWLER_CHANNEL_MODES = {
  * (similar to the HTTP methods) and the
  * raw byte values used in Bowler packets.
  */
+// the status codes of the `_err` replies sent from 'bcs.core' for
+// packets which the device couldn't dispatch to any namespace
+const BCS_CORE_STATUS_CODES = {
+  0: {
+    description: 'the device could not dispatch the packet',
+    traces: {
+      0: 'unknown namespace',
+      1: 'unknown RPC',
+      2: 'unsupported method'
+    }
+  }
+};
+
 const BOWLER_METHODS = {
   0x00: 'status',
   0x10: 'get',
@@ -83,6 +116,99 @@ const BOWLER_METHODS_HR = {
   'async': 0x40
 };
 
+/* make_datagram(mac_bytes, method, namespace_id, rpc, body[, direction])
+ * ----------------------------------------------------------------------
+ *
+ * This function assembles a raw Bowler packet from
+ * already-serialized parts: an Array of six MAC address
+ * bytes, a method name (see `BOWLER_METHODS_HR`), a numeric
+ * namespace id, a four-character RPC name, and a Buffer with
+ * the packet body.  If `direction` is 1, the direction bit
+ * (which marks packets sent by the device) is set.  It is
+ * used where there is no BowlerDevice with builders to
+ * hand, such as in `dyio.mock_device`.
+ */
+var make_datagram = function (mac_bytes, method, namespace_id, rpc, body, direction) {
+  var header = Buffer.alloc(BOWLER_HEADER_SIZE + 4);
+  header[0] = BOWLER_VERSION;
+  for (var i = 0; i < 6; i++) header[1+i] = mac_bytes[i];
+  header[7] = BOWLER_METHODS_HR[method];
+  header[8] = (namespace_id & 0x7F) | (direction ? 0x80 : 0x00);
+  header[BOWLER_SIZE_BYTE] = 4 + body.length;
+  header[10] = bowler_util.make_checksum(header.slice(0, 10));
+  header.fill(0, BOWLER_HEADER_SIZE);
+  header.write(rpc, BOWLER_HEADER_SIZE, 4, 'ascii');
+  return Buffer.concat([header, body]);
+};
+
+/* framing_error(dropped_bytes, reason, header)
+ * ---------------------------------------------
+ *
+ * This function turns the bytes dropped by a
+ * `dyio.framer.BowlerFramer` (see its 'invalid' event)
+ * into the matching `dyio.errors.BowlerProtocolError`,
+ * holding the dropped bytes as its `data`.
+ */
+var framing_error = function (dropped_bytes, reason, header) {
+  if (reason === 'bad_checksum') {
+    var expected_checksum = bowler_util.make_checksum(header.slice(0, BOWLER_HEADER_SIZE - 1));
+    return new errors.ChecksumMismatchError(dropped_bytes, header[BOWLER_HEADER_SIZE - 1], expected_checksum);
+  }
+
+  if (reason === 'bad_size') {
+    var size = header[BOWLER_SIZE_BYTE];
+    return new errors.LengthMismatchError(dropped_bytes, size, null,
+                                          'The packet size byte (' + size + ') is too small to hold an RPC name');
+  }
+
+  return new errors.BadVersionError(dropped_bytes, header[0]);
+};
+
+/* BowlerSubscription
+ * ------------------
+ *
+ * Constructor: function(BowlerDevice, namespace, rpc, listener)
+ *
+ * This class represents a listener for asynchronous
+ * packets registered with `BowlerDevice#subscribe(...)`.
+ * A null namespace or RPC matches any namespace or RPC.
+ */
+var BowlerSubscription = function (bowler_device, namespace, rpc, listener) {
+  this.device = bowler_device;
+  this.namespace = namespace;
+  this.rpc = rpc;
+  this.listener = listener;
+
+  /* ### active ###
+   *
+   * Whether or not this subscription still
+   * receives packets (false once it has been
+   * unsubscribed).
+   */
+  this.active = true;
+};
+
+/* ### matches(base_packet) ###
+ *
+ * This method returns true if the given
+ * (partially parsed) packet is one which this
+ * subscription is interested in.
+ */
+BowlerSubscription.prototype.matches = function (base_packet) {
+  if (this.namespace && this.namespace !== base_packet.namespace) return false;
+  if (this.rpc && this.rpc !== base_packet.rpc) return false;
+  return true;
+};
+
+/* ### unsubscribe() ###
+ *
+ * This method stops this subscription
+ * from receiving any more packets.
+ */
+BowlerSubscription.prototype.unsubscribe = function () {
+  return this.device.unsubscribe(this);
+};
+
 /* BowlerDevice
  * ------------
  *
@@ -128,12 +254,137 @@ var BowlerDevice = function() {
    */
   this.autobuild_on_first_use = false;
 
+  /* ### namespace_info ###
+   *
+   * The Array of namespace information returned
+   * by `bcs.core#_nms` for each namespace, as of the
+   * last call to `populate_supported_namespaces()`
+   * (null until then).
+   */
+  this.namespace_info = null;
+
+  /* ### introspection_cache = null ###
+   *
+   * If set to a `dyio.util.introspection_cache.IntrospectionCache`,
+   * `autopopulate_rpcs()` uses the RPC descriptions cached for
+   * devices with the same namespaces (and namespace versions)
+   * instead of introspecting, and caches the results when it
+   * does have to introspect.
+   */
+  this.introspection_cache = null;
+
+  /* ### capture = null ###
+   *
+   * The `dyio.util.capture.PacketCapture` which
+   * currently records the datagrams sent and received
+   * (see `start_capture(...)`), if any.
+   */
+  this.capture = null;
+
+  /* ### reconnector = null ###
+   *
+   * The `dyio.util.reconnect.Reconnector` which
+   * reconnects the device when its link is lost
+   * (see `enable_reconnect(...)`), if any.
+   */
+  this.reconnector = null;
+
+  /* ### heartbeat = null ###
+   *
+   * The `dyio.util.heartbeat.Heartbeat` which
+   * monitors the health of the link (see
+   * `start_heartbeat(...)`), if any.
+   */
+  this.heartbeat = null;
+
+  /* ### watchdog = null ###
+   *
+   * The `dyio.util.watchdog.Watchdog` which puts
+   * the device into a safe state if the program goes
+   * wrong (see `start_watchdog(...)`), if any.
+   */
+  this.watchdog = null;
+
   var self = this;
 
   this._introspector = null;
 
   this._mac_address_raw = 'broadcast';
 
+  /* ### transport ###
+   *
+   * The `dyio.transports.Transport` currently
+   * used to talk to the device (see `connect()`),
+   * or null if the device is not connected.
+   */
+  this.transport = null;
+
+  this._transport_listeners = null;
+  this._drop_reason = null;
+
+  /* ### framer ###
+   *
+   * The `dyio.framer.BowlerFramer` used to split
+   * the data received from the transport into whole
+   * packets.  Its `stats` property can be used to
+   * diagnose noisy links.  The bytes it drops are
+   * emitted as an 'error' event, as a `BadVersionError`,
+   * `ChecksumMismatchError` or `LengthMismatchError` (see
+   * `dyio.errors`) holding the dropped bytes.
+   */
+  this.framer = new BowlerFramer();
+  this.framer.on('packet', function (raw_bytes) {
+    self.receive_datagram(raw_bytes);
+  });
+  this.framer.on('invalid', function (dropped_bytes, reason, header) {
+    self.emit('error', framing_error(dropped_bytes, reason, header));
+  });
+
+  /* ### request_timeout = 1000 ###
+   *
+   * The default amount of time (in milliseconds)
+   * to wait for a reply to a request before
+   * resending it (see `send_request(...)`).
+   */
+  this.request_timeout = 1000;
+
+  /* ### request_retries = 2 ###
+   *
+   * The default number of times a request
+   * is resent if no reply is received before
+   * giving up with a `BowlerTimeoutError`.
+   */
+  this.request_retries = 2;
+
+  /* ### _pending_requests ###
+   *
+   * This array holds the requests which have
+   * been sent but not yet answered, in the order
+   * they were sent.  Incoming packets are matched
+   * against it by namespace, RPC, and expected receive
+   * method (see `_rpc_recv_methods`), so that replies
+   * go to the oldest request which could have caused them.
+   */
+  this._pending_requests = [];
+
+  /* ### _subscriptions ###
+   *
+   * This array holds the `BowlerSubscription`s
+   * registered with `subscribe(...)`, which receive
+   * the asynchronous packets pushed by the device.
+   */
+  this._subscriptions = [];
+
+  /* ### _status_codes ###
+   *
+   * This object maps namespace names to the tables
+   * of status codes registered for them (see
+   * `register_status_codes(...)`).  The codes for
+   * 'bcs.core' are always present.
+   */
+  this._status_codes = {};
+  this.register_status_codes('bcs.core', BCS_CORE_STATUS_CODES);
+
   /* ### _parsers ###
    *
    * This object contains a nested
@@ -159,7 +410,7 @@ var BowlerDevice = function() {
           var no_star_name = src.bytes(0, name_len_with_star-2);
           return {
             raw_str: raw_name,
-            name: src.bytes(0, name_len_with_star-2).toRawString(),
+            name: src.bytes(0, name_len_with_star-3).toRawString(),  // strip the '.*'
             version_str: src.bytes(name_len_with_star+1, len-4).toRawString(),
             num_namespaces: src.byte(len).toInt()
           };
@@ -176,14 +427,18 @@ var BowlerDevice = function() {
           };
         },
         'args': function(src) {
-          var send_args_rng = src.byte(3).to_null();
+          // [ns][rpc][send method][num send args][send arg codes...][recv method][num recv args][recv arg codes...]
+          var lookup_code = function (b) { return b.lookup_in(packet.data_codes); };
+          var num_send_args = src.byte(3).toInt();
+          var recv_ind = 4 + num_send_args;
+          var num_recv_args = src.byte(recv_ind+1).toInt();
           return {
             namespace: src.byte(0).lookup_in(self.supported_namespaces) || src.byte(0).toInt(),
             rpc_index: src.byte(1).toInt(),
             send_method: src.byte(2).lookup_in(BOWLER_METHODS),
-            send_args: send_args_rng.map_each(function (b) { return b.lookup_in(packet.data_codes); }),
-            recv_method: src.byte(3+send_args_rng.end+1).lookup_in(BOWLER_METHODS),
-            recv_args: src.byte(4+send_args_rng.end+1).to_null().map_each(function (b) { return b.lookup_in(packet.data_codes); })
+            send_args: num_send_args ? src.bytes(4, recv_ind-1).map_each(lookup_code) : [],
+            recv_method: src.byte(recv_ind).lookup_in(BOWLER_METHODS),
+            recv_args: num_recv_args ? src.bytes(recv_ind+2, recv_ind+1+num_recv_args).map_each(lookup_code) : []
           };
         }
       }
@@ -213,18 +468,14 @@ var BowlerDevice = function() {
    */
   this.BOWLER_PACKET_PARSER = function(src) {
     return {
-      version: src.byte(0).toUInt(),
-      mac_address: src.bytes(1,6).format(function(raw) {
-        res = "";
-        for (var i = 0; i < raw.length; i++) res += raw[i].toString(16).toUpperCase();
-        return res;
-      }),
+      version: src.byte(0).toInt(),
+      mac_address: src.bytes(1,6).format(bowler_util.format_mac_address),
       method: src.byte(7).lookup_in(BOWLER_METHODS),
       namespace: src.byte(8).masked_with(0x7F).lookup_in(this.supported_namespaces),
-      direction: src.byte(8).masked_with(0x01).toUInt(),
+      direction: src.byte(8).masked_with(0x80).toInt() >> 7,
       size: src.byte(9).toInt(),
       crc: src.byte(10).toInt(),
-      rpc: src.byte(11,14).toRawString(),
+      rpc: src.bytes(11,14).toRawString(),
       data: src.byte(15).to_end().getBuffer()
     };
   };
@@ -333,7 +584,7 @@ var BowlerDevice = function() {
  */
 util.inherits(BowlerDevice, EventEmitter);
 
-/* ### parse_packet_data(base_packet) ###
+/* ### parse_packet_data(base_packet[, raw_bytes]) ###
  *
  * This method takes in a partially formatted
  * Bowler packet (i.e. generic Bowler data has been
@@ -344,19 +595,114 @@ util.inherits(BowlerDevice, EventEmitter);
  * which use this method.The fully formatted packet object
  * is then returned, or Error if an error occurs.
  *
+ * If there is no parser for the packet, a
+ * `dyio.errors.UnknownRpcError` is thrown, and if the
+ * payload is too short for the parser (judging by the parser's
+ * argument types, if known, or by the parser reading past the end
+ * of the payload), a `dyio.errors.PayloadTooShortError` is thrown.
+ * These errors hold the given raw packet (or just the payload,
+ * if it isn't given) as their `data`.
+ *
  * See also `parse_bowler_data(raw_bytes)`.
  */
-BowlerDevice.prototype.parse_packet_data = function(base_packet) {
-  var namespace_list = base_packet.namespace.split('.');
-  var parser = bowler_util.resolve_namespace_path(base_packet.namespace, base_packet.rpc, this._parsers, 'Error finding packet parser');
+BowlerDevice.prototype.parse_packet_data = function(base_packet, raw_bytes) {
+  var offending_bytes = raw_bytes || base_packet.data;
+  var unknown_rpc = function () {
+    return new errors.UnknownRpcError(offending_bytes, base_packet.method, base_packet.namespace, base_packet.rpc);
+  };
+  var too_short = function (min_length) {
+    return new errors.PayloadTooShortError(offending_bytes, base_packet.method, base_packet.namespace, base_packet.rpc,
+                                           base_packet.data.length, min_length);
+  };
 
-  var container = packet.PacketByteContainer(base_packet.data);
+  var parser;
+  try {
+    parser = bowler_util.resolve_namespace_path(base_packet.namespace, base_packet.rpc, this._parsers, 'Error finding packet parser');
+  }
+  catch (err) {
+    throw unknown_rpc();
+  }
+
+  var container = new packet.PacketByteContainer(base_packet.data);
   if (!(parser instanceof Function)) {
     // we have a multi-type RPC
     parser = parser[base_packet.method];
-    if (!parser) throw new Error('Could not find a parser for the ' + base_packet.method + ' method for the RPC ' + base_packet.namespace + '#' + base_packet.rpc);
+    if (!parser) throw unknown_rpc();
+  }
+
+  if (parser.arg_types) {
+    var min_length = min_payload_length(parser.arg_types);
+    if (base_packet.data.length < min_length) throw too_short(min_length);
+  }
+
+  try {
+    return parser(container);
+  }
+  catch (err) {
+    // reading past the end of a Buffer
+    if (err instanceof RangeError) throw too_short(null);
+    throw err;
+  }
+};
+
+// the smallest payload which could hold values of the given types
+var min_payload_length = function (types) {
+  return types.reduce(function (len, type_name) {
+    var data_type = packet.data_types[type_name];
+    if (data_type.width) return len + data_type.width;
+
+    // variable-width types have at least a length byte (or null terminator)
+    return len + ((type_name === 'NullTerminatedString') ? 0 : 1);
+  }, 0);
+};
+
+/* ### dissect(raw_bytes) ###
+ *
+ * This method breaks the given raw Bowler packet
+ * down into its annotated fields, using this device's
+ * namespaces, builders, and parsers (see
+ * `dyio.util.dissector.dissect(...)`).
+ */
+BowlerDevice.prototype.dissect = function (raw_bytes) {
+  if (!dissector) dissector = require('dyio/util/dissector');
+  return dissector.dissect(raw_bytes, this);
+};
+
+/* ### validate_datagram(raw_bytes) ###
+ *
+ * This method checks the header of the given raw
+ * Bowler packet, throwing the appropriate subclass
+ * of `dyio.errors.BowlerProtocolError` if it is malformed:
+ *
+ * - `LengthMismatchError` if the packet is too short to hold
+ *   a header and RPC name, or its size byte doesn't match its length
+ * - `BadVersionError` if its version isn't `BOWLER_VERSION`
+ * - `ChecksumMismatchError` if its header checksum is wrong
+ * - `UnknownNamespaceError` if its namespace isn't in
+ *   `supported_namespaces`
+ *
+ * Problems with the payload are detected when it is
+ * parsed (see `parse_packet_data(...)`).
+ */
+BowlerDevice.prototype.validate_datagram = function (raw_bytes) {
+  if (raw_bytes.length < BOWLER_HEADER_SIZE + 4) {
+    var size = (raw_bytes.length > BOWLER_SIZE_BYTE) ? raw_bytes[BOWLER_SIZE_BYTE] : null;
+    throw new errors.LengthMismatchError(raw_bytes, size, Math.max(raw_bytes.length - BOWLER_HEADER_SIZE, 0));
+  }
+
+  if (raw_bytes[0] !== BOWLER_VERSION) throw new errors.BadVersionError(raw_bytes, raw_bytes[0]);
+
+  var checksum = bowler_util.make_checksum(raw_bytes.slice(0, BOWLER_HEADER_SIZE - 1));
+  if (raw_bytes[BOWLER_HEADER_SIZE - 1] !== checksum) {
+    throw new errors.ChecksumMismatchError(raw_bytes, raw_bytes[BOWLER_HEADER_SIZE - 1], checksum);
+  }
+
+  if (raw_bytes[BOWLER_SIZE_BYTE] !== raw_bytes.length - BOWLER_HEADER_SIZE) {
+    throw new errors.LengthMismatchError(raw_bytes, raw_bytes[BOWLER_SIZE_BYTE], raw_bytes.length - BOWLER_HEADER_SIZE);
   }
-  return parser(container);
+
+  var namespace_id = raw_bytes[8] & 0x7F;
+  if (this.supported_namespaces[namespace_id] === undefined) throw new errors.UnknownNamespaceError(raw_bytes, namespace_id);
 };
 
 /* ### parse_bowler_data(raw_bytes) ###
@@ -368,11 +714,764 @@ BowlerDevice.prototype.parse_packet_data = function(base_packet) {
  * See also `BOWLER_PACKET_PARSER(src)`.
  */
 BowlerDevice.prototype.parse_bowler_data = function(raw_bytes) {
-  var container = packet.PacketByteContainer(raw_bytes);
+  var container = new packet.PacketByteContainer(raw_bytes);
   return this.BOWLER_PACKET_PARSER(container);
 };
 
-/* ### populate_supported_namespaces(callback) ###
+/* ### receive_datagram(raw_bytes) ###
+ *
+ * This method handles a single raw Bowler packet
+ * received from the device.  The generic Bowler data
+ * is extracted, the packet-specific parser is run,
+ * and the result is emitted as a 'method:namespace#rpc'
+ * event.  Malformed packets (see `validate_datagram(...)`
+ * and `parse_packet_data(...)`) are rejected with a
+ * `dyio.errors.BowlerProtocolError` holding the offending
+ * bytes, which is emitted as an 'error' event (or, if the
+ * packet was the reply to a pending request, passed to that
+ * request instead).  Likewise, status replies reporting a
+ * failure (see `dyio.status`) are turned into a
+ * `dyio.errors.BowlerStatusError`.  Packets sent with the
+ * 'async' method are never treated as replies; instead,
+ * they are handed to the matching subscriptions (see
+ * `subscribe(...)`) and emitted as an 'async' event
+ * as well.  Data from transports
+ * connected via `connect()` is split into packets by
+ * `framer` and fed into this method automatically.
+ */
+BowlerDevice.prototype.receive_datagram = function (raw_bytes) {
+  if (this.capture) this.capture.record('received', raw_bytes);
+
+  var base_packet;
+  try {
+    this.validate_datagram(raw_bytes);
+    base_packet = this.parse_bowler_data(raw_bytes);
+  }
+  catch (err) {
+    this.emit('error', err);
+    return;
+  }
+
+  var is_async = (base_packet.method === 'async');
+  var is_generic_status = status_util.is_generic_status(base_packet);
+
+  // unsolicited packets must not be mistaken for replies
+  var request = null;
+  if (is_generic_status) request = this._take_status_request(base_packet);
+  else if (!is_async) request = this._take_pending_request(base_packet);
+
+  var formatted_packet;
+  try {
+    // generic status replies look the same in every namespace
+    if (is_generic_status) formatted_packet = status_util.parse_status(base_packet.data);
+    else formatted_packet = this.parse_packet_data(base_packet, raw_bytes);
+  }
+  catch (err) {
+    // if somebody was waiting on this packet, they get the error
+    if (request) request.cb(err);
+    else this.emit('error', err);
+    return;
+  }
+
+  var status_err = null;
+  if (base_packet.method === 'status') status_err = this._status_error(formatted_packet, base_packet, request, raw_bytes);
+
+  if (status_err) {
+    if (request) request.cb(status_err);
+    else this.emit('error', status_err);
+  }
+  else if (request) {
+    request.cb(null, formatted_packet, base_packet);
+  }
+
+  if (is_async) {
+    this._dispatch_async(formatted_packet, base_packet);
+    this.emit('async', formatted_packet, base_packet.namespace, base_packet.rpc);
+  }
+
+  var evt_name = base_packet.method + ':' + base_packet.namespace + '#' + base_packet.rpc;
+  this.emit(evt_name, formatted_packet, base_packet.method, base_packet.namespace, base_packet.rpc);
+};
+
+/* ### subscribe([namespace[, rpc]], listener) ###
+ *
+ * This method registers a listener for the asynchronous
+ * packets pushed by the device (i.e. those sent with the
+ * 'async' method), such as channel value changes or PID
+ * position updates.  If a namespace (e.g. 'bcs.pid') is given,
+ * only packets from that namespace are passed on, and if an
+ * RPC name is also given, only packets for that RPC are
+ * passed on.  A `BowlerSubscription` is returned, which
+ * can be used to stop listening.
+ *
+ * listener: function(data, base_packet)
+ *
+ * The `data` argument is the parsed packet
+ * (as for replies), while `base_packet` holds
+ * the generic Bowler data (see `BOWLER_PACKET_PARSER`).
+ */
+BowlerDevice.prototype.subscribe = function (namespace, rpc, listener) {
+  if (namespace instanceof Function) {
+    listener = namespace;
+    namespace = null;
+    rpc = null;
+  }
+  else if (rpc instanceof Function) {
+    listener = rpc;
+    rpc = null;
+  }
+
+  if (!(listener instanceof Function)) throw new TypeError('A subscription requires a listener function');
+
+  var subscription = new BowlerSubscription(this, namespace || null, rpc || null, listener);
+  this._subscriptions.push(subscription);
+  return subscription;
+};
+
+/* ### unsubscribe(subscription) ###
+ *
+ * This method removes the given subscription
+ * (see `subscribe(...)`).  It returns true if the
+ * subscription was registered with this device.
+ */
+BowlerDevice.prototype.unsubscribe = function (subscription) {
+  var ind = this._subscriptions.indexOf(subscription);
+  if (ind < 0) return false;
+
+  this._subscriptions.splice(ind, 1);
+  subscription.active = false;
+  return true;
+};
+
+/* ### unsubscribe_all() ###
+ *
+ * This method removes all subscriptions.
+ */
+BowlerDevice.prototype.unsubscribe_all = function () {
+  this._subscriptions.forEach(function (subscription) {
+    subscription.active = false;
+  });
+  this._subscriptions = [];
+};
+
+/* ### _dispatch_async(formatted_packet, base_packet) ###
+ *
+ * This method passes an asynchronous packet to
+ * each of the subscriptions which match it.  An
+ * exception thrown by a listener is emitted as an
+ * 'error' event, so that it does not prevent the other
+ * listeners from receiving the packet.
+ */
+BowlerDevice.prototype._dispatch_async = function (formatted_packet, base_packet) {
+  // copy, since listeners may unsubscribe while we iterate
+  var subscriptions = this._subscriptions.slice();
+  for (var i = 0; i < subscriptions.length; i++) {
+    var subscription = subscriptions[i];
+    if (!subscription.active || !subscription.matches(base_packet)) continue;
+
+    try {
+      subscription.listener.call(this, formatted_packet, base_packet);
+    }
+    catch (err) {
+      this.emit('error', err);
+    }
+  }
+};
+
+/* ### describe_rpc(namespace, rpc[, send_method]) ###
+ *
+ * This method describes the arguments of the given
+ * RPC, as far as they are known from its builder and
+ * parser.  Types are known for RPCs which were introspected
+ * or described by a schema (see `BowlerNamespace#load_schema`),
+ * while only the argument names are known for hand-written
+ * builders.  If the RPC has several send methods, the send method
+ * must be given.  An object of the following form is returned
+ * (or null, if the RPC is not known):
+ *
+ *    {
+ *      namespace: string,
+ *      name: string,
+ *      send: { method: string, args: [{ name: string, type: string|null }, ...] },
+ *      recv: { method: string|null, args: [{ name: string, type: string|null }, ...]|null }
+ *    }
+ */
+BowlerDevice.prototype.describe_rpc = function (namespace, rpc, send_method) {
+  var builder, parser, send_methods;
+  try {
+    builder = bowler_util.resolve_namespace_path(namespace, rpc, this._builders, 'Error finding builder');
+    send_methods = bowler_util.resolve_namespace_path(namespace, rpc, this._rpc_send_methods, 'Error finding send methods');
+  }
+  catch (err) {
+    return null;
+  }
+
+  if (!send_method) {
+    if (Array.isArray(send_methods)) return null;
+    send_method = send_methods;
+  }
+  if (!(builder instanceof Function)) builder = builder[send_method];
+  if (!builder) return null;
+
+  var recv_method = this.expected_recv_method(namespace, rpc, send_method);
+  try {
+    parser = bowler_util.resolve_namespace_path(namespace, rpc, this._parsers, 'Error finding parser');
+    if (!(parser instanceof Function)) parser = parser[recv_method];
+  }
+  catch (err) {
+    parser = null;
+  }
+
+  return {
+    namespace: namespace,
+    name: rpc,
+    send: { method: send_method, args: describe_args(builder, true) },
+    recv: { method: recv_method, args: parser ? describe_args(parser, false) : null }
+  };
+};
+
+// builders and parsers may carry `arg_names` and `arg_types`
+// (see `import_rpc_descriptions(...)` and `BowlerNamespace#load_schema`)
+var describe_args = function (func, is_builder) {
+  var types = func.arg_types;
+  var names = func.arg_names;
+
+  if (!types) {
+    if (!is_builder) return null;
+
+    // all we have are the builder's parameter names
+    var params = /^[^(]*\(([^)]*)\)/.exec(func.toString());
+    names = params ? params[1].split(',').map(function (param) { return param.trim(); }).filter(Boolean).slice(1) : [];
+    return names.map(function (name) { return { name: name, type: null }; });
+  }
+
+  var type_counts = {};
+  return types.map(function (type, i) {
+    type_counts[type] = type_counts[type] + 1 || 0;
+    // generated names match the fields of autopopulated parsers
+    return { name: names ? names[i] : type + '_' + type_counts[type], type: type };
+  });
+};
+
+/* ### expected_recv_method(namespace, rpc, send_method) ###
+ *
+ * This method looks up the method which the
+ * device uses to reply to the given RPC when
+ * it is sent with the given method, according
+ * to `_rpc_recv_methods`.  If the reply method
+ * is not known, null is returned.
+ */
+BowlerDevice.prototype.expected_recv_method = function (namespace, rpc, send_method) {
+  var recv_methods;
+  try {
+    recv_methods = bowler_util.resolve_namespace_path(namespace, rpc, this._rpc_recv_methods, 'Error finding receive methods');
+  }
+  catch (err) {
+    return null;
+  }
+
+  return recv_methods[send_method] || null;
+};
+
+/* ### send_request(method, namespace, rpc, args[, options][, callback]) ###
+ *
+ * This method builds a packet for the given RPC (see
+ * `build_packet(...)`), sends it, and waits for the matching
+ * reply.  Replies are matched to requests by namespace, RPC, and
+ * the expected receive method; when several requests for the same
+ * RPC are in flight, replies are handed out in the order the requests
+ * were sent.  If no reply arrives within the timeout, the request is
+ * resent up to the given number of retries, after which the callback is
+ * called with a `dyio.errors.BowlerTimeoutError`.
+ *
+ * The options object may contain the following properties:
+ *
+ * - *timeout*: the timeout for each attempt, in milliseconds
+ *   (`request_timeout` by default)
+ * - *retries*: the number of times to resend the request
+ *   (`request_retries` by default)
+ *
+ * If no callback is given, a Promise is returned instead,
+ * which is resolved with the formatted packet.
+ *
+ * Once a request succeeds, the 'request_complete' event is
+ * emitted as `function(request_info, formatted_packet, base_packet)`,
+ * where the request information is an object of the form `{ method: string,
+ * namespace: string, rpc: string, args: Array }`, and the base packet holds
+ * the generic data of the reply (see `BOWLER_PACKET_PARSER(src)`).  When a request
+ * times out, the 'timeout' event is emitted with the
+ * `dyio.errors.BowlerTimeoutError`.
+ *
+ * callback: function(err, formatted_packet, base_packet)
+ */
+BowlerDevice.prototype.send_request = function (method, namespace, rpc, args, opts, cb) {
+  if (opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+  if (!opts) opts = {};
+
+  if (!cb) {
+    var dev = this;
+    return new Promise(function (resolve, reject) {
+      dev.send_request(method, namespace, rpc, args, opts, function (err, formatted_packet) {
+        if (err) reject(err);
+        else resolve(formatted_packet);
+      });
+    });
+  }
+
+  var datagram;
+  try {
+    datagram = this.build_packet.apply(this, [method, namespace, rpc].concat(args));
+  }
+  catch (err) {
+    process.nextTick(function () { cb(err); });
+    return;
+  }
+
+  var self = this;
+  var request = {
+    method: method,
+    namespace: namespace,
+    rpc: rpc,
+    args: args,
+    recv_method: this.expected_recv_method(namespace, rpc, method),
+    datagram: datagram,
+    timeout: opts.timeout !== undefined ? opts.timeout : this.request_timeout,
+    retries_left: opts.retries !== undefined ? opts.retries : this.request_retries,
+    attempts: 0,
+    timer: null,
+    done: false,
+    cb: null
+  };
+
+  request.cb = function (err, formatted_packet, base_packet) {
+    if (request.done) return;
+    request.done = true;
+
+    clearTimeout(request.timer);
+    var ind = self._pending_requests.indexOf(request);
+    if (ind > -1) self._pending_requests.splice(ind, 1);
+
+    if (!err) {
+      self.emit('request_complete', { method: method, namespace: namespace, rpc: rpc, args: args }, formatted_packet, base_packet);
+    }
+    else if (err instanceof errors.BowlerTimeoutError) {
+      self.emit('timeout', err);
+    }
+
+    cb(err, formatted_packet, base_packet);
+  };
+
+  this._pending_requests.push(request);
+  this._send_request_attempt(request);
+};
+
+BowlerDevice.prototype._send_request_attempt = function (request) {
+  var self = this;
+  request.attempts++;
+
+  if (!this.transport) {
+    process.nextTick(function () {
+      request.cb(new errors.BowlerDisconnectedError('Cannot send a request to a device which is not connected'));
+    });
+    return;
+  }
+
+  request.timer = setTimeout(function () {
+    if (request.retries_left > 0) {
+      request.retries_left--;
+      self._send_request_attempt(request);
+    }
+    else {
+      request.cb(new errors.BowlerTimeoutError(request));
+    }
+  }, request.timeout);
+
+  this.send_datagram(request.datagram, function (err) {
+    if (err) request.cb(err);
+  });
+};
+
+/* ### _take_status_request(base_packet) ###
+ *
+ * This method is the equivalent of `_take_pending_request(...)`
+ * for generic `_rdy` and `_err` status replies, which don't name
+ * the RPC they answer.  They go to the oldest pending request in
+ * their namespace which could have caused them.  `_err` replies
+ * from 'bcs.core' (which the device may send for packets it
+ * couldn't dispatch at all) go to the oldest pending request.
+ */
+BowlerDevice.prototype._take_status_request = function (base_packet) {
+  var is_error = (base_packet.rpc === status_util.ERROR_RPC);
+  var any_namespace = is_error && base_packet.namespace === 'bcs.core';
+
+  for (var i = 0; i < this._pending_requests.length; i++) {
+    var request = this._pending_requests[i];
+    if (request.namespace !== base_packet.namespace && !any_namespace) continue;
+    if (!is_error && request.recv_method && request.recv_method !== 'status') continue;
+
+    this._pending_requests.splice(i, 1);
+    return request;
+  }
+
+  return null;
+};
+
+/* ### _status_error(status, base_packet, request, raw_bytes) ###
+ *
+ * This method decodes the given parsed status packet
+ * (see `dyio.status.decode_status(...)`), returning a
+ * `dyio.errors.BowlerStatusError` if it reports a failure,
+ * or null otherwise.
+ */
+BowlerDevice.prototype._status_error = function (status, base_packet, request, raw_bytes) {
+  // status replies without codes can't be decoded
+  if (!status || status.location === undefined) return null;
+
+  // the codes belong to the namespace which sent the reply,
+  // which is 'bcs.core' for `_err` replies to undispatched packets
+  var namespace = request ? request.namespace : base_packet.namespace;
+  var decoded = status_util.decode_status(base_packet.rpc, status, this._status_codes[base_packet.namespace]);
+  if (!decoded.error) return null;
+
+  return new errors.BowlerStatusError({
+    method: request ? request.method : base_packet.method,
+    namespace: namespace,
+    rpc: request ? request.rpc : base_packet.rpc,
+    location: status.location,
+    trace: status.trace,
+    description: decoded.description,
+    data: raw_bytes
+  });
+};
+
+/* ### register_status_codes(namespace, codes) ###
+ *
+ * This method adds the given table of status codes
+ * (see `dyio.status`) for the given namespace, which
+ * is used to decide which status replies from that
+ * namespace are failures, and to describe them.  Namespaces
+ * loaded with `supports_namespace(...)` register their own
+ * codes, if they have any.
+ */
+BowlerDevice.prototype.register_status_codes = function (namespace, codes) {
+  if (!this._status_codes[namespace]) this._status_codes[namespace] = {};
+  for (var location in codes) this._status_codes[namespace][location] = codes[location];
+};
+
+/* ### _take_pending_request(base_packet) ###
+ *
+ * This method finds the oldest pending request
+ * which the given packet is a reply to, removes it
+ * from the pending request table, and returns it
+ * (or returns null if there is no such request).
+ */
+BowlerDevice.prototype._take_pending_request = function (base_packet) {
+  for (var i = 0; i < this._pending_requests.length; i++) {
+    var request = this._pending_requests[i];
+    if (request.namespace !== base_packet.namespace || request.rpc !== base_packet.rpc) continue;
+    if (request.recv_method && request.recv_method !== base_packet.method) continue;
+
+    this._pending_requests.splice(i, 1);
+    return request;
+  }
+
+  return null;
+};
+
+/* ### _fail_pending_requests(err) ###
+ *
+ * This method calls back all of the pending
+ * requests with the given error, emptying the
+ * pending request table.
+ */
+BowlerDevice.prototype._fail_pending_requests = function (err) {
+  var pending = this._pending_requests.slice();
+  pending.forEach(function (request) {
+    request.cb(err);
+  });
+};
+
+/* ### send_datagram(datagram[, callback]) ###
+ *
+ * This method writes the given raw Bowler packet
+ * (as returned by `build_packet(...)`) to the current
+ * transport.  The callback is called once the packet has
+ * been written, or if an error occurs.
+ *
+ * callback: function(err)
+ */
+BowlerDevice.prototype.send_datagram = function (datagram, cb) {
+  if (!this.transport) {
+    var err = new Error('Cannot send a datagram to a device which is not connected');
+    if (cb) {
+      process.nextTick(function () { cb(err); });
+      return;
+    }
+    throw err;
+  }
+
+  if (this.capture) this.capture.record('sent', datagram);
+  this.transport.write(datagram, cb);
+};
+
+/* ### start_capture(path[, callback]) ###
+ *
+ * This method starts recording every datagram sent
+ * to and received from the device into the given capture
+ * file (see `dyio.util.capture`), along with the metadata
+ * needed to decode them later (the MAC address and the
+ * supported namespaces, which are updated as they are
+ * populated).  Any capture already in progress is stopped,
+ * and its file written out, first.  A Promise for the new
+ * `dyio.util.capture.PacketCapture` is returned.  Errors
+ * writing the file are emitted as 'error' events.
+ *
+ * Use a `dyio.transports.replay.ReplayTransport` to play
+ * the capture back.
+ *
+ * callback: function(err, capture)
+ */
+BowlerDevice.prototype.start_capture = function (path, cb) {
+  if (!capture_util) capture_util = require('dyio/util/capture');
+
+  var self = this;
+  var promise = this.stop_capture().then(function () {
+    self.capture = new capture_util.PacketCapture(path, capture_util.device_metadata(self));
+    self.capture.stream.on('error', function (err) { self.emit('error', err); });
+    return self.capture;
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* ### stop_capture([callback]) ###
+ *
+ * This method stops the current capture (if any),
+ * returning a Promise which is resolved once the
+ * capture file has been written out.
+ *
+ * callback: function(err)
+ */
+BowlerDevice.prototype.stop_capture = function (cb) {
+  var capture = this.capture;
+  this.capture = null;
+
+  var promise = capture ? capture.close() : Promise.resolve();
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* ### connect(transport[, callback]) ###
+ *
+ * This method connects this device to the given
+ * `dyio.transports.Transport`, opening the transport
+ * if necessary.  Any previous transport is detached
+ * (but not closed).  Once the transport is open, the
+ * 'connected' event is emitted and the callback is called.
+ * If the transport closes, the 'disconnected' event is
+ * emitted with the error that caused the close (if any).
+ *
+ * callback: function(err)
+ */
+BowlerDevice.prototype.connect = function (transport, cb) {
+  var self = this;
+  if (!cb) cb = function (err) { if (err) self.emit('error', err); };
+
+  if (this.transport) this._detach_transport();
+
+  this.transport = transport;
+  this.framer.reset();
+  this._transport_listeners = {
+    data: function (data) { self.framer.push(data); },
+    close: function (err) {
+      var reason = err || self._drop_reason;
+      self._drop_reason = null;
+      self._fail_pending_requests(new errors.BowlerDisconnectedError('The device was disconnected while waiting for a reply'));
+      self.emit('disconnected', reason || null);
+    },
+    error: function (err) { self.emit('error', err); }
+  };
+
+  for (var evt in this._transport_listeners) {
+    transport.on(evt, this._transport_listeners[evt]);
+  }
+
+  transport.open(function (err) {
+    if (err) {
+      cb(err);
+      return;
+    }
+
+    self.emit('connected');
+    cb(null);
+  });
+};
+
+/* ### disconnect([callback]) ###
+ *
+ * This method closes and detaches the current
+ * transport.
+ *
+ * callback: function(err)
+ */
+BowlerDevice.prototype.disconnect = function (cb) {
+  var transport = this.transport;
+  if (!transport) {
+    if (cb) process.nextTick(function () { cb(null); });
+    return;
+  }
+
+  var self = this;
+  transport.close(function (err) {
+    if (self.transport === transport) self._detach_transport();
+    if (cb) cb(err);
+    else if (err) self.emit('error', err);
+  });
+};
+
+/* ### enable_reconnect([options]) ###
+ *
+ * This method makes the device reconnect on its own
+ * when its link is lost, restoring its settings afterwards
+ * (see `dyio.util.reconnect.Reconnector` for the options and
+ * events).  It returns the new Reconnector.  Call it once the
+ * device is connected (and before configuring it, so that the
+ * settings get recorded).  Any previous reconnector is stopped,
+ * and its recorded settings are carried over.
+ */
+BowlerDevice.prototype.enable_reconnect = function (opts) {
+  if (!reconnect_util) reconnect_util = require('dyio/util/reconnect');
+
+  var previous = this.reconnector;
+  if (previous) previous.stop();
+
+  this.reconnector = new reconnect_util.Reconnector(this, opts);
+  if (previous) {
+    previous.records.forEach(this.reconnector.record, this.reconnector);
+    this.reconnector.mac_address = previous.mac_address;
+  }
+  return this.reconnector;
+};
+
+/* ### disable_reconnect() ###
+ *
+ * This method stops the device from reconnecting
+ * on its own (see `enable_reconnect(...)`).
+ */
+BowlerDevice.prototype.disable_reconnect = function () {
+  if (!this.reconnector) return;
+  this.reconnector.stop();
+  this.reconnector = null;
+};
+
+/* ### start_heartbeat([options]) ###
+ *
+ * This method starts pinging the device at a regular
+ * interval to monitor the health of the link (see
+ * `dyio.util.heartbeat.Heartbeat` for the options and
+ * events).  It returns the new Heartbeat.  Any previous
+ * heartbeat is stopped.
+ */
+BowlerDevice.prototype.start_heartbeat = function (opts) {
+  if (!heartbeat_util) heartbeat_util = require('dyio/util/heartbeat');
+
+  this.stop_heartbeat();
+  this.heartbeat = new heartbeat_util.Heartbeat(this, opts);
+  this.heartbeat.start();
+  return this.heartbeat;
+};
+
+/* ### stop_heartbeat() ###
+ *
+ * This method stops the heartbeat started by
+ * `start_heartbeat(...)`, if any.
+ */
+BowlerDevice.prototype.stop_heartbeat = function () {
+  if (!this.heartbeat) return;
+  this.heartbeat.stop();
+  this.heartbeat = null;
+};
+
+/* ### start_watchdog([options][, callback]) ###
+ *
+ * This method arms a watchdog which puts the device
+ * into a safe state if the program dies or fails (see
+ * `dyio.util.watchdog.Watchdog` for the options).  The
+ * device should be connected, and its namespaces populated.
+ * It returns a Promise for the new Watchdog, which is resolved
+ * once the firmware failsafe (if any) is enabled.  Any previous
+ * watchdog is stopped first.
+ *
+ * callback: function(err, watchdog)
+ */
+BowlerDevice.prototype.start_watchdog = function (opts, cb) {
+  if (opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+
+  if (!watchdog_util) watchdog_util = require('dyio/util/watchdog');
+
+  var self = this;
+  var promise = (async function () {
+    await self.stop_watchdog();
+    self.watchdog = new watchdog_util.Watchdog(self, opts);
+    await self.watchdog.start();
+    return self.watchdog;
+  })();
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* ### stop_watchdog([callback]) ###
+ *
+ * This method disarms the watchdog started by
+ * `start_watchdog(...)`, if any, disabling the
+ * firmware failsafe.
+ *
+ * callback: function(err)
+ */
+BowlerDevice.prototype.stop_watchdog = function (cb) {
+  var watchdog = this.watchdog;
+  this.watchdog = null;
+
+  var promise = watchdog ? watchdog.stop() : Promise.resolve();
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* ### drop_connection(reason[, callback]) ###
+ *
+ * This method closes the current transport as if
+ * the link had failed (e.g. because the device stopped
+ * answering), so the 'disconnected' event is emitted with
+ * the given Error instead of null.  Unlike `disconnect()`,
+ * the transport stays attached, so it can be reopened by
+ * calling `connect(...)` with it again.
+ *
+ * callback: function(err)
+ */
+BowlerDevice.prototype.drop_connection = function (reason, cb) {
+  if (!this.transport || !this.transport.is_open) {
+    if (cb) process.nextTick(function () { cb(null); });
+    return;
+  }
+
+  this._drop_reason = reason;
+  this.transport.close(cb);
+};
+
+BowlerDevice.prototype._detach_transport = function () {
+  for (var evt in this._transport_listeners) {
+    this.transport.removeListener(evt, this._transport_listeners[evt]);
+  }
+
+  this.transport = null;
+  this._transport_listeners = null;
+};
+
+/* ### populate_supported_namespaces([callback]) ###
  *
  * This method uses Bowler introspection to populate
  * the supported namespaces list.  It only looks at the
@@ -380,31 +1479,33 @@ BowlerDevice.prototype.parse_bowler_data = function(raw_bytes) {
  * the Bowler introspection-style namespace listing is required.
  * This method should be called after the device has been properly
  * initialized (i.e. in your connect method, right before user commands
- * are sent), and requires support for the Bowler Introspection
- * namespace (bcs.core.rpc). It accepts a callback which is called in
- * case of error, or when the method has finished.
+ * are sent). It returns a Promise which is resolved when the method
+ * has finished, or rejected in case of error, and optionally accepts
+ * a callback which is called at the same time.
  *
  * callback: function(err)
  */
 BowlerDevice.prototype.populate_supported_namespaces = function(cb) {
-  if (!gen_run) {
-    gen_run = require('gen-run');
-    introspection_util = require('dyio/util/introspection');
-    this._introspector = new introspection_util.BowlerIntrospector(this);
-  }
-
   var self = this;
 
-  gen_run(this._introspector.namespaces(function (err, ns_info, ns_ind, num_ns) {
-    if (err) {
-      cb(err);
-      return; // if we are called with an error, the callback will not be called again
-    }
+  var promise = this._get_introspector().namespaces().then(function (namespaces) {
+    self.namespace_info = namespaces;
+    namespaces.forEach(function (ns_info, ns_ind) {
+      self.supported_namespaces[ns_ind] = ns_info.name;
+    });
 
-    self.supported_namespaces[ns_ind] = ns_info.name;
+    if (self.capture) self.capture.update_metadata(capture_util.device_metadata(self));
+  });
 
-    if (ns_ind === num_ns) cb(null); // we're done
-  }));
+  return bowler_util.with_callback(promise, cb);
+};
+
+BowlerDevice.prototype._get_introspector = function () {
+  if (!this._introspector) {
+    if (!introspection_util) introspection_util = require('dyio/util/introspection');
+    this._introspector = new introspection_util.BowlerIntrospector(this);
+  }
+  return this._introspector;
 };
 
 /* ### build_packet(method, namespace, rpc, ...args) ###
@@ -421,7 +1522,8 @@ BowlerDevice.prototype.build_packet = function (method, namespace, command/*, ..
 
   // build the prefix
   builder.byte(0).fromInt(BOWLER_VERSION); // protocol version
-  builder.bytes(1, 6).fromUInt8Array(this.mac_address_bytes); // mac address
+  var mac = this.mac_address_bytes;
+  for (var i = 0; i < 6; i++) builder.byte(1+i).fromInt(mac[i]); // mac address
   builder.byte(7).fromInt(BOWLER_METHODS_HR[method] || BOWLER_METHODS_HR.get); // RPC method
   builder.byte(8).fromInt(this.supported_namespaces_hr[namespace] || this.supported_namespaces_hr['bcs.core']); // namespace id
   // the length of the packet (name + body) goes at byte 9
@@ -435,10 +1537,11 @@ BowlerDevice.prototype.build_packet = function (method, namespace, command/*, ..
     body_builder = body_builder[method];
     if (!body_builder) throw new Error('Could not find builder for the ' + method + ' method for the RPC ' + namespace + '#' + command);
   }
-  var body_assembler = new packet.PacketAssembler(BOWLER_HEADER_SIZE); // should start at byte BOWLER_HEADER_SIZE
+  // add the RPC name (always four bytes, not null-terminated)
+  var rpc_assembler = new packet.PacketAssembler(BOWLER_HEADER_SIZE); // should start at byte BOWLER_HEADER_SIZE
+  rpc_assembler.bytes(0, 3).fromRawString(command);
 
-  // add the RPC name
-  body_assembler.bytes(0, command.length).fromString(command);
+  var body_assembler = new packet.PacketAssembler(BOWLER_HEADER_SIZE + 4); // the body comes after the RPC name
 
   // apply the body builder with any extra arguments from this method
   var builder_args = [body_assembler];
@@ -446,162 +1549,210 @@ BowlerDevice.prototype.build_packet = function (method, namespace, command/*, ..
       Array.prototype.slice.call(arguments, BowlerDevice.prototype.build_packet.length));
   body_builder.apply(this, builder_args);
 
-  builder.byte(9).fromInt(body_assembler.length);
+  rpc_assembler.append(body_assembler);
+  builder.byte(9).fromInt(rpc_assembler.length - BOWLER_HEADER_SIZE);
 
   var checksum = bowler_util.make_checksum(builder.assemble()); // the checksum should be based on bytes 0 - 9 (inclusive)
   builder.byte(10).fromInt(checksum);
 
-  builder.append(body_assembler);
+  builder.append(rpc_assembler);
 
   return builder.assemble();
 };
 
-/* ### autopopulate_rpcs(callback) ###
+/* ### autopopulate_rpcs([callback]) ###
  *
  * This method will use Bowler introspection to populate
  * the _builders and _parsers objects with supported
  * RPCs.  The method will not overwrite existing builders
  * and parsers.  Note that this method must be called after
  * the device has been initialized, and requires support
- * for the Bowler Introspection namespace (bcs.core.rpc).
+ * for the Bowler Introspection namespace (bcs.rpc).
+ *
+ * If `introspection_cache` is set (and the supported
+ * namespaces have been populated), cached RPC descriptions
+ * are used when there are some for this device's namespace
+ * versions, and the results of introspection are cached
+ * otherwise.
  *
- * The callback is call when all RPCs have been populated,
- * or if there an error occurs.
+ * A Promise is returned which is resolved when all RPCs
+ * have been populated, or rejected if an error occurs.  If
+ * a callback is given, it is called at the same time.
  *
  * callback: function (err)
  */
 BowlerDevice.prototype.autopopulate_rpcs = function (cb) {
   // check for support
-  if (!('bcs.core.rpc' in this.supported_namespaces_hr)) {
-    console.warn('The bcs.core.rpc namespace is not present, cannot introspect for RPCs');
-    cb(new Error('Cannot perform autopopulation without support for introspection (the bcs.core.rpc namespace)'));
-  }
-
-  if (!gen_run) {
-    gen_run = require('gen-run');
-    introspection_util = require('dyio/util/introspection');
-    this._introspector = new introspection_util.BowlerIntrospector(this);
+  if (!('bcs.rpc' in this.supported_namespaces_hr)) {
+    console.warn('The bcs.rpc namespace is not present, cannot introspect for RPCs');
+    return bowler_util.with_callback(Promise.reject(new Error('Cannot perform autopopulation without support for introspection (the bcs.rpc namespace)')), cb);
   }
 
   var self = this;
+  var cache = this.namespace_info ? this.introspection_cache : null;
+
+  var promise = (async function () {
+    if (cache) {
+      await cache.ensure_loaded();
+      var cached_rpcs = cache.lookup(self.namespace_info);
+      if (cached_rpcs) {
+        self.import_rpc_descriptions(cached_rpcs);
+        return;
+      }
+    }
 
-  gen_run(this._introspector.rpcs_in_namespaces(
-      Object.keys(this.supported_namespaces_hr),
-      function (err, rpc_info, rpc_ind, num_rpcs, ns_ind, num_ns) {
-        if (err) {
-          cb(err);
-          return; // if we were called with the err, we don't need to worry about being called again
-        }
+    var rpcs = await self._get_introspector().rpcs_for_namespaces(Object.keys(self.supported_namespaces_hr));
+    self.import_rpc_descriptions(rpcs);
 
-        var recv_method_ns = self.resolve_namespace_path(rpc_info.namespace, null, self._rpc_recv_methods, 'Error resolving the receive method namespace');
-
-        var parser_ns = self.resolve_namespace_path(rpc_info.namespace, null, self._parsers, 'Error resolving the parser namespace');
-        if (!parser_ns[rpc_info.name] || !recv_method_ns[rpc_info.name][rpc_info.send.method]) {  // TODO: can an RPC have a send method that has more than one recv method?
-          var recv_info = rpc_info.recv;
-          var parser_func = function (src) {
-            var buff = src.getBuffer();
-            var res = { as_array: [] };
-            var curr_start = 0;
-            var type_counts = {};
-            for (var i = 0; i < recv_info.args.length; i++) {
-              var arg = recv_info.args[i];
-              type_counts[arg] = type_counts[arg] + 1 || 0;
-              var parsed = packet.data_types[arg].deserialize(buff, curr_start);
-
-              if (Array.isArray(parsed)) {
-                curr_start += parsed[1];
-                parsed = parsed[0];
-              }
-              else {
-                curr_start += packet.data_types[arg].width;
-              }
-
-              res.as_array.push(parsed);
-              res[arg+'_'+type_counts[arg]] = parsed;
-            }
-
-            return res;
-          };
+    if (cache) await cache.store(self.namespace_info, rpcs);
+  })();
 
-          if (!parser_ns[rpc_info.name]) {
-            parser_ns[rpc_info.name] = parser_func;
-          }
-          else {
-            if (parser_ns[rpc_info.name] instanceof Function) {
-              // we need to remake it as an object
-              var old_parser_func = parser_ns[rpc_info.name];
-              parser_ns[rpc_info.name] = { is_rpc: true };
-              var recv_methods = recv_method_ns[rpc_info.name];
-              var old_recv_method = recv_methods[Object.keys(recv_methods)[0]];
-              parser_ns[rpc_info.name][old_recv_method] = old_parser_func;
-            }
-
-            parser_ns[rpc_info.name][rpc_info.recv.method] = parser_func;
-          }
-        }
-
-        var send_method_ns = self.resolve_namespace_path(rpc_info.namespace, null, self._rpc_send_methods, 'Error resolving the send method namespace');
+  return bowler_util.with_callback(promise, cb);
+};
 
-        var builder_ns = self.resolve_namespace_path(rpc_info.namespace, null, self._builders, 'Error resolving the builder namespace');
-        if (!builder_ns[rpc_info.name] || (!Array.isArray(send_method_ns[rpc_info.name]) && send_method_ns[rpc_info.name] != rpc_info.send.method) || (Array.isArray(send_method_ns[rpc_info.name]) && send_method_ns[rpc_info.name].indexOf(rpc_info.send_method) < 0)) {
-          var send_info = rpc_info.send;
+/* ### invalidate_introspection_cache([callback]) ###
+ *
+ * This method removes the cached RPC descriptions
+ * for this device's namespaces from `introspection_cache`,
+ * so that the next call to `autopopulate_rpcs()` introspects
+ * the device again.  The supported namespaces must have been
+ * populated.
+ *
+ * callback: function(err)
+ */
+BowlerDevice.prototype.invalidate_introspection_cache = function (cb) {
+  if (!this.introspection_cache || !this.namespace_info) {
+    return bowler_util.with_callback(Promise.resolve(), cb);
+  }
 
-          var make_bldr_func = function (ind) {
-            return function (byte_rang) {
-              return packet.data_types[send_info.args[ind]].serialize;
-            };
-          };
+  return this.introspection_cache.invalidate(this.namespace_info, cb);
+};
 
-          var bldr_func = function (bldr/*, ...args*/) {
-            var args = Array.prototype.slice.call(arguments, 1);
-            var curr_start = 0;
-            for (var i = 0; i < send_info.args.length; i++) {
-              var data_type = packet.data_types[send_info.args[i]];
-              var len = data_type.width || data_type.get_width(args[i]);
-              bldr.bytes(curr_start, curr_start + len - 1).fromRawFunc(make_bldr_func(i), args[i]);
-              curr_start += len;
-            }
-          };
+/* ### import_rpc_descriptions(rpcs) ###
+ *
+ * This method populates the _builders, _parsers,
+ * _rpc_send_methods, and _rpc_recv_methods objects
+ * from the given Array of RPC descriptions (in the
+ * form produced by `dyio.util.introspection.BowlerIntrospector`).
+ * Existing builders and parsers are not overwritten.  The
+ * generated parsers return an object containing the
+ * parsed values both in order (as `as_array`) and named
+ * by their type and position (e.g. `Int32_0`).
+ */
+BowlerDevice.prototype.import_rpc_descriptions = function (rpcs) {
+  var self = this;
 
-          if (!builder_ns[rpc_info.name]) {
-            builder_ns[rpc_info.name] = builder_func;
+  rpcs.forEach(function (rpc_info) {
+    var recv_method_ns = bowler_util.ensure_namespace_path(rpc_info.namespace, self._rpc_recv_methods);
+
+    var parser_ns = bowler_util.ensure_namespace_path(rpc_info.namespace, self._parsers);
+    if (!parser_ns[rpc_info.name] || !recv_method_ns[rpc_info.name] || !recv_method_ns[rpc_info.name][rpc_info.send.method]) {  // TODO: can an RPC have a send method that has more than one recv method?
+      var recv_info = rpc_info.recv;
+      var parser_func = function (src) {
+        var buff = src.getBuffer();
+        var res = { as_array: [] };
+        var curr_start = 0;
+        var type_counts = {};
+        for (var i = 0; i < recv_info.args.length; i++) {
+          var arg = recv_info.args[i];
+          type_counts[arg] = type_counts[arg] + 1 || 0;
+          var parsed = packet.data_types[arg].deserialize(buff, curr_start);
+
+          if (Array.isArray(parsed)) {
+            curr_start += parsed[1];
+            parsed = parsed[0];
           }
           else {
-            if (builder_ns[rpc_info.name] instanceof Function) {
-              // we need to remake it as an object
-              var old_builder_func = builder_ns[rpc_info.name];
-              builder_ns[rpc_info.name] = { is_rpc: true };
-              var old_send_method = send_method_ns[rpc_info.name];
-              builder_ns[rpc_info.name][old_send_method] = old_builder_func;
-            }
-
-            builder_ns[rpc_info.name][rpc_info.send.method] = bldr_func;
+            curr_start += packet.data_types[arg].width;
           }
-        }
 
-        if (!send_method_ns[rpc_info.name]) {
-          send_method_ns[rpc_info.name] = rpc_info.send.method;
-        }
-        else if (!Array.isArray(send_method_ns[rpc_info.name]) && send_method_ns[rpc_info.name] != rpc_info.send.method) {
-          send_method_ns[rpc_info.name] = [send_method_ns[rpc_info.name], rpc_info.send.method];
-        }
-        else if (Array.isArray(send_method_ns[rpc_info.name]) && send_method_ns[rpc_info.name].indexOf(rpc_info.send.method) < 0) {
-          send_method_ns[rpc_info.name].push(rpc_info.send.method);
+          res.as_array.push(parsed);
+          res[arg+'_'+type_counts[arg]] = parsed;
         }
 
-        if (!recv_method_ns[rpc_info.name]) {
-          recv_method_ns[rpc_info.name] = {};
+        return res;
+      };
+      parser_func.arg_types = recv_info.args;  // see `describe_rpc(...)`
+
+      if (!parser_ns[rpc_info.name]) {
+        parser_ns[rpc_info.name] = parser_func;
+      }
+      else {
+        if (parser_ns[rpc_info.name] instanceof Function) {
+          // we need to remake it as an object
+          var old_parser_func = parser_ns[rpc_info.name];
+          parser_ns[rpc_info.name] = { is_rpc: true };
+          var recv_methods = recv_method_ns[rpc_info.name];
+          var old_recv_method = recv_methods[Object.keys(recv_methods)[0]];
+          parser_ns[rpc_info.name][old_recv_method] = old_parser_func;
         }
 
-        if (!recv_method_ns[rpc_info.name][rpc_info.send.method]) {
-          recv_method_ns[rpc_info.name][rpc_info.send.method] = rpc_info.recv.method;
+        parser_ns[rpc_info.name][rpc_info.recv.method] = parser_func;
+      }
+    }
+
+    var send_method_ns = bowler_util.ensure_namespace_path(rpc_info.namespace, self._rpc_send_methods);
+    var send_methods = send_method_ns[rpc_info.name];
+
+    var builder_ns = bowler_util.ensure_namespace_path(rpc_info.namespace, self._builders);
+    if (!builder_ns[rpc_info.name] || (!Array.isArray(send_methods) && send_methods != rpc_info.send.method) || (Array.isArray(send_methods) && send_methods.indexOf(rpc_info.send.method) < 0)) {
+      var send_info = rpc_info.send;
+
+      var make_bldr_func = function (ind) {
+        return function (byte_rang) {
+          return packet.data_types[send_info.args[ind]].serialize;
+        };
+      };
+
+      var bldr_func = function (bldr/*, ...args*/) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        var curr_start = 0;
+        for (var i = 0; i < send_info.args.length; i++) {
+          var data_type = packet.data_types[send_info.args[i]];
+          var len = data_type.width || data_type.get_width(args[i]);
+          bldr.bytes(curr_start, curr_start + len - 1).fromRawFunc(make_bldr_func(i), args[i]);
+          curr_start += len;
         }
+      };
+      bldr_func.num_args = send_info.args.length;  // since the function itself is variadic
+      bldr_func.arg_types = send_info.args;
 
-        if (rpc_ind === num_rpcs-1 && ns_ind === num_ns-1) {
-          cb(null); // we are done
+      if (!builder_ns[rpc_info.name]) {
+        builder_ns[rpc_info.name] = bldr_func;
+      }
+      else {
+        if (builder_ns[rpc_info.name] instanceof Function) {
+          // we need to remake it as an object
+          var old_builder_func = builder_ns[rpc_info.name];
+          builder_ns[rpc_info.name] = { is_rpc: true };
+          builder_ns[rpc_info.name][send_methods] = old_builder_func;
         }
+
+        builder_ns[rpc_info.name][rpc_info.send.method] = bldr_func;
       }
-  ));
+    }
+
+    if (!send_methods) {
+      send_method_ns[rpc_info.name] = rpc_info.send.method;
+    }
+    else if (!Array.isArray(send_methods) && send_methods != rpc_info.send.method) {
+      send_method_ns[rpc_info.name] = [send_methods, rpc_info.send.method];
+    }
+    else if (Array.isArray(send_methods) && send_methods.indexOf(rpc_info.send.method) < 0) {
+      send_methods.push(rpc_info.send.method);
+    }
+
+    if (!recv_method_ns[rpc_info.name]) {
+      recv_method_ns[rpc_info.name] = {};
+    }
+
+    if (!recv_method_ns[rpc_info.name][rpc_info.send.method]) {
+      recv_method_ns[rpc_info.name][rpc_info.send.method] = rpc_info.recv.method;
+    }
+  });
+
+  // the command handler is built from _builders, so it needs to be refreshed
+  this._command_handler = null;
 };
 
 /* ### supports_namespace(namespace) ###
@@ -620,10 +1771,12 @@ BowlerDevice.prototype.autopopulate_rpcs = function (cb) {
  */
 BowlerDevice.prototype.supports_namespace = function (ns) {
   if (!(ns instanceof BowlerNamespace)) {
-    var ns_path = 'dyio/extra_namespaces/' + ns_name.split('.').join('/');
-    ns = require(ns_path);
+    ns = require(extra_namespaces.module_path(ns));
   }
   ns.import_into(this);
+
+  // the command handler is built from _builders, so it needs to be refreshed
+  this._command_handler = null;
 };
 
 var BowlerDeviceProperties = {
@@ -653,8 +1806,8 @@ var BowlerDeviceProperties = {
     configurable: false,
     get: function () {
       var supported_namespaces_hr = {};
-      for (var nsid in this.supported_namespace) {
-        supported_namespaces_hr[this.supported_namespaces[nsid]] = nsid;
+      for (var nsid in this.supported_namespaces) {
+        supported_namespaces_hr[this.supported_namespaces[nsid]] = parseInt(nsid, 10);
       }
       return supported_namespaces_hr;
     }
@@ -682,7 +1835,7 @@ var BowlerDeviceProperties = {
       }
 
       if (this._mac_address_raw != 'broadcast') {
-        return this._mac_address_raw.map(function(b) { return b.toString(16).toUpperCase(); }).join(':');
+        return bowler_util.format_mac_address(this._mac_address_raw);
       }
       else {
         return this._mac_address_raw;
@@ -690,11 +1843,13 @@ var BowlerDeviceProperties = {
     },
     set: function (val) {
       if (val != 'broadcast' && val.toLowerCase() != 'ff:ff:ff:ff:ff:ff') {
-        this._mac_address_raw = val.spli(':').map(function(b) { return parseInt(b, 16); });
+        this._mac_address_raw = val.split(':').map(function(b) { return parseInt(b, 16); });
       }
       else {
         this._mac_address_raw = 'broadcast';
       }
+
+      if (this.capture) this.capture.update_metadata({ mac_address: this.mac_address });
     }
   },
 
@@ -732,7 +1887,7 @@ var BowlerDeviceProperties = {
 };
 
 for (var prop in BowlerDeviceProperties) {
-  Object.defineProperty(BowlerDevice, prop, BowlerDeviceProperties[prop]);
+  Object.defineProperty(BowlerDevice.prototype, prop, BowlerDeviceProperties[prop]);
 }
 
 module.exports = {
@@ -740,7 +1895,11 @@ module.exports = {
   BOWLER_VERSION: BOWLER_VERSION,
   BOWLER_SIZE_BYTE: BOWLER_SIZE_BYTE,
   BOWLER_CHANNEL_MODES: BOWLER_CHANNEL_MODES,
+  BOWLER_CHANNEL_MODES_HR: BOWLER_CHANNEL_MODES_HR,
   BOWLER_METHODS: BOWLER_METHODS,
   BOWLER_METHODS_HR: BOWLER_METHODS_HR,
+  BCS_CORE_STATUS_CODES: BCS_CORE_STATUS_CODES,
+  make_datagram: make_datagram,
+  BowlerSubscription: BowlerSubscription,
   BowlerDevice: BowlerDevice
 };
@@ -0,0 +1,656 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.cli` namespace
+// ====================
+
+var bowler_device = require('dyio/bowler_device');
+var extra_namespaces = require('dyio/extra_namespaces');
+var nr_dyio = require('dyio/devices/nr_dyio');
+var introspection_util = require('dyio/util/introspection');
+var discovery = require('dyio/util/discovery');
+var IntrospectionCache = require('dyio/util/introspection_cache').IntrospectionCache;
+var SerialTransport = require('dyio/transports/serial').SerialTransport;
+var TcpTransport = require('dyio/transports/tcp').TcpTransport;
+var UdpTransport = require('dyio/transports/udp').UdpTransport;
+var bowler_repl = null;  // only load if necessary
+var dissector = null;  // only load if necessary
+var capture_util = null;  // only load if necessary
+var codegen = null;  // only load if necessary
+
+// This module implements the `bowler` command-line tool
+// (see `bin/bowler`).  Each command is an entry in `COMMANDS`,
+// which is run with a context object holding the parsed options,
+// the output streams, and (for commands which talk to a device) a
+// connected BowlerDevice.
+
+// options which take a value (all others are flags)
+const VALUE_OPTIONS = ['port', 'baud', 'tcp', 'udp', 'mac', 'timeout', 'cache', 'capture'];
+
+const OPTION_ALIASES = {
+  p: 'port',
+  j: 'json',
+  h: 'help'
+};
+
+const USAGE_OPTIONS = [
+  '  -p, --port PATH     the serial port of the device',
+  '      --baud RATE     the baud rate to use for the serial port',
+  '      --tcp HOST[:PORT]',
+  '                      talk to the device over TCP',
+  '      --udp HOST[:PORT]',
+  '                      talk to the device over UDP',
+  '      --mac ADDRESS   the MAC address of the device (broadcast by default)',
+  '      --timeout MS    how long to wait for each reply',
+  '      --cache[=PATH]  cache introspection results (see IntrospectionCache)',
+  '      --udp-discovery also search the network (for `discover`)',
+  '      --dyio          treat the device as a DyIO (for `repl`)',
+  '      --capture FILE  dissect the packets of a capture file (for `dissect`)',
+  '  -j, --json          print results as JSON instead of tables',
+  '  -h, --help          print this message',
+  '',
+  'If no device is given, the serial ports are searched for one.'
+];
+
+/* parse_args(argv)
+ * ----------------
+ *
+ * This function parses the given command-line
+ * arguments (not including the node executable and
+ * script name), returning an object of the form
+ * `{ command: string, args: [strings...], opts: {} }`.
+ * Options may be given as `--name value`, `--name=value`,
+ * or `-n value`, and may appear anywhere.
+ */
+var parse_args = function (argv) {
+  var opts = {};
+  var positional = [];
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg === '--') {
+      positional = positional.concat(argv.slice(i + 1));
+      break;
+    }
+
+    var match = /^(--?)([^=]+)(=(.*))?$/.exec(arg);
+
+    // negative numbers are arguments, not options
+    if (!match || /^-\d/.test(arg)) {
+      positional.push(arg);
+      continue;
+    }
+
+    var name = OPTION_ALIASES[match[2]] || match[2];
+    if (match[3] !== undefined) {
+      opts[name] = match[4];
+    }
+    else if (VALUE_OPTIONS.indexOf(name) > -1 && name !== 'cache') {
+      if (i + 1 >= argv.length) throw new Error('The option --' + name + ' requires a value');
+      opts[name] = argv[++i];
+    }
+    else {
+      opts[name] = true;
+    }
+  }
+
+  return {
+    command: positional[0] || null,
+    args: positional.slice(1),
+    opts: opts
+  };
+};
+
+/* parse_value(str)
+ * ----------------
+ *
+ * This function converts a command-line argument
+ * into a value for an RPC: numbers (including hex
+ * numbers like `0x1F`) become Numbers, 'true' and 'false'
+ * become Booleans, JSON arrays and objects are parsed, and
+ * anything else is left as a string.
+ */
+var parse_value = function (str) {
+  if (/^-?\d+(\.\d+)?$/.test(str)) return parseFloat(str);
+  if (/^0x[0-9a-f]+$/i.test(str)) return parseInt(str, 16);
+  if (str === 'true') return true;
+  if (str === 'false') return false;
+  if (str[0] === '[' || str[0] === '{') return JSON.parse(str);
+  return str;
+};
+
+/* to_plain(value)
+ * ---------------
+ *
+ * This function converts the given value
+ * into something which prints sensibly as JSON
+ * or in a table (e.g. typed arrays and Buffers
+ * become ordinary Arrays).
+ */
+var to_plain = function (value) {
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return Array.prototype.slice.call(value);
+  if (Array.isArray(value)) return value.map(to_plain);
+  if (value && typeof value === 'object') {
+    var res = {};
+    for (var key in value) res[key] = to_plain(value[key]);
+    return res;
+  }
+  return value;
+};
+
+var format_cell = function (value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/* format_table(rows[, columns])
+ * -----------------------------
+ *
+ * This function formats the given Array of objects
+ * as a plain-text table, with one column for each of
+ * the given property names (all of the properties of the
+ * rows, by default).
+ */
+var format_table = function (rows, columns) {
+  if (!columns) {
+    columns = [];
+    rows.forEach(function (row) {
+      Object.keys(row).forEach(function (key) {
+        if (columns.indexOf(key) < 0) columns.push(key);
+      });
+    });
+  }
+
+  var cells = rows.map(function (row) {
+    return columns.map(function (col) { return format_cell(row[col]); });
+  });
+
+  var widths = columns.map(function (col, i) {
+    return cells.reduce(function (width, row_cells) {
+      return Math.max(width, row_cells[i].length);
+    }, col.length);
+  });
+
+  var pad = function (str, width) { return str + new Array(width - str.length + 1).join(' '); };
+  var format_row = function (row_cells) {
+    return row_cells.map(function (cell, i) { return pad(cell, widths[i]); }).join('  ').replace(/\s+$/, '');
+  };
+
+  var lines = [format_row(columns), format_row(widths.map(function (width) { return new Array(width + 1).join('-'); }))];
+  return lines.concat(cells.map(format_row)).join('\n');
+};
+
+/* print(ctx, result[, columns])
+ * ------------------------------
+ *
+ * This function prints a command's result, either
+ * as JSON (with `--json`) or as a table.  Arrays of
+ * objects become one row per object, while other
+ * objects become a table of properties and values.
+ */
+var print = function (ctx, result, columns) {
+  result = to_plain(result);
+
+  if (ctx.opts.json) {
+    ctx.out.write(JSON.stringify(result, null, 2) + '\n');
+    return;
+  }
+
+  if (Array.isArray(result)) {
+    if (result.length === 0) {
+      ctx.out.write('(none)\n');
+      return;
+    }
+    ctx.out.write(format_table(result, columns) + '\n');
+  }
+  else if (result && typeof result === 'object') {
+    var rows = Object.keys(result).map(function (key) { return { property: key, value: result[key] }; });
+    ctx.out.write(format_table(rows, ['property', 'value']) + '\n');
+  }
+  else {
+    ctx.out.write(format_cell(result) + '\n');
+  }
+};
+
+var parse_host = function (str) {
+  var parts = str.split(':');
+  return { host: parts[0], port: parts[1] ? parseInt(parts[1], 10) : null };
+};
+
+/* make_transport(opts)
+ * --------------------
+ *
+ * This function creates the transport described by the
+ * command-line options, searching the serial ports for a
+ * device if none is given.  It returns a Promise.
+ */
+var make_transport = async function (opts) {
+  var baud_rate = opts.baud ? parseInt(opts.baud, 10) : undefined;
+
+  if (opts.tcp) {
+    var tcp_host = parse_host(opts.tcp);
+    return new TcpTransport(tcp_host.host, tcp_host.port);
+  }
+
+  if (opts.udp) {
+    var udp_host = parse_host(opts.udp);
+    return new UdpTransport(udp_host.host, udp_host.port);
+  }
+
+  if (opts.port) return new SerialTransport(opts.port, { baud_rate: baud_rate });
+
+  var found = await discovery.discover({ baud_rate: baud_rate });
+  if (found.length === 0) throw new Error('No devices were found (use --port, --tcp, or --udp to choose one)');
+  if (found.length > 1) {
+    throw new Error('Several devices were found (' + found.map(function (dev) { return dev.path; }).join(', ') + '), use --port to choose one');
+  }
+
+  return new SerialTransport(found[0].path, { baud_rate: baud_rate });
+};
+
+/* connect(ctx, device)
+ * --------------------
+ *
+ * This function connects the given device using the
+ * transport described by the command-line options and
+ * applies the other device options.  It returns a Promise.
+ */
+var connect = async function (ctx, device) {
+  if (ctx.opts.mac) device.mac_address = ctx.opts.mac;
+  if (ctx.opts.timeout) device.request_timeout = parseInt(ctx.opts.timeout, 10);
+  if (ctx.opts.cache) device.introspection_cache = new IntrospectionCache(ctx.opts.cache === true ? null : ctx.opts.cache);
+
+  var transport = await make_transport(ctx.opts);
+  await new Promise(function (resolve, reject) {
+    device.connect(transport, function (err) {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+
+  ctx.device = device;
+  return device;
+};
+
+/* ensure_rpcs(device, namespace)
+ * ------------------------------
+ *
+ * This function makes sure that the given device has
+ * builders and parsers for the given namespace, loading
+ * them from `dyio/extra_namespaces` if possible, and
+ * otherwise introspecting the namespace.
+ */
+var ensure_rpcs = async function (device, namespace) {
+  await device.populate_supported_namespaces();
+  if (!(namespace in device.supported_namespaces_hr)) {
+    throw new Error('The device does not support the namespace ' + namespace);
+  }
+
+  if (extra_namespaces.has_module(namespace)) {
+    device.supports_namespace(namespace);
+    return;
+  }
+
+  if (device.introspection_cache) {
+    await device.autopopulate_rpcs();
+    return;
+  }
+
+  var introspector = new introspection_util.BowlerIntrospector(device);
+  device.import_rpc_descriptions(await introspector.rpcs_in_namespace(namespace));
+};
+
+var describe_rpc = function (rpc) {
+  return {
+    namespace: rpc.namespace,
+    rpc: rpc.name,
+    send_method: rpc.send.method,
+    send_args: rpc.send.args.join(', '),
+    recv_method: rpc.recv.method,
+    recv_args: rpc.recv.args.join(', ')
+  };
+};
+
+var get_channel = function (dyio, num_str) {
+  var num = parseInt(num_str, 10);
+  if (isNaN(num) || !dyio.channels[num]) throw new Error('Invalid channel ' + num_str);
+  return dyio.channels[num];
+};
+
+var describe_channel = function (channel) {
+  return {
+    channel: channel.number,
+    mode: channel.mode,
+    value: channel.value,
+    supported_modes: channel.supported_modes ? channel.supported_modes.join(', ') : null
+  };
+};
+
+/* COMMANDS
+ * --------
+ *
+ * This constant object holds the `bowler` commands.
+ * Each command has a usage string, a description,
+ * the type of device it needs (if any, optionally
+ * chosen from the options by `device_for`), and a `run`
+ * function which takes the context and the arguments,
+ * and returns a Promise.
+ */
+const COMMANDS = {
+  ports: {
+    usage: 'ports',
+    description: 'list the serial ports',
+    run: async function (ctx) {
+      var ports = await discovery.list_serial_ports();
+      print(ctx, ports.map(function (port) {
+        return { path: port.comName, manufacturer: port.manufacturer, pnp_id: port.pnpId };
+      }), ['path', 'manufacturer', 'pnp_id']);
+    }
+  },
+
+  discover: {
+    usage: 'discover',
+    description: 'search the serial ports (and the network, with --udp-discovery) for devices',
+    run: async function (ctx) {
+      var found = await discovery.discover({
+        udp: !!ctx.opts['udp-discovery'],
+        baud_rate: ctx.opts.baud ? parseInt(ctx.opts.baud, 10) : undefined,
+        timeout: ctx.opts.timeout ? parseInt(ctx.opts.timeout, 10) : undefined
+      });
+      print(ctx, found.map(function (dev) {
+        return {
+          transport: dev.transport,
+          location: dev.path || (dev.address + ':' + dev.port),
+          mac_address: dev.mac_address,
+          name: dev.name,
+          version: dev.version,
+          num_namespaces: dev.num_namespaces
+        };
+      }));
+    }
+  },
+
+  ping: {
+    usage: 'ping',
+    description: 'ping the device, printing its MAC address and the round trip time',
+    device: bowler_device.BowlerDevice,
+    run: async function (ctx) {
+      var start = Date.now();
+      var base_packet = await new Promise(function (resolve, reject) {
+        ctx.device.send_request('get', 'bcs.core', '_png', [], function (err, res, base_packet) {
+          if (err) reject(err);
+          else resolve(base_packet);
+        });
+      });
+      print(ctx, { mac_address: base_packet.mac_address, time_ms: Date.now() - start });
+    }
+  },
+
+  info: {
+    usage: 'info',
+    description: 'print the namespaces reported by `_nms`',
+    device: bowler_device.BowlerDevice,
+    run: async function (ctx) {
+      await ctx.device.populate_supported_namespaces();
+      print(ctx, ctx.device.namespace_info.map(function (ns_info, ind) {
+        return { index: ind, name: ns_info.name, version: ns_info.version_str };
+      }));
+    }
+  },
+
+  dump: {
+    usage: 'dump [namespace...]',
+    description: 'introspect and print the RPCs in all (or the given) namespaces',
+    device: bowler_device.BowlerDevice,
+    run: async function (ctx, args) {
+      var device = ctx.device;
+      await device.populate_supported_namespaces();
+
+      var namespaces = args.length ? args : Object.keys(device.supported_namespaces_hr);
+      var rpcs;
+      var cache = device.introspection_cache;
+      if (cache && !args.length) {
+        await cache.ensure_loaded();
+        rpcs = cache.lookup(device.namespace_info);
+      }
+      if (!rpcs) {
+        rpcs = await new introspection_util.BowlerIntrospector(device).rpcs_for_namespaces(namespaces);
+        if (cache && !args.length) await cache.store(device.namespace_info, rpcs);
+      }
+
+      if (ctx.opts.json) print(ctx, rpcs);
+      else print(ctx, rpcs.map(describe_rpc));
+    }
+  },
+
+  codegen: {
+    usage: 'codegen NAMESPACE',
+    description: 'introspect a namespace and print the source of an `extra_namespaces` module for it',
+    device: bowler_device.BowlerDevice,
+    run: async function (ctx, args) {
+      if (args.length !== 1) throw new Error('Usage: bowler codegen NAMESPACE');
+      if (!codegen) codegen = require('dyio/util/codegen');
+
+      var device = ctx.device;
+      await device.populate_supported_namespaces();
+      if (!(args[0] in device.supported_namespaces_hr)) {
+        throw new Error('The device does not support the namespace ' + args[0]);
+      }
+
+      ctx.out.write(await codegen.generate_from_device(device, args[0]));
+    }
+  },
+
+  call: {
+    usage: 'call NAMESPACE RPC [METHOD] [ARG...]',
+    description: 'call an RPC (e.g. `call bcs.pid cpid get 0`) and print the reply',
+    device: bowler_device.BowlerDevice,
+    run: async function (ctx, args) {
+      if (args.length < 2) throw new Error('Usage: bowler call NAMESPACE RPC [METHOD] [ARG...]');
+
+      var namespace = args[0];
+      var rpc = args[1];
+      var device = ctx.device;
+      await ensure_rpcs(device, namespace);
+
+      var handler = device.command_to;
+      namespace.split('.').forEach(function (part) {
+        handler = handler ? handler[part] : undefined;
+      });
+
+      var caller = handler ? handler[rpc] : undefined;
+      if (!caller) throw new Error('Unknown RPC ' + namespace + '#' + rpc);
+
+      var rpc_args = args.slice(2);
+      if (!(caller instanceof Function)) {
+        // a multi-method RPC, so the method is required
+        var method = rpc_args.shift();
+        if (!method || !(caller[method] instanceof Function)) {
+          var methods = Object.keys(caller).filter(function (key) { return caller[key] instanceof Function; });
+          throw new Error('The RPC ' + namespace + '#' + rpc + ' requires a method (one of ' + methods.join(', ') + ')');
+        }
+        caller = caller[method];
+      }
+      else if (rpc_args.length && bowler_device.BOWLER_METHODS_HR[rpc_args[0]] !== undefined) {
+        // the method is optional for single-method RPCs
+        rpc_args.shift();
+      }
+
+      var res = await caller.apply(handler, rpc_args.map(parse_value));
+      print(ctx, res);
+    }
+  },
+
+  channel: {
+    usage: 'channel NUMBER [MODE [VALUE]]',
+    description: 'read a DyIO channel, or set its mode (and value)',
+    device: nr_dyio.DyIO,
+    run: async function (ctx, args) {
+      if (args.length < 1) throw new Error('Usage: bowler channel NUMBER [MODE [VALUE]]');
+
+      var channel = get_channel(ctx.device, args[0]);
+      await ctx.device.populate_supported_namespaces();
+      await channel.refresh();
+
+      if (args.length > 1 && args[1] !== channel.mode) await channel.set_mode(args[1]);
+      if (args.length > 2) await channel.set_value(parse_value(args[2]));
+      if (args.length > 1) await channel.get_value();
+
+      print(ctx, describe_channel(channel));
+    }
+  },
+
+  channels: {
+    usage: 'channels',
+    description: 'read all of the DyIO channels',
+    device: nr_dyio.DyIO,
+    run: async function (ctx) {
+      await ctx.device.populate_supported_namespaces();
+      await ctx.device.refresh_channels();
+      print(ctx, ctx.device.channels.map(describe_channel));
+    }
+  },
+
+  dissect: {
+    usage: 'dissect HEX...',
+    description: 'decode raw packets (or the packets in `--capture FILE`)',
+    run: async function (ctx, args) {
+      if (!dissector) dissector = require('dyio/util/dissector');
+
+      var results;
+      if (ctx.opts.capture) {
+        if (!capture_util) capture_util = require('dyio/util/capture');
+        results = dissector.dissect_capture(await capture_util.read_capture(ctx.opts.capture));
+      }
+      else {
+        var hex = args.join('').replace(/[\s:]/g, '');
+        if (!hex.length || !/^([0-9a-f]{2})+$/i.test(hex)) throw new Error('Usage: bowler dissect HEX...');
+
+        // a lone packet, so only 'bcs.core' can be decoded
+        var raw_bytes = Buffer.from(hex, 'hex');
+        results = dissector.dissect_capture({ records: [{ time: null, direction: null, data: raw_bytes }] },
+                                            new bowler_device.BowlerDevice());
+        if (results[0].error) throw new Error(results[0].error);
+      }
+
+      if (ctx.opts.json) {
+        print(ctx, ctx.opts.capture ? results : results[0].dissection);
+        return;
+      }
+
+      results.forEach(function (res, ind) {
+        if (res.time) ctx.out.write((ind ? '\n' : '') + new Date(res.time).toISOString() + ' ' + res.direction + '\n');
+        if (res.error) ctx.out.write('  ' + res.error + ' (' + res.data.toString('hex') + ')\n');
+        else ctx.out.write(dissector.format_dissection(res.dissection, res.data) + '\n');
+      });
+    }
+  },
+
+  repl: {
+    usage: 'repl',
+    description: 'start an interactive prompt with the device\'s RPCs (`command_to`)',
+    device: bowler_device.BowlerDevice,
+    device_for: function (opts) {
+      return opts.dyio ? nr_dyio.DyIO : bowler_device.BowlerDevice;
+    },
+    run: async function (ctx) {
+      if (!bowler_repl) bowler_repl = require('dyio/repl');
+
+      var device = ctx.device;
+      await device.populate_supported_namespaces();
+      await device.autopopulate_rpcs();
+
+      await bowler_repl.start_repl(device, { input: ctx.in, output: ctx.out });
+    }
+  }
+};
+
+/* usage()
+ * -------
+ *
+ * This function returns the help text for `bowler`.
+ */
+var usage = function () {
+  var lines = ['Usage: bowler [options] COMMAND [ARG...]', '', 'Commands:'];
+  var names = Object.keys(COMMANDS);
+  var width = names.reduce(function (w, name) { return Math.max(w, COMMANDS[name].usage.length); }, 0);
+  names.forEach(function (name) {
+    var cmd_usage = COMMANDS[name].usage;
+    lines.push('  ' + cmd_usage + new Array(width - cmd_usage.length + 3).join(' ') + COMMANDS[name].description);
+  });
+  return lines.concat(['', 'Options:'], USAGE_OPTIONS).join('\n') + '\n';
+};
+
+/* main(argv[, streams])
+ * ---------------------
+ *
+ * This function runs `bowler` with the given command-line
+ * arguments (not including the node executable and script
+ * name), returning a Promise for the exit code.  The output
+ * goes to the `out` and `err` streams of the given object
+ * (process.stdout and process.stderr by default), and
+ * input (for `repl`) comes from its `in` stream (process.stdin
+ * by default).
+ */
+var main = async function (argv, streams) {
+  if (!streams) streams = {};
+  var ctx = {
+    in: streams.in || process.stdin,
+    out: streams.out || process.stdout,
+    err: streams.err || process.stderr,
+    opts: null,
+    device: null
+  };
+
+  var parsed;
+  try {
+    parsed = parse_args(argv);
+  }
+  catch (err) {
+    ctx.err.write('bowler: ' + err.message + '\n');
+    return 2;
+  }
+  ctx.opts = parsed.opts;
+
+  if (parsed.opts.help || !parsed.command) {
+    (parsed.command || parsed.opts.help ? ctx.out : ctx.err).write(usage());
+    return parsed.opts.help ? 0 : 2;
+  }
+
+  var command = COMMANDS[parsed.command];
+  if (!command) {
+    ctx.err.write('bowler: unknown command ' + parsed.command + '\n' + usage());
+    return 2;
+  }
+
+  try {
+    var device_class = command.device_for ? command.device_for(ctx.opts) : command.device;
+    if (device_class) {
+      var device = new device_class();
+      device.on('error', function (err) {
+        ctx.err.write('bowler: ' + err.message + '\n');
+      });
+      await connect(ctx, device);
+    }
+
+    await command.run(ctx, parsed.args);
+    return 0;
+  }
+  catch (err) {
+    ctx.err.write('bowler: ' + err.message + '\n');
+    return 1;
+  }
+  finally {
+    if (ctx.device) {
+      await new Promise(function (resolve) { ctx.device.disconnect(function () { resolve(); }); });
+    }
+  }
+};
+
+module.exports = {
+  COMMANDS: COMMANDS,
+  parse_args: parse_args,
+  parse_value: parse_value,
+  format_table: format_table,
+  main: main
+};
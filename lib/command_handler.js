@@ -3,6 +3,8 @@
 // `dyio.command_handler` namespace
 // ================================
 
+var bowler_util = require('dyio/util');
+
 /* CommandHandler
  * --------------
  *
@@ -66,7 +68,12 @@ var CommandHandler = function (bowler_device, namespace, multimethod) {
  * 'bcs.core' will also be used.
  */
 CommandHandler.prototype.repopulate = function (wipe) {
-  var ns_obj = bowler_device.resolve_namespace_path(this.namespace, null, bowler_device._builders, 'Error resolving builders namespace path');
+  var builders = this.bowler_device._builders;
+  var ns_obj = builders;
+  if (this.namespace_as_list.length > 0) {
+    ns_obj = bowler_util.resolve_namespace_path(this.namespace, null, builders, 'Error resolving builders namespace path');
+  }
+
   if (this.multimethod) {
     this.populate_with(ns_obj[this.multimethod]);
   }
@@ -76,23 +83,36 @@ CommandHandler.prototype.repopulate = function (wipe) {
 
   // if we're at the root, also populate from bcs.core and bcs
   if (this.namespace_as_list.length === 0) {
-    var core_ns_obj = this.bowler_device.resolve_namespace_path('bcs.core', null, this.bowler_device._builders, 'Error resolving default namespace for builders');
-    this.populate_with(core_ns_obj);
+    var core_ns_obj = bowler_util.resolve_namespace_path('bcs.core', null, builders, 'Error resolving default namespace for builders');
+    this.populate_with(core_ns_obj, 'bcs.core');
 
-    var bcs_ns_obj = this.bowler_device.resolve_namespace_path('bcs', null, this.bowler_device._builders, 'Error resolving bcs namespace for builders');
-    this.populate_with(bcs_ns_obj);
+    var bcs_ns_obj = bowler_util.resolve_namespace_path('bcs', null, builders, 'Error resolving bcs namespace for builders');
+    this.populate_with(bcs_ns_obj, 'bcs');
   }
 };
 
-/* ### populate_with(namespace_object) ###
+/* ### populate_with(namespace_object[, namespace]) ###
  *
  * This method traverses the given namespace object,
  * creating special properties in the current CommandHandler
  * for the sub-namespaces and creating methods for the RPCs.
+ * The namespace parameter is the dot-notation path of the given
+ * namespace object, and defaults to this CommandHandler's namespace.
+ *
+ * The created RPC methods take the arguments for the RPC's builder,
+ * optionally followed by an options object (see
+ * `BowlerDevice#send_request(...)`) and a callback.  They return
+ * a Promise for the formatted reply packet, so they may be used
+ * with `await`; if a callback is passed, it is called as well.
+ *
+ * callback: function(err, formatted_packet)
  */
-CommandHandler.prototype.populate_with = function (ns_obj) {
+CommandHandler.prototype.populate_with = function (ns_obj, namespace) {
+  if (namespace === undefined) namespace = this.namespace;
+  var namespace_as_list = namespace ? namespace.split('.') : [];
+
   var make_ns_getter = function (new_ns_name) {
-    var new_ns = this.namespace_as_list.concat(new_ns_name);
+    var new_ns = namespace_as_list.concat(new_ns_name);
     return function () {
       var ns_attr = '__ns_' + new_ns_name + '__';
       if (!this[ns_attr]) {
@@ -113,42 +133,33 @@ CommandHandler.prototype.populate_with = function (ns_obj) {
         Object.defineProperty(this, mm_attr, {
           configurable: true,  // the cache attribute shouldn't show up
           enumerable: false,
-          value: new CommandHandler(this.bowler_device, this.namespace, rpc_name)
+          value: new CommandHandler(this.bowler_device, namespace, rpc_name)
         });
       }
       return this[mm_attr];
     };
   };
 
-  var make_rpc_caller = function (rpc_name, method) {
-    var builder = this._namespace_obj[ns_elem_name];
-    return function (/*...args, cb*/) {
-      var args = arguments;
-      var has_cb = false;
-      if (args.length >= builder.length) {
-        args = Array.prototype.slice.call(arguments, 0, builder.length);
-        has_cb = true;
-      }
-      var datagram = this.bowler_device.build_packet.apply(this.bowler_device, [method, this.namespace, rpc_name].concat(args));
-      this.bowler_device.send_datagram(datagram);
-
-      var evt_name = method + ':' + this.namespace + '#' + rpc_name;
-
-      if (has_cb) {
-        var cb = arguments[args.length];
-        this.bowler_device.once(evt_name, function (formatted_packet, method, namespace, rpc) {
-          cb(formatted_packet);
-        });
-      }
-      else {
-        // we should return a function which has takes only a callback for an argument to use with run-gen
-        return function (cb) {
-          this.bowler_device.once(evt_name, function (formatted_packet, method, namespace, rpc) {
-            cb(formatted_packet);
-          });
-        };
-      }
+  var make_rpc_caller = function (rpc_name, method, builder) {
+    var num_args = builder.num_args;  // set on variadic builders, such as autopopulated ones
+    if (num_args === undefined) num_args = builder.length - 1;  // the first argument to a builder is always the PacketAssembler
+
+    var caller = function (/*...args[, options][, cb]*/) {
+      var args = Array.prototype.slice.call(arguments, 0, num_args);
+      var opts = null;
+      var cb = null;
+      Array.prototype.slice.call(arguments, num_args).forEach(function (arg) {
+        if (arg instanceof Function) cb = arg;
+        else if (arg) opts = arg;
+      });
+
+      var promise = this.bowler_device.send_request(method, namespace, rpc_name, args, opts);
+      return bowler_util.with_callback(promise, cb);
     };
+
+    // so that tools (such as `dyio.repl`) can find out what they're calling
+    caller.rpc_info = { namespace: namespace, name: rpc_name, method: method };
+    return caller;
   };
 
   var ns_elem_name;
@@ -156,14 +167,15 @@ CommandHandler.prototype.populate_with = function (ns_obj) {
     for (ns_elem_name in ns_obj) {
       if (ns_elem_name === 'is_rpc') continue;
 
-      this[ns_elem_name] = make_rpc_caller(this.multimethod, ns_elem_name);
+      this[ns_elem_name] = make_rpc_caller(this.multimethod, ns_elem_name, ns_obj[ns_elem_name]);
     }
   }
   else {
     for (ns_elem_name in ns_obj) {
-      if (this._namespace_obj[ns_elem_name] instanceof Function) {
+      if (ns_obj[ns_elem_name] instanceof Function) {
         // we have a handler
-        this[ns_elem_name] = make_ns_getter(ns_elem_name, this.bowler_device._rpc_send_methods[ns_elem_name]);
+        var send_method = bowler_util.resolve_namespace_path(namespace, ns_elem_name, this.bowler_device._rpc_send_methods, 'Error finding the send method');
+        this[ns_elem_name] = make_rpc_caller(ns_elem_name, send_method, ns_obj[ns_elem_name]);
       }
       else {
         // we have a namespace or a multi-method RPC
@@ -172,7 +184,7 @@ CommandHandler.prototype.populate_with = function (ns_obj) {
           // we have a multi-method RPC
           Object.defineProperty(this, ns_elem_name, {
             enumerable: true,
-            configurable: false,
+            configurable: true,
             get: make_mm_getter(ns_elem_name)
           });
 
@@ -181,7 +193,7 @@ CommandHandler.prototype.populate_with = function (ns_obj) {
           // we have a namespace
           Object.defineProperty(this, ns_elem_name, {
             enumerable: true,
-            configurable: false,
+            configurable: true,
             get: make_ns_getter(ns_elem_name)
           });
         }
@@ -197,7 +209,7 @@ Object.defineProperty(CommandHandler.prototype, 'namespace', {
     return this.namespace_as_list.join('.');
   },
   set: function (val) {
-    this.namespace_as_list = val.split('.');
+    this.namespace_as_list = val ? val.split('.') : [];
   }
 });
 
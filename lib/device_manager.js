@@ -0,0 +1,333 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.device_manager` namespace
+// ===============================
+
+var bowler_util = require('dyio/util');
+var bowler_device = require('dyio/bowler_device');
+var SharedBus = require('dyio/transports/shared_bus').SharedBus;
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+// events which belong to the manager itself, and
+// so are never forwarded from the devices
+const MANAGER_EVENTS = ['added', 'removed', 'unrouted', 'newListener', 'removeListener'];
+
+// device events which are always forwarded, so
+// that no device error goes unhandled
+const DEFAULT_FORWARDED_EVENTS = ['connected', 'disconnected', 'error'];
+
+/* BowlerDeviceManager
+ * -------------------
+ *
+ * Inherits: events.EventEmitter
+ * Constructor: function()
+ *
+ * This class keeps track of several BowlerDevices
+ * (e.g. the different boards of one robot), which can
+ * then be looked up by MAC address or by alias with
+ * `get(...)`.  The manager can connect each device to its
+ * own transport, or put several devices on one shared transport
+ * (see `dyio.transports.shared_bus`), in which case incoming
+ * packets are routed to the right device by their MAC address.
+ *
+ * Events from the devices are re-emitted by the manager, with
+ * the device which emitted them added as the last argument (so
+ * an 'async' listener is called as `function(data, namespace, rpc,
+ * device)`).  The 'connected', 'disconnected', and 'error' events
+ * are always forwarded, and any other event (such as 'post:bcs.io#gchv')
+ * is forwarded once something listens for it on the manager.  Since device
+ * errors are forwarded, an 'error' listener on the manager is all that's needed
+ * to keep one misbehaving device from taking down the process.
+ *
+ * When one device's transport closes, only that device is disconnected
+ * (its pending requests fail with a `dyio.errors.BowlerDisconnectedError`);
+ * the other devices, including those on the same shared bus, carry on.
+ *
+ * The manager also emits the following events:
+ *
+ * - *'added'*: `function(device)`
+ * - *'removed'*: `function(device)`
+ * - *'unrouted'*: `function(Buffer, mac_address, transport)` -- a
+ *   packet on a shared transport from a device which isn't managed
+ * - *'error'*: `function(err, device)` -- errors from a shared transport
+ *   itself have a null device
+ */
+var BowlerDeviceManager = function () {
+  EventEmitter.call(this);
+
+  this._entries = [];
+  this._buses = [];
+  this._forwarded = {};
+
+  var self = this;
+  DEFAULT_FORWARDED_EVENTS.forEach(function (evt) { self._forwarded[evt] = true; });
+  this.on('newListener', function (evt) { self._forward_event(evt); });
+};
+
+util.inherits(BowlerDeviceManager, EventEmitter);
+
+/* ### add(device[, options][, callback]) ###
+ *
+ * This method starts managing the given BowlerDevice,
+ * connecting it first if a transport is given.  The
+ * options object may contain the following properties:
+ *
+ * - *alias*: a name to look up the device by (e.g. 'left_arm')
+ * - *transport*: a transport to connect the device to
+ * - *bus*: a transport shared with other devices -- the device
+ *   gets a port on the transport's `SharedBus`, and must have its
+ *   `mac_address` set
+ *
+ * If the device has the broadcast MAC address and is connected to
+ * its own transport, its MAC address is found out by pinging it.
+ * It returns a Promise which is resolved with the device once it
+ * has been added.  An Error is thrown if another managed device has
+ * the same alias or MAC address, in which case the device is not added
+ * (and any transport given is closed again).
+ *
+ * callback: function(err, device)
+ */
+BowlerDeviceManager.prototype.add = function (device, opts, cb) {
+  if (opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+  if (!opts) opts = {};
+
+  var self = this;
+  var entry = { device: device, alias: opts.alias || null, transport: null, bus: null, listeners: {} };
+
+  var promise = (async function () {
+    if (opts.bus && opts.transport) throw new Error('A device may only be given one of a transport and a bus');
+    if (opts.bus && device.mac_address === 'broadcast') throw new Error('Devices on a shared bus must have a MAC address');
+    if (self._find_entry(device)) throw new Error('The device is already managed');
+    self._check_unique(entry);
+
+    self._entries.push(entry);
+    for (var evt in self._forwarded) self._listen(entry, evt);
+
+    try {
+      if (opts.bus) {
+        entry.bus = self._bus_for(opts.bus);
+        entry.transport = entry.bus.port_for(device.mac_address);
+      }
+      else if (opts.transport) {
+        entry.transport = opts.transport;
+      }
+
+      if (entry.transport) {
+        await new Promise(function (resolve, reject) {
+          device.connect(entry.transport, function (err) {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+
+        if (device.mac_address === 'broadcast') {
+          device.mac_address = await identify(device);
+          self._check_unique(entry);
+        }
+      }
+    }
+    catch (err) {
+      await self._detach_entry(entry).catch(function () {});
+      throw err;
+    }
+
+    self.emit('added', device);
+    return device;
+  })();
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+// ask a device with the broadcast MAC address for its real one
+var identify = function (device) {
+  return new Promise(function (resolve, reject) {
+    device.send_request('get', 'bcs.core', '_png', [], function (err, res, base_packet) {
+      if (err) reject(err);
+      else resolve(base_packet.mac_address);
+    });
+  });
+};
+
+/* ### get(name) ###
+ *
+ * This method returns the managed device with the
+ * given alias or MAC address (in the "XX:XX:XX:XX:XX:XX"
+ * form, in either case), or null if there is no such
+ * device.
+ */
+BowlerDeviceManager.prototype.get = function (name) {
+  var entry = this._find_entry(name);
+  return entry ? entry.device : null;
+};
+
+/* ### alias_of(device) ###
+ *
+ * This method returns the alias of the given
+ * managed device, or null if it doesn't have one.
+ */
+BowlerDeviceManager.prototype.alias_of = function (device) {
+  var entry = this._find_entry(device);
+  return entry ? entry.alias : null;
+};
+
+/* ### list() ###
+ *
+ * This method returns information about each
+ * managed device, as an Array of objects of the
+ * form
+ *
+ *    {
+ *      device: BowlerDevice,
+ *      alias: string|null,
+ *      mac_address: "XX:XX:XX:XX:XX:XX"(string)|'broadcast',
+ *      connected: bool
+ *    }
+ */
+BowlerDeviceManager.prototype.list = function () {
+  return this._entries.map(function (entry) {
+    return {
+      device: entry.device,
+      alias: entry.alias,
+      mac_address: entry.device.mac_address,
+      connected: !!(entry.device.transport && entry.device.transport.is_open)
+    };
+  });
+};
+
+/* ### remove(name[, callback]) ###
+ *
+ * This method stops managing the device with the
+ * given alias or MAC address (or the given device).
+ * If the manager connected the device, it is disconnected.
+ * An Error is thrown if there is no such device.
+ *
+ * callback: function(err)
+ */
+BowlerDeviceManager.prototype.remove = function (name, cb) {
+  var self = this;
+  var entry = this._find_entry(name);
+
+  var promise = (async function () {
+    if (!entry) throw new Error('There is no managed device called ' + name);
+
+    await self._detach_entry(entry);
+    self.emit('removed', entry.device);
+  })();
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* ### close([callback]) ###
+ *
+ * This method removes every managed device (see
+ * `remove(...)`).  Every device is removed even if
+ * disconnecting some of them fails, in which case the
+ * first error is passed on.
+ *
+ * callback: function(err)
+ */
+BowlerDeviceManager.prototype.close = function (cb) {
+  var self = this;
+  var promise = Promise.all(this._entries.slice().map(function (entry) {
+    return self.remove(entry.device).then(function () { return null; }, function (err) { return err; });
+  })).then(function (errs) {
+    var first_err = errs.filter(Boolean)[0];
+    if (first_err) throw first_err;
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+BowlerDeviceManager.prototype._find_entry = function (name) {
+  var is_device = (name instanceof bowler_device.BowlerDevice);
+  var mac_address = (typeof name === 'string') ? name.toUpperCase() : null;
+
+  for (var i = 0; i < this._entries.length; i++) {
+    var entry = this._entries[i];
+    if (is_device) {
+      if (entry.device === name) return entry;
+    }
+    else if (entry.alias === name) {
+      return entry;
+    }
+  }
+
+  if (!mac_address) return null;
+  for (var j = 0; j < this._entries.length; j++) {
+    if (this._entries[j].device.mac_address === mac_address) return this._entries[j];
+  }
+
+  return null;
+};
+
+BowlerDeviceManager.prototype._check_unique = function (entry) {
+  var mac_address = entry.device.mac_address;
+  this._entries.forEach(function (other) {
+    if (other === entry) return;
+    if (entry.alias && other.alias === entry.alias) {
+      throw new Error('Another device already has the alias ' + entry.alias);
+    }
+    if (mac_address !== 'broadcast' && other.device.mac_address === mac_address) {
+      throw new Error('Another device already has the MAC address ' + mac_address);
+    }
+  });
+};
+
+// disconnects (if necessary) and forgets the given entry
+BowlerDeviceManager.prototype._detach_entry = function (entry) {
+  var ind = this._entries.indexOf(entry);
+  if (ind !== -1) this._entries.splice(ind, 1);
+
+  for (var evt in entry.listeners) entry.device.removeListener(evt, entry.listeners[evt]);
+  entry.listeners = {};
+
+  if (!entry.transport) return Promise.resolve();
+
+  return new Promise(function (resolve, reject) {
+    entry.device.disconnect(function (err) {
+      if (entry.bus) entry.bus.remove_port(entry.transport.mac_address);
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+};
+
+BowlerDeviceManager.prototype._bus_for = function (transport) {
+  for (var i = 0; i < this._buses.length; i++) {
+    if (this._buses[i].transport === transport) return this._buses[i];
+  }
+
+  var self = this;
+  var bus = new SharedBus(transport);
+  bus.on('unrouted', function (raw, mac_address) { self.emit('unrouted', raw, mac_address, transport); });
+  bus.on('error', function (err) { self.emit('error', err, null); });
+  this._buses.push(bus);
+  return bus;
+};
+
+BowlerDeviceManager.prototype._forward_event = function (evt) {
+  if (MANAGER_EVENTS.indexOf(evt) !== -1 || this._forwarded[evt]) return;
+
+  this._forwarded[evt] = true;
+  var self = this;
+  this._entries.forEach(function (entry) { self._listen(entry, evt); });
+};
+
+BowlerDeviceManager.prototype._listen = function (entry, evt) {
+  var self = this;
+  var listener = function () {
+    var args = [evt].concat(Array.prototype.slice.call(arguments), [entry.device]);
+    self.emit.apply(self, args);
+  };
+
+  entry.listeners[evt] = listener;
+  entry.device.on(evt, listener);
+};
+
+module.exports = {
+  BowlerDeviceManager: BowlerDeviceManager
+};
@@ -0,0 +1,425 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.devices.nr_dyio` namespace
+// ================================
+
+var bowler_device = require('dyio/bowler_device');
+var bowler_util = require('dyio/util');
+var errors = require('dyio/errors');
+var util = require('util');
+
+var BowlerDevice = bowler_device.BowlerDevice;
+var BOWLER_CHANNEL_MODES_HR = bowler_device.BOWLER_CHANNEL_MODES_HR;
+
+const DYIO_NUM_CHANNELS = 24;  // the number of I/O channels on a DyIO
+
+/* CHANNEL_HELPERS
+ * ---------------
+ *
+ * This constant object describes the mode-specific
+ * helper methods of `DyIOChannel`.  Each key is the
+ * name of a helper method, and each value is an object
+ * with the following properties:
+ *
+ * - *modes*: the channel modes in which the helper may be used
+ * - *get*: *(for helpers which read values)* a function which
+ *   converts the raw channel value into the helper's result
+ * - *set*: *(for helpers which write values)* a function which
+ *   converts the helper's argument into the raw channel value
+ *
+ * Helpers which write values take an optional time (in milliseconds)
+ * over which to make the change, followed by an optional callback.
+ */
+const CHANNEL_HELPERS = {
+  read_digital: {
+    modes: ['digital_in', 'digital_out'],
+    get: function (val) { return !!val; }
+  },
+  write_digital: {
+    modes: ['digital_out'],
+    set: function (val) { return val ? 1 : 0; }
+  },
+  read_analog: {
+    modes: ['analog_in'],
+    get: function (val) { return val; }
+  },
+  write_analog: {
+    modes: ['analog_out'],
+    set: function (val) { return val; }
+  },
+  set_pwm: {
+    modes: ['pwm_out'],
+    set: function (duty) { return clamp_byte(duty); }
+  },
+  set_servo: {
+    modes: ['servo_out'],
+    set: function (position) { return clamp_byte(position); }
+  },
+  read_count: {
+    modes: ['count_in_int', 'count_in_dir', 'count_in_home', 'count_out_int', 'count_out_dir', 'count_out_home'],
+    get: function (val) { return val; }
+  },
+  set_count: {
+    modes: ['count_in_int', 'count_in_dir', 'count_in_home', 'count_out_int', 'count_out_dir', 'count_out_home'],
+    set: function (val) { return val; }
+  },
+  set_motor_velocity: {
+    modes: ['dc_motor_vel'],
+    set: function (val) { return val; }
+  },
+  set_motor_direction: {
+    modes: ['dc_motor_dir'],
+    set: function (forward) { return forward ? 1 : 0; }
+  },
+  read_uart: {
+    modes: ['usart_rx'],
+    get: function (val) { return val; }
+  },
+  write_uart: {
+    modes: ['usart_tx'],
+    set: function (val) { return val; }
+  },
+  read_spi: {
+    modes: ['spi_miso'],
+    get: function (val) { return val; }
+  },
+  write_spi: {
+    modes: ['spi_mosi'],
+    set: function (val) { return val; }
+  },
+  read_ppm: {
+    modes: ['ppm_in'],
+    get: function (val) { return val; }
+  }
+};
+
+var clamp_byte = function (val) {
+  return Math.max(0, Math.min(255, Math.round(val)));
+};
+
+/* DyIOChannel
+ * -----------
+ *
+ * Constructor: function(DyIO, number)
+ *
+ * This class represents a single I/O channel
+ * on a DyIO.  It keeps track of the channel's
+ * supported modes, current mode, and last known
+ * value, and provides mode-specific helper methods
+ * (see `CHANNEL_HELPERS`) which check that the
+ * channel is in an appropriate mode before talking
+ * to the device.
+ *
+ * All of the methods which talk to the device return
+ * a Promise, and accept an optional node-style callback
+ * as their last argument.
+ */
+var DyIOChannel = function (dyio, number) {
+  this.device = dyio;
+  this.number = number;
+
+  /* ### supported_modes ###
+   *
+   * The Array of mode names (see `BOWLER_CHANNEL_MODES`)
+   * supported by this channel, or null if they have not
+   * been fetched from the device yet.
+   */
+  this.supported_modes = null;
+
+  this._mode = null;
+  this._value = null;
+};
+
+/* ### supports_mode(mode) ###
+ *
+ * This method returns true if the given mode
+ * name is one of this channel's supported modes.
+ * Note that `supported_modes` must have been fetched
+ * (see `refresh()`) for this to return true.
+ */
+DyIOChannel.prototype.supports_mode = function (mode) {
+  return !!this.supported_modes && this.supported_modes.indexOf(mode) > -1;
+};
+
+/* ### refresh([callback]) ###
+ *
+ * This method fetches the supported modes,
+ * current mode, and current value of this
+ * channel from the device.
+ *
+ * callback: function(err, channel)
+ */
+DyIOChannel.prototype.refresh = function (cb) {
+  var self = this;
+  return bowler_util.with_callback((async function () {
+    self.supported_modes = await self.device._get_channel_mode_list(self.number);
+    self._mode = await self.device._get_channel_mode(self.number);
+    self._value = await self.device._get_channel_value(self.number);
+    return self;
+  })(), cb);
+};
+
+/* ### set_mode(mode[, callback]) ###
+ *
+ * This method sets the mode of this channel.
+ * The mode is checked against the channel's
+ * supported modes (which are fetched first, if
+ * necessary) before anything is sent, and an
+ * `UnsupportedChannelModeError` is produced if
+ * the channel does not support it.
+ *
+ * callback: function(err, mode)
+ */
+DyIOChannel.prototype.set_mode = function (mode, cb) {
+  var self = this;
+  return bowler_util.with_callback((async function () {
+    if (BOWLER_CHANNEL_MODES_HR[mode] === undefined) {
+      throw new errors.UnsupportedChannelModeError(self.number, mode, 'Unknown channel mode ' + mode);
+    }
+
+    if (!self.supported_modes) {
+      self.supported_modes = await self.device._get_channel_mode_list(self.number);
+    }
+
+    if (!self.supports_mode(mode)) {
+      throw new errors.UnsupportedChannelModeError(self.number, mode);
+    }
+
+    await self.device._set_channel_mode(self.number, mode);
+    self._mode = mode;
+    self._value = null;
+    return mode;
+  })(), cb);
+};
+
+/* ### get_mode([callback]) ###
+ *
+ * This method fetches the current mode of
+ * this channel from the device.
+ *
+ * callback: function(err, mode)
+ */
+DyIOChannel.prototype.get_mode = function (cb) {
+  var self = this;
+  return bowler_util.with_callback(this.device._get_channel_mode(this.number).then(function (mode) {
+    self._mode = mode;
+    return mode;
+  }), cb);
+};
+
+/* ### get_value([callback]) ###
+ *
+ * This method fetches the current raw value
+ * of this channel from the device.
+ *
+ * callback: function(err, value)
+ */
+DyIOChannel.prototype.get_value = function (cb) {
+  var self = this;
+  return bowler_util.with_callback(this.device._get_channel_value(this.number).then(function (value) {
+    self._value = value;
+    return value;
+  }), cb);
+};
+
+/* ### set_value(value[, time][, callback]) ###
+ *
+ * This method sets the raw value of this channel,
+ * optionally over the given amount of time (in
+ * milliseconds, for modes which support it).
+ *
+ * callback: function(err, value)
+ */
+DyIOChannel.prototype.set_value = function (value, time, cb) {
+  if (time instanceof Function) {
+    cb = time;
+    time = 0;
+  }
+
+  var self = this;
+  return bowler_util.with_callback(this.device._set_channel_value(this.number, value, time || 0).then(function () {
+    self._value = value;
+    return value;
+  }), cb);
+};
+
+/* ### subscribe(listener) ###
+ *
+ * This method registers a listener for the values
+ * of this channel pushed asynchronously by the device,
+ * either individually (`bcs.io#gchv`) or as part of all
+ * of the channel values (`bcs.io#gacv`).  The channel's
+ * `value` is kept up to date as values arrive.  The
+ * `dyio.bowler_device.BowlerSubscription` is returned.
+ *
+ * listener: function(value, channel)
+ */
+DyIOChannel.prototype.subscribe = function (listener) {
+  var self = this;
+  return this.device.subscribe('bcs.io', function (data, base_packet) {
+    var value;
+    if (base_packet.rpc === 'gchv' && data.channel === self.number) value = data.value;
+    else if (base_packet.rpc === 'gacv' && data.values.length > self.number) value = data.values[self.number];
+    else return;
+
+    self._value = value;
+    listener.call(self, value, self);
+  });
+};
+
+DyIOChannel.prototype._check_mode = function (helper_name) {
+  var modes = CHANNEL_HELPERS[helper_name].modes;
+  if (modes.indexOf(this._mode) < 0) {
+    return new errors.UnsupportedChannelModeError(this.number, this._mode,
+        'Cannot use ' + helper_name + ' on channel ' + this.number + ' in mode ' + this._mode +
+        ' (it requires one of ' + modes.join(', ') + ')');
+  }
+  return null;
+};
+
+var make_helper = function (helper_name, helper) {
+  if (helper.get) {
+    return function (cb) {
+      var err = this._check_mode(helper_name);
+      if (err) return bowler_util.with_callback(Promise.reject(err), cb);
+      return bowler_util.with_callback(this.get_value().then(helper.get), cb);
+    };
+  }
+  else {
+    return function (val, time, cb) {
+      if (time instanceof Function) {
+        cb = time;
+        time = 0;
+      }
+
+      var err = this._check_mode(helper_name);
+      if (err) return bowler_util.with_callback(Promise.reject(err), cb);
+      return bowler_util.with_callback(this.set_value(helper.set(val), time), cb);
+    };
+  }
+};
+
+for (var helper_name in CHANNEL_HELPERS) {
+  DyIOChannel.prototype[helper_name] = make_helper(helper_name, CHANNEL_HELPERS[helper_name]);
+}
+
+/* ### mode/value ###
+ *
+ * These properties hold the last known mode
+ * and raw value of this channel (null if unknown).
+ * Use `set_mode(...)`/`set_value(...)` to change
+ * them, and `refresh()` to fetch them.
+ */
+Object.defineProperty(DyIOChannel.prototype, 'mode', {
+  enumerable: true,
+  configurable: false,
+  get: function () { return this._mode; }
+});
+
+Object.defineProperty(DyIOChannel.prototype, 'value', {
+  enumerable: true,
+  configurable: false,
+  get: function () { return this._value; }
+});
+
+/* DyIO
+ * ----
+ *
+ * Inherits: dyio.bowler_device.BowlerDevice
+ * Constructor: function()
+ *
+ * This class represents a Neuron Robotics DyIO.
+ * In addition to the generic Bowler functionality,
+ * it exposes the DyIO's I/O channels as `DyIOChannel`
+ * objects in the `channels` Array.  After connecting
+ * to a transport, call `initialize()` to discover the
+ * device's namespaces and RPCs and fetch the state of
+ * the channels.
+ */
+var DyIO = function () {
+  BowlerDevice.call(this);
+
+  /* ### channels ###
+   *
+   * An Array of the DyIO's `DyIOChannel`s,
+   * indexed by channel number.
+   */
+  this.channels = [];
+  for (var i = 0; i < DYIO_NUM_CHANNELS; i++) {
+    this.channels.push(new DyIOChannel(this, i));
+  }
+
+  this.supports_namespace('bcs.io');
+};
+
+util.inherits(DyIO, BowlerDevice);
+
+/* ### initialize([callback]) ###
+ *
+ * This method populates the supported namespaces
+ * and RPCs of the DyIO using introspection, and then
+ * refreshes the state of every channel.  It should be
+ * called once the DyIO is connected.
+ *
+ * callback: function(err)
+ */
+DyIO.prototype.initialize = function (cb) {
+  var self = this;
+  return bowler_util.with_callback((async function () {
+    await self.populate_supported_namespaces();
+    await self.autopopulate_rpcs();
+    await self.refresh_channels();
+  })(), cb);
+};
+
+/* ### refresh_channels([callback]) ###
+ *
+ * This method refreshes the state of
+ * every channel (see `DyIOChannel#refresh()`).
+ *
+ * callback: function(err)
+ */
+DyIO.prototype.refresh_channels = function (cb) {
+  var self = this;
+  return bowler_util.with_callback((async function () {
+    for (var i = 0; i < self.channels.length; i++) {
+      await self.channels[i].refresh();
+    }
+  })(), cb);
+};
+
+// The following methods wrap the `bcs.io` RPCs
+// used by the channels (see `dyio.extra_namespaces.bcs_io`).
+
+DyIO.prototype._get_channel_mode_list = function (channel) {
+  return this.command_to.io.gcml(channel).then(function (res) {
+    return res.modes;
+  });
+};
+
+DyIO.prototype._get_channel_mode = function (channel) {
+  return this.command_to.io.gchm(channel).then(function (res) {
+    return res.mode;
+  });
+};
+
+DyIO.prototype._set_channel_mode = function (channel, mode) {
+  return this.command_to.io.schm(channel, mode);
+};
+
+DyIO.prototype._get_channel_value = function (channel) {
+  return this.command_to.io.gchv(channel).then(function (res) {
+    return res.value;
+  });
+};
+
+DyIO.prototype._set_channel_value = function (channel, value, time) {
+  return this.command_to.io.schv(channel, value, time);
+};
+
+module.exports = {
+  DYIO_NUM_CHANNELS: DYIO_NUM_CHANNELS,
+  CHANNEL_HELPERS: CHANNEL_HELPERS,
+  DyIOChannel: DyIOChannel,
+  DyIO: DyIO
+};
@@ -0,0 +1,331 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.errors` namespace
+// =======================
+
+var util = require('util');
+
+/* BowlerError
+ * -----------
+ *
+ * Inherits: Error
+ * Constructor: function(message)
+ *
+ * This class is the base class for all
+ * of the errors produced by this library
+ * which relate to communicating with a
+ * Bowler device, so that they can be
+ * distinguished from programming errors
+ * using `instanceof`.
+ */
+var BowlerError = function (message) {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.name = 'BowlerError';
+  this.message = message;
+};
+
+util.inherits(BowlerError, Error);
+
+/* BowlerTimeoutError
+ * ------------------
+ *
+ * Inherits: dyio.errors.BowlerError
+ * Constructor: function(request)
+ *
+ * This error is produced when no reply to a
+ * request is received within the request's
+ * timeout, after all retries have been used up.
+ * It has the following properties, taken from
+ * the request:
+ *
+ * - *method*: the method the request was sent with
+ * - *namespace*: the namespace of the RPC
+ * - *rpc*: the name of the RPC
+ * - *timeout*: the timeout for each attempt, in milliseconds
+ * - *attempts*: the number of times the request was sent
+ */
+var BowlerTimeoutError = function (request) {
+  BowlerError.call(this, 'Timed out waiting for a reply to ' + request.method + ' ' + request.namespace + '#' + request.rpc +
+                         ' (' + request.attempts + ' attempt(s), ' + request.timeout + 'ms each)');
+  this.name = 'BowlerTimeoutError';
+  this.method = request.method;
+  this.namespace = request.namespace;
+  this.rpc = request.rpc;
+  this.timeout = request.timeout;
+  this.attempts = request.attempts;
+};
+
+util.inherits(BowlerTimeoutError, BowlerError);
+
+/* BowlerDisconnectedError
+ * -----------------------
+ *
+ * Inherits: dyio.errors.BowlerError
+ * Constructor: function(message)
+ *
+ * This error is produced for requests which
+ * could not be completed because the device
+ * was (or became) disconnected.
+ */
+var BowlerDisconnectedError = function (message) {
+  BowlerError.call(this, message || 'The device is not connected');
+  this.name = 'BowlerDisconnectedError';
+};
+
+util.inherits(BowlerDisconnectedError, BowlerError);
+
+/* BowlerIdentityError
+ * -------------------
+ *
+ * Inherits: dyio.errors.BowlerError
+ * Constructor: function(expected, actual[, expected_mac_address, actual_mac_address])
+ *
+ * This error is produced when a device found after
+ * reconnecting is not the one which was connected
+ * before (see `dyio.util.reconnect`).  The `expected`
+ * and `actual` properties hold the namespace information
+ * (see `BowlerDevice#namespace_info`) of the original and
+ * the new device, and the `expected_mac_address` and
+ * `actual_mac_address` properties hold their MAC addresses
+ * (or null, if they weren't compared).
+ */
+var BowlerIdentityError = function (expected, actual, expected_mac_address, actual_mac_address) {
+  var describe = function (namespaces) {
+    return namespaces.map(function (ns) { return ns.name + ' ' + ns.version_str; }).join(', ');
+  };
+
+  var message;
+  if (expected_mac_address && expected_mac_address !== actual_mac_address) {
+    message = 'Expected the device with the MAC address ' + expected_mac_address + ', found ' + actual_mac_address;
+  }
+  else {
+    message = 'Expected a device with the namespaces ' + describe(expected) + ', found one with ' + describe(actual);
+  }
+
+  BowlerError.call(this, message);
+  this.name = 'BowlerIdentityError';
+  this.expected = expected;
+  this.actual = actual;
+  this.expected_mac_address = expected_mac_address || null;
+  this.actual_mac_address = actual_mac_address || null;
+};
+
+util.inherits(BowlerIdentityError, BowlerError);
+
+/* UnsupportedChannelModeError
+ * ---------------------------
+ *
+ * Inherits: dyio.errors.BowlerError
+ * Constructor: function(channel, mode[, message])
+ *
+ * This error is produced when a channel is asked
+ * to use a mode which it does not support (or to
+ * do something which its current mode does not allow).
+ * It has the properties `channel` (the channel number)
+ * and `mode` (the requested mode name).
+ */
+var UnsupportedChannelModeError = function (channel, mode, message) {
+  BowlerError.call(this, message || 'Channel ' + channel + ' does not support the mode ' + mode);
+  this.name = 'UnsupportedChannelModeError';
+  this.channel = channel;
+  this.mode = mode;
+};
+
+util.inherits(UnsupportedChannelModeError, BowlerError);
+
+/* BowlerProtocolError
+ * -------------------
+ *
+ * Inherits: dyio.errors.BowlerError
+ * Constructor: function(message, data)
+ *
+ * This class is the base class for the errors
+ * produced when a malformed packet is received
+ * (see `BowlerDevice#validate_datagram(...)`).  The
+ * offending packet (a Buffer) is in the `data` property.
+ */
+var BowlerProtocolError = function (message, data) {
+  BowlerError.call(this, message);
+  this.name = 'BowlerProtocolError';
+  this.data = data;
+};
+
+util.inherits(BowlerProtocolError, BowlerError);
+
+/* BadVersionError
+ * ---------------
+ *
+ * Inherits: dyio.errors.BowlerProtocolError
+ * Constructor: function(data, version)
+ *
+ * This error is produced for packets whose version
+ * byte isn't the supported Bowler protocol version.  The
+ * version byte received is in the `version` property.
+ */
+var BadVersionError = function (data, version) {
+  BowlerProtocolError.call(this, 'Unsupported Bowler protocol version ' + version, data);
+  this.name = 'BadVersionError';
+  this.version = version;
+};
+
+util.inherits(BadVersionError, BowlerProtocolError);
+
+/* LengthMismatchError
+ * -------------------
+ *
+ * Inherits: dyio.errors.BowlerProtocolError
+ * Constructor: function(data, size, expected_size[, message])
+ *
+ * This error is produced for packets whose size byte
+ * doesn't match the number of bytes actually received
+ * (or which are too short to hold a header at all).  The
+ * `size` property holds the size byte (or null, if the
+ * header was incomplete), and the `expected_size` property
+ * the size implied by the length of the packet (or null, for
+ * packets found in a stream, whose length comes from the size
+ * byte itself).
+ */
+var LengthMismatchError = function (data, size, expected_size, message) {
+  if (!message && size === null) message = 'Received a truncated packet (' + data.length + ' bytes)';
+  else if (!message) message = 'The packet size byte (' + size + ') does not match the packet length (' + expected_size + ' bytes after the header)';
+
+  BowlerProtocolError.call(this, message, data);
+  this.name = 'LengthMismatchError';
+  this.size = size;
+  this.expected_size = expected_size;
+};
+
+util.inherits(LengthMismatchError, BowlerProtocolError);
+
+/* ChecksumMismatchError
+ * ---------------------
+ *
+ * Inherits: dyio.errors.BowlerProtocolError
+ * Constructor: function(data, checksum, expected_checksum)
+ *
+ * This error is produced for packets whose header
+ * checksum (byte 10) doesn't match the sum of the
+ * preceding header bytes.
+ */
+var ChecksumMismatchError = function (data, checksum, expected_checksum) {
+  BowlerProtocolError.call(this, 'The packet checksum (0x' + checksum.toString(16) + ') does not match ' +
+                                 'the header (expected 0x' + expected_checksum.toString(16) + ')', data);
+  this.name = 'ChecksumMismatchError';
+  this.checksum = checksum;
+  this.expected_checksum = expected_checksum;
+};
+
+util.inherits(ChecksumMismatchError, BowlerProtocolError);
+
+/* UnknownNamespaceError
+ * ---------------------
+ *
+ * Inherits: dyio.errors.BowlerProtocolError
+ * Constructor: function(data, namespace_id)
+ *
+ * This error is produced for packets from a namespace
+ * which isn't in the device's `supported_namespaces`
+ * (e.g. because they haven't been populated yet).
+ */
+var UnknownNamespaceError = function (data, namespace_id) {
+  BowlerProtocolError.call(this, 'Received a packet for the unknown namespace id ' + namespace_id, data);
+  this.name = 'UnknownNamespaceError';
+  this.namespace_id = namespace_id;
+};
+
+util.inherits(UnknownNamespaceError, BowlerProtocolError);
+
+/* UnknownRpcError
+ * ---------------
+ *
+ * Inherits: dyio.errors.BowlerProtocolError
+ * Constructor: function(data, method, namespace, rpc)
+ *
+ * This error is produced for packets for which
+ * there is no parser (for the RPC, or for the
+ * packet's method of a multi-method RPC).
+ */
+var UnknownRpcError = function (data, method, namespace, rpc) {
+  BowlerProtocolError.call(this, 'There is no parser for ' + method + ' ' + namespace + '#' + rpc, data);
+  this.name = 'UnknownRpcError';
+  this.method = method;
+  this.namespace = namespace;
+  this.rpc = rpc;
+};
+
+util.inherits(UnknownRpcError, BowlerProtocolError);
+
+/* PayloadTooShortError
+ * --------------------
+ *
+ * Inherits: dyio.errors.BowlerProtocolError
+ * Constructor: function(data, method, namespace, rpc, payload_length[, min_length])
+ *
+ * This error is produced for packets whose payload
+ * is too short for the RPC's parser.  The `payload_length`
+ * property holds the length of the payload received, and
+ * the `min_length` property the minimum payload length (both
+ * in bytes), if it is known.
+ */
+var PayloadTooShortError = function (data, method, namespace, rpc, payload_length, min_length) {
+  BowlerProtocolError.call(this, 'The payload of ' + method + ' ' + namespace + '#' + rpc + ' is too short (' +
+                                 payload_length + ' bytes' + (min_length ? ', expected at least ' + min_length : '') + ')', data);
+  this.name = 'PayloadTooShortError';
+  this.method = method;
+  this.namespace = namespace;
+  this.rpc = rpc;
+  this.payload_length = payload_length;
+  this.min_length = min_length || null;
+};
+
+util.inherits(PayloadTooShortError, BowlerProtocolError);
+
+/* BowlerStatusError
+ * -----------------
+ *
+ * Inherits: dyio.errors.BowlerError
+ * Constructor: function(info)
+ *
+ * This error is produced when the device answers
+ * a request with a status reply reporting a failure
+ * (see `dyio.status.decode_status(...)`).  It has the
+ * following properties, taken from the given object:
+ *
+ * - *method*, *namespace*, *rpc*: the request which failed
+ *   (or those of the status packet, if it didn't answer a request)
+ * - *location*: the location code reported by the device
+ * - *trace*: the trace code reported by the device
+ * - *description*: what the codes mean (if they are known)
+ * - *data*: the raw status packet (a Buffer)
+ */
+var BowlerStatusError = function (info) {
+  BowlerError.call(this, 'The device reported a failure for ' + info.method + ' ' + info.namespace + '#' + info.rpc + ': ' +
+                         (info.description || 'unknown error') + ' (location ' + info.location + ', trace ' + info.trace + ')');
+  this.name = 'BowlerStatusError';
+  this.method = info.method;
+  this.namespace = info.namespace;
+  this.rpc = info.rpc;
+  this.location = info.location;
+  this.trace = info.trace;
+  this.description = info.description || null;
+  this.data = info.data || null;
+};
+
+util.inherits(BowlerStatusError, BowlerError);
+
+module.exports = {
+  BowlerError: BowlerError,
+  BowlerTimeoutError: BowlerTimeoutError,
+  BowlerDisconnectedError: BowlerDisconnectedError,
+  BowlerIdentityError: BowlerIdentityError,
+  UnsupportedChannelModeError: UnsupportedChannelModeError,
+  BowlerStatusError: BowlerStatusError,
+  BowlerProtocolError: BowlerProtocolError,
+  BadVersionError: BadVersionError,
+  LengthMismatchError: LengthMismatchError,
+  ChecksumMismatchError: ChecksumMismatchError,
+  UnknownNamespaceError: UnknownNamespaceError,
+  UnknownRpcError: UnknownRpcError,
+  PayloadTooShortError: PayloadTooShortError
+};
@@ -2,6 +2,7 @@
 // =================================
 
 var bowler_util = require('dyio/util');
+var packet = require('dyio/packet');
 
 /* Note: sub-namespaces under this namespace
  * should have their `module.exports` equal
@@ -18,7 +19,7 @@ var bowler_util = require('dyio/util');
  * parsers, builders, etc required to
  * use a namespace with a BowlerDevice.
  *
- * It contains five properties:
+ * It contains six properties:
  *
  * - *root*: the namespace path, in dot notation
  * - *parsers*: the parsers object
@@ -31,6 +32,12 @@ var bowler_util = require('dyio/util');
  * - *recv_methods*: the object containing
  *   receive method information (see
  *   BowlerDevice#_rpc_recv_methods)
+ * - *status_codes*: the table of status codes
+ *   for the namespace, or null (see `dyio.status`
+ *   and BowlerDevice#register_status_codes)
+ *
+ * Instead of writing these by hand, they may be
+ * generated from a declarative schema (see `load_schema(...)`).
  *
  * Note that all of the 'object' properties
  * above should treat the root of the object
@@ -46,6 +53,15 @@ var BowlerNamespace = function () {
   this.builders = {};
   this.send_methods = {};
   this.recv_methods = {};
+
+  /* ### schema ###
+   *
+   * The declarative schema this namespace was
+   * loaded from, if any (see `load_schema(...)`).
+   */
+  this.schema = null;
+
+  this.status_codes = null;
 };
 
 BowlerNamespace.prototype = {
@@ -63,11 +79,13 @@ BowlerNamespace.prototype = {
     for (var i = 0; i < path.length; i++) {
       if (!parsers_obj[path[i]]) parsers_obj[path[i]] = {};
       if (!builders_obj[path[i]]) builders_obj[path[i]] = {};
-      if (!methods_obj[path[i]]) methods_obj[path[i]] = {};
+      if (!send_methods_obj[path[i]]) send_methods_obj[path[i]] = {};
+      if (!recv_methods_obj[path[i]]) recv_methods_obj[path[i]] = {};
 
       parsers_obj = parsers_obj[path[i]];
       builders_obj = builders_obj[path[i]];
-      methods_obj = methods_obj[path[i]];
+      send_methods_obj = send_methods_obj[path[i]];
+      recv_methods_obj = recv_methods_obj[path[i]];
     }
 
     bowler_util.extend(parsers_obj, this.parsers);
@@ -85,9 +103,255 @@ BowlerNamespace.prototype = {
    */
   import_into: function (bowler_dev) {
     this._import_into_objs(bowler_dev._parsers, bowler_dev._builders, bowler_dev._rpc_send_methods, bowler_dev._rpc_recv_methods);
+    if (this.status_codes) bowler_dev.register_status_codes(this.root, this.status_codes);
+  },
+
+  /* ### load_schema(schema) ###
+   *
+   * This method fills in the parsers, builders,
+   * send methods, and receive methods of this namespace
+   * from the given declarative schema, so that none of the
+   * byte offsets have to be written by hand.  The schema is
+   * a plain (JSON-compatible) object of the following form:
+   *
+   *    {
+   *      root: "bcs.pid",
+   *      rpcs: {
+   *        _pid: {
+   *          get: {
+   *            args: [{ name: "channel", type: "UInt8" }],
+   *            reply: {
+   *              method: "post",
+   *              args: [{ name: "channel", type: "UInt8" }, { name: "position", type: "Int32" }]
+   *            }
+   *          },
+   *          async: {
+   *            args: [{ name: "channel", type: "UInt8" }, { name: "position", type: "Int32" }]
+   *          }
+   *        }
+   *      }
+   *    }
+   *
+   * Each RPC maps the methods it may be sent with to the
+   * arguments it is sent with and the reply it produces,
+   * where the types are `dyio.packet.data_types` names.  The
+   * optional `async` entry describes the packets pushed by the
+   * device for that RPC (see `BowlerDevice#subscribe(...)`).  The
+   * builders take the arguments in order, and the parsers return
+   * an object with a property for each of the reply arguments.
+   * If a builder should take its arguments in a different order
+   * than they are sent in (e.g. to keep an existing signature), the
+   * method may list the argument names in that order as `params`.
+   *
+   * The schema may also have a `status_codes` property, which
+   * becomes the namespace's table of status codes.
+   *
+   * An Error is thrown if the schema uses an unknown type,
+   * or if the replies to two methods of the same RPC use the
+   * same method but different arguments.
+   */
+  load_schema: function (schema) {
+    if (schema.root !== undefined) this.root = schema.root;
+    if (schema.status_codes) this.status_codes = schema.status_codes;
+    this.schema = schema;
+
+    for (var rpc_name in schema.rpcs) {
+      this._load_rpc_schema(rpc_name, schema.rpcs[rpc_name]);
+    }
+  },
+
+  _load_rpc_schema: function (rpc_name, rpc_schema) {
+    var full_name = this.root + '#' + rpc_name;
+    var send_methods = Object.keys(rpc_schema).filter(function (method) { return method !== 'async'; });
+    var parsers = {};
+    var parser_args = {};
+    var builders = {};
+    var recv_methods = {};
+
+    var add_parser = function (method, args) {
+      if (parser_args[method]) {
+        if (JSON.stringify(parser_args[method]) !== JSON.stringify(args)) {
+          throw new Error('The schema for ' + full_name + ' has conflicting definitions for \'' + method + '\' packets');
+        }
+        return;
+      }
+
+      parser_args[method] = args;
+      parsers[method] = make_schema_parser(full_name, args);
+    };
+
+    send_methods.forEach(function (method) {
+      var method_schema = rpc_schema[method];
+      var reply = method_schema.reply || { method: 'status', args: [] };
+
+      builders[method] = make_schema_builder(full_name, method_schema.args || [], method_schema.params);
+      recv_methods[method] = reply.method;
+      add_parser(reply.method, reply.args || []);
+    });
+
+    if (rpc_schema.async) add_parser('async', rpc_schema.async.args || []);
+
+    var parser_methods = Object.keys(parsers);
+    if (parser_methods.length === 1 && send_methods.length === 1) {
+      this.parsers[rpc_name] = parsers[parser_methods[0]];
+    }
+    else {
+      parsers.is_rpc = true;
+      this.parsers[rpc_name] = parsers;
+    }
+
+    if (send_methods.length === 1) {
+      this.builders[rpc_name] = builders[send_methods[0]];
+      this.send_methods[rpc_name] = send_methods[0];
+    }
+    else {
+      builders.is_rpc = true;
+      this.builders[rpc_name] = builders;
+      this.send_methods[rpc_name] = send_methods;
+    }
+
+    this.recv_methods[rpc_name] = recv_methods;
+  }
+};
+
+var check_schema_args = function (full_name, args) {
+  args.forEach(function (arg) {
+    if (!packet.data_types[arg.type]) {
+      throw new Error('The schema for ' + full_name + ' uses the unknown type ' + arg.type + ' for ' + arg.name);
+    }
+  });
+};
+
+/* make_schema_builder(full_name, args[, params])
+ * ----------------------------------------------
+ *
+ * This function creates a builder which writes
+ * the given arguments one after the other, computing
+ * the offset of each argument from the widths of the
+ * ones before it.  If the names of the arguments are given
+ * as params, the builder takes its arguments in that order
+ * instead; its `wire_names` and `wire_types` then hold the
+ * order in which they are written.
+ */
+var make_schema_builder = function (full_name, args, params) {
+  check_schema_args(full_name, args);
+
+  var arg_names = args.map(function (arg) { return arg.name; });
+  var positions = arg_names.map(function (name, i) { return i; });
+  if (params) {
+    if (params.length !== args.length || arg_names.some(function (name) { return params.indexOf(name) < 0; })) {
+      throw new Error('The params for ' + full_name + ' must name each of its arguments once');
+    }
+    positions = arg_names.map(function (name) { return params.indexOf(name); });
+  }
+
+  var builder = function (bldr/*, ...vals*/) {
+    var ind = 0;
+    for (var i = 0; i < args.length; i++) {
+      var data_type = packet.data_types[args[i].type];
+      var val = arguments[positions[i]+1];
+      if (val === undefined) throw new Error(full_name + ' requires a value for ' + args[i].name);
+
+      var width = data_type.width || data_type.get_width(val);
+      bldr.bytes(ind, ind+width-1).fromRawFunc(serializer_for, [data_type, val]);
+      ind += width;
+    }
+  };
+
+  // the builder is variadic, so the command handler can't use its length
+  builder.num_args = args.length;
+  builder.arg_names = [];
+  builder.arg_types = [];
+  args.forEach(function (arg, i) {
+    builder.arg_names[positions[i]] = arg.name;
+    builder.arg_types[positions[i]] = arg.type;
+  });
+
+  if (params) {
+    builder.wire_names = arg_names;
+    builder.wire_types = args.map(function (arg) { return arg.type; });
+  }
+  return builder;
+};
+
+var serializer_for = function () {
+  return function (type_and_val, buff, ind) {
+    return type_and_val[0].serialize(type_and_val[1], buff, ind);
+  };
+};
+
+/* make_schema_parser(full_name, args)
+ * -----------------------------------
+ *
+ * This function creates a parser which reads
+ * the given arguments one after the other, returning
+ * an object with a property for each argument.
+ */
+var make_schema_parser = function (full_name, args) {
+  check_schema_args(full_name, args);
+
+  var parser = function (src) {
+    var buff = src.getBuffer();
+    var values = packet.deserialize_values(parser.arg_types, buff, 0);
+    var res = {};
+    for (var i = 0; i < args.length; i++) {
+      res[args[i].name] = values[i];
+    }
+    return res;
+  };
+
+  parser.arg_names = args.map(function (arg) { return arg.name; });
+  parser.arg_types = args.map(function (arg) { return arg.type; });
+  return parser;
+};
+
+/* make_schema_namespace(schema)
+ * -----------------------------
+ *
+ * This function creates a new BowlerNamespace
+ * from the given schema (see `BowlerNamespace#load_schema`).
+ * Sub-namespaces which are described entirely by a schema
+ * can simply export the result of this function.
+ */
+var make_schema_namespace = function (schema) {
+  var ns = new BowlerNamespace();
+  ns.load_schema(schema);
+  return ns;
+};
+
+/* module_path(namespace)
+ * -----------------------
+ *
+ * This function returns the path of the module
+ * which provides the given namespace (in dot notation),
+ * e.g. 'dyio/extra_namespaces/bcs_pid' for 'bcs.pid'.
+ */
+var module_path = function (namespace) {
+  return 'dyio/extra_namespaces/' + namespace.split('.').join('_');
+};
+
+/* has_module(namespace)
+ * ---------------------
+ *
+ * This function returns true if there is a module
+ * for the given namespace (see `module_path(...)`),
+ * without loading it, so that errors thrown while loading
+ * a module which does exist aren't mistaken for it being absent.
+ */
+var has_module = function (namespace) {
+  try {
+    require.resolve(module_path(namespace));
+    return true;
+  }
+  catch (err) {
+    if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    return false;
   }
 };
 
 module.exports = {
   BowlerNamespace: BowlerNamespace,
+  make_schema_namespace: make_schema_namespace,
+  module_path: module_path,
+  has_module: has_module
 };
@@ -0,0 +1,159 @@
+// `dyio.extra_namespaces.bcs_io` namespace
+// ========================================
+
+var make_schema_namespace = require('dyio/extra_namespaces').make_schema_namespace;
+var bowler_device = require('dyio/bowler_device');
+
+// This namespace provides the require "glue"
+// to use RPCs in the 'bcs.io' namespace.  It is
+// described by a schema (see `BowlerNamespace#load_schema`),
+// so the byte offsets are computed automatically.
+// Channel modes are exposed as their human-readable
+// names (see `BOWLER_CHANNEL_MODES`); the builders
+// accept either names or raw mode bytes.
+
+var CHANNEL = { name: 'channel', type: 'UInt8' };
+
+var CHANNEL_MODE = [
+  CHANNEL,
+  { name: 'mode', type: 'UInt8' }
+];
+
+var CHANNEL_VALUE = [
+  CHANNEL,
+  { name: 'value', type: 'Int32' }
+];
+
+var VALUES = [
+  { name: 'values', type: 'Int32Array' }
+];
+
+const BCS_IO_SCHEMA = {
+  root: 'bcs.io',
+  rpcs: {
+    gchm: {
+      get: {
+        args: [CHANNEL],
+        reply: { method: 'post', args: CHANNEL_MODE }
+      }
+    },
+    schm: {
+      post: {
+        args: CHANNEL_MODE,
+        reply: { method: 'post', args: CHANNEL_MODE }
+      }
+    },
+    gchv: {
+      get: {
+        args: [CHANNEL],
+        reply: { method: 'post', args: CHANNEL_VALUE }
+      },
+      // value changes pushed by the device
+      async: { args: CHANNEL_VALUE }
+    },
+    schv: {
+      post: {
+        args: [
+          CHANNEL,
+          { name: 'value', type: 'Int32' },
+          { name: 'time', type: 'Int32' }
+        ],
+        reply: { method: 'post', args: CHANNEL_VALUE }
+      }
+    },
+    gacv: {
+      get: {
+        args: [],
+        reply: { method: 'post', args: VALUES }
+      },
+      async: { args: VALUES }
+    },
+    sacv: {
+      post: {
+        args: [
+          { name: 'time', type: 'Int32' },
+          { name: 'values', type: 'Int32Array' }
+        ],
+        reply: { method: 'post', args: VALUES }
+      }
+    },
+    gchc: {
+      get: {
+        args: [],
+        reply: { method: 'post', args: [{ name: 'count', type: 'Int32' }] }
+      }
+    },
+    gcml: {
+      get: {
+        args: [CHANNEL],
+        reply: {
+          method: 'post',
+          args: [
+            CHANNEL,
+            { name: 'modes', type: 'ByteBuffer' }
+          ]
+        }
+      }
+    }
+  }
+};
+
+var mode_name = function (raw_mode) {
+  return bowler_device.BOWLER_CHANNEL_MODES[raw_mode];
+};
+
+var mode_byte = function (mode) {
+  if (typeof mode === 'number') return mode;
+
+  var raw_mode = bowler_device.BOWLER_CHANNEL_MODES_HR[mode];
+  if (raw_mode === undefined) throw new Error('Unknown channel mode ' + mode);
+  return raw_mode;
+};
+
+// wrap a generated parser or builder, keeping the description of its arguments
+var wrap = function (func, wrapper) {
+  ['num_args', 'arg_names', 'arg_types'].forEach(function (prop) {
+    if (func[prop] !== undefined) wrapper[prop] = func[prop];
+  });
+  return wrapper;
+};
+
+var convert_parser = function (parser, convert) {
+  return wrap(parser, function (src) {
+    var res = parser(src);
+    convert(res);
+    return res;
+  });
+};
+
+var with_mode_name = function (res) { res.mode = mode_name(res.mode); };
+var with_mode_names = function (res) { res.modes = Array.prototype.map.call(res.modes, mode_name); };
+var with_plain_values = function (res) { res.values = Array.prototype.slice.call(res.values); };
+
+var ns = make_schema_namespace(BCS_IO_SCHEMA);
+
+ns.parsers.gchm = convert_parser(ns.parsers.gchm, with_mode_name);
+ns.parsers.schm = convert_parser(ns.parsers.schm, with_mode_name);
+ns.parsers.gcml = convert_parser(ns.parsers.gcml, with_mode_names);
+['post', 'async'].forEach(function (method) {
+  ns.parsers.gacv[method] = convert_parser(ns.parsers.gacv[method], with_plain_values);
+});
+ns.parsers.sacv = convert_parser(ns.parsers.sacv, with_plain_values);
+
+var schm_builder = ns.builders.schm;
+ns.builders.schm = wrap(schm_builder, function (bldr, channel, mode) {
+  schm_builder(bldr, channel, mode_byte(mode));
+});
+
+// `time` has always been optional
+['schv', 'sacv'].forEach(function (rpc) {
+  var builder = ns.builders[rpc];
+  var time_ind = builder.arg_names.indexOf('time');
+  ns.builders[rpc] = wrap(builder, function (bldr/*, ...vals*/) {
+    var vals = Array.prototype.slice.call(arguments, 1);
+    if (vals[time_ind] === undefined) vals[time_ind] = 0;
+    builder.apply(this, [bldr].concat(vals));
+  });
+});
+
+module.exports = ns;
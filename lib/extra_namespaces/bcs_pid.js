@@ -1,194 +1,150 @@
 // `dyio.extra_namespaces.bcs_pid` namespace
 // =========================================
 
-var BowlerNamespace = require('dyio/extra_namespaces').BowlerNamespace;
-var util = require('util');
-var packet = require('dyio/packet');
+var make_schema_namespace = require('dyio/extra_namespaces').make_schema_namespace;
 
 // This namespace provides the require "glue"
 // to use RPCs in the 'bcs.pid' namespace.
+// It is described by a schema (see
+// `BowlerNamespace#load_schema`), so the
+// byte offsets are computed automatically.  The
+// builders for `_pid` and `_vpd` take the time before
+// the set-point, even though it is sent after it.
 
-var BcsPidNamespace = function () {
-  this.root = 'bcs.pid';
+var CHANNEL = { name: 'channel', type: 'UInt8' };
 
-  this.parsers = {
+// most of the commands just report success or an error location
+var STATUS_REPLY = {
+  method: 'status',
+  args: [
+    { name: 'location', type: 'UInt8' },
+    { name: 'trace', type: 'UInt8' }
+  ]
+};
+
+var POSITIONS = [
+  { name: 'values', type: 'Int32Array' }
+];
+
+var POSITION = [
+  CHANNEL,
+  { name: 'position', type: 'Int32' }
+];
+
+var PID_CONFIG = [
+  CHANNEL,
+  { name: 'enabled', type: 'Bool' },
+  { name: 'polarity', type: 'UInt8' },  // TODO(directxman12): is this actually a bool?
+  { name: 'async', type: 'Bool' },
+  { name: 'Kp', type: 'FixedPointTwoPlaces' },
+  { name: 'Ki', type: 'FixedPointTwoPlaces' },
+  { name: 'Kd', type: 'FixedPointTwoPlaces' },
+  { name: 'latch', type: 'Int32' },
+  { name: 'use_index_latch', type: 'UInt8' },  // TODO(directxman12): is this actually a bool?
+  { name: 'stop_on_latch', type: 'Bool' }
+];
+
+var PD_VELOCITY_CONFIG = [
+  CHANNEL,
+  { name: 'Kp', type: 'FixedPointTwoPlaces' },
+  { name: 'Kd', type: 'FixedPointTwoPlaces' }
+];
+
+const BCS_PID_SCHEMA = {
+  root: 'bcs.pid',
+  // the location codes of the failures reported in the status replies
+  status_codes: {
+    1: { description: 'no such PID channel' },
+    2: { description: 'the PID channel is not enabled' },
+    3: { description: 'invalid PID configuration' }
+  },
+  rpcs: {
     apid: {
-      is_rpc: true,
-      status: function (src) {
-        return {
-          location: src.byte(0).toInt(),
-          trace: src.byte(1).toInt()
-        };
+      get: {
+        args: [],
+        reply: { method: 'post', args: POSITIONS }
       },
-      post: function (src) {
-        return { values: src.bytes().toInt32Array() };
-      }
+      post: {
+        args: [
+          { name: 'time', type: 'Int32' },
+          { name: 'set_points', type: 'Int32Array' }
+        ],
+        reply: STATUS_REPLY
+      },
+      // position updates pushed by the device
+      // have the same format as the replies to 'get'
+      async: { args: POSITIONS }
     },
     _pid: {
-      is_rpc: true,
-      status: function (src) {
-        return {
-          location: src.byte(0).toInt(),
-          trace: src.byte(1).toInt()
-        };
+      get: {
+        args: [CHANNEL],
+        reply: { method: 'post', args: POSITION }
       },
-      post: function (src) {
-        return {
-          channel: src.byte(0).toInt(),
-          position: src.byte(1,4).toInt()
-        };
-      }
+      post: {
+        args: [
+          CHANNEL,
+          { name: 'set_point', type: 'Int32' },
+          { name: 'time', type: 'Int32' }
+        ],
+        params: ['channel', 'time', 'set_point'],
+        reply: STATUS_REPLY
+      },
+      async: { args: POSITION }
     },
     cpid: {
-      is_rpc: true,
-      post: function (src) {
-        return {
-          channel: src.byte(0).toInt(),
-          enabled: src.byte(1).toBool(),
-          polarity: src.byte(2).toInt(), // TODO(directxman12): is this actually a bool?
-          async: src.byte(3).toBool(),
-          Kp: src.bytes(4, 7).toFixedPointWithTwoPlaces(),
-          Ki: src.bytes(8, 11).toFixedPointWithTwoPlaces(),
-          Kd: src.bytes(12, 15).toFixedPointWithTwoPlaces(),
-          latch: src.bytes(304, 307).toInt(),
-          use_index_latch: src.bytes(308).toInt(), // TODO(directxman12): is this actually a bool?
-          stop_on_latch: src.bytes(309).toBool()
-        };
+      get: {
+        args: [CHANNEL],
+        reply: { method: 'post', args: PID_CONFIG }
       },
-      status: function (src) {
-        return {
-          location: src.byte(0).toInt(),
-          trace: src.byte(1).toInt()
-        };
+      critical: {
+        args: PID_CONFIG,
+        reply: STATUS_REPLY
       }
     },
     cpdv: {
-      is_rpc: true,
-      post: function (src) {
-        return {
-          channel: src.byte(0).toUnsignedInt(),
-          Kp: src.byte(1, 100).toFixedPointWithTwoPlaces(),
-          Kd: src.byte(101,200).toFixedPointWithTwoPlaces()
-        };
-      },
-      status: function (src) {
-        return {
-          location: src.byte(0).toInt(),
-          trace: src.byte(1).toInt()
-        };
-      },
-    },
-    gpdc: function (src) {
-      return { channel: src.bytes(0,3).toInt() };
-    },
-    _vpd: function (src) {
-      return {
-        location: src.byte(0).toInt(),
-        trace: src.byte(0).toInt()
-      };
-    },
-    rpid: function (src) {
-      return {
-        location: src.byte(0).toInt(),
-        trace: src.byte(0).toInt()
-      };
-    },
-    kpid: function (src) {
-      return {
-        location: src.byte(0).toInt(),
-        trace: src.byte(0).toInt()
-      };
-    },
-  };
-
-  this.builders = {
-    apid: {
-      is_rpc: true,
-      post: function (bldr, time, set_points) {
-        bldr.bytes(0, 3).fromInt(time);
-        var pts_width = packet.data_types.UInt32String.get_width(set_points);
-        bldr.bytes(4, 4+pts_width-1).fromInt32String(set_points);
+      get: {
+        args: [CHANNEL],
+        reply: { method: 'post', args: PD_VELOCITY_CONFIG }
       },
-      get: function (bldr) {}
-    },
-    _pid: {
-      is_rpc: true,
-      post: function (bldr, channel, time, set_point) {
-        bldr.byte(0).fromInt(channel);
-        bldr.byte(1, 4).fromInt(set_point);
-        bldr.byte(5, 8).fromInt(time);
-      },
-      get: function (bldr, channel) {
-        bldr.byte(0).fromInt(channel);
+      critical: {
+        args: PD_VELOCITY_CONFIG,
+        reply: STATUS_REPLY
       }
     },
-    cpid: {
-      is_rpc: true,
-      get: function (bldr, channel) {
-        bldr.byte(0).fromInt(channel);
-      },
-      critical: function (bldr, channel, enabled, polarity, async, Kp, Ki, Kd, latch, use_index_latch, stop_on_latch) {
-        bldr.byte(0).fromInt(channel);
-        bldr.byte(1).fromBool(enabled);
-        bldr.byte(2).fromInt(polarity);
-        bldr.byte(3).fromBool(async);
-
-        bldr.bytes(4, 103).fromFixedPointWithTwoPlaces(Kp);
-        bldr.bytes(104, 203).fromFixedPointWithTwoPlaces(Ki);
-        bldr.bytes(204, 303).fromFixedPointWithTwoPlaces(Kd);
-
-        bldr.bytes(304, 307).fromInt(latch);
-        bldr.byte(308).fromInt(use_index_latch);
-        bldr.byte(309).fromBool(stop_on_latch);
+    gpdc: {
+      get: {
+        args: [],
+        // this is really the number of PID channels, but it has always been called 'channel'
+        reply: { method: 'post', args: [{ name: 'channel', type: 'Int32' }] }
       }
     },
-    cpdv: {
-      is_rpc: true,
-      get: function (bldr, channel) {
-        bldr.byte(0).fromInt(channel);
-      },
-      critical: function (bldr, channel, Kp, Kd) {
-        bldr.byte(0).fromInt(channel);
-        bldr.bytes(1, 4).fromFixedPointWithTwoPlaces(Kp);
-        bldr.bytes(5, 8).fromFixedPointWithTwoPlaces(Kd);
-      },
-    },
-    gpdc: function (bldr) {},
-    _vpd: function (bldr, channel, time, velocity_set_point_val) {
-      bldr.byte(0).fromInt(channel);
-      bldr.bytes(1, 4).fromInt(velocity_set_point_val);
-      bldr.bytes(5, 8).fromInt(time);
+    _vpd: {
+      post: {
+        args: [
+          CHANNEL,
+          { name: 'velocity_set_point', type: 'Int32' },
+          { name: 'time', type: 'Int32' }
+        ],
+        params: ['channel', 'time', 'velocity_set_point'],
+        reply: STATUS_REPLY
+      }
     },
-    rpid: function (bldr, channel, encoding) {
-      bldr.byte(0).fromInt(channel);
-      bldr.byte(1, 4).fromInt(encoding);
+    rpid: {
+      post: {
+        args: [
+          CHANNEL,
+          { name: 'value', type: 'Int32' }
+        ],
+        reply: STATUS_REPLY
+      }
     },
-    kpid: function (bldr) {},
-  };
-
-  this.send_methods = {
-    apid: ['get', 'post'],
-    _pid: ['get', 'post'],
-    cpid: ['get', 'critical'],
-    cpdv: ['get', 'critical'],
-    gpdc: 'get',
-    _vpd: 'post',
-    rpid: 'post',
-    kpid: 'critical'
-  };
-
-  this.recv_methods = {
-    apid: { get: 'post', post: 'status' },
-    _pid: { get: 'post', post: 'status' },
-    cpid: { get: 'post', critical: 'status' },
-    cpdv: { get: 'post', critical: 'status' },
-    gpdc: { get: 'post' },
-    _vpd: { post: 'status' },
-    rpid: { post: 'status' },
-    kpid: { critical: 'status' }
-  };
+    kpid: {
+      critical: {
+        args: [],
+        reply: STATUS_REPLY
+      }
+    }
+  }
 };
 
-util.inherits(BcsPidNamespace, BowlerNamespace);
-
-module.exports = new BcsPidNamespace();
+module.exports = make_schema_namespace(BCS_PID_SCHEMA);
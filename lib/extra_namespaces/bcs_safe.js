@@ -0,0 +1,42 @@
+// `dyio.extra_namespaces.bcs_safe` namespace
+// ==========================================
+
+var make_schema_namespace = require('dyio/extra_namespaces').make_schema_namespace;
+
+// This namespace provides the require "glue"
+// to use RPCs in the 'bcs.safe' namespace, which
+// controls the firmware failsafe: when it is enabled,
+// the device goes into its safe state if it hears nothing
+// from the host for longer than the heartbeat timeout (any
+// packet, such as a `bcs.core#_png`, counts).  It is described
+// by a schema (see `BowlerNamespace#load_schema`).
+
+// the timeout is in milliseconds
+var SAFE_MODE = [
+  { name: 'enabled', type: 'Bool' },
+  { name: 'timeout', type: 'Int16' }
+];
+
+const BCS_SAFE_SCHEMA = {
+  root: 'bcs.safe',
+  rpcs: {
+    safe: {
+      get: {
+        args: [],
+        reply: { method: 'post', args: SAFE_MODE }
+      },
+      post: {
+        args: SAFE_MODE,
+        reply: {
+          method: 'status',
+          args: [
+            { name: 'location', type: 'UInt8' },
+            { name: 'trace', type: 'UInt8' }
+          ]
+        }
+      }
+    }
+  }
+};
+
+module.exports = make_schema_namespace(BCS_SAFE_SCHEMA);
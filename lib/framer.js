@@ -0,0 +1,176 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.framer` namespace
+// =======================
+
+var bowler_util = require('dyio/util');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var bowler_device = null;  // loaded lazily, since dyio.bowler_device requires this module
+
+/* BowlerFramer
+ * ------------
+ *
+ * Inherits: events.EventEmitter
+ * Constructor: function()
+ *
+ * This class reassembles whole Bowler packets from
+ * a stream of arbitrarily-sized chunks of bytes (such
+ * as those produced by a serial port or a socket).
+ * Bytes are passed in using `push(Buffer)`, and each
+ * complete packet is emitted as a 'packet' event.
+ *
+ * Packet boundaries are found using the Bowler header:
+ * a packet must start with `BOWLER_VERSION`, must have a
+ * header checksum (byte 10) matching the sum of bytes 0 through 9,
+ * and is `BOWLER_HEADER_SIZE` plus the value of the size byte
+ * (`BOWLER_SIZE_BYTE`) bytes long.  When a candidate header
+ * turns out to be invalid, a single byte is dropped and the search
+ * starts again from the next byte, so the framer resynchronises
+ * after line noise or a corrupted header.
+ *
+ * Events:
+ *
+ * - *'packet'*: `function(Buffer)` -- a complete packet
+ * - *'invalid'*: `function(Buffer, reason, header)` -- bytes that were
+ *   dropped while looking for the start of a packet, along with the
+ *   reason the first of them was rejected ('bad_version', 'bad_checksum'
+ *   or 'bad_size') and the candidate header which was rejected (only its
+ *   first byte, for 'bad_version').  Consecutive dropped bytes are reported
+ *   together.
+ */
+var BowlerFramer = function () {
+  EventEmitter.call(this);
+
+  if (!bowler_device) bowler_device = require('dyio/bowler_device');
+
+  this._buff = Buffer.alloc(0);
+
+  /* ### stats ###
+   *
+   * This object holds running statistics
+   * about the data seen by this framer:
+   *
+   * - *bytes_received*: the total number of bytes pushed
+   * - *packets*: the number of complete packets emitted
+   * - *dropped_bytes*: the number of bytes discarded while resynchronising
+   * - *bad_versions*: the number of candidate headers rejected for their version byte
+   * - *bad_checksums*: the number of candidate headers rejected for their checksum
+   * - *bad_sizes*: the number of candidate headers rejected for an impossible size
+   *
+   * See also `reset_stats()`.
+   */
+  this.stats = null;
+  this.reset_stats();
+};
+
+util.inherits(BowlerFramer, EventEmitter);
+
+/* ### push(Buffer) ###
+ *
+ * This method adds the given bytes to the
+ * internal buffer, emitting any packets which
+ * are now complete.
+ */
+BowlerFramer.prototype.push = function (chunk) {
+  this.stats.bytes_received += chunk.length;
+  this._buff = Buffer.concat([this._buff, chunk]);
+
+  var header_size = bowler_device.BOWLER_HEADER_SIZE;
+  var dropped = [];
+  var drop_reason = null;
+  var drop_header = null;
+
+  var drop_byte = function (reason, header_length) {
+    if (dropped.length === 0) {
+      drop_reason = reason;
+      drop_header = this._buff.slice(0, header_length);
+    }
+    dropped.push(this._buff[0]);
+    this._buff = this._buff.slice(1);
+  }.bind(this);
+
+  while (this._buff.length > 0) {
+    if (this._buff[0] !== bowler_device.BOWLER_VERSION) {
+      this.stats.bad_versions++;
+      drop_byte('bad_version', 1);
+      continue;
+    }
+
+    if (this._buff.length < header_size) break; // wait for the rest of the header
+
+    if (bowler_util.make_checksum(this._buff.slice(0, header_size - 1)) !== this._buff[header_size - 1]) {
+      this.stats.bad_checksums++;
+      drop_byte('bad_checksum', header_size);
+      continue;
+    }
+
+    var size = this._buff[bowler_device.BOWLER_SIZE_BYTE];
+    if (size < 4) {
+      // there's always at least the four-byte RPC name
+      this.stats.bad_sizes++;
+      drop_byte('bad_size', header_size);
+      continue;
+    }
+
+    if (this._buff.length < header_size + size) break; // wait for the rest of the packet
+
+    this._report_dropped(dropped, drop_reason, drop_header);
+    dropped = [];
+
+    var pkt = this._buff.slice(0, header_size + size);
+    this._buff = this._buff.slice(header_size + size);
+    this.stats.packets++;
+    this.emit('packet', pkt);
+  }
+
+  this._report_dropped(dropped, drop_reason, drop_header);
+};
+
+BowlerFramer.prototype._report_dropped = function (dropped, reason, header) {
+  if (dropped.length === 0) return;
+  this.stats.dropped_bytes += dropped.length;
+  this.emit('invalid', Buffer.from(dropped), reason, header);
+};
+
+/* ### reset() ###
+ *
+ * This method discards any partially
+ * received packet.  It should be called
+ * whenever the underlying stream is restarted
+ * (e.g. when a transport is reopened).
+ */
+BowlerFramer.prototype.reset = function () {
+  this._buff = Buffer.alloc(0);
+};
+
+/* ### reset_stats() ###
+ *
+ * This method resets all of the
+ * counters in `stats` to zero.
+ */
+BowlerFramer.prototype.reset_stats = function () {
+  this.stats = {
+    bytes_received: 0,
+    packets: 0,
+    dropped_bytes: 0,
+    bad_versions: 0,
+    bad_checksums: 0,
+    bad_sizes: 0
+  };
+};
+
+/* ### buffered_length ###
+ *
+ * The number of bytes currently held
+ * while waiting for the rest of a packet.
+ */
+Object.defineProperty(BowlerFramer.prototype, 'buffered_length', {
+  enumerable: true,
+  configurable: false,
+  get: function () { return this._buff.length; }
+});
+
+module.exports = {
+  BowlerFramer: BowlerFramer
+};
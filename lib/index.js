@@ -1,7 +1,51 @@
-//var dyio = require('dyio/devices/nr_dyio');
+var dyio = require('dyio/devices/nr_dyio');
 var bowler_dev = require('dyio/bowler_device');
+var transports = require('dyio/transports');
+var serial_transport = require('dyio/transports/serial');
+var loopback_transport = require('dyio/transports/loopback');
+var tcp_transport = require('dyio/transports/tcp');
+var udp_transport = require('dyio/transports/udp');
+var replay_transport = require('dyio/transports/replay');
+var shared_bus = require('dyio/transports/shared_bus');
+var discovery = require('dyio/util/discovery');
+var introspection_cache = require('dyio/util/introspection_cache');
+var capture = require('dyio/util/capture');
+var dissector = require('dyio/util/dissector');
+var codegen = require('dyio/util/codegen');
+var mock_device = require('dyio/mock_device');
+var device_manager = require('dyio/device_manager');
+var pid = require('dyio/pid');
+var pid_recorder = require('dyio/util/pid_recorder');
+var bowler_repl = require('dyio/repl');
+var framer = require('dyio/framer');
+var errors = require('dyio/errors');
 
 module.exports = {
-//  DyIO: dyio.DyIO,
-  BowlerDevice: bowler_dev.BowlerDevice
+  DyIO: dyio.DyIO,
+  DyIOChannel: dyio.DyIOChannel,
+  BowlerDevice: bowler_dev.BowlerDevice,
+  BowlerSubscription: bowler_dev.BowlerSubscription,
+  Transport: transports.Transport,
+  SerialTransport: serial_transport.SerialTransport,
+  LoopbackTransport: loopback_transport.LoopbackTransport,
+  TcpTransport: tcp_transport.TcpTransport,
+  UdpTransport: udp_transport.UdpTransport,
+  ReplayTransport: replay_transport.ReplayTransport,
+  SharedBus: shared_bus.SharedBus,
+  discover: discovery.discover,
+  IntrospectionCache: introspection_cache.IntrospectionCache,
+  read_capture: capture.read_capture,
+  dissect: dissector.dissect,
+  format_dissection: dissector.format_dissection,
+  generate_namespace_module: codegen.generate_namespace_module,
+  generate_from_device: codegen.generate_from_device,
+  MockBowlerDevice: mock_device.MockBowlerDevice,
+  make_mock_pair: mock_device.make_mock_pair,
+  BowlerDeviceManager: device_manager.BowlerDeviceManager,
+  PIDChannel: pid.PIDChannel,
+  PIDGroup: pid.PIDGroup,
+  PIDRecorder: pid_recorder.PIDRecorder,
+  start_repl: bowler_repl.start_repl,
+  BowlerFramer: framer.BowlerFramer,
+  errors: errors
 }
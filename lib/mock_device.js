@@ -0,0 +1,440 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.mock_device` namespace
+// ============================
+
+var bowler_device = require('dyio/bowler_device');
+var bowler_util = require('dyio/util');
+var packet = require('dyio/packet');
+var loopback = require('dyio/transports/loopback');
+var BowlerFramer = require('dyio/framer').BowlerFramer;
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+/* DEFAULT_VALUES
+ * --------------
+ *
+ * This constant object holds the value
+ * used for each data type when a mock RPC
+ * has neither a reply nor a handler.
+ */
+const DEFAULT_VALUES = {
+  Bool: false,
+  UInt8: 0,
+  Int16: 0,
+  Int32: 0,
+  ByteBuffer: Buffer.alloc(0),
+  UInt8Array: [],
+  Int32Array: [],
+  NullTerminatedString: '',
+  FixedPointTwoPlaces: 0,
+  FixedPointThreePlaces: 0
+};
+
+/* MockBowlerDevice
+ * ----------------
+ *
+ * Inherits: events.EventEmitter
+ * Constructor: function([description])
+ *
+ * This class pretends to be a piece of Bowler
+ * hardware, so that code using `BowlerDevice` can
+ * be exercised without any hardware attached.  It
+ * answers requests arriving on a transport (usually
+ * one end of a `dyio.transports.loopback` pair) based
+ * on a declarative description of its namespaces and RPCs.
+ * The `bcs.core` (`_png`, `_nms`) and `bcs.rpc` (`_rpc`,
+ * `args`) namespaces are always present (as namespaces 0 and 1),
+ * and are answered automatically from the description, so the
+ * mock supports introspection.
+ *
+ * The description takes the following form:
+ *
+ *    {
+ *      mac_address: '74:F7:26:00:00:01',
+ *      namespaces: [
+ *        {
+ *          name: 'bcs.io',
+ *          version: '0.3.0',
+ *          rpcs: [
+ *            {
+ *              name: 'gchv',
+ *              send: { method: 'get', args: ['UInt8'] },
+ *              recv: { method: 'post', args: ['UInt8', 'Int32'] },
+ *              handler: function (args, request) { return [args[0], 512]; }
+ *            }
+ *          ]
+ *        }
+ *      ]
+ *    }
+ *
+ * Each RPC entry takes the same form as the RPC descriptions
+ * produced by `dyio.util.introspection.BowlerIntrospector`, with
+ * an optional `handler` function or `reply` Array.  The handler is
+ * called with the decoded request arguments (according to `send.args`)
+ * and the decoded request, and should return either an Array of reply
+ * values (which are serialized according to `recv.args`) or a raw
+ * Buffer to use as the reply body.  If there is neither a handler nor a
+ * reply, a default value is sent for each reply argument.
+ *
+ * Replies can be delayed, dropped, or corrupted using `script(...)`.
+ *
+ * Events:
+ *
+ * - *'request'*: `function(request)` -- a request was received
+ *   (see `received`)
+ * - *'unhandled'*: `function(request)` -- a request for an unknown
+ *   namespace or RPC was received (and ignored)
+ * - *'reply'*: `function(Buffer, request)` -- a reply was sent
+ */
+var MockBowlerDevice = function (description) {
+  EventEmitter.call(this);
+
+  if (!description) description = {};
+
+  /* ### mac_address ###
+   *
+   * The MAC address used by this mock device,
+   * in ':'-separated form.  Requests sent to other
+   * (non-broadcast) addresses are ignored.
+   */
+  this.mac_address = description.mac_address || '74:F7:26:00:00:01';
+
+  /* ### name/version ###
+   *
+   * The name and version reported for the
+   * `bcs.core` namespace.
+   */
+  this.name = description.name || 'bcs.core';
+  this.version = description.version || '0.3.0';
+
+  /* ### namespaces ###
+   *
+   * The Array of namespaces supported by this
+   * mock device, in namespace index order.  See
+   * the class description for the format.
+   */
+  this.namespaces = [this._core_namespace(), this._rpc_namespace()].concat(description.namespaces || []);
+
+  /* ### received ###
+   *
+   * This Array records every request received
+   * by the mock device, in order.  Each entry
+   * has the form:
+   *
+   *    {
+   *      method: string,
+   *      namespace: string,
+   *      rpc: string,
+   *      args: Array,
+   *      raw: Buffer
+   *    }
+   */
+  this.received = [];
+
+  /* ### default_delay = 0 ###
+   *
+   * The delay (in milliseconds) before sending
+   * any reply, unless overriden using `script(...)`.
+   */
+  this.default_delay = 0;
+
+  this.transport = null;
+  this._behaviors = [];
+  this._on_data = null;
+
+  var self = this;
+  this._framer = new BowlerFramer();
+  this._framer.on('packet', function (raw) {
+    self._handle_packet(raw);
+  });
+};
+
+util.inherits(MockBowlerDevice, EventEmitter);
+
+MockBowlerDevice.prototype._core_namespace = function () {
+  var self = this;
+  return {
+    name: 'bcs.core',
+    rpcs: [
+      {
+        name: '_png',
+        send: { method: 'get', args: [] },
+        recv: { method: 'post', args: [] }
+      },
+      {
+        name: '_nms',
+        send: { method: 'get', args: ['UInt8'] },
+        recv: { method: 'post', args: ['NullTerminatedString', 'UInt8'] },
+        handler: function (args) {
+          var ns = self.namespaces[args[0]];
+          if (!ns) return null;
+          var version = ns.version || self.version;
+          return [ns.name + '.*;' + version + ';;', self.namespaces.length];
+        }
+      }
+    ]
+  };
+};
+
+MockBowlerDevice.prototype._rpc_namespace = function () {
+  var self = this;
+  return {
+    name: 'bcs.rpc',
+    rpcs: [
+      {
+        name: '_rpc',
+        send: { method: 'get', args: ['UInt8', 'UInt8'] },
+        recv: { method: 'post', args: ['UInt8', 'UInt8', 'UInt8', 'NullTerminatedString'] },
+        handler: function (args) {
+          var ns = self.namespaces[args[0]];
+          if (!ns || !ns.rpcs[args[1]]) return null;
+          return [args[0], args[1], ns.rpcs.length, ns.rpcs[args[1]].name];
+        }
+      },
+      {
+        name: 'args',
+        send: { method: 'get', args: ['UInt8', 'UInt8'] },
+        recv: { method: 'post', args: ['UInt8', 'UInt8', 'UInt8', 'ByteBuffer', 'UInt8', 'ByteBuffer'] },
+        handler: function (args) {
+          var ns = self.namespaces[args[0]];
+          if (!ns || !ns.rpcs[args[1]]) return null;
+          var rpc = ns.rpcs[args[1]];
+          var to_codes = function (types) {
+            return Buffer.from(types.map(function (type_name) { return packet.data_types[type_name].code; }));
+          };
+          return [args[0], args[1],
+                  bowler_device.BOWLER_METHODS_HR[rpc.send.method], to_codes(rpc.send.args),
+                  bowler_device.BOWLER_METHODS_HR[rpc.recv.method], to_codes(rpc.recv.args)];
+        }
+      }
+    ]
+  };
+};
+
+/* ### attach(transport[, callback]) ###
+ *
+ * This method makes the mock device listen for
+ * requests on the given transport (and send replies
+ * on it), opening it if necessary.
+ *
+ * callback: function(err)
+ */
+MockBowlerDevice.prototype.attach = function (transport, cb) {
+  if (this.transport) this.detach();
+
+  var self = this;
+  this.transport = transport;
+  this._framer.reset();
+  this._on_data = function (data) { self._framer.push(data); };
+  transport.on('data', this._on_data);
+  transport.open(cb);
+};
+
+/* ### detach() ###
+ *
+ * This method stops the mock device from listening
+ * to its current transport.  The transport is not closed.
+ */
+MockBowlerDevice.prototype.detach = function () {
+  if (!this.transport) return;
+  this.transport.removeListener('data', this._on_data);
+  this.transport = null;
+  this._on_data = null;
+};
+
+/* ### script(selector, behavior) ###
+ *
+ * This method changes how the mock device replies
+ * to matching requests.  The selector may be a string
+ * of the form 'namespace#rpc', an object with any of the
+ * properties `namespace`, `rpc`, and `method`, or null to
+ * match every request.  The behavior is an object with the
+ * following optional properties:
+ *
+ * - *delay*: delay the reply by this many milliseconds
+ * - *drop*: if true, don't reply at all
+ * - *corrupt*: corrupt the reply: 'checksum' (the header checksum),
+ *   'version' (the version byte), 'payload' (the last byte), or a
+ *   function which takes and returns the raw reply Buffer
+ * - *times*: only apply this behavior to this many requests
+ *   (forever, by default)
+ *
+ * Behaviors are checked in the order they were added, and
+ * the first matching one is used.  This method returns the
+ * mock device, so calls can be chained.
+ */
+MockBowlerDevice.prototype.script = function (selector, behavior) {
+  if (typeof selector === 'string') {
+    var parts = selector.split('#');
+    selector = { namespace: parts[0], rpc: parts[1] };
+  }
+
+  var entry = {};
+  bowler_util.extend(entry, behavior);
+  entry.selector = selector || {};
+  if (entry.times === undefined) entry.times = Infinity;
+  this._behaviors.push(entry);
+  return this;
+};
+
+/* ### clear_script() ###
+ *
+ * This method removes all behaviors
+ * added using `script(...)`.
+ */
+MockBowlerDevice.prototype.clear_script = function () {
+  this._behaviors = [];
+};
+
+/* ### send_packet(method, namespace, rpc, values) ###
+ *
+ * This method sends an unsolicited packet for the
+ * given RPC with the given method (e.g. 'async'),
+ * serializing the values according to the RPC's
+ * `recv.args`.  A raw Buffer may be passed instead
+ * of the values to use it as the body directly.
+ */
+MockBowlerDevice.prototype.send_packet = function (method, namespace, rpc_name, values) {
+  var ns_ind = this._namespace_index(namespace);
+  if (ns_ind < 0) throw new Error('The mock device does not support the namespace ' + namespace);
+
+  var body = values;
+  if (!Buffer.isBuffer(body)) {
+    var rpc = this._find_rpc(this.namespaces[ns_ind], rpc_name, null);
+    if (!rpc) throw new Error('The mock device does not support the RPC ' + namespace + '#' + rpc_name);
+    body = packet.serialize_values(rpc.recv.args, values);
+  }
+
+  this._write(bowler_device.make_datagram(this.mac_address_bytes, method, ns_ind, rpc_name, body, 1));
+};
+
+MockBowlerDevice.prototype._namespace_index = function (name) {
+  for (var i = 0; i < this.namespaces.length; i++) {
+    if (this.namespaces[i].name === name) return i;
+  }
+  return -1;
+};
+
+MockBowlerDevice.prototype._find_rpc = function (ns, rpc_name, send_method) {
+  for (var i = 0; i < ns.rpcs.length; i++) {
+    var rpc = ns.rpcs[i];
+    if (rpc.name === rpc_name && (!send_method || rpc.send.method === send_method)) return rpc;
+  }
+  return null;
+};
+
+MockBowlerDevice.prototype._write = function (raw) {
+  if (!this.transport) return;
+  this.transport.write(raw);
+};
+
+MockBowlerDevice.prototype._handle_packet = function (raw) {
+  // ignore packets addressed to other devices
+  var to_broadcast = true;
+  var to_us = true;
+  var mac_bytes = this.mac_address_bytes;
+  for (var i = 0; i < 6; i++) {
+    if (raw[1+i] !== 0xFF) to_broadcast = false;
+    if (raw[1+i] !== mac_bytes[i]) to_us = false;
+  }
+  if (!to_broadcast && !to_us) return;
+
+  var ns_ind = raw[8] & 0x7F;
+  var ns = this.namespaces[ns_ind];
+  var request = {
+    method: bowler_device.BOWLER_METHODS[raw[7]],
+    namespace: ns ? ns.name : ns_ind,
+    rpc: raw.slice(bowler_device.BOWLER_HEADER_SIZE, bowler_device.BOWLER_HEADER_SIZE + 4).toString('ascii'),
+    args: null,
+    raw: raw
+  };
+
+  var rpc = ns ? this._find_rpc(ns, request.rpc, request.method) : null;
+  if (!rpc) {
+    this.received.push(request);
+    this.emit('unhandled', request);
+    return;
+  }
+
+  request.args = packet.deserialize_values(rpc.send.args, raw, bowler_device.BOWLER_HEADER_SIZE + 4);
+  this.received.push(request);
+  this.emit('request', request);
+
+  var result;
+  if (rpc.handler) result = rpc.handler.call(this, request.args, request);
+  else if (rpc.reply) result = rpc.reply;
+  else result = rpc.recv.args.map(function (type_name) { return DEFAULT_VALUES[type_name]; });
+
+  if (!result) return; // the handler doesn't want to reply
+
+  var body = Buffer.isBuffer(result) ? result : packet.serialize_values(rpc.recv.args, result);
+  var reply = bowler_device.make_datagram(mac_bytes, rpc.recv.method, ns_ind, rpc.name, body, 1);
+  this._send_reply(reply, request);
+};
+
+MockBowlerDevice.prototype._send_reply = function (reply, request) {
+  var behavior = null;
+  for (var i = 0; i < this._behaviors.length; i++) {
+    var candidate = this._behaviors[i];
+    var sel = candidate.selector;
+    if (candidate.times <= 0) continue;
+    if (sel.namespace && sel.namespace !== request.namespace) continue;
+    if (sel.rpc && sel.rpc !== request.rpc) continue;
+    if (sel.method && sel.method !== request.method) continue;
+
+    behavior = candidate;
+    behavior.times--;
+    break;
+  }
+
+  if (!behavior) behavior = {};
+  if (behavior.drop) return;
+
+  if (behavior.corrupt) {
+    reply = Buffer.from(reply);
+    if (behavior.corrupt instanceof Function) reply = behavior.corrupt(reply);
+    else if (behavior.corrupt === 'checksum') reply[10] = (reply[10] + 1) & 0xFF;
+    else if (behavior.corrupt === 'version') reply[0] = (reply[0] + 1) & 0xFF;
+    else if (behavior.corrupt === 'payload') reply[reply.length-1] = reply[reply.length-1] ^ 0xFF;
+  }
+
+  var self = this;
+  var delay = behavior.delay !== undefined ? behavior.delay : this.default_delay;
+  var send = function () {
+    self._write(reply);
+    self.emit('reply', reply, request);
+  };
+
+  if (delay > 0) setTimeout(send, delay);
+  else send();
+};
+
+Object.defineProperty(MockBowlerDevice.prototype, 'mac_address_bytes', {
+  enumerable: true,
+  configurable: false,
+  get: function () {
+    return this.mac_address.split(':').map(function (b) { return parseInt(b, 16); });
+  }
+});
+
+/* make_mock_pair([description])
+ * -----------------------------
+ *
+ * This function creates a MockBowlerDevice with the
+ * given description, attached to one end of a new
+ * loopback transport pair.  It returns an Array containing
+ * the other end of the pair (to pass to `BowlerDevice#connect`)
+ * and the mock device.
+ */
+var make_mock_pair = function (description) {
+  var transports = loopback.make_pair();
+  var mock = new MockBowlerDevice(description);
+  mock.attach(transports[1]);
+  return [transports[0], mock];
+};
+
+module.exports = {
+  MockBowlerDevice: MockBowlerDevice,
+  make_mock_pair: make_mock_pair
+};
@@ -0,0 +1,34 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.module_path` namespace
+// ============================
+
+var Module = require('module');
+var path = require('path');
+
+// The modules of this library require each other as
+// `dyio/...`, which only resolves when the directory
+// holding them is on NODE_PATH under the name 'dyio'.
+// Requiring this module (by its relative path) makes
+// `dyio` and `dyio/...` resolve to this directory
+// instead, so that scripts which ship with the library
+// (such as `bin/bowler` and the tests) work without any
+// setup.  It only affects requests for 'dyio' itself.
+
+const LIB_DIR = __dirname;
+
+var resolve_filename = Module._resolveFilename;
+
+if (!resolve_filename._dyio_lib_dir) {
+  Module._resolveFilename = function (request, parent, is_main, opts) {
+    if (request === 'dyio' || request.indexOf('dyio/') === 0) {
+      request = path.join(LIB_DIR, request.slice('dyio'.length));
+    }
+    return resolve_filename.call(this, request, parent, is_main, opts);
+  };
+  Module._resolveFilename._dyio_lib_dir = LIB_DIR;
+}
+
+module.exports = {
+  LIB_DIR: LIB_DIR
+};
@@ -76,7 +76,7 @@ var data_types = {
     code: 37,
     deserialize: function (buff, ind) {
       var len = buff.readUInt8(ind);
-      var new_buff = new Buffer(len);
+      var new_buff = Buffer.alloc(len);
       buff.copy(new_buff, 0, ind+1, ind+1+len);
       return [new_buff, len+1];
     },
@@ -93,13 +93,13 @@ var data_types = {
     code: 37,
     deserialize: function (buff, ind) {
       var len = buff.readUInt8(ind);
-      return [new Uint8Array(buff.slice(ind, ind+len).toArrayBuffer()), len+1];
+      return [new Uint8Array(buff.slice(ind+1, ind+1+len)), len+1];
     },
     serialize: function (input, buff, ind) {
-      var len = ab.length;
+      var len = input.length;
       buff.writeUInt8(len, ind);
       for (var i = 0; i < len; i++) {
-        buff.writeUInt8(ab[i], ind+1+i);
+        buff.writeUInt8(input[i], ind+1+i);
       }
       return len+1;
     }
@@ -123,10 +123,10 @@ var data_types = {
       }
     },
     serialize: function (input, buff, ind) {
-      var len = ab.length;
+      var len = input.length;
       buff.writeUInt8(len, ind);
       for (var i = 0; i < len; i++) {
-        buff.writeInt32BE(ab[i], ind+1+i*4);
+        buff.writeInt32BE(input[i], ind+1+i*4);
       }
       return len*4+1;
     }
@@ -136,14 +136,15 @@ var data_types = {
     width: null,
     get_width: function (val, enc) {
       if (!enc) enc = 'ascii';
-      return Buffer.byteLength(val, enc);
+      if (val.charCodeAt(val.length-1) === 0) return Buffer.byteLength(val, enc);
+      return Buffer.byteLength(val, enc) + 1;  // for the null terminator
     },
     code: 39,
     deserialize: function (buff, ind, enc) {
       if (!enc) enc = 'ascii';
       var stop_ind;
       for (stop_ind = ind; stop_ind < buff.length; stop_ind++) {
-        if (buff[stop_ind] == '\0') break;
+        if (buff[stop_ind] === 0) break;
       }
       return [buff.toString(enc, ind, stop_ind), stop_ind-ind+1];
     },
@@ -162,14 +163,14 @@ var data_types = {
     width: 4,
     code: 41,
     deserialize: function (buff, ind) { return buff.readInt32BE(ind)/100.0; },
-    serialize: function (input_obj, ind) { buff.writeInt32BE(input_obj*100, ind); return 4; }
+    serialize: function (input_obj, buff, ind) { buff.writeInt32BE(Math.round(input_obj*100), ind); return 4; }
   },
   'FixedPointThreePlaces': {
     header_name: 'BOWLER_FIXED1K',
     width: 4,
     code: 42,
     deserialize: function (buff, ind) { return buff.readInt32BE(ind)/1000.0; },
-    serialize: function (input_obj, ind) { buff.writeInt32BE(input_obj*1000, ind); return 4; }
+    serialize: function (input_obj, buff, ind) { buff.writeInt32BE(Math.round(input_obj*1000), ind); return 4; }
   }
 };
 
@@ -203,7 +204,7 @@ var PacketByteContainer = function(src) {
    * source byte buffer.
    */
   var ByteRange = function(src, start, end) {
-    this.buff = Buffer(end - start+1);
+    this.buff = Buffer.alloc(end - start+1);
     src.copy(this.buff, 0, start, end+1);
     this.src = src;
     this.start = start;
@@ -230,7 +231,7 @@ var PacketByteContainer = function(src) {
      * of the source byte buffer.
      */
     this.to_end = function() {
-      return new ByteRange(this.src, this.start, this.src.length);
+      return new ByteRange(this.src, this.start, this.src.length - 1);
     };
 
     /* #### to_null(include_null = false) ####
@@ -434,7 +435,7 @@ var PacketByteContainer = function(src) {
       var num_slices = Math.floor(this.buff.length/num_bytes);
       for (var i = 0; i < num_slices; i++) {
         var curr_loc = i*num_bytes;
-        res.push(cb(ByteRange(this.buff, curr_loc, curr_loc+num_bytes-1)));
+        res.push(cb(new ByteRange(this.buff, curr_loc, curr_loc+num_bytes-1)));
       }
 
       return res;
@@ -471,7 +472,7 @@ var PacketByteContainer = function(src) {
    * buffer is used.
    */
   this.bytes = function(start, end) {
-    if (start === end === null) return this.all_bytes();
+    if (start === undefined && end === undefined) return this.all_bytes();
     return new ByteRange(this.src, start, end);
   };
 
@@ -527,11 +528,11 @@ var PacketAssembler = function (offset) {
   this.offset = offset || 0;
 
   this.bytes = function (start, end) {
-    return new ByteRange(this, offset + start, offset + end);
+    return new ByteRange(this, this.offset + start, this.offset + end);
   };
 
   this.byte = function (start) {
-    return new ByteRange(this, offset + start, offset + start);
+    return new ByteRange(this, this.offset + start, this.offset + start);
   };
 
   /* ### ByteRange ###
@@ -614,6 +615,21 @@ var PacketAssembler = function (offset) {
       });
     };
 
+    /* #### fromRawString(val) ####
+     *
+     * This method writes the characters of a
+     * string directly into the specified bytes,
+     * without a null terminator or length prefix
+     * (e.g. for RPC names).  The string is padded
+     * with nulls or truncated to fit the ByteRange.
+     */
+    this.fromRawString = function(val) {
+      this.dest.instructions.push(function (buff) {
+        buff.fill(0, self.start, self.end + 1);
+        return buff.write(val, self.start, self.end - self.start + 1, 'ascii');
+      });
+    };
+
     /* #### fromBuffer(val) ####
      *
      * This method writes a buffer to the bytes
@@ -694,9 +710,9 @@ var PacketAssembler = function (offset) {
    * a new Buffer, and returns it.
    */
   this.assemble = function () {
-    var buff = new Buffer(this.length);
+    var buff = Buffer.alloc(this.length);
 
-    instructions.forEach(function (func) {
+    this.instructions.forEach(function (func) {
       func(buff);
     });
     return buff;
@@ -734,10 +750,57 @@ var PacketAssembler = function (offset) {
   };
 };
 
+/* serialize_values(types, values)
+ * -------------------------------
+ *
+ * This function serializes the given Array of
+ * values into a new Buffer, one after the other,
+ * using the corresponding entries of the given
+ * Array of `data_types` names.
+ */
+var serialize_values = function (types, values) {
+  var widths = types.map(function (type_name, i) {
+    var data_type = data_types[type_name];
+    return data_type.width || data_type.get_width(values[i]);
+  });
+
+  var buff = Buffer.alloc(widths.reduce(function (a, b) { return a + b; }, 0));
+  var ind = 0;
+  for (var i = 0; i < types.length; i++) {
+    data_types[types[i]].serialize(values[i], buff, ind);
+    ind += widths[i];
+  }
+  return buff;
+};
+
+/* deserialize_values(types, buff[, start])
+ * ----------------------------------------
+ *
+ * This function is the inverse of `serialize_values`:
+ * it reads one value for each of the given `data_types`
+ * names from the Buffer, one after the other, and returns
+ * them as an Array.
+ */
+var deserialize_values = function (types, buff, start) {
+  var ind = start || 0;
+  return types.map(function (type_name) {
+    var data_type = data_types[type_name];
+    var parsed = data_type.deserialize(buff, ind);
+    if (data_type.width) {
+      ind += data_type.width;
+      return parsed;
+    }
+    ind += parsed[1];
+    return parsed[0];
+  });
+};
+
 module.exports = {
   PacketByteContainer: PacketByteContainer,
   PacketAssembler: PacketAssembler,
-  data_types: data_types
+  data_types: data_types,
+  serialize_values: serialize_values,
+  deserialize_values: deserialize_values
 };
 
 var _data_codes_cache = null;
@@ -747,8 +810,12 @@ Object.defineProperty(module.exports, 'data_codes', {
   configurable: false,
   get: function () {
     if (!_data_codes_cache) {
+      _data_codes_cache = {};
       for (var type_name in data_types) {
-        _data_codes_cache[data_types[type_name].code] = type_name;
+        // several types share a code, so the first listed type wins
+        if (_data_codes_cache[data_types[type_name].code] === undefined) {
+          _data_codes_cache[data_types[type_name].code] = type_name;
+        }
       }
     }
     return _data_codes_cache;
@@ -0,0 +1,401 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.pid` namespace
+// ====================
+
+var bowler_util = require('dyio/util');
+
+// This module wraps the 'bcs.pid' namespace (see
+// `dyio.extra_namespaces.bcs_pid`) in objects, so that
+// PID loops can be configured with named settings instead
+// of the ten positional arguments of `cpid`.
+
+// the settings of a PID loop, in the order `cpid` takes them (after the channel)
+const CONFIG_FIELDS = ['enabled', 'polarity', 'async', 'Kp', 'Ki', 'Kd', 'latch', 'use_index_latch', 'stop_on_latch'];
+
+// the settings which are sent as numbers but are really flags
+const FLAG_FIELDS = ['polarity', 'use_index_latch'];
+
+// make sure the device can talk 'bcs.pid', with the named arguments from the schema
+var pid_handler = function (device) {
+  if (!device.describe_rpc('bcs.pid', 'cpid', 'critical')) device.supports_namespace('bcs.pid');
+  commanded_set_points(device);
+  return device.command_to.pid;
+};
+
+// the set-points last sent to the loops of each device, by channel
+var set_points_by_device = new WeakMap();
+
+// keep track of the set-points sent to the given device (by any code)
+// from now on, returning the object they are recorded in; channels
+// without a set-point (e.g. after `kpid`, `rpid`, or `_vpd`) aren't in it
+var commanded_set_points = function (device) {
+  var set_points = set_points_by_device.get(device);
+  if (set_points) return set_points;
+
+  set_points = {};
+  set_points_by_device.set(device, set_points);
+  device.on('request_complete', function (request_info) {
+    if (request_info.namespace !== 'bcs.pid') return;
+
+    var args = request_info.args;
+    if (request_info.rpc === '_pid' && request_info.method === 'post') {
+      set_points[args[0]] = args[2];  // the time comes before the set-point
+    }
+    else if (request_info.rpc === 'apid' && request_info.method === 'post') {
+      Array.prototype.forEach.call(args[1], function (set_point, channel) { set_points[channel] = set_point; });
+    }
+    else if (request_info.rpc === 'rpid' || request_info.rpc === '_vpd') {
+      delete set_points[args[0]];
+    }
+    else if (request_info.rpc === 'kpid') {
+      for (var channel in set_points) delete set_points[channel];
+    }
+  });
+
+  return set_points;
+};
+
+/* PIDChannel
+ * ----------
+ *
+ * Constructor: function(BowlerDevice, number)
+ *
+ * This class represents the PID loop of a single
+ * channel of a device which supports the 'bcs.pid'
+ * namespace.  The configuration of the loop is an
+ * object with the following properties:
+ *
+ *    {
+ *      enabled: bool,
+ *      polarity: bool(true if the output is inverted),
+ *      async: bool(whether the device pushes position updates),
+ *      Kp: number,
+ *      Ki: number,
+ *      Kd: number,
+ *      latch: int(the position to reset to at the latch),
+ *      use_index_latch: bool,
+ *      stop_on_latch: bool
+ *    }
+ *
+ * All of the methods which talk to the device return
+ * a Promise, and accept an optional node-style callback
+ * as their last argument.  Failures reported by the device
+ * (status replies with a nonzero location, see `dyio.status`)
+ * reject the Promise with a `dyio.errors.BowlerStatusError`,
+ * in which case `config` is left as it was.
+ */
+var PIDChannel = function (device, number) {
+  this.device = device;
+  this.number = number;
+
+  /* ### config ###
+   *
+   * The last known configuration of this
+   * loop (see above), or null if it hasn't
+   * been read or written yet.
+   */
+  this.config = null;
+};
+
+/* ### read_config([callback]) ###
+ *
+ * This method fetches the configuration of this
+ * loop from the device (with `cpid`), updating `config`.
+ *
+ * callback: function(err, config)
+ */
+PIDChannel.prototype.read_config = function (cb) {
+  var self = this;
+  return bowler_util.with_callback(pid_handler(this.device).cpid.get(this.number).then(function (res) {
+    var config = {};
+    CONFIG_FIELDS.forEach(function (field) {
+      config[field] = (FLAG_FIELDS.indexOf(field) > -1) ? !!res[field] : res[field];
+    });
+
+    self.config = config;
+    return config;
+  }), cb);
+};
+
+/* ### configure(settings[, callback]) ###
+ *
+ * This method changes the given settings of this
+ * loop (any of the configuration properties), keeping
+ * the others as they are.  The current configuration is
+ * read first if it isn't known yet.
+ *
+ * callback: function(err, config)
+ */
+PIDChannel.prototype.configure = function (settings, cb) {
+  var self = this;
+  return bowler_util.with_callback((async function () {
+    for (var setting in settings) {
+      if (CONFIG_FIELDS.indexOf(setting) < 0) throw new Error('Unknown PID setting ' + setting);
+    }
+
+    if (!self.config) await self.read_config();
+
+    var config = {};
+    CONFIG_FIELDS.forEach(function (field) {
+      config[field] = (settings[field] !== undefined) ? settings[field] : self.config[field];
+    });
+
+    var args = [self.number].concat(CONFIG_FIELDS.map(function (field) {
+      if (FLAG_FIELDS.indexOf(field) > -1) return config[field] ? 1 : 0;
+      return config[field];
+    }));
+
+    var cpid = pid_handler(self.device).cpid;
+    await cpid.critical.apply(cpid, args);
+    self.config = config;
+    return config;
+  })(), cb);
+};
+
+/* ### set_gains(Kp, Ki, Kd[, callback]) ###
+ *
+ * This method sets the gains of this loop.
+ *
+ * callback: function(err, config)
+ */
+PIDChannel.prototype.set_gains = function (Kp, Ki, Kd, cb) {
+  return this.configure({ Kp: Kp, Ki: Ki, Kd: Kd }, cb);
+};
+
+/* ### enable([callback]) ###
+ *
+ * This method turns this loop on.
+ *
+ * callback: function(err, config)
+ */
+PIDChannel.prototype.enable = function (cb) {
+  return this.configure({ enabled: true }, cb);
+};
+
+/* ### disable([callback]) ###
+ *
+ * This method turns this loop off.
+ *
+ * callback: function(err, config)
+ */
+PIDChannel.prototype.disable = function (cb) {
+  return this.configure({ enabled: false }, cb);
+};
+
+/* ### set_latch(position[, options][, callback]) ###
+ *
+ * This method sets the position this loop resets
+ * to when it reaches the latch.  The options object may
+ * contain the *use_index_latch* and *stop_on_latch* flags.
+ *
+ * callback: function(err, config)
+ */
+PIDChannel.prototype.set_latch = function (position, opts, cb) {
+  if (opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+  if (!opts) opts = {};
+
+  return this.configure({ latch: position, use_index_latch: opts.use_index_latch, stop_on_latch: opts.stop_on_latch }, cb);
+};
+
+/* ### move_to(position[, time][, callback]) ###
+ *
+ * This method sets the set-point of this loop
+ * (with `_pid`), moving to it over the given amount
+ * of time (in milliseconds, immediately by default).
+ *
+ * callback: function(err)
+ */
+PIDChannel.prototype.move_to = function (position, time, cb) {
+  if (time instanceof Function) {
+    cb = time;
+    time = 0;
+  }
+
+  return bowler_util.with_callback(pid_handler(this.device)._pid.post(this.number, time || 0, position).then(function () {}), cb);
+};
+
+/* ### move_at(velocity[, time][, callback]) ###
+ *
+ * This method runs this loop at the given velocity
+ * (with `_vpd`), for the given amount of time (in
+ * milliseconds, indefinitely by default).
+ *
+ * callback: function(err)
+ */
+PIDChannel.prototype.move_at = function (velocity, time, cb) {
+  if (time instanceof Function) {
+    cb = time;
+    time = 0;
+  }
+
+  return bowler_util.with_callback(pid_handler(this.device)._vpd(this.number, time || 0, velocity).then(function () {}), cb);
+};
+
+/* ### get_position([callback]) ###
+ *
+ * This method fetches the current position
+ * of this loop.
+ *
+ * callback: function(err, position)
+ */
+PIDChannel.prototype.get_position = function (cb) {
+  return bowler_util.with_callback(pid_handler(this.device)._pid.get(this.number).then(function (res) {
+    return res.position;
+  }), cb);
+};
+
+/* ### reset_encoder([position][, callback]) ###
+ *
+ * This method tells the loop that it is currently
+ * at the given position (0 by default), without
+ * moving it (with `rpid`).
+ *
+ * callback: function(err)
+ */
+PIDChannel.prototype.reset_encoder = function (position, cb) {
+  if (position instanceof Function) {
+    cb = position;
+    position = 0;
+  }
+
+  return bowler_util.with_callback(pid_handler(this.device).rpid(this.number, position || 0).then(function () {}), cb);
+};
+
+/* ### subscribe(listener) ###
+ *
+ * This method registers a listener for the positions
+ * of this loop pushed asynchronously by the device,
+ * either individually (`bcs.pid#_pid`) or as part of all
+ * of the positions (`bcs.pid#apid`).  The loop must be
+ * configured with `async: true` for the device to push them.
+ * The `dyio.bowler_device.BowlerSubscription` is returned.
+ *
+ * listener: function(position, channel)
+ */
+PIDChannel.prototype.subscribe = function (listener) {
+  var self = this;
+  pid_handler(this.device);
+  return this.device.subscribe('bcs.pid', function (data, base_packet) {
+    var position;
+    if (base_packet.rpc === '_pid' && data.channel === self.number) position = data.position;
+    else if (base_packet.rpc === 'apid' && data.values.length > self.number) position = data.values[self.number];
+    else return;
+
+    listener.call(self, position, self);
+  });
+};
+
+/* PIDGroup
+ * --------
+ *
+ * Constructor: function(BowlerDevice, channels)
+ *
+ * This class represents several PID loops of the
+ * same device which move together (with `apid`).  The
+ * channels may be given as channel numbers or PIDChannels.
+ * Since `apid` sets every loop of the device at once, the
+ * loops outside of the group are sent their last set-point
+ * again (as sent by any code through the same BowlerDevice,
+ * since this module was first used with it), so that moves already under
+ * way keep their targets.  Note that such a move is then given
+ * the group's time to finish in.  Loops with no known set-point
+ * (e.g. ones which were never moved, or were last run at a
+ * velocity) are told to stay where they currently are.
+ */
+var PIDGroup = function (device, channels) {
+  this.device = device;
+
+  /* ### channels ###
+   *
+   * The PIDChannels in this group.
+   */
+  this.channels = channels.map(function (channel) {
+    return (channel instanceof PIDChannel) ? channel : new PIDChannel(device, channel);
+  });
+};
+
+/* ### get_positions([callback]) ###
+ *
+ * This method fetches the current positions of
+ * the loops in this group, as an Array in the order
+ * of `channels`.
+ *
+ * callback: function(err, positions)
+ */
+PIDGroup.prototype.get_positions = function (cb) {
+  var self = this;
+  return bowler_util.with_callback(pid_handler(this.device).apid.get().then(function (res) {
+    return self.channels.map(function (channel) { return res.values[channel.number]; });
+  }), cb);
+};
+
+/* ### move_to(positions[, time][, callback]) ###
+ *
+ * This method moves the loops in this group to the
+ * given positions (an Array in the order of `channels`)
+ * together, over the given amount of time (in milliseconds,
+ * immediately by default).
+ *
+ * callback: function(err)
+ */
+PIDGroup.prototype.move_to = function (positions, time, cb) {
+  if (time instanceof Function) {
+    cb = time;
+    time = 0;
+  }
+
+  var self = this;
+  return bowler_util.with_callback((async function () {
+    if (positions.length !== self.channels.length) {
+      throw new Error('Expected ' + self.channels.length + ' positions, got ' + positions.length);
+    }
+
+    var apid = pid_handler(self.device).apid;
+    var commanded = commanded_set_points(self.device);
+    var set_points = Int32Array.from((await apid.get()).values);
+    for (var channel in commanded) {
+      if (channel < set_points.length) set_points[channel] = commanded[channel];
+    }
+
+    self.channels.forEach(function (channel, i) {
+      if (channel.number >= set_points.length) throw new Error('The device has no PID channel ' + channel.number);
+      set_points[channel.number] = positions[i];
+    });
+
+    await apid.post(time || 0, set_points);
+  })(), cb);
+};
+
+/* ### kill([callback]) ###
+ *
+ * This method stops every PID loop of the device
+ * (see `kill_all(...)`).
+ *
+ * callback: function(err)
+ */
+PIDGroup.prototype.kill = function (cb) {
+  return kill_all(this.device, cb);
+};
+
+/* kill_all(device[, callback])
+ * ----------------------------
+ *
+ * This function stops every PID loop of the
+ * given device at once (with `kpid`).
+ *
+ * callback: function(err)
+ */
+var kill_all = function (device, cb) {
+  return bowler_util.with_callback(pid_handler(device).kpid().then(function () {}), cb);
+};
+
+module.exports = {
+  CONFIG_FIELDS: CONFIG_FIELDS,
+  PIDChannel: PIDChannel,
+  PIDGroup: PIDGroup,
+  kill_all: kill_all
+};
@@ -0,0 +1,325 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.repl` namespace
+// =====================
+
+var bowler_util = require('dyio/util');
+var CommandHandler = require('dyio/command_handler').CommandHandler;
+var repl = require('repl');
+var util = require('util');
+
+// This module provides an interactive prompt for talking
+// to a Bowler device.  The root of the device's CommandHandler
+// tree (`command_to`) is available as the global scope, so
+// `bcs.pid.cpid.get(0)` and `_nms(0)` work as expected, and
+// the Promises returned by RPC calls are awaited automatically.
+
+// CommandHandler properties which aren't namespaces or RPCs
+const HANDLER_PROPERTIES = ['bowler_device', 'namespace_as_list', 'multimethod'];
+
+/* handler_members(handler)
+ * ------------------------
+ *
+ * This function lists the names of the namespaces
+ * and RPCs (or RPC methods, for multi-method RPCs)
+ * available from the given CommandHandler.
+ */
+var handler_members = function (handler) {
+  return Object.keys(handler).filter(function (key) {
+    return HANDLER_PROPERTIES.indexOf(key) === -1;
+  }).sort();
+};
+
+/* format_signature(description)
+ * -----------------------------
+ *
+ * This function formats an RPC description from
+ * `BowlerDevice#describe_rpc(...)` as a single line
+ * of the form
+ *
+ *    namespace#rpc method(name: type, ...) -> method(name: type, ...)
+ */
+var format_signature = function (description) {
+  var format_args = function (args) {
+    if (!args) return '(?)';
+    return '(' + args.map(function (arg) {
+      return arg.type ? arg.name + ': ' + arg.type : arg.name;
+    }).join(', ') + ')';
+  };
+
+  var res = description.namespace + '#' + description.name + ' ' +
+            description.send.method + format_args(description.send.args);
+  if (description.recv.method) res += ' -> ' + description.recv.method + format_args(description.recv.args);
+  return res;
+};
+
+/* describe_target(device, target)
+ * -------------------------------
+ *
+ * This function returns the RPC descriptions (see
+ * `BowlerDevice#describe_rpc(...)`) for the given RPC
+ * caller or multi-method RPC from a CommandHandler, or
+ * for the given 'namespace#rpc' string.
+ */
+var describe_target = function (device, target) {
+  var description;
+
+  if (typeof target === 'string') {
+    var parts = target.split('#');
+    if (parts.length !== 2) throw new Error('Expected a string of the form "namespace#rpc", got "' + target + '"');
+
+    // go through the CommandHandler tree, which knows about multi-method RPCs
+    target = device.command_to;
+    parts[0].split('.').concat([parts[1]]).forEach(function (part) {
+      target = (target instanceof CommandHandler) ? target[part] : undefined;
+    });
+    if (!target) throw new Error('Unknown RPC ' + parts[0] + '#' + parts[1]);
+  }
+
+  if (target instanceof Function && target.rpc_info) {
+    description = device.describe_rpc(target.rpc_info.namespace, target.rpc_info.name, target.rpc_info.method);
+    return description ? [description] : [];
+  }
+
+  if (target instanceof CommandHandler && target.multimethod) {
+    return handler_members(target).map(function (method) {
+      return describe_target(device, target[method])[0];
+    }).filter(Boolean);
+  }
+
+  throw new Error('Can only describe RPCs (got ' + util.inspect(target) + ')');
+};
+
+/* BowlerREPL
+ * ----------
+ *
+ * Constructor: function(BowlerDevice[, options])
+ *
+ * This class runs an interactive prompt (a node REPL)
+ * for the given (connected) device.  The namespaces and
+ * RPCs of the device's `command_to` CommandHandler are
+ * globals at the prompt, along with the following:
+ *
+ * - `device`: the BowlerDevice itself
+ * - `command_to`: the root CommandHandler
+ * - `describe(rpc)`: prints the signature of the given
+ *   RPC caller, multi-method RPC, or 'namespace#rpc' string
+ *
+ * Namespaces and RPC names are tab-completed by walking the
+ * CommandHandler tree, and completing after an opening parenthesis
+ * (e.g. `bcs.pid.cpid.get(<TAB>`) prints the RPC's signature,
+ * including argument types when they are known (see
+ * `BowlerDevice#describe_rpc(...)`).  When an expression evaluates
+ * to a Promise, the prompt waits for it and prints the result.
+ *
+ * If you are using the autopopulation methods of BowlerDevice,
+ * autopopulate before creating the prompt.  The options are
+ * passed on to `repl.start(...)` (e.g. *input*, *output*, and
+ * *prompt*, which defaults to 'bowler> ').
+ */
+var BowlerREPL = function (device, opts) {
+  if (!opts) opts = {};
+
+  this.device = device;
+  this.output = opts.output || process.stdout;
+
+  var repl_opts = { prompt: 'bowler> ', ignoreUndefined: true };
+  for (var opt in opts) repl_opts[opt] = opts[opt];
+
+  /* ### server ###
+   *
+   * The underlying `repl.REPLServer`.
+   */
+  this.server = repl.start(repl_opts);
+
+  this._default_completer = this.server.completer;
+  this.server.completer = this.complete.bind(this);
+
+  var default_eval = this.server.eval;
+  this.server.eval = function (cmd, context, filename, cb) {
+    default_eval.call(this, cmd, context, filename, function (err, res) {
+      if (err || !res || !(res.then instanceof Function)) {
+        cb(err, res);
+        return;
+      }
+
+      res.then(function (val) { cb(null, val); }, function (err) { cb(err); });
+    });
+  };
+
+  this.reset_context();
+
+  var self = this;
+  this.server.on('reset', function () { self.reset_context(); });
+};
+
+/* ### reset_context() ###
+ *
+ * This method (re)populates the globals of
+ * the prompt from the device's `command_to`.
+ * Call it after populating new namespaces.
+ */
+BowlerREPL.prototype.reset_context = function () {
+  var self = this;
+  var context = this.server.context;
+  var command_to = this.device.command_to;
+
+  handler_members(command_to).forEach(function (name) {
+    Object.defineProperty(context, name, {
+      enumerable: true,
+      configurable: true,
+      get: function () {
+        var handler = self.device.command_to;
+        var member = handler[name];
+        if (!(member instanceof Function)) return member;
+
+        // RPC callers need the CommandHandler as `this`
+        var bound = member.bind(handler);
+        bound.rpc_info = member.rpc_info;
+        return bound;
+      }
+    });
+  });
+
+  context.device = this.device;
+  context.command_to = command_to;
+  context.describe = function (target) {
+    describe_target(self.device, target).forEach(function (description) {
+      self.output.write(format_signature(description) + '\n');
+    });
+  };
+};
+
+/* ### resolve(path) ###
+ *
+ * This method looks up the given dot-separated
+ * path (such as 'bcs.pid.cpid') in the globals of
+ * the prompt, only following CommandHandlers past
+ * the first part.  It returns undefined if the path
+ * cannot be found.
+ */
+BowlerREPL.prototype.resolve = function (path) {
+  var parts = path.split('.');
+  var target = this.server.context[parts[0]];
+
+  for (var i = 1; i < parts.length; i++) {
+    if (!(target instanceof CommandHandler)) return undefined;
+    target = target[parts[i]];
+  }
+
+  return target;
+};
+
+/* ### complete(line, callback) ###
+ *
+ * This method is the prompt's tab-completion function.
+ * Paths through the CommandHandler tree are completed
+ * here, and everything else is left to the default
+ * node completer.
+ *
+ * callback: function(err, [completions, completed_substring])
+ */
+BowlerREPL.prototype.complete = function (line, cb) {
+  var match = /([A-Za-z_$][\w$]*(?:\.[\w$]*)*)(\(?)$/.exec(line);
+  if (!match) {
+    this._default_completer(line, cb);
+    return;
+  }
+
+  var path = match[1];
+  var target;
+
+  if (match[2]) {
+    // completing the arguments, so show the signature instead
+    target = this.resolve(path);
+    var descriptions = null;
+    try {
+      if (target) descriptions = describe_target(this.device, target);
+    }
+    catch (err) {
+      // not an RPC
+    }
+
+    if (!descriptions || !descriptions.length) {
+      this._default_completer(line, cb);
+      return;
+    }
+
+    this.output.write('\n' + descriptions.map(format_signature).join('\n') + '\n');
+    this.server.displayPrompt(true);
+    cb(null, [[], '']);
+    return;
+  }
+
+  var dot_ind = path.lastIndexOf('.');
+  var partial = path.slice(dot_ind + 1);
+  var names;
+
+  if (dot_ind === -1) {
+    target = this.server.context[partial];
+    if (target instanceof CommandHandler || (target instanceof Function && target.rpc_info)) {
+      names = [partial];
+    }
+    else {
+      // plain JavaScript, most likely
+      this._default_completer(line, cb);
+      return;
+    }
+  }
+  else {
+    target = this.resolve(path.slice(0, dot_ind));
+    if (!(target instanceof CommandHandler)) {
+      this._default_completer(line, cb);
+      return;
+    }
+    names = handler_members(target);
+  }
+
+  var prefix = path.slice(0, dot_ind + 1);
+  var completions = names.filter(function (name) {
+    return name.indexOf(partial) === 0;
+  }).map(function (name) {
+    return prefix + name;
+  });
+
+  cb(null, [completions, path]);
+};
+
+/* ### close() ###
+ *
+ * This method closes the prompt.
+ */
+BowlerREPL.prototype.close = function () {
+  this.server.close();
+};
+
+/* start_repl(device[, options][, callback])
+ * -----------------------------------------
+ *
+ * This function starts a BowlerREPL for the given
+ * device, returning a Promise which is resolved once
+ * the prompt is exited.  The options are the same as
+ * for the BowlerREPL constructor.
+ *
+ * callback: function(err)
+ */
+var start_repl = function (device, opts, cb) {
+  if (opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+
+  var bowler_repl = new BowlerREPL(device, opts);
+  var promise = new Promise(function (resolve) {
+    bowler_repl.server.on('exit', function () { resolve(); });
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+module.exports = {
+  format_signature: format_signature,
+  describe_target: describe_target,
+  BowlerREPL: BowlerREPL,
+  start_repl: start_repl
+};
@@ -0,0 +1,98 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.status` namespace
+// =======================
+
+// Bowler devices answer many requests (especially 'post' and
+// 'critical' ones) with a 'status' packet carrying two bytes:
+// a location code, identifying where in the firmware the reply
+// was produced, and a trace code with further detail.  Generic
+// status replies use the RPC name `_rdy` (success) or `_err`
+// (failure), while some namespaces (such as 'bcs.pid') reply with
+// a status packet for the RPC itself, in which case only the codes
+// tell success from failure: a location code of 0 means success,
+// and any other location code means failure.
+//
+// The meaning of the codes depends on the namespace, so it is
+// looked up in tables of the following form, registered with
+// `BowlerDevice#register_status_codes(...)` (or given as the
+// `status_codes` of a namespace schema):
+//
+//    {
+//      <location>: {
+//        description: string,
+//        error: bool(true by default),
+//        traces: { <trace>: string(a more specific description), ... }
+//      },
+//      ...
+//    }
+
+const READY_RPC = '_rdy';
+const ERROR_RPC = '_err';
+
+/* is_generic_status(base_packet)
+ * ------------------------------
+ *
+ * This function returns true if the given packet
+ * (see `BowlerDevice#BOWLER_PACKET_PARSER`) is a
+ * generic `_rdy` or `_err` status reply.
+ */
+var is_generic_status = function (base_packet) {
+  return base_packet.method === 'status' && (base_packet.rpc === READY_RPC || base_packet.rpc === ERROR_RPC);
+};
+
+/* parse_status(Buffer)
+ * --------------------
+ *
+ * This function reads the location and trace codes
+ * from the payload of a status packet, returning an
+ * object of the form `{ location: uint|null, trace: uint|null }`
+ * (a code is null if the payload is too short to hold it).
+ */
+var parse_status = function (data) {
+  return {
+    location: data.length > 0 ? data[0] : null,
+    trace: data.length > 1 ? data[1] : null
+  };
+};
+
+/* decode_status(rpc, status[, codes])
+ * -----------------------------------
+ *
+ * This function works out what the given status
+ * codes (an object with `location` and `trace`
+ * properties) mean for a status packet with the
+ * given RPC name, using the given table of codes.
+ * It returns an object of the form
+ *
+ *    {
+ *      error: bool,
+ *      description: string|null(if the codes aren't known)
+ *    }
+ *
+ * `_err` packets are always failures and `_rdy` packets
+ * always successes.  Other status packets are failures if
+ * their location code is in the table (and not marked with
+ * `error: false`), or, if it isn't, when it is anything but 0.
+ */
+var decode_status = function (rpc, status, codes) {
+  var entry = codes ? codes[status.location] : null;
+  var description = null;
+  if (entry) description = (entry.traces && entry.traces[status.trace]) || entry.description || null;
+
+  var is_error;
+  if (rpc === ERROR_RPC) is_error = true;
+  else if (rpc === READY_RPC) is_error = false;
+  else if (entry) is_error = (entry.error !== false);
+  else is_error = (status.location !== 0 && status.location !== null);
+
+  return { error: is_error, description: description };
+};
+
+module.exports = {
+  READY_RPC: READY_RPC,
+  ERROR_RPC: ERROR_RPC,
+  is_generic_status: is_generic_status,
+  parse_status: parse_status,
+  decode_status: decode_status
+};
@@ -0,0 +1,213 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.transports` namespace
+// ===========================
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+/* Note: sub-namespaces under this namespace
+ * should export one or more subclasses of
+ * the `Transport` class.
+ */
+
+/* Transport
+ * ---------
+ *
+ * Inherits: events.EventEmitter
+ * Constructor: function()
+ *
+ * This class is the base class for the
+ * various ways of moving raw bytes between
+ * a BowlerDevice and the actual hardware
+ * (a serial port, a socket, etc).  It handles
+ * the bookkeeping common to all transports:
+ * tracking whether or not the transport is open,
+ * and queueing writes so that only one write is
+ * in flight at a time.
+ *
+ * Subclasses must implement the following methods:
+ *
+ * - *_open(callback)*: open the underlying connection,
+ *   calling `callback(err)` when done
+ * - *_close(callback)*: close the underlying connection,
+ *   calling `callback(err)` when done
+ * - *_write(Buffer, callback)*: write the given bytes to
+ *   the underlying connection, calling `callback(err)` once
+ *   the bytes have been written
+ *
+ * Subclasses should call `_receive(Buffer)` whenever
+ * bytes are received, and `_closed(err)` if the underlying
+ * connection closes on its own.
+ *
+ * Transports emit the following events:
+ *
+ * - *'open'*: `function()`
+ * - *'data'*: `function(Buffer)` -- note that the data
+ *   may be any part of one or more Bowler packets
+ * - *'close'*: `function(err)` -- `err` is null if the close was
+ *   requested
+ * - *'error'*: `function(err)`
+ */
+var Transport = function () {
+  EventEmitter.call(this);
+
+  /* ### is_open ###
+   *
+   * This property is true when the
+   * transport is open and able to
+   * write data.
+   */
+  this.is_open = false;
+
+  this._write_queue = [];
+  this._writing = false;
+  this._closing = false;
+};
+
+util.inherits(Transport, EventEmitter);
+
+/* ### open([callback]) ###
+ *
+ * This method opens the transport.  The
+ * callback is called once the transport
+ * is open, or if an error occurs.
+ *
+ * callback: function(err)
+ */
+Transport.prototype.open = function (cb) {
+  var self = this;
+  if (!cb) cb = function (err) { if (err) self.emit('error', err); };
+
+  if (this.is_open) {
+    process.nextTick(function () { cb(null); });
+    return;
+  }
+
+  this._open(function (err) {
+    if (err) {
+      cb(err);
+      return;
+    }
+
+    self.is_open = true;
+    self.emit('open');
+    self._drain_write_queue();
+    cb(null);
+  });
+};
+
+/* ### close([callback]) ###
+ *
+ * This method closes the transport.  Any
+ * writes still waiting in the queue are
+ * failed with an Error.
+ *
+ * callback: function(err)
+ */
+Transport.prototype.close = function (cb) {
+  var self = this;
+  if (!cb) cb = function (err) { if (err) self.emit('error', err); };
+
+  if (!this.is_open) {
+    process.nextTick(function () { cb(null); });
+    return;
+  }
+
+  this._closing = true;
+  this._close(function (err) {
+    self._closing = false;
+    self._closed(null);
+    cb(err || null);
+  });
+};
+
+/* ### reconnect([callback]) ###
+ *
+ * This method closes the transport (if it is
+ * open) and then opens it again.
+ *
+ * callback: function(err)
+ */
+Transport.prototype.reconnect = function (cb) {
+  var self = this;
+  this.close(function (err) {
+    if (err) {
+      if (cb) cb(err);
+      else self.emit('error', err);
+      return;
+    }
+
+    self.open(cb);
+  });
+};
+
+/* ### write(Buffer[, callback]) ###
+ *
+ * This method queues the given bytes to be
+ * written.  Writes are performed in order, one
+ * at a time.  Writes requested while the transport
+ * is closed are held until it is opened.
+ *
+ * callback: function(err)
+ */
+Transport.prototype.write = function (buff, cb) {
+  this._write_queue.push({ data: buff, cb: cb || null });
+  if (this.is_open) this._drain_write_queue();
+};
+
+/* ### _drain_write_queue() ###
+ *
+ * This method writes out the queued
+ * data, one entry at a time.
+ */
+Transport.prototype._drain_write_queue = function () {
+  if (this._writing || !this.is_open || this._write_queue.length === 0) return;
+
+  var self = this;
+  var entry = this._write_queue.shift();
+  this._writing = true;
+
+  this._write(entry.data, function (err) {
+    self._writing = false;
+    if (entry.cb) entry.cb(err || null);
+    else if (err) self.emit('error', err);
+
+    self._drain_write_queue();
+  });
+};
+
+/* ### _receive(Buffer) ###
+ *
+ * Subclasses should call this method
+ * when they receive bytes.
+ */
+Transport.prototype._receive = function (data) {
+  this.emit('data', data);
+};
+
+/* ### _closed(err) ###
+ *
+ * Subclasses should call this method
+ * if the underlying connection closes on
+ * its own.  Pending writes are failed, and
+ * the 'close' event is emitted.
+ */
+Transport.prototype._closed = function (err) {
+  if (!this.is_open) return;
+  this.is_open = false;
+
+  var pending = this._write_queue;
+  this._write_queue = [];
+  pending.forEach(function (entry) {
+    if (entry.cb) entry.cb(new Error('The transport was closed before the data could be written'));
+  });
+
+  // closes we asked for aren't errors, even if the
+  // underlying connection reports them as such
+  this.emit('close', this._closing ? null : (err || null));
+};
+
+module.exports = {
+  Transport: Transport
+};
@@ -0,0 +1,86 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.transports.loopback` namespace
+// ====================================
+
+var Transport = require('dyio/transports').Transport;
+var util = require('util');
+
+/* LoopbackTransport
+ * -----------------
+ *
+ * Inherits: dyio.transports.Transport
+ * Constructor: function([peer])
+ *
+ * This transport passes data entirely in memory:
+ * anything written to it is received by its peer
+ * (another LoopbackTransport), and vice versa.  Data
+ * is delivered asynchronously, as it would be by a
+ * real transport.  It is mainly useful for talking
+ * to a `dyio.mock_device.MockBowlerDevice` in tests.
+ *
+ * Use `make_pair()` to create two connected transports.
+ */
+var LoopbackTransport = function (peer) {
+  Transport.call(this);
+
+  /* ### peer ###
+   *
+   * The LoopbackTransport which receives
+   * the data written to this transport.
+   */
+  this.peer = peer || null;
+
+  /* ### chunk_size = null ###
+   *
+   * If set, written data is split into chunks
+   * of at most this many bytes before it is
+   * delivered, which is useful for exercising
+   * the packet framer.
+   */
+  this.chunk_size = null;
+};
+
+util.inherits(LoopbackTransport, Transport);
+
+LoopbackTransport.prototype._open = function (cb) {
+  process.nextTick(function () { cb(null); });
+};
+
+LoopbackTransport.prototype._close = function (cb) {
+  process.nextTick(function () { cb(null); });
+};
+
+LoopbackTransport.prototype._write = function (buff, cb) {
+  var peer = this.peer;
+  var chunk_size = this.chunk_size || buff.length;
+
+  setImmediate(function () {
+    // data written to a closed (or missing) peer is lost, like on a real wire
+    if (peer && peer.is_open) {
+      for (var i = 0; i < buff.length; i += chunk_size) {
+        peer._receive(buff.slice(i, i + chunk_size));
+      }
+    }
+    cb(null);
+  });
+};
+
+/* make_pair()
+ * -----------
+ *
+ * This function creates two LoopbackTransports
+ * which are each other's peers, and returns them
+ * as an Array.
+ */
+var make_pair = function () {
+  var a = new LoopbackTransport();
+  var b = new LoopbackTransport(a);
+  a.peer = b;
+  return [a, b];
+};
+
+module.exports = {
+  LoopbackTransport: LoopbackTransport,
+  make_pair: make_pair
+};
@@ -0,0 +1,216 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.transports.replay` namespace
+// ==================================
+
+var Transport = require('dyio/transports').Transport;
+var capture_util = require('dyio/util/capture');
+var util = require('util');
+
+/* ReplayTransport
+ * ---------------
+ *
+ * Inherits: dyio.transports.Transport
+ * Constructor: function(capture[, options])
+ *
+ * This transport plays back a capture (see
+ * `dyio.util.capture`), feeding the received packets
+ * into whichever BowlerDevice it is connected to, so that
+ * the device's parsers, events, and command handlers behave
+ * as they did when the capture was made.  The capture may be
+ * given as the path of a capture file, or as an object returned
+ * by `dyio.util.capture.read_capture(...)`.
+ *
+ * By default, the playback follows the writes made to the
+ * transport: the received packets which preceded the first
+ * sent packet are played once the transport is opened, and the
+ * received packets which followed each sent packet are played once
+ * something is written to the transport.  This way, running the
+ * same code which made the capture gets the same replies.  If the
+ * data written doesn't match the captured packet, a 'mismatch' event
+ * is emitted (but the replay continues).  If *follow_writes* is
+ * false, all of the received packets are simply played back in order,
+ * and writes are ignored.
+ *
+ * In both cases, the original delays between received packets are
+ * kept, scaled by *speed*.  The options object may contain the
+ * following properties:
+ *
+ * - *follow_writes*: whether or not to wait for writes (true by default)
+ * - *speed*: the playback speed (1 by default, 0 to play back
+ *   as fast as possible)
+ *
+ * In addition to the usual transport events, this transport
+ * emits the following:
+ *
+ * - *'mismatch'*: `function(written, expected)` -- the data written
+ *   (a Buffer) didn't match the captured packet (a Buffer, or null if
+ *   no more packets were sent in the capture)
+ * - *'end'*: `function()` -- every received packet has been played
+ */
+var ReplayTransport = function (capture, opts) {
+  Transport.call(this);
+
+  if (!opts) opts = {};
+
+  this._capture_path = (typeof capture === 'string') ? capture : null;
+
+  /* ### capture ###
+   *
+   * The capture being played back, in the form returned
+   * by `dyio.util.capture.read_capture(...)` (null until
+   * the transport is first opened, if a path was given).
+   */
+  this.capture = this._capture_path ? null : capture;
+
+  this.follow_writes = (opts.follow_writes !== false);
+  this.speed = (opts.speed === undefined) ? 1 : opts.speed;
+
+  /* ### position ###
+   *
+   * The index of the next record of the
+   * capture to be played back or matched.
+   */
+  this.position = 0;
+
+  this._timer = null;
+  this._playing = false;
+  this._written = [];
+  this._last_time = null;
+  this._ended = false;
+};
+
+util.inherits(ReplayTransport, Transport);
+
+/* ### apply_metadata(device) ###
+ *
+ * This method sets up the given BowlerDevice with
+ * the MAC address and namespaces from the capture (see
+ * `dyio.util.capture.apply_metadata(...)`), which is needed
+ * to decode the packets if the capture doesn't include
+ * the device being asked for its namespaces.  The capture
+ * must have been loaded (i.e. given directly, or the transport
+ * opened).
+ */
+ReplayTransport.prototype.apply_metadata = function (device) {
+  if (!this.capture) throw new Error('The capture has not been loaded yet');
+  capture_util.apply_metadata(device, this.capture.metadata);
+};
+
+ReplayTransport.prototype._open = function (cb) {
+  var self = this;
+  var start = function () {
+    self.position = 0;
+    self._written = [];
+    self._last_time = null;
+    self._ended = false;
+    process.nextTick(function () {
+      cb(null);
+      self._play();
+    });
+  };
+
+  if (this.capture) {
+    start();
+    return;
+  }
+
+  capture_util.read_capture(this._capture_path, function (err, capture) {
+    if (err) {
+      cb(err);
+      return;
+    }
+
+    self.capture = capture;
+    start();
+  });
+};
+
+ReplayTransport.prototype._close = function (cb) {
+  if (this._timer) clearTimeout(this._timer);
+  this._timer = null;
+  this._playing = false;
+  process.nextTick(function () { cb(null); });
+};
+
+ReplayTransport.prototype._write = function (buff, cb) {
+  if (this.follow_writes) {
+    this._written.push(buff);
+    if (!this._playing) this._play();
+  }
+
+  process.nextTick(function () { cb(null); });
+};
+
+/* ### _play() ###
+ *
+ * This method plays back the capture from the current
+ * position, keeping the original timing of the received
+ * packets.  When following writes, each sent packet in the
+ * capture is matched against the next write, and playback
+ * pauses until that write is made.
+ */
+ReplayTransport.prototype._play = function () {
+  var self = this;
+  var records = this.capture.records;
+  this._playing = true;
+
+  var play_next = function () {
+    self._timer = null;
+    if (!self.is_open) {
+      self._playing = false;
+      return;
+    }
+
+    var record = records[self.position];
+    if (!record) {
+      self._playing = false;
+
+      // anything else written has nothing to match
+      self._written.splice(0).forEach(function (buff) { self.emit('mismatch', buff, null); });
+      if (!self._ended) {
+        self._ended = true;
+        self.emit('end');
+      }
+      return;
+    }
+
+    if (record.direction === 'sent') {
+      if (self.follow_writes) {
+        if (!self._written.length) {
+          // wait for the write which caused the following replies
+          self._playing = false;
+          return;
+        }
+
+        var written = self._written.shift();
+        if (!written.equals(record.data)) self.emit('mismatch', written, record.data);
+      }
+
+      self.position++;
+      self._last_time = record.time;
+      setImmediate(play_next);
+      return;
+    }
+
+    var delay = (self._last_time === null || !self.speed) ? 0 : Math.max(record.time - self._last_time, 0) / self.speed;
+    self._timer = setTimeout(function () {
+      self._timer = null;
+      if (!self.is_open) {
+        self._playing = false;
+        return;
+      }
+
+      self.position++;
+      self._last_time = record.time;
+      self._receive(record.data);
+      play_next();
+    }, delay);
+  };
+
+  play_next();
+};
+
+module.exports = {
+  ReplayTransport: ReplayTransport
+};
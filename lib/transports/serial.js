@@ -0,0 +1,116 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.transports.serial` namespace
+// ==================================
+
+var Transport = require('dyio/transports').Transport;
+var bowler_util = require('dyio/util');
+var util = require('util');
+var serialport = null;  // only load if necessary
+
+const DEFAULT_BAUD_RATE = 115200;  // the baud rate used by the DyIO and most other Bowler devices
+
+/* SerialTransport
+ * ---------------
+ *
+ * Inherits: dyio.transports.Transport
+ * Constructor: function(path[, options])
+ *
+ * This transport talks to a Bowler device
+ * over a serial port (such as the USB CDC-ACM
+ * port exposed by the DyIO).  The path should
+ * be the path to the serial device (e.g. '/dev/ttyACM0'
+ * or 'COM3'), although any path that the `serialport`
+ * module can open (including one end of a pseudo-terminal
+ * pair) will work.
+ *
+ * The options object may contain the following
+ * properties, and is otherwise passed directly
+ * to `serialport`:
+ *
+ * - *baud_rate*: the baud rate to use (115200 by default)
+ */
+var SerialTransport = function (path, opts) {
+  Transport.call(this);
+
+  if (!opts) opts = {};
+
+  this.path = path;
+
+  /* ### baud_rate ###
+   *
+   * The baud rate used for the serial port.
+   * Changes take effect the next time the
+   * transport is opened (see `reconnect()`).
+   */
+  this.baud_rate = opts.baud_rate || DEFAULT_BAUD_RATE;
+
+  this._port_opts = {};
+  bowler_util.extend(this._port_opts, opts);
+  delete this._port_opts.baud_rate;
+
+  this._port = null;
+};
+
+util.inherits(SerialTransport, Transport);
+
+SerialTransport.prototype._open = function (cb) {
+  if (!serialport) serialport = require('serialport');
+
+  var self = this;
+  var port_opts = { baudrate: this.baud_rate };
+  bowler_util.extend(port_opts, this._port_opts);
+
+  var port = new serialport.SerialPort(this.path, port_opts, false);
+
+  port.on('data', function (data) {
+    self._receive(data);
+  });
+
+  port.on('close', function () {
+    if (self._port !== port) return;
+    self._port = null;
+    self._closed(new Error('The serial port ' + self.path + ' was closed unexpectedly'));
+  });
+
+  port.on('error', function (err) {
+    self.emit('error', err);
+  });
+
+  port.open(function (err) {
+    if (err) {
+      cb(err);
+      return;
+    }
+
+    self._port = port;
+    cb(null);
+  });
+};
+
+SerialTransport.prototype._close = function (cb) {
+  var port = this._port;
+  this._port = null;
+  port.close(function (err) {
+    cb(err);
+  });
+};
+
+SerialTransport.prototype._write = function (buff, cb) {
+  var port = this._port;
+  port.write(buff, function (err) {
+    if (err) {
+      cb(err);
+      return;
+    }
+
+    // make sure the bytes have actually gone out
+    // before we start on the next write
+    port.drain(cb);
+  });
+};
+
+module.exports = {
+  DEFAULT_BAUD_RATE: DEFAULT_BAUD_RATE,
+  SerialTransport: SerialTransport
+};
@@ -0,0 +1,201 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.transports.shared_bus` namespace
+// ======================================
+
+var Transport = require('dyio/transports').Transport;
+var BowlerFramer = require('dyio/framer').BowlerFramer;
+var bowler_util = require('dyio/util');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+// Some setups put several Bowler boards on one connection (e.g.
+// an RS-485 bus, or a bridge which forwards several boards over one
+// socket).  A BowlerDevice reads every packet arriving on its transport,
+// so each board gets its own `SharedBusPort` from a `SharedBus`, which
+// frames the incoming data once and hands each packet to the port for
+// the MAC address in its header.
+
+/* SharedBus
+ * ---------
+ *
+ * Inherits: events.EventEmitter
+ * Constructor: function(Transport)
+ *
+ * This class splits a single transport between
+ * several devices, identified by their MAC addresses.
+ * Use `port_for(...)` to get the transport for each device.
+ * The underlying transport is opened when the first port is
+ * opened and closed when the last one is closed.  If it closes
+ * on its own, every open port closes with the same error.
+ *
+ * Packets whose MAC address has no open port go to the port for
+ * 'broadcast', if there is one (which is useful for finding out which
+ * devices are on the bus), and are otherwise emitted as 'unrouted' events.
+ *
+ * Events:
+ *
+ * - *'unrouted'*: `function(Buffer, mac_address)` -- a packet from
+ *   a device without an open port
+ * - *'error'*: `function(err)` -- an error from the underlying transport
+ */
+var SharedBus = function (transport) {
+  EventEmitter.call(this);
+
+  /* ### transport ###
+   *
+   * The underlying transport.
+   */
+  this.transport = transport;
+
+  /* ### framer ###
+   *
+   * The BowlerFramer which splits the incoming
+   * data into packets.
+   */
+  this.framer = new BowlerFramer();
+
+  this._ports = {};
+  this._open_callbacks = null;
+
+  var self = this;
+  this.framer.on('packet', function (raw) { self._route(raw); });
+  transport.on('data', function (data) { self.framer.push(data); });
+  transport.on('close', function (err) {
+    self.framer.reset();
+    self._each_port(function (port) { port._closed(err); });
+  });
+  transport.on('error', function (err) { self.emit('error', err); });
+};
+
+util.inherits(SharedBus, EventEmitter);
+
+/* ### port_for(mac_address) ###
+ *
+ * This method returns the SharedBusPort for the
+ * given MAC address (in the "XX:XX:XX:XX:XX:XX" form,
+ * or 'broadcast'), creating it if necessary.
+ */
+SharedBus.prototype.port_for = function (mac_address) {
+  var key = normalize_mac(mac_address);
+  if (!this._ports[key]) this._ports[key] = new SharedBusPort(this, key);
+  return this._ports[key];
+};
+
+/* ### remove_port(mac_address[, callback]) ###
+ *
+ * This method forgets the port for the given
+ * MAC address, closing it first if it is open.
+ *
+ * callback: function(err)
+ */
+SharedBus.prototype.remove_port = function (mac_address, cb) {
+  var key = normalize_mac(mac_address);
+  var port = this._ports[key];
+  delete this._ports[key];
+
+  if (port) port.close(cb);
+  else if (cb) process.nextTick(function () { cb(null); });
+};
+
+SharedBus.prototype._each_port = function (func) {
+  for (var key in this._ports) {
+    if (this._ports[key].is_open) func(this._ports[key]);
+  }
+};
+
+SharedBus.prototype._route = function (raw) {
+  var mac_address = bowler_util.format_mac_address(raw.slice(1, 7));
+  var port = this._ports[mac_address];
+  if (!port || !port.is_open) port = this._ports.broadcast;
+
+  if (port && port.is_open) port._receive(raw);
+  else this.emit('unrouted', raw, mac_address);
+};
+
+// opens the underlying transport, combining concurrent requests
+SharedBus.prototype._open_transport = function (cb) {
+  if (this.transport.is_open) {
+    process.nextTick(function () { cb(null); });
+    return;
+  }
+
+  if (this._open_callbacks) {
+    this._open_callbacks.push(cb);
+    return;
+  }
+
+  var self = this;
+  this._open_callbacks = [cb];
+  this.framer.reset();
+  this.transport.open(function (err) {
+    var callbacks = self._open_callbacks;
+    self._open_callbacks = null;
+    callbacks.forEach(function (callback) { callback(err || null); });
+  });
+};
+
+// closes the underlying transport once no other port is using it
+SharedBus.prototype._release_transport = function (closing_port, cb) {
+  var in_use = false;
+  this._each_port(function (port) {
+    if (port !== closing_port) in_use = true;
+  });
+
+  if (in_use) process.nextTick(function () { cb(null); });
+  else this.transport.close(cb);
+};
+
+var normalize_mac = function (mac_address) {
+  return (mac_address === 'broadcast') ? mac_address : mac_address.toUpperCase();
+};
+
+/* SharedBusPort
+ * -------------
+ *
+ * Inherits: dyio.transports.Transport
+ * Constructor: function(SharedBus, mac_address)
+ *
+ * This transport carries the packets for a single
+ * device on a SharedBus.  Writes go straight to the
+ * underlying transport, while only the packets from
+ * the port's MAC address are received.  Closing a port
+ * doesn't affect the other ports on the bus.  Use
+ * `SharedBus#port_for(...)` instead of creating these
+ * directly.
+ */
+var SharedBusPort = function (bus, mac_address) {
+  Transport.call(this);
+
+  /* ### bus ###
+   *
+   * The SharedBus this port belongs to.
+   */
+  this.bus = bus;
+
+  /* ### mac_address ###
+   *
+   * The MAC address whose packets this port
+   * receives.
+   */
+  this.mac_address = mac_address;
+};
+
+util.inherits(SharedBusPort, Transport);
+
+SharedBusPort.prototype._open = function (cb) {
+  this.bus._open_transport(cb);
+};
+
+SharedBusPort.prototype._close = function (cb) {
+  this.bus._release_transport(this, cb);
+};
+
+SharedBusPort.prototype._write = function (buff, cb) {
+  this.bus.transport.write(buff, cb);
+};
+
+module.exports = {
+  SharedBus: SharedBus,
+  SharedBusPort: SharedBusPort
+};
@@ -0,0 +1,144 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.transports.tcp` namespace
+// ===============================
+
+var Transport = require('dyio/transports').Transport;
+var util = require('util');
+var net = require('net');
+
+const DEFAULT_PORT = 1865;  // the port used by network-attached Bowler devices
+const DEFAULT_CONNECT_TIMEOUT = 5000;  // how long to wait for a connection (in milliseconds)
+
+/* TcpTransport
+ * ------------
+ *
+ * Inherits: dyio.transports.Transport
+ * Constructor: function(host[, port][, options])
+ *
+ * This transport talks to a Bowler device over
+ * a TCP connection.  Since TCP is a stream, the
+ * data received may contain partial packets, which
+ * are reassembled by the BowlerDevice's framer, just
+ * like data from a serial port.
+ *
+ * The options object may contain the following properties:
+ *
+ * - *connect_timeout*: how long to wait for the connection
+ *   to be established (in milliseconds, 5000 by default)
+ * - *no_delay*: whether or not to disable Nagle's algorithm
+ *   (true by default, since Bowler packets are small)
+ * - *socket*: an already-connected `net.Socket` to use the first
+ *   time the transport is opened (e.g. one accepted by a `net.Server`,
+ *   when standing in for a device), instead of connecting to the host
+ */
+var TcpTransport = function (host, port, opts) {
+  Transport.call(this);
+
+  if (port !== null && typeof port === 'object') {
+    opts = port;
+    port = null;
+  }
+  if (!opts) opts = {};
+
+  this.host = host;
+  this.port = port || DEFAULT_PORT;
+
+  /* ### connect_timeout ###
+   *
+   * How long to wait (in milliseconds) for
+   * the connection to be established before
+   * `open()` fails.
+   */
+  this.connect_timeout = opts.connect_timeout || DEFAULT_CONNECT_TIMEOUT;
+
+  this.no_delay = (opts.no_delay === undefined) ? true : !!opts.no_delay;
+
+  this._socket = null;
+  this._given_socket = opts.socket || null;
+};
+
+util.inherits(TcpTransport, Transport);
+
+TcpTransport.prototype._open = function (cb) {
+  if (this._given_socket) {
+    var given_socket = this._given_socket;
+    this._given_socket = null;
+    this._listen_to(given_socket);
+    given_socket.setNoDelay(this.no_delay);
+    this._socket = given_socket;
+    process.nextTick(function () { cb(null); });
+    return;
+  }
+
+  var self = this;
+  var connected = false;
+  var socket = net.connect({ host: this.host, port: this.port });
+
+  var fail = function (err) {
+    if (connected) return;
+    connected = true;  // only report the first failure
+    clearTimeout(timer);
+    socket.destroy();
+    cb(err);
+  };
+
+  var timer = setTimeout(function () {
+    fail(new Error('Timed out connecting to ' + self.host + ':' + self.port));
+  }, this.connect_timeout);
+
+  socket.on('connect', function () {
+    clearTimeout(timer);
+    connected = true;
+    socket.setNoDelay(self.no_delay);
+    self._socket = socket;
+    cb(null);
+  });
+
+  this._listen_to(socket, fail);
+};
+
+TcpTransport.prototype._listen_to = function (socket, fail_open) {
+  var self = this;
+
+  socket.on('data', function (data) {
+    self._receive(data);
+  });
+
+  socket.on('close', function () {
+    if (self._socket !== socket) return;
+    self._socket = null;
+    self._closed(new Error('The connection to ' + self.host + ':' + self.port + ' was closed unexpectedly'));
+  });
+
+  socket.on('error', function (err) {
+    if (self._socket !== socket) {
+      if (fail_open) fail_open(err);
+      return;
+    }
+
+    self.emit('error', err);
+  });
+};
+
+TcpTransport.prototype._close = function (cb) {
+  var socket = this._socket;
+  this._socket = null;
+
+  socket.once('close', function () {
+    cb(null);
+  });
+  socket.end();
+  socket.destroy();
+};
+
+TcpTransport.prototype._write = function (buff, cb) {
+  this._socket.write(buff, function (err) {
+    cb(err || null);
+  });
+};
+
+module.exports = {
+  DEFAULT_PORT: DEFAULT_PORT,
+  TcpTransport: TcpTransport
+};
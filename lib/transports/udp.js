@@ -0,0 +1,239 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.transports.udp` namespace
+// ===============================
+
+var Transport = require('dyio/transports').Transport;
+var BowlerFramer = require('dyio/framer').BowlerFramer;
+var bowler_util = require('dyio/util');
+var util = require('util');
+var dgram = require('dgram');
+var bowler_device = null;  // only load if necessary
+
+const DEFAULT_PORT = require('dyio/transports/tcp').DEFAULT_PORT;  // network Bowler devices use the same port for TCP and UDP
+const BROADCAST_ADDRESS = '255.255.255.255';
+const DEFAULT_DISCOVERY_TIMEOUT = 1000;  // how long to wait for replies to a discovery ping (in milliseconds)
+
+/* UdpTransport
+ * ------------
+ *
+ * Inherits: dyio.transports.Transport
+ * Constructor: function(host[, port][, options])
+ *
+ * This transport talks to a Bowler device using
+ * UDP datagrams, each of which should contain whole
+ * Bowler packets.  Data is sent to the given host and
+ * port, and any datagram received on the local socket
+ * is passed on.  If the host is a broadcast address,
+ * make sure to set the `broadcast` option (and note that
+ * replies from several devices may arrive, so the
+ * BowlerDevice should use the broadcast MAC address).
+ *
+ * The options object may contain the following properties:
+ *
+ * - *local_port*: the local port to bind to (any free
+ *   port by default)
+ * - *local_address*: the local address to bind to (all
+ *   addresses by default)
+ * - *broadcast*: whether or not to allow sending to
+ *   broadcast addresses (false by default)
+ * - *reply_to_sender*: if true, data is sent to the sender of
+ *   the last datagram received (see `last_remote`) once there is
+ *   one, which is useful when standing in for a device
+ */
+var UdpTransport = function (host, port, opts) {
+  Transport.call(this);
+
+  if (port !== null && typeof port === 'object') {
+    opts = port;
+    port = null;
+  }
+  if (!opts) opts = {};
+
+  this.host = host;
+  this.port = port || DEFAULT_PORT;
+  this.local_port = opts.local_port || 0;
+  this.local_address = opts.local_address || undefined;
+  this.broadcast = !!opts.broadcast;
+  this.reply_to_sender = !!opts.reply_to_sender;
+
+  /* ### last_remote ###
+   *
+   * The address information (`{ address, port }`)
+   * of the sender of the last datagram received,
+   * or null if nothing has been received yet.
+   */
+  this.last_remote = null;
+
+  this._socket = null;
+};
+
+util.inherits(UdpTransport, Transport);
+
+UdpTransport.prototype._open = function (cb) {
+  var self = this;
+  var bound = false;
+  var socket = dgram.createSocket('udp4');
+
+  socket.on('message', function (data, rinfo) {
+    self.last_remote = { address: rinfo.address, port: rinfo.port };
+    self._receive(data);
+  });
+
+  socket.on('close', function () {
+    if (self._socket !== socket) return;
+    self._socket = null;
+    self._closed(new Error('The UDP socket for ' + self.host + ':' + self.port + ' was closed unexpectedly'));
+  });
+
+  socket.on('error', function (err) {
+    if (!bound) {
+      bound = true;
+      socket.close();
+      cb(err);
+      return;
+    }
+
+    self.emit('error', err);
+  });
+
+  socket.bind(this.local_port, this.local_address, function () {
+    if (bound) return;
+    bound = true;
+
+    socket.setBroadcast(self.broadcast);
+    self._socket = socket;
+    cb(null);
+  });
+};
+
+UdpTransport.prototype._close = function (cb) {
+  var socket = this._socket;
+  this._socket = null;
+  socket.close(function () {
+    cb(null);
+  });
+};
+
+UdpTransport.prototype._write = function (buff, cb) {
+  var remote = { address: this.host, port: this.port };
+  if (this.reply_to_sender && this.last_remote) remote = this.last_remote;
+
+  this._socket.send(buff, 0, buff.length, remote.port, remote.address, function (err) {
+    cb(err || null);
+  });
+};
+
+/* discover([options][, callback])
+ * -------------------------------
+ *
+ * This function looks for Bowler devices on
+ * the network by sending a `bcs.core#_png` to
+ * the broadcast MAC address at a UDP broadcast
+ * address, and collecting the replies.  It returns
+ * a Promise for an Array of objects describing the
+ * devices which replied, in the form
+ *
+ *    {
+ *      address: "a.b.c.d"(string),
+ *      port: uint,
+ *      mac_address: "XX:XX:XX:XX:XX:XX"(string)
+ *    }
+ *
+ * The options object may contain the following properties:
+ *
+ * - *address*: the address to send the ping to
+ *   ('255.255.255.255' by default)
+ * - *port*: the port to send the ping to
+ * - *timeout*: how long to wait for replies (in
+ *   milliseconds, 1000 by default)
+ * - *local_port*, *local_address*: see `UdpTransport`
+ *
+ * callback: function(err, devices)
+ */
+var discover = function (opts, cb) {
+  if (opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+  if (!opts) opts = {};
+
+  if (!bowler_device) bowler_device = require('dyio/bowler_device');
+
+  var address = opts.address || BROADCAST_ADDRESS;
+  var timeout = (opts.timeout === undefined) ? DEFAULT_DISCOVERY_TIMEOUT : opts.timeout;
+  var transport = new UdpTransport(address, opts.port, {
+    local_port: opts.local_port,
+    local_address: opts.local_address,
+    broadcast: true
+  });
+
+  // used only to parse the generic Bowler data of the replies
+  var parser_dev = new bowler_device.BowlerDevice();
+  var framer = new BowlerFramer();
+  var found = [];
+  var seen = {};
+
+  framer.on('packet', function (raw_bytes) {
+    var base_packet;
+    try {
+      base_packet = parser_dev.parse_bowler_data(raw_bytes);
+    }
+    catch (err) {
+      return;
+    }
+
+    // ignore our own ping, if it gets looped back to us
+    if (base_packet.rpc !== '_png' || base_packet.namespace !== 'bcs.core' || !base_packet.direction) return;
+
+    var remote = transport.last_remote;
+    var key = remote.address + ':' + remote.port + '/' + base_packet.mac_address;
+    if (seen[key]) return;
+    seen[key] = true;
+
+    found.push({
+      address: remote.address,
+      port: remote.port,
+      mac_address: base_packet.mac_address
+    });
+  });
+
+  transport.on('data', function (data) {
+    // each datagram should hold whole packets
+    framer.reset();
+    framer.push(data);
+  });
+
+  var promise = new Promise(function (resolve, reject) {
+    transport.open(function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      var ping = bowler_device.make_datagram([255, 255, 255, 255, 255, 255], 'get', 0, '_png', Buffer.alloc(0));
+      transport.write(ping, function (err) {
+        if (err) {
+          transport.close();
+          reject(err);
+          return;
+        }
+
+        setTimeout(function () {
+          transport.close(function () {
+            resolve(found);
+          });
+        }, timeout);
+      });
+    });
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+module.exports = {
+  DEFAULT_PORT: DEFAULT_PORT,
+  BROADCAST_ADDRESS: BROADCAST_ADDRESS,
+  UdpTransport: UdpTransport,
+  discover: discover
+};
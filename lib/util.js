@@ -18,15 +18,37 @@
 var resolve_namespace_path = function (path_str, rpc, root_obj, err_msg) {
   var obj = root_obj;
   var path = path_str.split('.');
-  if (rpc) path.append(rpc);
+  if (rpc) path.push(rpc);
   for (var i = 0; i < path.length; i++) {
     if (obj === undefined) {
       var parent_ns = path.slice(0,i-1).join('.');
-      return new Error(err_msg+' -- undefined namespace under '+parent_ns+': '+namespace_list[i-1]);
+      throw new Error(err_msg+' -- undefined namespace under '+parent_ns+': '+path[i-1]);
     }
     if (path[i] == 'com') continue;
     obj = obj[path[i]];
   }
+  if (obj === undefined) {
+    throw new Error(err_msg+' -- undefined namespace under '+path.slice(0,-1).join('.')+': '+path[path.length-1]);
+  }
+  return obj;
+};
+
+/* ensure_namespace_path(path_str, root_obj)
+ * -----------------------------------------
+ *
+ * This function is similar to `resolve_namespace_path`,
+ * except that any missing namespaces along the given
+ * path are created as empty objects instead of causing
+ * an Error.  The object at the given path is returned.
+ */
+var ensure_namespace_path = function (path_str, root_obj) {
+  var obj = root_obj;
+  var path = path_str.split('.');
+  for (var i = 0; i < path.length; i++) {
+    if (path[i] == 'com') continue;
+    if (obj[path[i]] === undefined) obj[path[i]] = {};
+    obj = obj[path[i]];
+  }
   return obj;
 };
 
@@ -40,30 +62,40 @@ var resolve_namespace_path = function (path_str, rpc, root_obj, err_msg) {
  * so we do not need to worry about the endianness of our platform.
  */
 var make_checksum = function (buff) {
-  var sum = Array.prototype.reduce.call(buff, function (a, b) { return a + b; });
+  var sum = Array.prototype.reduce.call(buff, function (a, b) { return a + b; }, 0);
   return sum & 0x000000ff;
 };
 
+/* format_mac_address(bytes)
+ * -------------------------
+ *
+ * This function takes an array (or Buffer)
+ * of six bytes and returns the ':'-separated,
+ * upper-case hexadecimal string form of the
+ * MAC address (e.g. '74:F7:26:00:00:01').
+ */
+var format_mac_address = function (raw) {
+  var parts = [];
+  for (var i = 0; i < raw.length; i++) {
+    parts.push((raw[i] < 16 ? '0' : '') + raw[i].toString(16).toUpperCase());
+  }
+  return parts.join(':');
+};
+
 /* isObject(potential_object)
  * ------------------------
  *
  * This method determines if
- * something is an object by
- * attempting to call `Object.keys`
- * on it, and checking for errors.
+ * something is an object.
  *
  * It will return true for objects
  * and arrays, and false for functions,
- * numbers, etc.
+ * numbers, strings, null, etc.
  */
 var isObject = function (obj) {
-  try {
-    Object.keys(obj);
-    return true;
-  }
-  catch (err) {
-    return false;
-  }
+  // `Object.keys` accepts strings (and numbers) as of ES2015,
+  // so it can't be used to tell objects apart any more
+  return obj !== null && typeof obj === 'object';
 };
 
 /* extend(dest, src)
@@ -88,9 +120,50 @@ var extend = function (dest, src) {
   }
 };
 
+/* with_callback(promise, callback)
+ * --------------------------------
+ *
+ * This function lets a method support both
+ * Promises and node-style callbacks.  If a callback
+ * is given, it is called once the given Promise
+ * is settled (outside of the Promise chain, so errors
+ * thrown by the callback are not swallowed).  The
+ * Promise is returned either way.
+ */
+var with_callback = function (promise, cb) {
+  if (cb) {
+    promise.then(function (res) {
+      process.nextTick(function () { cb(null, res); });
+    }, function (err) {
+      process.nextTick(function () { cb(err); });
+    });
+  }
+  return promise;
+};
+
+/* emit_error(emitter, err)
+ * -------------------------
+ *
+ * This function emits the given error as an 'error'
+ * event on the given EventEmitter, but only if something
+ * is listening for it, so that errors reported from
+ * timers and Promise handlers (where nobody could catch
+ * them) don't crash the process.  It returns true if the
+ * error was emitted.
+ */
+var emit_error = function (emitter, err) {
+  if (!emitter.listenerCount('error')) return false;
+  emitter.emit('error', err);
+  return true;
+};
+
 module.exports = {
-  make_checksum: make_checkum,
+  make_checksum: make_checksum,
+  format_mac_address: format_mac_address,
   resolve_namespace_path: resolve_namespace_path,
+  ensure_namespace_path: ensure_namespace_path,
+  with_callback: with_callback,
+  emit_error: emit_error,
   isObject: isObject,
   extend: extend
 };
@@ -0,0 +1,261 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.util.capture` namespace
+// =============================
+
+var bowler_util = require('dyio/util');
+var fs = require('fs');
+
+// Capture files are made of lines of JSON.  The first line
+// is a header holding the capture metadata:
+//
+//    {
+//      format: 'bowler-capture',
+//      format_version: 1,
+//      created: "ISO 8601 date"(string),
+//      mac_address: "XX:XX:XX:XX:XX:XX"(string)|'broadcast',
+//      supported_namespaces: { index: name, ... },
+//      namespace_info: [`bcs.core#_nms` results...]|null
+//    }
+//
+// Each following line is either a packet record of the form
+// `{ time: ms since the epoch, direction: 'sent'|'received', data: hex string }`,
+// or a metadata update of the form `{ metadata: { ... } }`,
+// which holds the metadata properties which changed since the
+// previous line (such as the namespaces, once they have been
+// populated).
+
+const CAPTURE_FORMAT = 'bowler-capture';
+const CAPTURE_FORMAT_VERSION = 1;  // bump this if the format of capture files changes
+
+/* device_metadata(device)
+ * -----------------------
+ *
+ * This function extracts the metadata needed
+ * to decode packets from and to the given
+ * BowlerDevice.
+ */
+var device_metadata = function (device) {
+  var supported_namespaces = {};
+  for (var ind in device.supported_namespaces) supported_namespaces[ind] = device.supported_namespaces[ind];
+
+  return {
+    mac_address: device.mac_address,
+    supported_namespaces: supported_namespaces,
+    namespace_info: device.namespace_info
+  };
+};
+
+/* PacketCapture
+ * -------------
+ *
+ * Constructor: function(path[, metadata])
+ *
+ * This class writes a capture file, recording raw
+ * datagrams along with the time at which they were
+ * sent or received.  The file is created (or truncated)
+ * immediately, and the given metadata is written out as
+ * its header (see `device_metadata(...)`).  Errors writing
+ * the file are emitted as 'error' events on the underlying
+ * stream, which is available as `stream`.
+ *
+ * See `BowlerDevice#start_capture(...)` for the usual way of
+ * creating captures, and `read_capture(...)` for reading them.
+ */
+var PacketCapture = function (path, metadata) {
+  this.path = path;
+
+  /* ### metadata ###
+   *
+   * The current capture metadata.
+   */
+  this.metadata = metadata || {};
+
+  /* ### count ###
+   *
+   * The number of packets recorded so far.
+   */
+  this.count = 0;
+
+  this.stream = fs.createWriteStream(path);
+
+  var header = { format: CAPTURE_FORMAT, format_version: CAPTURE_FORMAT_VERSION, created: new Date().toISOString() };
+  for (var key in this.metadata) header[key] = this.metadata[key];
+  this._write_line(header);
+};
+
+PacketCapture.prototype._write_line = function (obj) {
+  this.stream.write(JSON.stringify(obj) + '\n');
+};
+
+/* ### record(direction, Buffer[, time]) ###
+ *
+ * This method records the given raw datagram.
+ * The direction is 'sent' or 'received', and the time
+ * is in milliseconds since the epoch (now by default).
+ * Nothing is recorded once the capture is closed.
+ */
+PacketCapture.prototype.record = function (direction, data, time) {
+  if (!this.stream) return;
+
+  this.count++;
+  this._write_line({ time: time || Date.now(), direction: direction, data: data.toString('hex') });
+};
+
+/* ### update_metadata(metadata) ###
+ *
+ * This method records a change to the capture
+ * metadata, such as the namespaces becoming known.
+ * Only the properties which actually changed are
+ * written out.
+ */
+PacketCapture.prototype.update_metadata = function (metadata) {
+  if (!this.stream) return;
+
+  var changed = {};
+  var any_changed = false;
+  for (var key in metadata) {
+    if (JSON.stringify(metadata[key]) === JSON.stringify(this.metadata[key])) continue;
+    changed[key] = metadata[key];
+    this.metadata[key] = metadata[key];
+    any_changed = true;
+  }
+
+  if (any_changed) this._write_line({ metadata: changed });
+};
+
+/* ### close([callback]) ###
+ *
+ * This method finishes writing the capture file.
+ *
+ * callback: function(err)
+ */
+PacketCapture.prototype.close = function (cb) {
+  var stream = this.stream;
+  this.stream = null;
+
+  var promise = new Promise(function (resolve, reject) {
+    if (!stream) {
+      resolve();
+      return;
+    }
+
+    stream.on('error', reject);
+    stream.end(function () { resolve(); });
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* parse_capture(contents)
+ * -----------------------
+ *
+ * This function parses the contents of a capture
+ * file (as a string).  It returns an object of the form
+ *
+ *    {
+ *      metadata: { the header fields, with any updates applied },
+ *      records: [{ time: uint, direction: 'sent'|'received', data: Buffer }, ...]
+ *    }
+ *
+ * An Error is thrown if the contents are not a
+ * capture, or were written by an incompatible version
+ * of `PacketCapture`.  A truncated final line (e.g. from
+ * a process which was killed mid-write) is ignored.
+ */
+var parse_capture = function (contents) {
+  var lines = contents.split('\n').filter(function (line) { return line.trim().length > 0; });
+  var parse_line = function (line, ind) {
+    try {
+      return JSON.parse(line);
+    }
+    catch (err) {
+      if (ind === lines.length - 1) return null;
+      throw new Error('Invalid capture line ' + (ind + 1) + ': ' + err.message);
+    }
+  };
+
+  var header = lines.length ? parse_line(lines[0], 0) : null;
+  if (!header || header.format !== CAPTURE_FORMAT) throw new Error('Not a Bowler capture file');
+  if (header.format_version !== CAPTURE_FORMAT_VERSION) {
+    throw new Error('Unsupported capture format version ' + header.format_version);
+  }
+
+  var metadata = {};
+  for (var key in header) {
+    if (key !== 'format' && key !== 'format_version') metadata[key] = header[key];
+  }
+
+  var records = [];
+  for (var i = 1; i < lines.length; i++) {
+    var entry = parse_line(lines[i], i);
+    if (!entry) continue;
+
+    if (entry.metadata) {
+      // updates replace whole properties
+      for (var changed in entry.metadata) metadata[changed] = entry.metadata[changed];
+    }
+    else {
+      records.push({ time: entry.time, direction: entry.direction, data: Buffer.from(entry.data, 'hex') });
+    }
+  }
+
+  return { metadata: metadata, records: records };
+};
+
+/* read_capture(path[, callback])
+ * ------------------------------
+ *
+ * This function reads the given capture file,
+ * returning a Promise for the object returned by
+ * `parse_capture(...)`.
+ *
+ * callback: function(err, capture)
+ */
+var read_capture = function (path, cb) {
+  var promise = new Promise(function (resolve, reject) {
+    fs.readFile(path, 'utf8', function (err, contents) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      try {
+        resolve(parse_capture(contents));
+      }
+      catch (parse_err) {
+        reject(parse_err);
+      }
+    });
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* apply_metadata(device, metadata)
+ * --------------------------------
+ *
+ * This function sets up the given BowlerDevice
+ * with the MAC address and namespaces from the
+ * given capture metadata, so that the captured
+ * packets can be decoded without first asking the
+ * (possibly absent) device for its namespaces.
+ */
+var apply_metadata = function (device, metadata) {
+  if (metadata.mac_address) device.mac_address = metadata.mac_address;
+  if (metadata.supported_namespaces) {
+    for (var ind in metadata.supported_namespaces) {
+      device.supported_namespaces[ind] = metadata.supported_namespaces[ind];
+    }
+  }
+  if (metadata.namespace_info) device.namespace_info = metadata.namespace_info;
+};
+
+module.exports = {
+  CAPTURE_FORMAT_VERSION: CAPTURE_FORMAT_VERSION,
+  device_metadata: device_metadata,
+  PacketCapture: PacketCapture,
+  parse_capture: parse_capture,
+  read_capture: read_capture,
+  apply_metadata: apply_metadata
+};
@@ -0,0 +1,460 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.util.codegen` namespace
+// =============================
+
+var bowler_util = require('dyio/util');
+var packet = require('dyio/packet');
+var introspection_util = null;  // only load if necessary
+
+/* ARG_NAME_BASES
+ * --------------
+ *
+ * This constant object maps `dyio.packet.data_types`
+ * names to the base names used for the generated
+ * argument and result field names when no names are
+ * given.
+ */
+const ARG_NAME_BASES = {
+  Bool: 'flag',
+  UInt8: 'value',
+  Int16: 'value',
+  Int32: 'value',
+  ByteBuffer: 'bytes',
+  UInt8Array: 'bytes',
+  Int32Array: 'values',
+  NullTerminatedString: 'str',
+  FixedPointTwoPlaces: 'fixed',
+  FixedPointThreePlaces: 'fixed'
+};
+
+// the ByteRange methods used to read and write each type
+// (the fixed point types are written as scaled integers)
+const PARSE_METHODS = {
+  Bool: 'toBool',
+  UInt8: 'toInt',
+  Int16: 'toInt',
+  Int32: 'toInt',
+  ByteBuffer: 'toBuffer',
+  UInt8Array: 'toUnsignedInt8Array',
+  Int32Array: 'toInt32Array',
+  NullTerminatedString: 'toString',
+  FixedPointTwoPlaces: 'toFixedPointWithTwoPlaces',
+  FixedPointThreePlaces: 'toFixedPointWithThreePlaces'
+};
+
+const BUILD_METHODS = {
+  Bool: 'fromBool',
+  UInt8: 'fromInt',
+  Int16: 'fromInt',
+  Int32: 'fromInt',
+  ByteBuffer: 'fromBuffer',
+  UInt8Array: 'fromUInt8Array',
+  Int32Array: 'fromInt32Array',
+  NullTerminatedString: 'fromString',
+  FixedPointTwoPlaces: 'fromInt',
+  FixedPointThreePlaces: 'fromInt'
+};
+
+const FIXED_POINT_SCALES = {
+  FixedPointTwoPlaces: 100,
+  FixedPointThreePlaces: 1000
+};
+
+var IDENTIFIER_RE = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+var prop_name = function (name) {
+  return IDENTIFIER_RE.test(name) ? name : JSON.stringify(name);
+};
+
+var indent = function (lines, depth) {
+  var prefix = new Array(depth + 1).join('  ');
+  return lines.map(function (line) { return line ? prefix + line : line; });
+};
+
+/* make_arg_names(types[, names])
+ * ------------------------------
+ *
+ * This function picks a name for each of the
+ * given `data_types` names, using the given names
+ * where present, and otherwise a name based on the
+ * type (see `ARG_NAME_BASES`), numbered when there is
+ * more than one argument with the same base name.
+ */
+var make_arg_names = function (types, names) {
+  names = names || [];
+
+  var base_counts = {};
+  types.forEach(function (type_name, i) {
+    if (names[i]) return;
+    var base = ARG_NAME_BASES[type_name] || 'arg';
+    base_counts[base] = (base_counts[base] || 0) + 1;
+  });
+
+  var base_inds = {};
+  return types.map(function (type_name, i) {
+    if (names[i]) return names[i];
+
+    var base = ARG_NAME_BASES[type_name] || 'arg';
+    if (base_counts[base] === 1) return base;
+
+    base_inds[base] = (base_inds[base] || 0);
+    return base + '_' + (base_inds[base]++);
+  });
+};
+
+// Each of the layout helpers below walks the arguments, using
+// constant byte offsets until it reaches the first variable-width
+// argument, after which it keeps a running offset in `ind`.
+
+var make_parser_lines = function (types, names) {
+  var fixed = types.every(function (type_name) { return packet.data_types[type_name].width; });
+  var body = [];
+  var offset = 0;
+  var use_ind = false;
+
+  var range_expr = function (type_name) {
+    var width = packet.data_types[type_name].width;
+    var start = use_ind ? (offset ? 'ind+' + offset : 'ind') : String(offset);
+    if (!width) return 'src.byte(' + start + ').to_end()';
+    if (width === 1) return 'src.byte(' + start + ')';
+
+    var end = use_ind ? 'ind+' + (offset + width - 1) : String(offset + width - 1);
+    return 'src.bytes(' + start + ', ' + end + ')';
+  };
+
+  if (fixed) {
+    if (types.length === 0) return ['return {};'];
+
+    body.push('return {');
+    types.forEach(function (type_name, i) {
+      var line = prop_name(names[i]) + ': ' + range_expr(type_name) + '.' + PARSE_METHODS[type_name] + '()';
+      body.push('  ' + line + (i < types.length - 1 ? ',' : ''));
+      offset += packet.data_types[type_name].width;
+    });
+    body.push('};');
+    return body;
+  }
+
+  body.push('var res = {};');
+  types.forEach(function (type_name, i) {
+    var field = 'res.' + names[i];
+    if (!IDENTIFIER_RE.test(names[i])) field = 'res[' + JSON.stringify(names[i]) + ']';
+
+    body.push(field + ' = ' + range_expr(type_name) + '.' + PARSE_METHODS[type_name] + '();');
+
+    var width = packet.data_types[type_name].width;
+    if (width) {
+      offset += width;
+    }
+    else if (i < types.length - 1) {
+      var prev = use_ind ? (offset ? 'ind+' + offset : 'ind') : String(offset);
+      body.push((use_ind ? '' : 'var ') + 'ind = ' + prev + ' + packet.data_types.' + type_name + '.get_width(' + field + ');');
+      use_ind = true;
+      offset = 0;
+    }
+  });
+  body.push('return res;');
+  return body;
+};
+
+var make_builder_lines = function (types, names) {
+  var body = [];
+  var offset = 0;
+  var use_ind = false;
+
+  var pos = function (extra) {
+    var total = offset + extra;
+    if (!use_ind) return String(total);
+    return total ? 'ind+' + total : 'ind';
+  };
+
+  types.forEach(function (type_name, i) {
+    var data_type = packet.data_types[type_name];
+    var val = names[i];
+    if (FIXED_POINT_SCALES[type_name]) val = 'Math.round(' + val + '*' + FIXED_POINT_SCALES[type_name] + ')';
+
+    if (data_type.width === 1) {
+      body.push('bldr.byte(' + pos(0) + ').' + BUILD_METHODS[type_name] + '(' + val + ');');
+      offset += 1;
+    }
+    else if (data_type.width) {
+      body.push('bldr.bytes(' + pos(0) + ', ' + pos(data_type.width - 1) + ').' + BUILD_METHODS[type_name] + '(' + val + ');');
+      offset += data_type.width;
+    }
+    else {
+      var width_var = names[i] + '_width';
+      body.push('var ' + width_var + ' = packet.data_types.' + type_name + '.get_width(' + names[i] + ');');
+      body.push('bldr.bytes(' + pos(0) + ', ' + pos(0) + '+' + width_var + '-1).' + BUILD_METHODS[type_name] + '(' + val + ');');
+
+      if (i < types.length - 1) {
+        body.push((use_ind ? '' : 'var ') + 'ind = ' + pos(0) + ' + ' + width_var + ';');
+        use_ind = true;
+        offset = 0;
+      }
+    }
+  });
+
+  return body;
+};
+
+// the width of a payload holding the given types, or null if it may vary
+var fixed_width = function (types) {
+  var width = 0;
+  for (var i = 0; i < types.length; i++) {
+    if (!packet.data_types[types[i]].width) return null;
+    width += packet.data_types[types[i]].width;
+  }
+  return width;
+};
+
+var quote_methods = function (methods) {
+  return methods.map(function (method) { return '\'' + method + '\''; }).join(' and ');
+};
+
+// Parsers are looked up by the method of the reply alone, so the
+// replies of several send methods which use the same method (given as
+// objects of the form `{ send_method, types, names }`) share a parser.
+// If their arguments differ, the parser tells them apart by the length
+// of the payload, and an Error is thrown if the lengths can't.
+var make_reply_parser_lines = function (full_name, recv_method, replies) {
+  var layouts = [];
+  replies.forEach(function (reply) {
+    var key = JSON.stringify(reply.types);
+    var layout = layouts.filter(function (other) { return other.key === key; })[0];
+    if (layout) layout.send_methods.push(reply.send_method);
+    else layouts.push({ key: key, types: reply.types, names: reply.names, send_methods: [reply.send_method] });
+  });
+
+  if (layouts.length === 1) return make_function(['src'], make_parser_lines(layouts[0].types, layouts[0].names));
+
+  var widths = layouts.map(function (layout) { return fixed_width(layout.types); });
+  var distinct = widths.every(function (width, i) { return width !== null && widths.indexOf(width) === i; });
+  if (!distinct) {
+    var send_methods = replies.map(function (reply) { return reply.send_method; });
+    throw new Error('The replies to ' + quote_methods(send_methods) + ' of ' + full_name + ' are all \'' + recv_method +
+                    '\' packets with different arguments, which can\'t be told apart by their length');
+  }
+
+  var body = ['var length = src.getBuffer().length;'];
+  layouts.forEach(function (layout, i) {
+    var comment = '// the reply to ' + quote_methods(layout.send_methods);
+    var parse_lines = make_parser_lines(layout.types, layout.names);
+    if (i < layouts.length - 1) {
+      body.push('if (length === ' + widths[i] + ') {  ' + comment);
+      body = body.concat(indent(parse_lines, 1), ['}']);
+    }
+    else {
+      body.push(comment);
+      body = body.concat(parse_lines);
+    }
+  });
+
+  return make_function(['src'], body);
+};
+
+var make_function = function (params, body_lines) {
+  if (body_lines.length === 0) return ['function (' + params.join(', ') + ') {}'];
+  return ['function (' + params.join(', ') + ') {'].concat(indent(body_lines, 1), ['}']);
+};
+
+// emits `key: function (...) {...}` (or `key: { is_rpc: true, method: function... }`)
+var make_entry_lines = function (rpc_name, variants) {
+  var key = prop_name(rpc_name);
+  var methods = Object.keys(variants);
+
+  if (methods.length === 1 && !variants[methods[0]].force_obj) {
+    var func_lines = variants[methods[0]].lines;
+    return [key + ': ' + func_lines[0]].concat(func_lines.slice(1));
+  }
+
+  var lines = [key + ': {', '  is_rpc: true,'];
+  methods.forEach(function (method, i) {
+    var func_lines = variants[method].lines;
+    var entry = [method + ': ' + func_lines[0]].concat(func_lines.slice(1));
+    if (i < methods.length - 1) entry[entry.length - 1] += ',';
+    lines = lines.concat(indent(entry, 1));
+  });
+  lines.push('}');
+  return lines;
+};
+
+var join_entries = function (entries) {
+  var lines = [];
+  entries.forEach(function (entry_lines, i) {
+    entry_lines = entry_lines.slice();
+    if (i < entries.length - 1) entry_lines[entry_lines.length - 1] += ',';
+    lines = lines.concat(entry_lines);
+  });
+  return lines;
+};
+
+var title_case = function (name) {
+  return name.split(/[._]/).map(function (part) {
+    return part.charAt(0).toUpperCase() + part.slice(1);
+  }).join('');
+};
+
+/* generate_namespace_module(namespace, rpcs[, options])
+ * -----------------------------------------------------
+ *
+ * This function generates the source code of a
+ * `dyio.extra_namespaces` module for the given namespace (a
+ * `BowlerNamespace` subclass with its parsers and builders written
+ * out, rather than a schema) from the given Array of RPC descriptions
+ * (in the form produced by `dyio.util.introspection.BowlerIntrospector`;
+ * descriptions for other namespaces are ignored).  RPCs which may be sent
+ * with several methods get per-method parsers and builders, except that
+ * replies which use the same method share a parser.  If their arguments
+ * differ, the parser tells them apart by the length of the payload (and an
+ * Error is thrown if the lengths can't tell them apart).  The source is
+ * returned as a string, and is meant to be saved as
+ * `lib/extra_namespaces/<namespace with '.' replaced by '_'>.js`,
+ * reviewed, and edited by hand as needed.
+ *
+ * The options object may contain the following properties:
+ *
+ * - *arg_names*: an object mapping RPC names to objects of the
+ *   form `{ send: [names...], recv: [names...] }`, giving the names
+ *   to use for the builder arguments and parsed fields (by default,
+ *   names are generated from the types, e.g. `value_0`)
+ */
+var generate_namespace_module = function (namespace, rpcs, opts) {
+  if (!opts) opts = {};
+  var arg_names = opts.arg_names || {};
+
+  var module_name = namespace.split('.').join('_');
+  var class_name = title_case(namespace) + 'Namespace';
+
+  // group the descriptions by RPC name, keeping the order they were introspected in
+  var rpc_order = [];
+  var by_name = {};
+  rpcs.forEach(function (rpc) {
+    if (rpc.namespace !== namespace) return;
+    if (!by_name[rpc.name]) {
+      by_name[rpc.name] = [];
+      rpc_order.push(rpc.name);
+    }
+    by_name[rpc.name].push(rpc);
+  });
+
+  var parsers = [];
+  var builders = [];
+  var send_methods = [];
+  var recv_methods = [];
+
+  rpc_order.forEach(function (rpc_name) {
+    var variants = by_name[rpc_name];
+    var names = arg_names[rpc_name] || {};
+    var multi = variants.length > 1;
+
+    var replies = {};
+    var parser_variants = {};
+    var builder_variants = {};
+    var recv_pairs = [];
+
+    variants.forEach(function (rpc) {
+      var send_names = make_arg_names(rpc.send.args, names.send);
+
+      if (!replies[rpc.recv.method]) replies[rpc.recv.method] = [];
+      replies[rpc.recv.method].push({
+        send_method: rpc.send.method,
+        types: rpc.recv.args,
+        names: make_arg_names(rpc.recv.args, names.recv)
+      });
+
+      builder_variants[rpc.send.method] = {
+        lines: make_function(['bldr'].concat(send_names), make_builder_lines(rpc.send.args, send_names)),
+        force_obj: multi
+      };
+
+      recv_pairs.push(rpc.send.method + ': \'' + rpc.recv.method + '\'');
+    });
+
+    for (var recv_method in replies) {
+      parser_variants[recv_method] = {
+        lines: make_reply_parser_lines(namespace + '#' + rpc_name, recv_method, replies[recv_method]),
+        force_obj: multi
+      };
+    }
+
+    parsers.push(make_entry_lines(rpc_name, parser_variants));
+    builders.push(make_entry_lines(rpc_name, builder_variants));
+
+    var send_list = variants.map(function (rpc) { return '\'' + rpc.send.method + '\''; });
+    send_methods.push([prop_name(rpc_name) + ': ' + (multi ? '[' + send_list.join(', ') + ']' : send_list[0])]);
+    recv_methods.push([prop_name(rpc_name) + ': { ' + recv_pairs.join(', ') + ' }']);
+  });
+
+  var title = '`dyio.extra_namespaces.' + module_name + '` namespace';
+  var section = function (prop, entries) {
+    return ['  this.' + prop + ' = {'].concat(indent(join_entries(entries), 2), ['  };']);
+  };
+
+  var lines = [
+    '// ' + title,
+    '// ' + new Array(title.length + 1).join('='),
+    '',
+    'var BowlerNamespace = require(\'dyio/extra_namespaces\').BowlerNamespace;',
+    'var util = require(\'util\');',
+    'var packet = require(\'dyio/packet\');',
+    '',
+    '// This namespace provides the require "glue"',
+    '// to use RPCs in the \'' + namespace + '\' namespace.',
+    '// It was generated from introspection results',
+    '// by `dyio.util.codegen`.',
+    '',
+    'var ' + class_name + ' = function () {',
+    '  this.root = \'' + namespace + '\';',
+    ''
+  ];
+
+  lines = lines.concat(section('parsers', parsers), [''],
+                       section('builders', builders), [''],
+                       section('send_methods', send_methods), [''],
+                       section('recv_methods', recv_methods));
+
+  lines = lines.concat([
+    '};',
+    '',
+    'util.inherits(' + class_name + ', BowlerNamespace);',
+    '',
+    'module.exports = new ' + class_name + '();',
+    ''
+  ]);
+
+  return lines.join('\n');
+};
+
+/* generate_from_device(bowler_device, namespace[, options][, callback])
+ * ---------------------------------------------------------------------
+ *
+ * This function introspects the RPCs in the given
+ * namespace on the given (connected) BowlerDevice, and
+ * returns a Promise for the source of the corresponding
+ * module (see `generate_namespace_module(...)`).
+ *
+ * callback: function(err, source)
+ */
+var generate_from_device = function (bowler_device, namespace, opts, cb) {
+  if (opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+
+  if (!introspection_util) introspection_util = require('dyio/util/introspection');
+  var introspector = new introspection_util.BowlerIntrospector(bowler_device);
+
+  var promise = introspector.rpcs_in_namespace(namespace).then(function (rpcs) {
+    return generate_namespace_module(namespace, rpcs, opts);
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+module.exports = {
+  ARG_NAME_BASES: ARG_NAME_BASES,
+  make_arg_names: make_arg_names,
+  generate_namespace_module: generate_namespace_module,
+  generate_from_device: generate_from_device
+};
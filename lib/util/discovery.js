@@ -0,0 +1,233 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.util.discovery` namespace
+// ===============================
+
+var bowler_util = require('dyio/util');
+var bowler_device = require('dyio/bowler_device');
+var SerialTransport = require('dyio/transports/serial').SerialTransport;
+var udp = require('dyio/transports/udp');
+var errors = require('dyio/errors');
+var serialport = null;  // only load if necessary
+
+const DEFAULT_PROBE_TIMEOUT = 500;  // how long to wait for each probe reply (in milliseconds)
+
+/* list_serial_ports([callback])
+ * -----------------------------
+ *
+ * This function lists the serial ports present
+ * on the system, returning a Promise for an Array
+ * of the port information objects given by the
+ * `serialport` module (the path is in `comName`).
+ *
+ * callback: function(err, ports)
+ */
+var list_serial_ports = function (cb) {
+  if (!serialport) serialport = require('serialport');
+
+  return bowler_util.with_callback(new Promise(function (resolve, reject) {
+    serialport.list(function (err, ports) {
+      if (err) reject(err);
+      else resolve(ports);
+    });
+  }), cb);
+};
+
+/* probe(transport[, options][, callback])
+ * ---------------------------------------
+ *
+ * This function checks whether or not there is
+ * a Bowler device on the other end of the given
+ * (closed) transport.  It opens the transport, sends
+ * a `bcs.core#_png` to the broadcast MAC address, and
+ * then asks the device that replied for its `bcs.core#_nms`
+ * information, closing the transport again when done.  It
+ * returns a Promise for null if nothing replied, or else an
+ * object of the form
+ *
+ *    {
+ *      mac_address: "XX:XX:XX:XX:XX:XX"(string),
+ *      name: string,
+ *      version: string,
+ *      num_namespaces: uint
+ *    }
+ *
+ * The options object may contain the following properties:
+ *
+ * - *timeout*: how long to wait for each reply
+ *   (in milliseconds, 500 by default)
+ * - *mac_address*: the MAC address to ping (the
+ *   broadcast address by default)
+ *
+ * callback: function(err, device_info)
+ */
+var probe = function (transport, opts, cb) {
+  if (opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+  if (!opts) opts = {};
+
+  var timeout = opts.timeout || DEFAULT_PROBE_TIMEOUT;
+  var dev = new bowler_device.BowlerDevice();
+  dev.mac_address = opts.mac_address || 'broadcast';
+  dev.request_timeout = timeout;
+  dev.request_retries = 0;
+
+  // a port with something else on the other end
+  // may produce garbage, which isn't worth reporting
+  dev.on('error', function () {});
+
+  var ping = function () {
+    return new Promise(function (resolve, reject) {
+      dev.send_request('get', 'bcs.core', '_png', [], function (err, res, base_packet) {
+        if (err) reject(err);
+        else resolve(base_packet);
+      });
+    });
+  };
+
+  var promise = (async function () {
+    try {
+      // even if the transport fails to open, it has to be detached again
+      await new Promise(function (resolve, reject) {
+        dev.connect(transport, function (err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      var base_packet;
+      try {
+        base_packet = await ping();
+      }
+      catch (err) {
+        if (err instanceof errors.BowlerTimeoutError) return null;
+        throw err;
+      }
+
+      // talk to the device which replied from now on
+      dev.mac_address = base_packet.mac_address;
+      var nms = await dev.command_to._nms(0);
+
+      return {
+        mac_address: base_packet.mac_address,
+        name: nms.name,
+        version: nms.version_str,
+        num_namespaces: nms.num_namespaces
+      };
+    }
+    finally {
+      await new Promise(function (resolve) { dev.disconnect(function () { resolve(); }); });
+    }
+  })();
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* discover([options][, callback])
+ * -------------------------------
+ *
+ * This function looks for Bowler devices by probing
+ * serial ports one at a time (see `probe(...)`) and,
+ * optionally, by pinging the network via UDP broadcast
+ * (see `dyio.transports.udp.discover(...)`).  It returns
+ * a Promise for an Array of the devices found, in the form
+ * returned by `probe(...)`, with the addition of a *transport*
+ * property ('serial' or 'udp') and either a *path* property
+ * (for serial devices) or *address* and *port* properties
+ * (for network devices).  Ports which cannot be opened are
+ * skipped.
+ *
+ * The options object may contain the following properties:
+ *
+ * - *ports*: an Array of the serial port paths to probe
+ *   (all of the ports given by `list_serial_ports()` by default)
+ * - *filter*: a function which takes a port information object
+ *   (see `list_serial_ports()`) and returns true if the port should
+ *   be probed (only used if `ports` is not given)
+ * - *serial*: set to false to skip the serial ports entirely
+ * - *baud_rate*: the baud rate to use for the serial ports
+ * - *udp*: set to true (or to an options object for
+ *   `dyio.transports.udp.discover(...)`) to also look
+ *   for devices on the network
+ * - *timeout*: how long to wait for each reply
+ *   (in milliseconds, 500 by default)
+ * - *on_error*: a function which is called with the path
+ *   and the Error for each port which could not be probed
+ *
+ * callback: function(err, devices)
+ */
+var discover = function (opts, cb) {
+  if (opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+  if (!opts) opts = {};
+
+  var probe_opts = { timeout: opts.timeout };
+
+  var promise = (async function () {
+    var found = [];
+
+    if (opts.serial !== false) {
+      var paths = opts.ports;
+      if (!paths) {
+        var ports = await list_serial_ports();
+        if (opts.filter) ports = ports.filter(opts.filter);
+        paths = ports.map(function (port_info) { return port_info.comName; });
+      }
+
+      for (var i = 0; i < paths.length; i++) {
+        var serial_info;
+        try {
+          serial_info = await probe(new SerialTransport(paths[i], { baud_rate: opts.baud_rate }), probe_opts);
+        }
+        catch (err) {
+          if (opts.on_error) opts.on_error(paths[i], err);
+          continue;
+        }
+
+        if (serial_info) {
+          var serial_dev = { transport: 'serial', path: paths[i] };
+          bowler_util.extend(serial_dev, serial_info);
+          found.push(serial_dev);
+        }
+      }
+    }
+
+    if (opts.udp) {
+      var udp_opts = (opts.udp === true) ? {} : opts.udp;
+      var remotes = await udp.discover(udp_opts);
+
+      for (var j = 0; j < remotes.length; j++) {
+        var remote = remotes[j];
+        var udp_info;
+        try {
+          udp_info = await probe(new udp.UdpTransport(remote.address, remote.port),
+                                 { timeout: opts.timeout, mac_address: remote.mac_address });
+        }
+        catch (err) {
+          if (opts.on_error) opts.on_error(remote.address + ':' + remote.port, err);
+          continue;
+        }
+
+        if (udp_info) {
+          var udp_dev = { transport: 'udp', address: remote.address, port: remote.port };
+          bowler_util.extend(udp_dev, udp_info);
+          found.push(udp_dev);
+        }
+      }
+    }
+
+    return found;
+  })();
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+module.exports = {
+  list_serial_ports: list_serial_ports,
+  probe: probe,
+  discover: discover
+};
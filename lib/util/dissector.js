@@ -0,0 +1,297 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.util.dissector` namespace
+// ===============================
+
+var bowler_util = require('dyio/util');
+var bowler_device = require('dyio/bowler_device');
+var extra_namespaces = require('dyio/extra_namespaces');
+var packet = require('dyio/packet');
+var capture_util = require('dyio/util/capture');
+
+const BOWLER_HEADER_SIZE = bowler_device.BOWLER_HEADER_SIZE;
+const RPC_NAME_SIZE = 4;
+const MAX_HEX_BYTES = 8;  // how many bytes of a field `format_dissection(...)` shows
+
+/* dissect(raw_bytes[, device])
+ * ----------------------------
+ *
+ * This function takes a raw Bowler packet (a Buffer)
+ * and breaks it down into its fields, annotating each
+ * with its byte range and checking it where possible.
+ * The given BowlerDevice is used to look up the namespace
+ * names and the payload format (a plain BowlerDevice, which
+ * only knows about 'bcs.core', is used by default).  Packets sent
+ * by the device (i.e. with the direction bit set) are decoded with
+ * the matching parser from `_parsers`, while packets sent to the
+ * device are decoded using the argument types of the matching
+ * builder, if they are known (see `BowlerDevice#describe_rpc(...)`).
+ *
+ * Each field is an object of the form `{ offset: uint, length: uint,
+ * value: any }` with some extra properties, as follows:
+ *
+ *    {
+ *      length: uint(of the whole Buffer),
+ *      version: { ..., valid: bool },
+ *      mac_address: { ..., value: "XX:XX:XX:XX:XX:XX"(string) },
+ *      method: { ..., raw: uint, value: BOWLER_METHODS(string)|null },
+ *      namespace: { ..., id: uint, value: string|null(if unknown) },
+ *      direction: { ..., value: uint(0|1), from_device: bool },
+ *      size: { ..., expected: uint, valid: bool },
+ *      checksum: { ..., expected: uint, valid: bool },
+ *      rpc: { ..., value: "xxxx"(string) },
+ *      payload: {
+ *        ...,
+ *        value: the parsed payload (or null if it couldn't be decoded),
+ *        fields: [{ name: string, type: string, offset: uint,
+ *                   length: uint, value: any }, ...]|null,
+ *        error: string|null
+ *      }
+ *    }
+ *
+ * Offsets are relative to the start of the packet.  Packet
+ * payload fields are only listed when the argument types are
+ * known (otherwise only the parsed value is given, if there is
+ * a parser), and an Error is only thrown if the Buffer is too
+ * short to hold a header and RPC name.
+ */
+var dissect = function (raw_bytes, device) {
+  if (!device) device = new bowler_device.BowlerDevice();
+
+  var min_size = BOWLER_HEADER_SIZE + RPC_NAME_SIZE;
+  if (raw_bytes.length < min_size) {
+    throw new Error('A Bowler packet is at least ' + min_size + ' bytes long, got ' + raw_bytes.length);
+  }
+
+  var field = function (offset, length, value) {
+    return { offset: offset, length: length, value: value };
+  };
+
+  var res = { length: raw_bytes.length };
+
+  res.version = field(0, 1, raw_bytes[0]);
+  res.version.valid = (raw_bytes[0] === bowler_device.BOWLER_VERSION);
+
+  res.mac_address = field(1, 6, bowler_util.format_mac_address(raw_bytes.slice(1, 7)));
+
+  res.method = field(7, 1, bowler_device.BOWLER_METHODS[raw_bytes[7]] || null);
+  res.method.raw = raw_bytes[7];
+
+  var ns_id = raw_bytes[8] & 0x7F;
+  res.namespace = field(8, 1, device.supported_namespaces[ns_id] || null);
+  res.namespace.id = ns_id;
+
+  res.direction = field(8, 1, raw_bytes[8] >> 7);
+  res.direction.from_device = (res.direction.value === 1);
+
+  var size_byte = bowler_device.BOWLER_SIZE_BYTE;
+  res.size = field(size_byte, 1, raw_bytes[size_byte]);
+  res.size.expected = raw_bytes.length - BOWLER_HEADER_SIZE;
+  res.size.valid = (res.size.value === res.size.expected);
+
+  res.checksum = field(10, 1, raw_bytes[10]);
+  res.checksum.expected = bowler_util.make_checksum(raw_bytes.slice(0, 10));
+  res.checksum.valid = (res.checksum.value === res.checksum.expected);
+
+  res.rpc = field(BOWLER_HEADER_SIZE, RPC_NAME_SIZE, raw_bytes.toString('ascii', BOWLER_HEADER_SIZE, min_size));
+
+  res.payload = field(min_size, raw_bytes.length - min_size, null);
+  res.payload.fields = null;
+  res.payload.error = null;
+
+  try {
+    dissect_payload(raw_bytes, res, device);
+  }
+  catch (err) {
+    res.payload.error = err.message;
+  }
+
+  return res;
+};
+
+// decode the payload of a dissected packet, filling in `res.payload`
+var dissect_payload = function (raw_bytes, res, device) {
+  var namespace = res.namespace.value;
+  var rpc = res.rpc.value;
+  var method = res.method.value;
+  if (!namespace) throw new Error('Unknown namespace id ' + res.namespace.id);
+  if (!method) throw new Error('Unknown method 0x' + res.method.raw.toString(16));
+
+  var data = raw_bytes.slice(res.payload.offset);
+  var func;
+  if (res.direction.from_device) {
+    var base_packet = { method: method, namespace: namespace, rpc: rpc, data: data };
+    res.payload.value = device.parse_packet_data(base_packet);
+    func = bowler_util.resolve_namespace_path(namespace, rpc, device._parsers, 'Error finding packet parser');
+  }
+  else {
+    func = bowler_util.resolve_namespace_path(namespace, rpc, device._builders, 'Error finding packet builder');
+  }
+  if (!(func instanceof Function)) func = func[method];
+
+  // hand-written builders don't say what they write
+  if (!func || !func.arg_types) return;
+
+  // some builders take their arguments in a different order than they write them
+  var types = func.wire_types || func.arg_types;
+  var names = func.wire_names || func.arg_names;
+
+  var fields = [];
+  var type_counts = {};
+  var ind = 0;
+  types.forEach(function (type, i) {
+    var data_type = packet.data_types[type];
+    var parsed = data_type.deserialize(data, ind);
+    var width = data_type.width;
+    if (!width) {
+      width = parsed[1];
+      parsed = parsed[0];
+    }
+
+    // generated names match the fields of autopopulated parsers
+    type_counts[type] = type_counts[type] + 1 || 0;
+    var name = names ? names[i] : type + '_' + type_counts[type];
+
+    fields.push({ name: name, type: type, offset: res.payload.offset + ind, length: width, value: parsed });
+    ind += width;
+  });
+
+  res.payload.fields = fields;
+  if (!res.direction.from_device) {
+    res.payload.value = {};
+    fields.forEach(function (payload_field) { res.payload.value[payload_field.name] = payload_field.value; });
+  }
+};
+
+var format_value = function (value) {
+  if (Buffer.isBuffer(value)) return '<' + value.toString('hex') + '>';
+  if (ArrayBuffer.isView(value)) return '[' + Array.prototype.join.call(value, ', ') + ']';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (value && typeof value === 'object') {
+    var parts = [];
+    for (var key in value) {
+      if (key !== 'as_array') parts.push(key + ': ' + format_value(value[key]));
+    }
+    return '{ ' + parts.join(', ') + ' }';
+  }
+  return String(value);
+};
+
+/* format_dissection(dissection[, raw_bytes])
+ * ------------------------------------------
+ *
+ * This function formats the result of `dissect(...)`
+ * as human-readable text, with one line per field
+ * giving its byte range, name, and value.  If the
+ * dissected Buffer is given, the raw bytes of each
+ * field are shown as well.
+ */
+var format_dissection = function (dissection, raw_bytes) {
+  var lines = [];
+  var add_line = function (f, name, value) {
+    var range = (f.length > 1) ? f.offset + '-' + (f.offset + f.length - 1) : String(f.offset);
+    if (f.length === 0) range = '-';
+
+    var hex = '';
+    if (raw_bytes) {
+      var bytes = Array.prototype.slice.call(raw_bytes, f.offset, f.offset + Math.min(f.length, MAX_HEX_BYTES));
+      hex = bytes.map(function (b) { return ('0' + b.toString(16)).slice(-2); }).join(' ');
+      if (f.length > MAX_HEX_BYTES) hex += ' ..';
+    }
+
+    lines.push('  ' + pad(range, 8) + (raw_bytes ? pad(hex, 27) : '') + pad(name, 20) + value);
+  };
+
+  var ok = function (valid) { return valid ? 'ok' : 'BAD'; };
+
+  lines.push('Bowler packet (' + dissection.length + ' bytes)');
+  add_line(dissection.version, 'version', dissection.version.value + (dissection.version.valid ? '' : ' (unsupported)'));
+  add_line(dissection.mac_address, 'mac_address', dissection.mac_address.value);
+  add_line(dissection.method, 'method', dissection.method.value || 'unknown (0x' + dissection.method.raw.toString(16) + ')');
+  add_line(dissection.namespace, 'namespace',
+           dissection.namespace.id + ' (' + (dissection.namespace.value || 'unknown') + '), ' +
+           (dissection.direction.from_device ? 'from' : 'to') + ' device');
+  add_line(dissection.size, 'size', dissection.size.value + ' (' + ok(dissection.size.valid) +
+           (dissection.size.valid ? '' : ', expected ' + dissection.size.expected) + ')');
+  add_line(dissection.checksum, 'checksum', '0x' + dissection.checksum.value.toString(16) + ' (' + ok(dissection.checksum.valid) +
+           (dissection.checksum.valid ? '' : ', expected 0x' + dissection.checksum.expected.toString(16)) + ')');
+  add_line(dissection.rpc, 'rpc', dissection.rpc.value);
+
+  var payload = dissection.payload;
+  if (payload.error) {
+    add_line(payload, 'payload', '(not decoded: ' + payload.error + ')');
+  }
+  else if (payload.fields) {
+    add_line(payload, 'payload', '');
+    payload.fields.forEach(function (f) {
+      add_line(f, '  ' + f.name + ': ' + f.type, format_value(f.value));
+    });
+  }
+  else if (payload.value) {
+    add_line(payload, 'payload', format_value(payload.value));
+  }
+  else {
+    add_line(payload, 'payload', payload.length ? '(format unknown)' : '(empty)');
+  }
+
+  return lines.join('\n');
+};
+
+var pad = function (str, width) {
+  if (str.length >= width) return str + ' ';
+  return str + new Array(width - str.length + 1).join(' ');
+};
+
+/* device_for_capture(capture[, device])
+ * -------------------------------------
+ *
+ * This function sets up the given BowlerDevice (or
+ * a new one) for dissecting the packets of the given
+ * capture (see `dyio.util.capture.read_capture(...)`),
+ * applying the capture metadata and loading the builders
+ * and parsers for every captured namespace which has a module
+ * in `dyio/extra_namespaces`.  The device is returned.
+ */
+var device_for_capture = function (capture, device) {
+  if (!device) device = new bowler_device.BowlerDevice();
+  capture_util.apply_metadata(device, capture.metadata);
+
+  for (var ind in device.supported_namespaces) {
+    var namespace = device.supported_namespaces[ind];
+    if (extra_namespaces.has_module(namespace)) device.supports_namespace(namespace);
+  }
+
+  return device;
+};
+
+/* dissect_capture(capture[, device])
+ * ----------------------------------
+ *
+ * This function dissects every packet of the given
+ * capture (see `dyio.util.capture.read_capture(...)`),
+ * returning an Array of objects of the form `{ time: uint,
+ * direction: 'sent'|'received', data: Buffer, dissection: object|null,
+ * error: string|null }`.  If no device is given, one is set up with
+ * `device_for_capture(...)`.
+ */
+var dissect_capture = function (capture, device) {
+  if (!device) device = device_for_capture(capture);
+
+  return capture.records.map(function (record) {
+    var res = { time: record.time, direction: record.direction, data: record.data, dissection: null, error: null };
+    try {
+      res.dissection = dissect(record.data, device);
+    }
+    catch (err) {
+      res.error = err.message;
+    }
+    return res;
+  });
+};
+
+module.exports = {
+  dissect: dissect,
+  format_dissection: format_dissection,
+  device_for_capture: device_for_capture,
+  dissect_capture: dissect_capture
+};
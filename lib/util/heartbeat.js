@@ -0,0 +1,246 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.util.heartbeat` namespace
+// ===============================
+
+const DEFAULT_INTERVAL = 1000;  // how often to ping (in milliseconds)
+const DEFAULT_LOST_AFTER = 3;  // how many pings in a row may be missed before the link counts as lost
+const DEFAULT_WINDOW = 20;  // how many latency samples the statistics cover
+
+/* Heartbeat
+ * ---------
+ *
+ * Constructor: function(BowlerDevice[, options])
+ *
+ * This class pings the given device (with `bcs.core#_png`)
+ * at a regular interval, keeping statistics about the round-trip
+ * latency and the pings which went unanswered, and working out the
+ * health of the link from them.  Usually, this class is created with
+ * `BowlerDevice#start_heartbeat(...)`.
+ *
+ * The health of the link (see `state`) is one of the following:
+ *
+ * - *'unknown'*: no ping has been answered or missed yet
+ *   (since starting or reconnecting)
+ * - *'healthy'*: the last ping was answered in time
+ * - *'degraded'*: the last ping was missed, or its latency was
+ *   over *max_latency*
+ * - *'lost'*: *lost_after* pings in a row were missed, or the
+ *   device was disconnected
+ *
+ * When the link is lost and the device has a reconnector (see
+ * `BowlerDevice#enable_reconnect(...)`), the reconnector is told
+ * (see `dyio.util.reconnect.Reconnector#link_lost(...)`).
+ *
+ * The options object may contain the following properties:
+ *
+ * - *interval*: how often to ping (in milliseconds, 1000 by default)
+ * - *timeout*: how long to wait for each reply (in milliseconds,
+ *   the interval by default)
+ * - *lost_after*: how many pings in a row may be missed before the
+ *   link counts as lost (3 by default)
+ * - *max_latency*: the latency over which the link counts as degraded
+ *   (in milliseconds, none by default)
+ * - *window*: how many of the latest replies the latency statistics
+ *   cover (20 by default)
+ *
+ * The device emits the following events:
+ *
+ * - *'heartbeat'*: `function(stats)` -- a ping was answered or missed
+ *   (see `stats()`)
+ * - *'health'*: `function(state, previous_state, stats)` -- the health
+ *   of the link changed
+ */
+var Heartbeat = function (device, opts) {
+  if (!opts) opts = {};
+
+  this.device = device;
+  this.interval = opts.interval || DEFAULT_INTERVAL;
+  this.timeout = opts.timeout || this.interval;
+  this.lost_after = opts.lost_after || DEFAULT_LOST_AFTER;
+  this.max_latency = opts.max_latency || null;
+  this.window = opts.window || DEFAULT_WINDOW;
+
+  /* ### state ###
+   *
+   * The current health of the link: 'unknown',
+   * 'healthy', 'degraded', or 'lost'.
+   */
+  this.state = 'unknown';
+
+  /* ### last_reply_time = null ###
+   *
+   * When the last ping was answered (in
+   * milliseconds since the epoch), or null if
+   * none has been yet.
+   */
+  this.last_reply_time = null;
+
+  this._samples = [];
+  this._sent = 0;
+  this._missed = 0;
+  this._consecutive_missed = 0;
+  this._in_flight = false;
+  this._timer = null;
+
+  var self = this;
+  this._listeners = {
+    disconnected: function () { self._set_state('lost'); },
+    connected: function () {
+      self._consecutive_missed = 0;
+      self._set_state('unknown');
+    }
+  };
+};
+
+/* ### start() ###
+ *
+ * This method starts pinging the device,
+ * beginning straight away.
+ */
+Heartbeat.prototype.start = function () {
+  if (this._timer) return;
+
+  for (var evt in this._listeners) this.device.on(evt, this._listeners[evt]);
+
+  var self = this;
+  this._timer = setInterval(function () { self.ping(); }, this.interval);
+  this.ping();
+};
+
+/* ### stop() ###
+ *
+ * This method stops pinging the device.  A
+ * ping already in flight is still counted.
+ */
+Heartbeat.prototype.stop = function () {
+  if (!this._timer) return;
+
+  clearInterval(this._timer);
+  this._timer = null;
+  for (var evt in this._listeners) this.device.removeListener(evt, this._listeners[evt]);
+};
+
+/* ### ping() ###
+ *
+ * This method sends a single ping, unless
+ * the previous one is still waiting for a reply
+ * or the device is not connected.  It is called
+ * automatically every *interval* milliseconds.
+ */
+Heartbeat.prototype.ping = function () {
+  var transport = this.device.transport;
+  if (this._in_flight || !transport || !transport.is_open) return;
+
+  var self = this;
+  var start = Date.now();
+  this._in_flight = true;
+  this._sent++;
+
+  this.device.send_request('get', 'bcs.core', '_png', [], { timeout: this.timeout, retries: 0 }, function (err) {
+    self._in_flight = false;
+    if (err) self._on_missed(err);
+    else self._on_reply(Date.now() - start);
+  });
+};
+
+Heartbeat.prototype._on_reply = function (latency) {
+  this.last_reply_time = Date.now();
+  this._consecutive_missed = 0;
+
+  this._samples.push(latency);
+  if (this._samples.length > this.window) this._samples.shift();
+
+  this._set_state((this.max_latency && latency > this.max_latency) ? 'degraded' : 'healthy');
+  this.device.emit('heartbeat', this.stats());
+};
+
+Heartbeat.prototype._on_missed = function (err) {
+  this._missed++;
+  this._consecutive_missed++;
+
+  var lost = (this._consecutive_missed >= this.lost_after);
+  this._set_state(lost ? 'lost' : 'degraded');
+  this.device.emit('heartbeat', this.stats());
+
+  if (lost && this.device.reconnector) this.device.reconnector.link_lost(err);
+};
+
+Heartbeat.prototype._set_state = function (state) {
+  if (state === this.state) return;
+
+  var previous_state = this.state;
+  this.state = state;
+  this.device.emit('health', state, previous_state, this.stats());
+};
+
+/* ### time_since_reply() ###
+ *
+ * This method returns how long ago (in milliseconds)
+ * the last ping was answered, or null if none has been
+ * yet.  Code which must not act on stale information can
+ * compare this against its own limit.
+ */
+Heartbeat.prototype.time_since_reply = function () {
+  return (this.last_reply_time === null) ? null : Date.now() - this.last_reply_time;
+};
+
+/* ### stats() ###
+ *
+ * This method returns the current statistics,
+ * as an object of the following form (latencies
+ * are in milliseconds, and null until a ping has
+ * been answered):
+ *
+ *    {
+ *      state: string,
+ *      sent: uint(pings sent),
+ *      missed: uint(pings which went unanswered),
+ *      consecutive_missed: uint,
+ *      loss: number(the fraction of pings missed),
+ *      latency: number(of the last reply),
+ *      min_latency: number,
+ *      avg_latency: number,
+ *      max_latency: number,
+ *      jitter: number(the mean difference between consecutive latencies),
+ *      time_since_reply: uint
+ *    }
+ *
+ * The latency statistics cover the last *window* replies.
+ */
+Heartbeat.prototype.stats = function () {
+  var samples = this._samples;
+  var res = {
+    state: this.state,
+    sent: this._sent,
+    missed: this._missed,
+    consecutive_missed: this._consecutive_missed,
+    loss: this._sent ? this._missed / this._sent : 0,
+    latency: null,
+    min_latency: null,
+    avg_latency: null,
+    max_latency: null,
+    jitter: null,
+    time_since_reply: this.time_since_reply()
+  };
+
+  if (!samples.length) return res;
+
+  var total = 0;
+  var total_diff = 0;
+  for (var i = 0; i < samples.length; i++) {
+    total += samples[i];
+    if (i > 0) total_diff += Math.abs(samples[i] - samples[i - 1]);
+  }
+
+  res.latency = samples[samples.length - 1];
+  res.min_latency = Math.min.apply(Math, samples);
+  res.max_latency = Math.max.apply(Math, samples);
+  res.avg_latency = total / samples.length;
+  res.jitter = (samples.length > 1) ? total_diff / (samples.length - 1) : 0;
+  return res;
+};
+
+module.exports = {
+  Heartbeat: Heartbeat
+};
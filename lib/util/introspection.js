@@ -11,203 +11,157 @@
  * This utility class facilitates the
  * introspection of the given Bowler
  * device's capabilities by providing
- * a simple interface which calls a
- * callback once for each of the
- * items being introspected.  Currently,
- * it can introspect namespaces, the RPCs
- * in a given namespace, or all RPCs.
- *
- * Note: the use of this utility class requires
- * ECMA Harmony Generators to be supported,
- * and is designed to be used with a coroutine
- * library such as `gen-run`.
+ * a simple interface which introspects
+ * the items in question and returns them
+ * (via a Promise), optionally calling a
+ * callback once for each item as it arrives.
+ * Currently, it can introspect namespaces,
+ * the RPCs in a given namespace, or all RPCs.
  */
 var BowlerIntrospector = function (bowler_device) {
   this.bowler_device = bowler_device;
 };
 
+/* make_rpc_obj(rpc_info, rpc_args)
+ * --------------------------------
+ *
+ * This function combines the results of the
+ * `_rpc` and `args` introspection calls into
+ * a single RPC description.
+ */
+var make_rpc_obj = function (rpc_info, rpc_args) {
+  return {
+    namespace: rpc_info.namespace,
+    name: rpc_info.name,
+    send: {
+      method: rpc_args.send_method,
+      args: rpc_args.send_args
+    },
+    recv: {
+      method: rpc_args.recv_method,
+      args: rpc_args.recv_args
+    }
+  };
+};
+
 BowlerIntrospector.prototype = {
-  _namespaces: function* (chld) {
-    var ns0 = yield this.bowler_device.command_to._nms(0);
+  /* ### namespaces([callback]) ###
+   *
+   * This method introspects the namespaces supported
+   * by the Bowler device, returning a Promise for an
+   * Array of the namespace information returned by
+   * `bcs.core#_nms`, in namespace index order.  If a
+   * callback is given, it is called once for each
+   * namespace as it is introspected.
+   *
+   * callback: function (namespace_info, namespace_index, total_num_namespaces)
+   */
+  namespaces: async function (each_cb) {
+    var ns0 = await this.bowler_device.command_to._nms(0);
     var num_namespaces = ns0.num_namespaces;
+    var res = [ns0];
 
-    yield* chld(ns0, 0, num_namespaces);
+    if (each_cb) each_cb(ns0, 0, num_namespaces);
 
     for (var i = 1; i < num_namespaces; i++) {
-      yield* chld(yield this.bowler_device.command_to._nms(i), i, num_namespaces);
+      var ns_info = await this.bowler_device.command_to._nms(i);
+      res.push(ns_info);
+      if (each_cb) each_cb(ns_info, i, num_namespaces);
     }
-  },
 
-  _rpcs_in_namespace: function*(namespace, chld) {
-    var make_rpc_obj = function (rpc_info, rpc_args) {
-      return {
-        namespace: rpc_info.namespace,
-        name: rpc_info.name,
-        send: {
-          method: rpc_args.send_method,
-          args: rpc_args.send_args
-        },
-        recv: {
-          method: rpc_args.recv_method,
-          args: rpc_args.recv_args
-        }
-      };
-    };
+    return res;
+  },
 
-    try {
-      var curr_rpc_info = yield this.command_to.rpc._rpc(namespace, 0);
-      var num_rpcs = curr_rpc_info.num_rpcs;
-      var curr_rpc_args = yield this.command_to.rpc.args(namespace, 0);
+  /* ### rpcs_in_namespace(namespace[, callback]) ###
+   *
+   * This method introspects the RPCs in the given
+   * namespace, returning a Promise for an Array of
+   * RPC descriptions.  If a callback is given, it is
+   * called once for each RPC as it is introspected.
+   *
+   * callback: function (rpc_info_and_args, rpc_index, total_num_rpcs)
+   *
+   * The `rpc_info_and_args` object is an amalgamation
+   * of the information returned by the two RPC
+   * introspection calls, and takes the following
+   * form:
+   *
+   *    {
+   *      namespace: rpc_info.namespace,
+   *      name: rpc_info.name,
+   *      send: {
+   *        method: rpc_args.send_method,
+   *        args: rpc_args.send_args
+   *      },
+   *      recv: {
+   *        method: rpc_args.recv_method,
+   *        args: rpc_args.recv_args
+   *      }
+   *    }
+   */
+  rpcs_in_namespace: async function (namespace, each_cb) {
+    var command_to = this.bowler_device.command_to;
+    var res = [];
 
-      yield* chld(make_rpc_obj(curr_rpc_info, curr_rpc_args), 0, num_rpcs);
+    var curr_rpc_info = await command_to.rpc._rpc(namespace, 0);
+    var num_rpcs = curr_rpc_info.num_rpcs;
 
-      for (var i = 1; i < num_rpcs; i++) {
-        curr_rpc_info = yield this.command_to.rpc._rpc(namespace, i);
-        curr_rpc_args = yield this.command_to.rpc.args(namespace, i);
+    for (var i = 0; i < num_rpcs; i++) {
+      if (i > 0) curr_rpc_info = await command_to.rpc._rpc(namespace, i);
+      var curr_rpc_args = await command_to.rpc.args(namespace, i);
 
-        yield* chld(null, make_rpc_obj(curr_rpc_info, curr_rpc_args), i, num_rpcs);
-      }
-    }
-    catch (err) {
-      each_cb(err);
+      var rpc = make_rpc_obj(curr_rpc_info, curr_rpc_args);
+      res.push(rpc);
+      if (each_cb) each_cb(rpc, i, num_rpcs);
     }
+
+    return res;
   },
 
-  /* ### rpcs_for_namespaces*(namespaces, each_cb) ###
+  /* ### rpcs_for_namespaces(namespaces[, callback]) ###
    *
-   * This method calls the given callback once for each
-   * of the RPCs in the given namespaces.  It differs
-   * from the method `all_rpcs*(callback)` in that
+   * This method introspects all of the RPCs in the
+   * given namespaces, returning a Promise for an Array
+   * of RPC descriptions (see `rpcs_in_namespace`).  It
+   * differs from the method `all_rpcs([callback])` in that
    * it uses the given list of namespaces, instead of
-   * introspecting for them, like `all_rpcs*(callback)`
+   * introspecting for them, like `all_rpcs([callback])`
    *
-   * callback: function(err, rpc_info_and_args, rpc_index, total_num_rpcs, namespace_index, total_num_namespaces)
+   * callback: function(rpc_info_and_args, rpc_index, total_num_rpcs, namespace_index, total_num_namespaces)
    */
-  rpcs_for_namespaces: function* (namespaces, each_cb) {
+  rpcs_for_namespaces: async function (namespaces, each_cb) {
     var num_ns = namespaces.length;
+    var res = [];
+
     var make_mod_cb = function (ns_ind) {
-      return function (err, rpc, rpc_ind, total_rpcs) {
-        each_cb(err, rpc, rpc_ind, total_rpcs, ns_ind, num_ns);
+      if (!each_cb) return null;
+      return function (rpc, rpc_ind, total_rpcs) {
+        each_cb(rpc, rpc_ind, total_rpcs, ns_ind, num_ns);
       };
     };
+
     for (var i = 0; i < num_ns; i++) {
-      yield* this.rpcs_in_namespace(namespaces[i], make_mod_cb(i));
+      res = res.concat(await this.rpcs_in_namespace(namespaces[i], make_mod_cb(i)));
     }
+
+    return res;
   },
 
-  /* ### all_rpcs*(callback) ###
+  /* ### all_rpcs([callback]) ###
    *
-   * This method iterates through all the
-   * the RPCs in all of the supported namespaces,
-   * calling the provided callback once for each RPC.
+   * This method introspects all of the RPCs in
+   * all of the namespaces supported by the device,
+   * returning a Promise for an Array of RPC descriptions
+   * (see `rpcs_in_namespace`).
    *
-   * callback: function(err, rpc_info_and_args, rpc_index, total_num_rpcs, namespace_index, total_num_namespaces)
+   * callback: function(rpc_info_and_args, rpc_index, total_num_rpcs, namespace_index, total_num_namespaces)
    */
-  all_rpcs: function* (each_cb) {
-    try {
-      yield* this._namespaces(function* (ns, ns_ind, num_ns) {
-        var mod_cb = function (err, rpc, rpc_ind, total_rpcs) {
-          each_cb(err, rpc, rpc_ind, total_rpcs, ns_ind, num_ns);
-        };
-        yield* this.rpcs_in_namespace(ns.name, mod_cb);
-      });
-    }
-    catch (err) {
-      each_cb(err);
-    }
+  all_rpcs: async function (each_cb) {
+    var namespaces = await this.namespaces();
+    return await this.rpcs_for_namespaces(namespaces.map(function (ns) { return ns.name; }), each_cb);
   }
 };
 
-/* ### namespaces*(callback) ###
- *
- * This method accepts a standard node-style
- * callback for an argument, and calls
- * it once for each namespace returned
- * from introspection of the Bowler device.
- *
- * callback: function (err, namespace_info, namespace_index, total_num_namespaces)
- *
- * Note: the version of this method prepended with
- * an underscore is designed to accept a generator
- * function instead, used in the style of `gen-run`
- * and similar continuations libraries.  The generator
- * function takes the same arguments as the callback,
- * except it does not have the `err` argument, since
- * generator error handling functions differently
- * with the continuations libraries.
- */
-BowlerIntrospector.prototype.namespaces = cb_wrap(BowlerInspector.prototype._namespaces);
-
-/* ### rpcs_in_namespace*(namespace, callback) ###
- *
- * This method accepts a standard node-style
- * callback for an argument, and calls it
- * once for each RPC in the given namespace
- * returned by introspection of the Bowler
- * device.
- *
- * callback: function (err, rpc_info_and_args, rpc_index, total_num_rpcs)
- *
- * The `rpc_info_and_args` object is an amalgamation
- * of the information returned by the two RPC
- * introspection calls, and takes the following
- * form:
- *
- *    {
- *      namespace: rpc_info.namespace,
- *      name: rpc_info.name,
- *      send: {
- *        method: rpc_args.send_method,
- *        args: rpc_args.send_args
- *      },
- *      recv: {
- *        method: rpc_args.recv_method,
- *        args: rpc_args.recv_args
- *      }
- *    }
- *
- * Note: similarly to `namespaces(callback)`, there
- * exists a version of this method prepended
- * with an '_' with accepts a generator function
- * instead of a normal callback.
- */
-BowlerIntrospector.prototype.rpcs_in_namespace = cb_wrap(BowlerInspector.prototype._rpcs_in_namespace);
-
-/* cb_wrap(generator)
- * ------------------
- *
- * This function takes a generator function
- * which expects another generator function
- * as the last argument, and wraps it such
- * that it accpets a normal `function (err, ...args)`
- * callback instead.
- */
-var cb_wrap = function (gen) {
-  return function* () {
-    var cb = arguments[arguments.length-1];
-    var make_fake_iterator = function () {
-      var args = Array.prototype.slice.apply(arguments);
-      var done = false;
-      return {
-        next: function () {
-          if (done) throw StopIteration;
-          cb.apply(null, [null].concat(args));
-          done = true;
-          return { done: true };
-        }
-      };
-    };
-
-    try {
-      yield* gen.apply(this, Array.prototype.slice.call(arguments, 0, arguments.length-1).concat(make_fake_iterator));
-    }
-    catch (err) {
-      cb(err);
-    }
-  };
-};
-
 module.exports = {
-  BowlerIntrospector: BowlerIntrospector,
-  wrap_generator_callback: cb_wrap
+  BowlerIntrospector: BowlerIntrospector
 };
@@ -0,0 +1,226 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.util.introspection_cache` namespace
+// =========================================
+
+var bowler_util = require('dyio/util');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+const CACHE_FORMAT_VERSION = 1;  // bump this if the format of the cache file changes
+const DEFAULT_CACHE_PATH = path.join(os.homedir(), '.bowler', 'introspection_cache.json');
+
+/* make_cache_key(namespace_info)
+ * ------------------------------
+ *
+ * This function builds the cache key for a device
+ * from the Array of namespace information returned by
+ * `bcs.core#_nms` (see `BowlerDevice#namespace_info`).  The
+ * key is made of the name and version string of each namespace,
+ * so it changes whenever the device's firmware changes the
+ * namespaces it supports.
+ */
+var make_cache_key = function (namespace_info) {
+  return namespace_info.map(function (ns_info) {
+    return ns_info.name + ';' + ns_info.version_str;
+  }).join('|');
+};
+
+/* IntrospectionCache
+ * ------------------
+ *
+ * Constructor: function([path])
+ *
+ * This class stores the RPC descriptions produced
+ * by `dyio.util.introspection.BowlerIntrospector` in a
+ * JSON file, keyed by the namespace names and versions
+ * of the device they came from (see `make_cache_key(...)`),
+ * so that devices with the same firmware don't have to be
+ * introspected again.  Set a BowlerDevice's `introspection_cache`
+ * property to use it in `BowlerDevice#autopopulate_rpcs()`.
+ *
+ * The file is loaded the first time it is needed, and
+ * written out whenever an entry is added or removed.  If no
+ * path is given, `~/.bowler/introspection_cache.json` is used.
+ */
+var IntrospectionCache = function (cache_path) {
+  this.path = cache_path || DEFAULT_CACHE_PATH;
+
+  /* ### entries ###
+   *
+   * The cache entries, keyed by cache key.  Each
+   * entry is an object of the form
+   *
+   *    {
+   *      created: "ISO 8601 date"(string),
+   *      namespaces: [{ name: string, version: string }, ...],
+   *      rpcs: [RPC descriptions...]
+   *    }
+   *
+   * This is empty until the cache has been loaded.
+   */
+  this.entries = {};
+
+  this.loaded = false;
+};
+
+/* ### load([callback]) ###
+ *
+ * This method (re)loads the cache from its file.
+ * A missing file results in an empty cache, while a file
+ * which cannot be parsed (or was written by an incompatible
+ * version of this class) is ignored, and will be overwritten
+ * the next time the cache is saved.
+ *
+ * callback: function(err, cache)
+ */
+IntrospectionCache.prototype.load = function (cb) {
+  var self = this;
+  var promise = new Promise(function (resolve, reject) {
+    fs.readFile(self.path, 'utf8', function (err, contents) {
+      if (err && err.code !== 'ENOENT') {
+        reject(err);
+        return;
+      }
+
+      var entries = {};
+      if (!err) {
+        try {
+          var parsed = JSON.parse(contents);
+          if (parsed.format_version === CACHE_FORMAT_VERSION && parsed.entries) entries = parsed.entries;
+        }
+        catch (parse_err) {
+          // a corrupt cache is no worse than a missing one
+        }
+      }
+
+      self.entries = entries;
+      self.loaded = true;
+      resolve(self);
+    });
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* ### ensure_loaded([callback]) ###
+ *
+ * This method loads the cache if it
+ * has not already been loaded.
+ *
+ * callback: function(err, cache)
+ */
+IntrospectionCache.prototype.ensure_loaded = function (cb) {
+  if (this.loaded) return bowler_util.with_callback(Promise.resolve(this), cb);
+  return this.load(cb);
+};
+
+/* ### save([callback]) ###
+ *
+ * This method writes the cache out to its
+ * file, creating the directory if necessary.
+ *
+ * callback: function(err)
+ */
+IntrospectionCache.prototype.save = function (cb) {
+  var self = this;
+  var contents = JSON.stringify({ format_version: CACHE_FORMAT_VERSION, entries: this.entries }, null, 2);
+
+  var promise = new Promise(function (resolve, reject) {
+    fs.mkdir(path.dirname(self.path), { recursive: true }, function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      fs.writeFile(self.path, contents, 'utf8', function (err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* ### lookup(namespace_info) ###
+ *
+ * This method returns the cached RPC descriptions
+ * for a device with the given namespace information
+ * (see `make_cache_key(...)`), or null if there are none.
+ * The cache must have been loaded.
+ */
+IntrospectionCache.prototype.lookup = function (namespace_info) {
+  var entry = this.entries[make_cache_key(namespace_info)];
+  return entry ? entry.rpcs : null;
+};
+
+/* ### store(namespace_info, rpcs[, callback]) ###
+ *
+ * This method adds the given RPC descriptions
+ * to the cache for a device with the given namespace
+ * information, and then saves the cache.
+ *
+ * callback: function(err)
+ */
+IntrospectionCache.prototype.store = function (namespace_info, rpcs, cb) {
+  var self = this;
+  var promise = this.ensure_loaded().then(function () {
+    self.entries[make_cache_key(namespace_info)] = {
+      created: new Date().toISOString(),
+      namespaces: namespace_info.map(function (ns_info) {
+        return { name: ns_info.name, version: ns_info.version_str };
+      }),
+      rpcs: rpcs
+    };
+
+    return self.save();
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* ### invalidate([namespace_info|key][, callback]) ###
+ *
+ * This method removes the entry for a device with
+ * the given namespace information (or the entry with
+ * the given key), or every entry if neither is given,
+ * and then saves the cache.  The devices in question
+ * will be introspected again the next time they are
+ * populated.
+ *
+ * callback: function(err)
+ */
+IntrospectionCache.prototype.invalidate = function (which, cb) {
+  if (which instanceof Function) {
+    cb = which;
+    which = null;
+  }
+
+  var self = this;
+  var promise = this.ensure_loaded().then(function () {
+    if (!which) self.entries = {};
+    else delete self.entries[Array.isArray(which) ? make_cache_key(which) : which];
+
+    return self.save();
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* ### keys ###
+ *
+ * The keys of the entries currently in the cache.
+ */
+Object.defineProperty(IntrospectionCache.prototype, 'keys', {
+  enumerable: true,
+  configurable: false,
+  get: function () { return Object.keys(this.entries); }
+});
+
+module.exports = {
+  DEFAULT_CACHE_PATH: DEFAULT_CACHE_PATH,
+  make_cache_key: make_cache_key,
+  IntrospectionCache: IntrospectionCache
+};
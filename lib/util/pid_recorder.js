@@ -0,0 +1,392 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.util.pid_recorder` namespace
+// ==================================
+
+var bowler_util = require('dyio/util');
+var fs = require('fs');
+
+const DEFAULT_POLL_INTERVAL = 20;  // how often to poll the positions (in milliseconds)
+const DEFAULT_RISE_LOW = 0.1;  // where the rise starts, as a fraction of the step
+const DEFAULT_RISE_HIGH = 0.9;  // where the rise ends, as a fraction of the step
+const DEFAULT_SETTLING_BAND = 0.02;  // how close counts as settled, as a fraction of the step
+const DEFAULT_STEADY_FRACTION = 0.1;  // the fraction of the samples the steady state is taken from
+
+const CSV_COLUMNS = ['time', 'channel', 'setpoint', 'position', 'velocity'];
+
+/* PIDRecorder
+ * -----------
+ *
+ * Constructor: function(BowlerDevice, channels[, options])
+ *
+ * This class records the trajectories of the given
+ * PID channels (channel numbers) of a device which supports
+ * the 'bcs.pid' namespace, for tuning.  Each sample is an object
+ * of the form
+ *
+ *    {
+ *      time: number(milliseconds since the recording started),
+ *      channel: uint,
+ *      setpoint: int|null(the last set-point sent, if any),
+ *      position: int,
+ *      velocity: number|null(in position units per second)
+ *    }
+ *
+ * The positions either come from the updates pushed by the device
+ * (the default, which needs the loops to be configured with `async: true`,
+ * see `dyio.pid.PIDChannel`), or from polling `bcs.pid#apid` every *interval*
+ * milliseconds.  The set-points are taken from the `_pid` and `apid` requests
+ * made through the device while recording (by any code), and each change of
+ * set-point is recorded as a step (see `steps`), whose response can be measured
+ * with `step_response(...)`.  The velocity is worked out from consecutive
+ * positions.
+ *
+ * The options object may contain the following properties:
+ *
+ * - *mode*: 'async' (the default) or 'poll'
+ * - *interval*: how often to poll (in milliseconds, 20 by default)
+ *
+ * While the device's transport is closed, no polls are made.  Polls
+ * which fail are emitted as 'error' events on the device, if it has
+ * any 'error' listeners (and are otherwise skipped).
+ */
+var PIDRecorder = function (device, channels, opts) {
+  if (!opts) opts = {};
+
+  this.device = device;
+  this.channels = channels.slice();
+  this.mode = opts.mode || 'async';
+  this.interval = opts.interval || DEFAULT_POLL_INTERVAL;
+
+  /* ### samples ###
+   *
+   * The recorded samples of each channel,
+   * indexed by channel number.
+   */
+  this.samples = {};
+
+  /* ### steps ###
+   *
+   * The set-point changes recorded so far, as
+   * objects of the form `{ time: number, channel: uint,
+   * from: int|null, to: int, duration: uint(the time the
+   * move was given, in milliseconds) }`.
+   */
+  this.steps = [];
+
+  /* ### started = null ###
+   *
+   * When the recording was started (a Date),
+   * or null if it hasn't been.
+   */
+  this.started = null;
+
+  this._setpoints = {};
+  this._subscription = null;
+  this._timer = null;
+  this._polling = false;
+  this._request_listener = null;
+
+  var self = this;
+  this.channels.forEach(function (channel) {
+    self.samples[channel] = [];
+    self._setpoints[channel] = null;
+  });
+};
+
+/* ### start() ###
+ *
+ * This method starts recording, discarding
+ * anything recorded before.
+ */
+PIDRecorder.prototype.start = function () {
+  this.stop();
+
+  // the async updates and replies need the parsers from the schema
+  if (!this.device.describe_rpc('bcs.pid', 'apid', 'get')) this.device.supports_namespace('bcs.pid');
+
+  var self = this;
+  this.started = new Date();
+  this.steps = [];
+  this.channels.forEach(function (channel) { self.samples[channel] = []; });
+
+  this._request_listener = function (request_info) { self._on_request(request_info); };
+  this.device.on('request_complete', this._request_listener);
+
+  if (this.mode === 'poll') {
+    this._timer = setInterval(function () { self._poll(); }, this.interval);
+    this._poll();
+  }
+  else {
+    this._subscription = this.device.subscribe('bcs.pid', function (data, base_packet) {
+      if (base_packet.rpc === '_pid') {
+        self._record(data.channel, data.position);
+      }
+      else if (base_packet.rpc === 'apid') {
+        self.channels.forEach(function (channel) {
+          if (channel < data.values.length) self._record(channel, data.values[channel]);
+        });
+      }
+    });
+  }
+};
+
+/* ### stop() ###
+ *
+ * This method stops recording.  The samples
+ * are kept.
+ */
+PIDRecorder.prototype.stop = function () {
+  if (this._request_listener) this.device.removeListener('request_complete', this._request_listener);
+  this._request_listener = null;
+
+  if (this._subscription) this._subscription.unsubscribe();
+  this._subscription = null;
+
+  clearInterval(this._timer);
+  this._timer = null;
+};
+
+PIDRecorder.prototype._now = function () {
+  return Date.now() - this.started.getTime();
+};
+
+PIDRecorder.prototype._poll = function () {
+  var transport = this.device.transport;
+  if (this._polling || !transport || !transport.is_open) return;
+
+  var self = this;
+  this._polling = true;
+  this.device.command_to.pid.apid.get().then(function (res) {
+    self._polling = false;
+    self.channels.forEach(function (channel) {
+      if (channel < res.values.length) self._record(channel, res.values[channel]);
+    });
+  }, function (err) {
+    self._polling = false;
+    bowler_util.emit_error(self.device, err);
+  });
+};
+
+PIDRecorder.prototype._record = function (channel, position) {
+  var samples = this.samples[channel];
+  if (!samples) return;
+
+  var time = this._now();
+  var prev = samples[samples.length - 1];
+  var velocity = null;
+  if (prev && time > prev.time) velocity = (position - prev.position) * 1000 / (time - prev.time);
+
+  samples.push({ time: time, channel: channel, setpoint: this._setpoints[channel], position: position, velocity: velocity });
+};
+
+PIDRecorder.prototype._on_request = function (request_info) {
+  if (request_info.namespace !== 'bcs.pid' || request_info.method !== 'post') return;
+
+  var self = this;
+  var args = request_info.args;
+  if (request_info.rpc === '_pid') {
+    // the time comes before the set-point (see `dyio.extra_namespaces.bcs_pid`)
+    this._set_setpoint(args[0], args[2], args[1]);
+  }
+  else if (request_info.rpc === 'apid') {
+    this.channels.forEach(function (channel) {
+      if (channel < args[1].length) self._set_setpoint(channel, args[1][channel], args[0]);
+    });
+  }
+};
+
+PIDRecorder.prototype._set_setpoint = function (channel, setpoint, duration) {
+  if (!this.samples[channel] || this._setpoints[channel] === setpoint) return;
+
+  this.steps.push({ time: this._now(), channel: channel, from: this._setpoints[channel], to: setpoint, duration: duration || 0 });
+  this._setpoints[channel] = setpoint;
+};
+
+/* ### step_response(channel[, options]) ###
+ *
+ * This method measures the response of the given
+ * channel to its last recorded step (see `step_response(...)`
+ * for the options and results).  A different step may be
+ * given as the *step* option.  Null is returned if the channel
+ * has no steps.
+ */
+PIDRecorder.prototype.step_response = function (channel, opts) {
+  if (!opts) opts = {};
+
+  var step = opts.step;
+  if (!step) {
+    for (var i = this.steps.length - 1; i >= 0 && !step; i--) {
+      if (this.steps[i].channel === channel) step = this.steps[i];
+    }
+  }
+  if (!step) return null;
+
+  // the response lasts until the next step
+  var end = Infinity;
+  for (var j = 0; j < this.steps.length; j++) {
+    if (this.steps[j].channel === channel && this.steps[j].time > step.time) end = Math.min(end, this.steps[j].time);
+  }
+
+  var samples = this.samples[channel].filter(function (sample) { return sample.time < end; });
+  return step_response(samples, step, opts);
+};
+
+/* ### to_csv() ###
+ *
+ * This method returns the samples of every channel
+ * as CSV text, with a header line, in time order.
+ */
+PIDRecorder.prototype.to_csv = function () {
+  var lines = [CSV_COLUMNS.join(',')];
+  this._all_samples().forEach(function (sample) {
+    lines.push(CSV_COLUMNS.map(function (column) {
+      return (sample[column] === null) ? '' : sample[column];
+    }).join(','));
+  });
+  return lines.join('\n') + '\n';
+};
+
+/* ### to_json() ###
+ *
+ * This method returns the recording as a plain
+ * (JSON-compatible) object of the form
+ *
+ *    {
+ *      started: "ISO 8601 date"(string),
+ *      channels: [uint, ...],
+ *      steps: [step, ...],
+ *      samples: { channel: [sample, ...], ... }
+ *    }
+ */
+PIDRecorder.prototype.to_json = function () {
+  return {
+    started: this.started ? this.started.toISOString() : null,
+    channels: this.channels.slice(),
+    steps: this.steps.slice(),
+    samples: this.samples
+  };
+};
+
+/* ### save(path[, callback]) ###
+ *
+ * This method writes the recording to the given
+ * file, as CSV if the path ends in '.csv' and as
+ * JSON otherwise.
+ *
+ * callback: function(err)
+ */
+PIDRecorder.prototype.save = function (path, cb) {
+  var contents = /\.csv$/i.test(path) ? this.to_csv() : JSON.stringify(this.to_json(), null, 2) + '\n';
+
+  var promise = new Promise(function (resolve, reject) {
+    fs.writeFile(path, contents, function (err) {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+PIDRecorder.prototype._all_samples = function () {
+  var res = [];
+  for (var channel in this.samples) res = res.concat(this.samples[channel]);
+  return res.sort(function (a, b) { return a.time - b.time || a.channel - b.channel; });
+};
+
+/* step_response(samples, step[, options])
+ * ---------------------------------------
+ *
+ * This function measures the response to the given step
+ * (an object with *time*, *to*, and optionally *from*
+ * properties, see `PIDRecorder#steps`) from the given samples.
+ * The step starts from the position at the time of the step (or
+ * from *from*, if there are no samples before it).  It returns an
+ * object of the following form (times are in milliseconds after
+ * the step, and null if they never happened):
+ *
+ *    {
+ *      initial: number,
+ *      target: number,
+ *      rise_time: number|null(from *rise_low* to *rise_high* of the step),
+ *      peak: number(the furthest position in the direction of the step),
+ *      peak_time: number,
+ *      overshoot: number(how far the peak went past the target, as a
+ *                        percentage of the step),
+ *      settling_time: number|null(when the position last entered the
+ *                                 settling band for good),
+ *      steady_state_error: number(the target minus the mean position over
+ *                                 the last *steady_fraction* of the samples)
+ *    }
+ *
+ * The options object may contain the following properties:
+ *
+ * - *rise_low*, *rise_high*: the fractions of the step between which the
+ *   rise time is measured (0.1 and 0.9 by default)
+ * - *settling_band*: how close to the target counts as settled, as a fraction
+ *   of the step (0.02 by default)
+ * - *steady_fraction*: the fraction of the samples the steady state is taken
+ *   from (0.1 by default)
+ *
+ * Null is returned if there are no samples after the step, or the step
+ * has no size.
+ */
+var step_response = function (samples, step, opts) {
+  if (!opts) opts = {};
+  var rise_low = (opts.rise_low !== undefined) ? opts.rise_low : DEFAULT_RISE_LOW;
+  var rise_high = (opts.rise_high !== undefined) ? opts.rise_high : DEFAULT_RISE_HIGH;
+  var settling_band = (opts.settling_band !== undefined) ? opts.settling_band : DEFAULT_SETTLING_BAND;
+  var steady_fraction = opts.steady_fraction || DEFAULT_STEADY_FRACTION;
+
+  var before = samples.filter(function (sample) { return sample.time <= step.time; });
+  var after = samples.filter(function (sample) { return sample.time > step.time; });
+
+  var initial;
+  if (before.length) initial = before[before.length - 1].position;
+  else if (step.from !== null && step.from !== undefined) initial = step.from;
+  else if (after.length) initial = after[0].position;
+
+  var target = step.to;
+  var size = target - initial;
+  if (!after.length || !size) return null;
+
+  // measure everything as progress towards the target
+  var progress = function (sample) { return (sample.position - initial) / size; };
+  var since_step = function (sample) { return sample.time - step.time; };
+
+  var low_time = null;
+  var high_time = null;
+  var peak = after[0];
+  after.forEach(function (sample) {
+    var p = progress(sample);
+    if (low_time === null && p >= rise_low) low_time = since_step(sample);
+    if (high_time === null && p >= rise_high) high_time = since_step(sample);
+    if (p > progress(peak)) peak = sample;
+  });
+
+  var settling_time = null;
+  for (var i = after.length - 1; i >= 0; i--) {
+    if (Math.abs(1 - progress(after[i])) > settling_band) break;
+    settling_time = since_step(after[i]);
+  }
+
+  var steady = after.slice(-Math.max(1, Math.round(after.length * steady_fraction)));
+  var steady_position = steady.reduce(function (total, sample) { return total + sample.position; }, 0) / steady.length;
+
+  return {
+    initial: initial,
+    target: target,
+    rise_time: (low_time !== null && high_time !== null) ? high_time - low_time : null,
+    peak: peak.position,
+    peak_time: since_step(peak),
+    overshoot: Math.max(0, progress(peak) - 1) * 100,
+    settling_time: settling_time,
+    steady_state_error: target - steady_position
+  };
+};
+
+module.exports = {
+  PIDRecorder: PIDRecorder,
+  step_response: step_response
+};
@@ -0,0 +1,368 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.util.reconnect` namespace
+// ===============================
+
+var bowler_util = require('dyio/util');
+var errors = require('dyio/errors');
+
+// The RPCs whose settings are recorded and re-applied after
+// reconnecting, by default.  Each entry gives the method which
+// changes the setting, and how many of the leading arguments say
+// which setting it is (e.g. the channel number), so that only the
+// latest value of each setting is kept.
+const DEFAULT_RESTORED_RPCS = {
+  'bcs.io#schm': { method: 'post', key_args: 1 },  // channel modes
+  'bcs.pid#cpid': { method: 'critical', key_args: 1 },  // PID configuration
+  'bcs.pid#cpdv': { method: 'critical', key_args: 1 }  // PD velocity configuration
+};
+
+const DEFAULT_INITIAL_DELAY = 250;  // how long to wait before the first attempt (in milliseconds)
+const DEFAULT_MAX_DELAY = 10000;  // the longest wait between attempts (in milliseconds)
+const DEFAULT_BACKOFF_FACTOR = 2;
+const DEFAULT_MAX_MISSED_REPLIES = 3;
+
+/* Reconnector
+ * -----------
+ *
+ * Constructor: function(BowlerDevice[, options])
+ *
+ * This class reconnects the given device when its link
+ * is lost, either because the transport closed with an error
+ * or because several requests in a row timed out.  Closing the
+ * transport on purpose (with `BowlerDevice#disconnect()`) doesn't
+ * count.  The same transport is reopened, waiting longer after each
+ * failed attempt (starting at *initial_delay* and multiplying by
+ * *backoff_factor*, up to *max_delay*).  Usually, this class is created
+ * with `BowlerDevice#enable_reconnect(...)`.
+ *
+ * Once the transport is open again, the device is pinged and asked for
+ * its namespaces (see `BowlerDevice#populate_supported_namespaces()`).  If
+ * the MAC address in the reply to the ping isn't the one from the replies
+ * received before the link was lost, or the namespaces don't match the ones
+ * from before, a different device is on the other end (perhaps another board
+ * of the same model): the reconnector gives up with a
+ * `dyio.errors.BowlerIdentityError`.  Otherwise, the settings
+ * recorded since the device was first connected (channel modes and PID
+ * configuration, by default) are sent again, in the order they were made,
+ * so the rest of the program can carry on as before.  Settings which the
+ * device refuses (see `dyio.errors.BowlerStatusError`) don't stop the other
+ * settings from being restored.  Both kinds of error are also emitted as
+ * 'error' events on the device, if it has any 'error' listeners.
+ *
+ * The options object may contain the following properties:
+ *
+ * - *initial_delay*: the wait before the first attempt
+ *   (in milliseconds, 250 by default)
+ * - *max_delay*: the longest wait between attempts
+ *   (in milliseconds, 10000 by default)
+ * - *backoff_factor*: how much longer each wait is than
+ *   the last (2 by default)
+ * - *max_attempts*: how many attempts to make before giving
+ *   up (unlimited by default)
+ * - *max_missed_replies*: how many requests in a row may time
+ *   out before the link counts as lost (3 by default, or 0 to
+ *   only reconnect when the transport closes)
+ * - *verify_identity*: whether or not to check the MAC address
+ *   and namespaces after reconnecting (true by default)
+ * - *restore*: whether or not to re-apply the recorded settings
+ *   (true by default)
+ * - *restored_rpcs*: extra RPCs whose settings should be recorded,
+ *   in the form `{ 'namespace#rpc': { method: string, key_args: uint } }`,
+ *   where *key_args* is the number of leading arguments which identify
+ *   the setting (an entry of null stops an RPC from being recorded)
+ *
+ * The device emits the following events, in addition to 'disconnected'
+ * (which has the reason the link was lost) and 'connected':
+ *
+ * - *'reconnecting'*: `function(attempt, delay)` -- the given attempt
+ *   will be made after the given delay
+ * - *'reconnected'*: `function(attempts)` -- the device is back, and its
+ *   settings have been restored
+ * - *'reconnect_failed'*: `function(err)` -- the reconnector gave up,
+ *   with the error from the last attempt
+ */
+var Reconnector = function (device, opts) {
+  if (!opts) opts = {};
+
+  this.device = device;
+
+  this.initial_delay = (opts.initial_delay !== undefined) ? opts.initial_delay : DEFAULT_INITIAL_DELAY;
+  this.max_delay = (opts.max_delay !== undefined) ? opts.max_delay : DEFAULT_MAX_DELAY;
+  this.backoff_factor = opts.backoff_factor || DEFAULT_BACKOFF_FACTOR;
+  this.max_attempts = opts.max_attempts || Infinity;
+  this.max_missed_replies = (opts.max_missed_replies !== undefined) ? opts.max_missed_replies : DEFAULT_MAX_MISSED_REPLIES;
+  this.verify_identity = (opts.verify_identity !== false);
+  this.restore = (opts.restore !== false);
+
+  this.restored_rpcs = {};
+  var rpc_key;
+  for (rpc_key in DEFAULT_RESTORED_RPCS) this.restored_rpcs[rpc_key] = DEFAULT_RESTORED_RPCS[rpc_key];
+  for (rpc_key in opts.restored_rpcs) {
+    if (opts.restored_rpcs[rpc_key]) this.restored_rpcs[rpc_key] = opts.restored_rpcs[rpc_key];
+    else delete this.restored_rpcs[rpc_key];
+  }
+
+  /* ### state ###
+   *
+   * 'connected' while the link is up (or the device
+   * hasn't been connected yet), 'reconnecting' while
+   * attempts are being made, 'failed' once the reconnector
+   * has given up, and 'stopped' once `stop()` has been called.
+   */
+  this.state = 'connected';
+
+  /* ### records ###
+   *
+   * The recorded settings, in the order they were
+   * made, as objects of the form `{ method: string,
+   * namespace: string, rpc: string, args: Array }`.
+   */
+  this.records = [];
+
+  /* ### mac_address ###
+   *
+   * The MAC address of the device, as of the last reply
+   * received while the link was up (null until then).
+   */
+  this.mac_address = null;
+
+  this._record_keys = [];
+  this._missed_replies = 0;
+  this._timer = null;
+  this._wake = null;
+
+  var self = this;
+  this._listeners = {
+    disconnected: function (err) { self._on_disconnected(err); },
+    timeout: function (err) { self._on_timeout(err); },
+    request_complete: function (request_info, formatted_packet, base_packet) {
+      self._missed_replies = 0;
+      if (self.state === 'connected' && base_packet) self.mac_address = base_packet.mac_address;
+      self.record(request_info);
+    }
+  };
+
+  for (var evt in this._listeners) device.on(evt, this._listeners[evt]);
+};
+
+/* ### record(request_info) ###
+ *
+ * This method records the given request (an object of
+ * the form `{ method, namespace, rpc, args }`) if it changes
+ * one of the settings in `restored_rpcs`, replacing any earlier
+ * value of the same setting.  Successful requests are recorded
+ * automatically.
+ */
+Reconnector.prototype.record = function (request_info) {
+  var rpc_key = request_info.namespace + '#' + request_info.rpc;
+  var info = this.restored_rpcs[rpc_key];
+  if (!info || info.method !== request_info.method) return;
+
+  var key = rpc_key + JSON.stringify(request_info.args.slice(0, info.key_args || 0));
+  var ind = this._record_keys.indexOf(key);
+  if (ind !== -1) {
+    this._record_keys.splice(ind, 1);
+    this.records.splice(ind, 1);
+  }
+
+  this._record_keys.push(key);
+  this.records.push({
+    method: request_info.method,
+    namespace: request_info.namespace,
+    rpc: request_info.rpc,
+    args: request_info.args.slice()
+  });
+};
+
+/* ### clear_records() ###
+ *
+ * This method forgets all of the recorded
+ * settings.
+ */
+Reconnector.prototype.clear_records = function () {
+  this.records = [];
+  this._record_keys = [];
+};
+
+/* ### link_lost(reason) ###
+ *
+ * This method tells the reconnector that the link
+ * is gone (e.g. because a heartbeat went unanswered),
+ * even though the transport is still open.  The transport
+ * is closed (see `BowlerDevice#drop_connection(...)`), and
+ * reconnection starts.
+ */
+Reconnector.prototype.link_lost = function (reason) {
+  if (this.state !== 'connected') return;
+
+  if (this.device.transport && this.device.transport.is_open) {
+    this.device.drop_connection(reason);
+  }
+  else if (this.device.transport) {
+    this._start_reconnecting();
+  }
+};
+
+/* ### stop() ###
+ *
+ * This method stops the reconnector from
+ * watching the device, abandoning any attempt
+ * in progress.
+ */
+Reconnector.prototype.stop = function () {
+  for (var evt in this._listeners) this.device.removeListener(evt, this._listeners[evt]);
+  this.state = 'stopped';
+  if (this._wake) this._wake();
+};
+
+Reconnector.prototype._on_disconnected = function (err) {
+  // closing the transport on purpose isn't losing the link
+  if (!err || this.state !== 'connected' || !this.device.transport) return;
+  this._start_reconnecting();
+};
+
+Reconnector.prototype._on_timeout = function (err) {
+  if (this.state !== 'connected') return;
+
+  this._missed_replies++;
+  if (this.max_missed_replies && this._missed_replies >= this.max_missed_replies) {
+    this.link_lost(err);
+  }
+};
+
+Reconnector.prototype._sleep = function (delay) {
+  var self = this;
+  return new Promise(function (resolve) {
+    self._wake = function () {
+      clearTimeout(self._timer);
+      self._timer = null;
+      self._wake = null;
+      resolve();
+    };
+    self._timer = setTimeout(self._wake, delay);
+  });
+};
+
+Reconnector.prototype._start_reconnecting = function () {
+  var self = this;
+  this._reconnect().catch(function (err) {
+    // e.g. an event listener which threw
+    if (self.state === 'reconnecting') self.state = 'failed';
+    bowler_util.emit_error(self.device, err);
+  });
+};
+
+/* ### _reconnect() ###
+ *
+ * This method makes attempts to reconnect
+ * until one succeeds, too many fail, or the
+ * reconnector is stopped.
+ */
+Reconnector.prototype._reconnect = async function () {
+  var device = this.device;
+  var transport = device.transport;
+  var delay = this.initial_delay;
+  var last_err = null;
+
+  this.state = 'reconnecting';
+  this._missed_replies = 0;
+
+  // let the 'disconnected' listeners run first
+  await new Promise(function (resolve) { process.nextTick(resolve); });
+
+  for (var attempt = 1; attempt <= this.max_attempts; attempt++) {
+    device.emit('reconnecting', attempt, delay);
+    await this._sleep(delay);
+
+    // give up quietly if the device was disconnected on purpose meanwhile
+    if (this.state !== 'reconnecting' || device.transport !== transport) {
+      if (this.state === 'reconnecting') this.state = 'connected';
+      return;
+    }
+
+    try {
+      await this._attempt(transport);
+    }
+    catch (err) {
+      last_err = err;
+      if (transport.is_open) await new Promise(function (resolve) { transport.close(function () { resolve(); }); });
+
+      if (err instanceof errors.BowlerIdentityError) {
+        this.state = 'failed';
+        device.emit('reconnect_failed', err);
+        bowler_util.emit_error(device, err);
+        return;
+      }
+
+      delay = Math.min(delay * this.backoff_factor, this.max_delay);
+      continue;
+    }
+
+    this.state = 'connected';
+    device.emit('reconnected', attempt);
+    return;
+  }
+
+  this.state = 'failed';
+  device.emit('reconnect_failed', last_err);
+};
+
+Reconnector.prototype._attempt = async function (transport) {
+  var device = this.device;
+
+  await new Promise(function (resolve, reject) {
+    device.connect(transport, function (err) {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+
+  var ping_reply = await new Promise(function (resolve, reject) {
+    device.send_request('get', 'bcs.core', '_png', [], function (err, formatted_packet, base_packet) {
+      if (err) reject(err);
+      else resolve(base_packet);
+    });
+  });
+
+  if (this.verify_identity) {
+    var expected = device.namespace_info;
+    var expected_mac_address = this.mac_address;
+    await device.populate_supported_namespaces();
+
+    var same_mac_address = (!expected_mac_address || expected_mac_address === ping_reply.mac_address);
+    if (!same_mac_address || (expected && !same_namespaces(expected, device.namespace_info))) {
+      throw new errors.BowlerIdentityError(expected || [], device.namespace_info, expected_mac_address, ping_reply.mac_address);
+    }
+  }
+
+  this.mac_address = ping_reply.mac_address;
+
+  if (!this.restore) return;
+
+  var records = this.records.slice();
+  for (var i = 0; i < records.length; i++) {
+    try {
+      await device.send_request(records[i].method, records[i].namespace, records[i].rpc, records[i].args);
+    }
+    catch (err) {
+      if (!(err instanceof errors.BowlerStatusError)) throw err;
+      bowler_util.emit_error(device, err);
+    }
+  }
+};
+
+var same_namespaces = function (expected, actual) {
+  if (expected.length !== actual.length) return false;
+
+  for (var i = 0; i < expected.length; i++) {
+    if (expected[i].name !== actual[i].name || expected[i].version_str !== actual[i].version_str) return false;
+  }
+
+  return true;
+};
+
+module.exports = {
+  DEFAULT_RESTORED_RPCS: DEFAULT_RESTORED_RPCS,
+  Reconnector: Reconnector
+};
@@ -0,0 +1,282 @@
+/* jshint node: true, esnext: true */
+
+// `dyio.util.watchdog` namespace
+// ==============================
+
+var bowler_util = require('dyio/util');
+var os = require('os');
+
+const DEFAULT_FIRMWARE_TIMEOUT = 1000;  // the firmware heartbeat timeout (in milliseconds)
+const DEFAULT_STOP_TIMEOUT = 500;  // how long an emergency stop may take before exiting anyway (in milliseconds)
+
+// the signals which end the process by default
+const STOP_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+/* Watchdog
+ * --------
+ *
+ * Constructor: function(BowlerDevice[, options])
+ *
+ * This class puts the device into a safe state if
+ * the host program goes wrong.  It works at two levels:
+ *
+ * - if the device supports the 'bcs.safe' namespace, the
+ *   firmware failsafe is enabled with the given *firmware_timeout*,
+ *   and the device is pinged often enough to keep it from tripping,
+ *   so the device makes itself safe if the host dies outright (or
+ *   the cable is pulled)
+ * - an emergency stop (see `emergency_stop(...)`) is made when the
+ *   process is about to exit because of a signal, an uncaught exception,
+ *   or an unhandled Promise rejection, after which the process exits as it
+ *   would have (errors are printed, and the exit code is 1 for errors and
+ *   128 plus the signal number for signals)
+ *
+ * The emergency stop kills every PID loop (`bcs.pid#kpid`), if the
+ * device supports 'bcs.pid', and then sends each of the requests in
+ * *safe_state*, which should drive the outputs to a defined state.
+ * On a plain 'exit' (e.g. `process.exit()` being called), nothing
+ * asynchronous can run, so the stop requests are only queued on the
+ * transport, and the firmware failsafe is what's relied upon (they
+ * aren't queued again after a successful emergency stop on the way out).
+ *
+ * Usually, this class is created with `BowlerDevice#start_watchdog(...)`.
+ * The options object may contain the following properties:
+ *
+ * - *firmware_timeout*: the firmware heartbeat timeout (in milliseconds,
+ *   1000 by default, or 0 to leave the firmware failsafe alone)
+ * - *interval*: how often to ping the device (in milliseconds, a third
+ *   of the firmware timeout by default)
+ * - *safe_state*: an Array of requests of the form `{ method: string,
+ *   namespace: string, rpc: string, args: Array }`, or of functions which
+ *   take the device and return a Promise, to run in order for an emergency stop
+ * - *kill_pid*: whether or not to kill the PID loops in an emergency stop
+ *   (true by default)
+ * - *handle_signals*: whether or not to stop on SIGINT, SIGTERM, and SIGHUP
+ *   (true by default)
+ * - *handle_errors*: whether or not to stop on uncaught exceptions and
+ *   unhandled rejections (true by default)
+ * - *stop_timeout*: how long an emergency stop may take before the process
+ *   exits anyway (in milliseconds, 500 by default)
+ *
+ * The device emits the following event:
+ *
+ * - *'emergency_stop'*: `function(reason)` -- an emergency stop is
+ *   being made, for the given reason (an Error, a signal name, or
+ *   whatever was passed to `emergency_stop(...)`)
+ */
+var Watchdog = function (device, opts) {
+  if (!opts) opts = {};
+
+  this.device = device;
+  this.firmware_timeout = (opts.firmware_timeout !== undefined) ? opts.firmware_timeout : DEFAULT_FIRMWARE_TIMEOUT;
+  this.interval = opts.interval || Math.floor(this.firmware_timeout / 3) || DEFAULT_FIRMWARE_TIMEOUT;
+  this.safe_state = opts.safe_state || [];
+  this.kill_pid = (opts.kill_pid !== false);
+  this.handle_signals = (opts.handle_signals !== false);
+  this.handle_errors = (opts.handle_errors !== false);
+  this.stop_timeout = opts.stop_timeout || DEFAULT_STOP_TIMEOUT;
+
+  /* ### firmware_failsafe ###
+   *
+   * True while the firmware failsafe is
+   * enabled by this watchdog.
+   */
+  this.firmware_failsafe = false;
+
+  this._timer = null;
+  this._process_listeners = null;
+  this._stopping = null;
+  this._stopped_for_exit = false;
+};
+
+/* ### start([callback]) ###
+ *
+ * This method enables the firmware failsafe (if
+ * possible), starts pinging the device, and installs
+ * the process handlers.  The device should be connected,
+ * and its namespaces populated.
+ *
+ * callback: function(err)
+ */
+Watchdog.prototype.start = function (cb) {
+  var self = this;
+  var device = this.device;
+
+  var promise = (async function () {
+    // the emergency stop mustn't fail for want of a builder
+    if (self.kill_pid && has_namespace(device, 'bcs.pid') && !device.describe_rpc('bcs.pid', 'kpid')) {
+      device.supports_namespace('bcs.pid');
+    }
+
+    if (self.firmware_timeout && has_namespace(device, 'bcs.safe')) {
+      if (!device.describe_rpc('bcs.safe', 'safe', 'post')) device.supports_namespace('bcs.safe');
+      await device.send_request('post', 'bcs.safe', 'safe', [true, self.firmware_timeout]);
+      self.firmware_failsafe = true;
+    }
+
+    if (!self._timer) self._timer = setInterval(function () { self._keep_alive(); }, self.interval);
+    self._install_handlers();
+  })();
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+/* ### stop([callback]) ###
+ *
+ * This method disarms the watchdog: the process
+ * handlers are removed, the firmware failsafe is
+ * disabled, and the pings stop.
+ *
+ * callback: function(err)
+ */
+Watchdog.prototype.stop = function (cb) {
+  var self = this;
+  this._remove_handlers();
+
+  var promise = (async function () {
+    try {
+      // the pings have to keep going until the firmware stops listening for them
+      if (self.firmware_failsafe) await self.device.send_request('post', 'bcs.safe', 'safe', [false, self.firmware_timeout]);
+      self.firmware_failsafe = false;
+    }
+    finally {
+      clearInterval(self._timer);
+      self._timer = null;
+    }
+  })();
+
+  return bowler_util.with_callback(promise, cb);
+};
+
+Watchdog.prototype._keep_alive = function () {
+  var transport = this.device.transport;
+  if (!transport || !transport.is_open) return;
+
+  // a missed ping is the heartbeat's business, not ours
+  this.device.send_request('get', 'bcs.core', '_png', [], { retries: 0 }, function () {});
+};
+
+/* ### emergency_stop([reason][, callback]) ###
+ *
+ * This method makes an emergency stop: every PID
+ * loop is killed (see the class description) and the
+ * *safe_state* requests are sent, in order.  Every step
+ * is tried even if an earlier one fails, in which case the
+ * first error is passed on.  If an emergency stop is already
+ * in progress, its Promise is returned.
+ *
+ * callback: function(err)
+ */
+Watchdog.prototype.emergency_stop = function (reason, cb) {
+  if (reason instanceof Function) {
+    cb = reason;
+    reason = null;
+  }
+
+  if (this._stopping) return bowler_util.with_callback(this._stopping, cb);
+
+  var self = this;
+  var device = this.device;
+  device.emit('emergency_stop', reason || null);
+
+  this._stopping = (async function () {
+    var first_err = null;
+    var steps = self._stop_steps();
+    for (var i = 0; i < steps.length; i++) {
+      try {
+        if (steps[i] instanceof Function) await steps[i](device);
+        else await device.send_request(steps[i].method, steps[i].namespace, steps[i].rpc, steps[i].args, { retries: 0 });
+      }
+      catch (err) {
+        if (!first_err) first_err = err;
+      }
+    }
+    if (first_err) throw first_err;
+  })();
+
+  var stopping = this._stopping;
+  var done = function () { if (self._stopping === stopping) self._stopping = null; };
+  stopping.then(done, done);
+
+  return bowler_util.with_callback(stopping, cb);
+};
+
+Watchdog.prototype._stop_steps = function () {
+  var steps = [];
+  if (this.kill_pid && has_namespace(this.device, 'bcs.pid')) {
+    steps.push({ method: 'critical', namespace: 'bcs.pid', rpc: 'kpid', args: [] });
+  }
+  return steps.concat(this.safe_state);
+};
+
+// make an emergency stop, then exit the process with the given code
+Watchdog.prototype._stop_and_exit = function (reason, exit_code) {
+  var self = this;
+  var exit = function () { process.exit(exit_code); };
+  setTimeout(exit, this.stop_timeout);
+  this.emergency_stop(reason).then(function () {
+    // the 'exit' listener needn't send it all again
+    self._stopped_for_exit = true;
+    exit();
+  }, exit);
+};
+
+Watchdog.prototype._install_handlers = function () {
+  if (this._process_listeners) return;
+
+  var self = this;
+  var listeners = {};
+
+  // nothing asynchronous survives 'exit', so just queue the stop requests
+  // (unless an emergency stop has already been made on the way out)
+  listeners.exit = function () {
+    if (self._stopped_for_exit) return;
+    self._stop_steps().forEach(function (step) {
+      if (step instanceof Function) return;
+      try {
+        self.device.send_datagram(self.device.build_packet.apply(self.device, [step.method, step.namespace, step.rpc].concat(step.args)));
+      }
+      catch (err) {
+        // nothing more can be done at this point
+      }
+    });
+  };
+
+  if (this.handle_signals) {
+    STOP_SIGNALS.forEach(function (signal) {
+      listeners[signal] = function () {
+        self._stop_and_exit(signal, 128 + os.constants.signals[signal]);
+      };
+    });
+  }
+
+  if (this.handle_errors) {
+    listeners.uncaughtException = function (err) {
+      console.error(err && err.stack || err);
+      self._stop_and_exit(err, 1);
+    };
+    listeners.unhandledRejection = function (err) {
+      console.error(err && err.stack || err);
+      self._stop_and_exit(err, 1);
+    };
+  }
+
+  for (var evt in listeners) process.on(evt, listeners[evt]);
+  this._process_listeners = listeners;
+};
+
+Watchdog.prototype._remove_handlers = function () {
+  for (var evt in this._process_listeners) process.removeListener(evt, this._process_listeners[evt]);
+  this._process_listeners = null;
+};
+
+var has_namespace = function (device, name) {
+  for (var ind in device.supported_namespaces) {
+    if (device.supported_namespaces[ind] === name) return true;
+  }
+  return false;
+};
+
+module.exports = {
+  Watchdog: Watchdog
+};
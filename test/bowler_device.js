@@ -0,0 +1,139 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var bowler_device = require('dyio/bowler_device');
+var bowler_util = require('dyio/util');
+var errors = require('dyio/errors');
+var helpers = require('./helpers');
+
+var MAC_BYTES = [0x74, 0xF7, 0x26, 0x00, 0x00, 0x01];
+
+// a `_png` reply, which every device can parse
+var ping_reply = function () {
+  return bowler_device.make_datagram(MAC_BYTES, 'post', 0, '_png', Buffer.alloc(0), 1);
+};
+
+var with_checksum = function (raw) {
+  raw[10] = bowler_util.make_checksum(raw.slice(0, 10));
+  return raw;
+};
+
+describe('BowlerDevice', function () {
+  describe('protocol errors from the link', function () {
+    var device, mock, device_errors;
+
+    beforeEach(async function () {
+      var res = await helpers.connect_mock();
+      device = res.device;
+      mock = res.mock;
+      device_errors = [];
+      device.on('error', function (err) { device_errors.push(err); });
+    });
+
+    afterEach(function (done) {
+      device.disconnect(function () { done(); });
+    });
+
+    var ping = function () {
+      return device.send_request('get', 'bcs.core', '_png', [], { timeout: 30, retries: 0 });
+    };
+
+    it('reports a bad checksum as a ChecksumMismatchError', async function () {
+      mock.script('bcs.core#_png', { corrupt: 'checksum', times: 1 });
+      await assert.rejects(ping(), errors.BowlerTimeoutError);
+
+      var err = device_errors[0];
+      assert.ok(err instanceof errors.ChecksumMismatchError);
+      assert.strictEqual(err.checksum, (ping_reply()[10] + 1) & 0xFF);
+      assert.strictEqual(err.expected_checksum, ping_reply()[10]);
+      assert.ok(Buffer.isBuffer(err.data));
+      assert.strictEqual(err.data[0], bowler_device.BOWLER_VERSION);
+      assert.strictEqual(err.data.length, device.framer.stats.dropped_bytes);
+    });
+
+    it('reports a bad version as a BadVersionError', async function () {
+      mock.script('bcs.core#_png', { corrupt: 'version', times: 1 });
+      await assert.rejects(ping(), errors.BowlerTimeoutError);
+
+      var err = device_errors[0];
+      assert.ok(err instanceof errors.BadVersionError);
+      assert.strictEqual(err.version, bowler_device.BOWLER_VERSION + 1);
+      assert.strictEqual(err.data[0], bowler_device.BOWLER_VERSION + 1);
+    });
+
+    it('reports an impossible size as a LengthMismatchError', async function () {
+      mock.script('bcs.core#_png', {
+        times: 1,
+        corrupt: function (reply) {
+          reply[bowler_device.BOWLER_SIZE_BYTE] = 2;
+          return with_checksum(reply);
+        }
+      });
+      await assert.rejects(ping(), errors.BowlerTimeoutError);
+
+      var err = device_errors[0];
+      assert.ok(err instanceof errors.LengthMismatchError);
+      assert.strictEqual(err.size, 2);
+      assert.strictEqual(err.expected_size, null);
+      assert.match(err.message, /too small to hold an RPC name/);
+    });
+
+    it('carries on with the packets after the bad bytes', async function () {
+      mock.script('bcs.core#_png', { corrupt: function (reply) { return Buffer.concat([Buffer.from([0x42]), reply]); } });
+      await ping();
+      assert.strictEqual(device_errors.length, 1);
+      assert.ok(device_errors[0] instanceof errors.BadVersionError);
+      assert.deepStrictEqual(device_errors[0].data, Buffer.from([0x42]));
+    });
+  });
+
+  describe('#validate_datagram()', function () {
+    var device = new bowler_device.BowlerDevice();
+
+    it('accepts a well-formed packet', function () {
+      device.validate_datagram(ping_reply());
+    });
+
+    it('rejects a bad version with a BadVersionError', function () {
+      var raw = ping_reply();
+      raw[0] = 2;
+      assert.throws(function () { device.validate_datagram(with_checksum(raw)); }, function (err) {
+        return err instanceof errors.BadVersionError && err.version === 2 && err.data === raw;
+      });
+    });
+
+    it('rejects a bad checksum with a ChecksumMismatchError', function () {
+      var raw = ping_reply();
+      var checksum = raw[10];
+      raw[10] ^= 0xFF;
+      assert.throws(function () { device.validate_datagram(raw); }, function (err) {
+        return err instanceof errors.ChecksumMismatchError && err.checksum === (checksum ^ 0xFF) && err.expected_checksum === checksum;
+      });
+    });
+
+    it('rejects a size byte which doesn\'t match with a LengthMismatchError', function () {
+      var raw = with_checksum(Buffer.concat([ping_reply(), Buffer.from([1, 2])]));
+      assert.throws(function () { device.validate_datagram(raw); }, function (err) {
+        return err instanceof errors.LengthMismatchError && err.size === 4 && err.expected_size === 6;
+      });
+    });
+
+    it('rejects a truncated packet with a LengthMismatchError', function () {
+      assert.throws(function () { device.validate_datagram(ping_reply().slice(0, 8)); }, function (err) {
+        return err instanceof errors.LengthMismatchError && err.size === null;
+      });
+    });
+
+    it('has receive_datagram() emit the error', function () {
+      var raw = ping_reply();
+      raw[0] = 2;
+
+      var emitted = [];
+      var other_device = new bowler_device.BowlerDevice();
+      other_device.on('error', function (err) { emitted.push(err); });
+      other_device.receive_datagram(with_checksum(raw));
+      assert.strictEqual(emitted.length, 1);
+      assert.ok(emitted[0] instanceof errors.BadVersionError);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var capture_util = require('dyio/util/capture');
+var helpers = require('./helpers');
+
+describe('dyio.util.capture', function () {
+  var tmp_dir;
+
+  before(function () {
+    tmp_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dyio-capture-'));
+  });
+
+  after(function () {
+    fs.rmSync(tmp_dir, { recursive: true, force: true });
+  });
+
+  describe('capturing a device', function () {
+    var device, mock;
+
+    beforeEach(async function () {
+      var res = await helpers.connect_mock({ namespaces: [helpers.pid_namespace({})] });
+      device = res.device;
+      mock = res.mock;
+    });
+
+    afterEach(async function () {
+      await device.stop_capture();
+      await new Promise(function (resolve) { device.disconnect(function () { resolve(); }); });
+    });
+
+    it('writes out what was sent and received, and reads it back', async function () {
+      var file = path.join(tmp_dir, 'round_trip.bcap');
+      var capture = await device.start_capture(file);
+      assert.strictEqual(device.capture, capture);
+
+      await device.populate_supported_namespaces();
+      await device.send_request('get', 'bcs.core', '_png', []);
+      var count = capture.count;
+      await device.stop_capture();
+      assert.strictEqual(device.capture, null);
+
+      var res = await capture_util.read_capture(file);
+      assert.strictEqual(res.records.length, count);
+      assert.deepStrictEqual(res.metadata.supported_namespaces, device.supported_namespaces);
+      assert.strictEqual(res.metadata.mac_address, device.mac_address);
+
+      var last = res.records.slice(-2);
+      assert.deepStrictEqual(last.map(function (record) { return record.direction; }), ['sent', 'received']);
+      assert.deepStrictEqual(last[0].data, mock.received[mock.received.length - 1].raw);
+      assert.ok(Buffer.isBuffer(last[1].data));
+      assert.ok(last[0].time <= last[1].time);
+    });
+
+    it('writes out the previous capture before starting a new one', async function () {
+      var first_file = path.join(tmp_dir, 'first.bcap');
+      var first = await device.start_capture(first_file);
+      await device.send_request('get', 'bcs.core', '_png', []);
+
+      var second = await device.start_capture(path.join(tmp_dir, 'second.bcap'));
+      assert.notStrictEqual(second, first);
+      assert.strictEqual(first.stream, null);
+      assert.strictEqual((await capture_util.read_capture(first_file)).records.length, 2);
+    });
+
+    it('passes on a failure to write out the previous capture', async function () {
+      var first = await device.start_capture(path.join(tmp_dir, 'failing.bcap'));
+      var close = first.close;
+      first.close = function () {
+        return close.call(first).then(function () { throw new Error('disk full'); });
+      };
+
+      await assert.rejects(device.start_capture(path.join(tmp_dir, 'never.bcap')), /disk full/);
+      assert.strictEqual(device.capture, null);
+      assert.ok(!fs.existsSync(path.join(tmp_dir, 'never.bcap')));
+    });
+  });
+
+  describe('parse_capture()', function () {
+    var header = JSON.stringify({ format: 'bowler-capture', format_version: capture_util.CAPTURE_FORMAT_VERSION, mac_address: 'broadcast' });
+
+    it('applies metadata updates, and ignores a truncated last line', function () {
+      var res = capture_util.parse_capture([
+        header,
+        JSON.stringify({ time: 5, direction: 'sent', data: '0102' }),
+        JSON.stringify({ metadata: { mac_address: '74:F7:26:00:00:01' } }),
+        '{"time": 6, "dire'
+      ].join('\n'));
+
+      assert.strictEqual(res.metadata.mac_address, '74:F7:26:00:00:01');
+      assert.deepStrictEqual(res.records, [{ time: 5, direction: 'sent', data: Buffer.from([1, 2]) }]);
+    });
+
+    it('rejects other files and other format versions', function () {
+      assert.throws(function () { capture_util.parse_capture('{"some": "json"}\n'); }, /Not a Bowler capture file/);
+      assert.throws(function () { capture_util.parse_capture(''); }, /Not a Bowler capture file/);
+      assert.throws(function () {
+        capture_util.parse_capture(JSON.stringify({ format: 'bowler-capture', format_version: 99 }));
+      }, /Unsupported capture format version 99/);
+      assert.throws(function () { capture_util.parse_capture(header + '\n{oops\n{}'); }, /Invalid capture line 2/);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var stream = require('stream');
+var bowler_device = require('dyio/bowler_device');
+var cli = require('dyio/cli');
+var helpers = require('./helpers');
+
+// a stream which keeps what is written to it
+var output = function () {
+  var chunks = [];
+  var out = new stream.Writable({
+    write: function (chunk, encoding, cb) {
+      chunks.push(chunk);
+      cb();
+    }
+  });
+  out.text = function () { return Buffer.concat(chunks).toString(); };
+  return out;
+};
+
+// a namespace with no `extra_namespaces` module, so `call` has to introspect it
+var cli_namespace = {
+  name: 'test.cli',
+  version: '0.1.0',
+  rpcs: [
+    {
+      name: 'add_',
+      send: { method: 'get', args: ['Int32', 'Int32'] },
+      recv: { method: 'post', args: ['Int32'] },
+      handler: function (args) { return [args[0] + args[1]]; }
+    }
+  ]
+};
+
+describe('dyio.cli', function () {
+  describe('parse_args()', function () {
+    it('separates the command, its arguments and the options', function () {
+      assert.deepStrictEqual(cli.parse_args(['--port', '/dev/ttyACM0', 'call', 'bcs.pid', 'apid', '-j', '--timeout=50']), {
+        command: 'call',
+        args: ['bcs.pid', 'apid'],
+        opts: { port: '/dev/ttyACM0', json: true, timeout: '50' }
+      });
+    });
+
+    it('expands short options, and only takes values for the options which have them', function () {
+      assert.deepStrictEqual(cli.parse_args(['-p', 'COM3', '--cache', 'info', '--dyio']), {
+        command: 'info',
+        args: [],
+        opts: { port: 'COM3', cache: true, dyio: true }
+      });
+      assert.deepStrictEqual(cli.parse_args(['--cache=/tmp/cache.json']).opts, { cache: '/tmp/cache.json' });
+    });
+
+    it('treats negative numbers and everything after -- as arguments', function () {
+      assert.deepStrictEqual(cli.parse_args(['call', 'bcs.io', 'schv', '0', '-5', '--', '--json']), {
+        command: 'call',
+        args: ['bcs.io', 'schv', '0', '-5', '--json'],
+        opts: {}
+      });
+    });
+
+    it('requires a value for the options which take one', function () {
+      assert.throws(function () { cli.parse_args(['ping', '--port']); }, /The option --port requires a value/);
+    });
+
+    it('has no command without positional arguments', function () {
+      assert.strictEqual(cli.parse_args(['--json']).command, null);
+    });
+  });
+
+  it('parses RPC argument values', function () {
+    assert.deepStrictEqual(['12', '-3.5', '0x1F', 'true', 'false', '[1, 2]', 'abc'].map(cli.parse_value),
+                           [12, -3.5, 31, true, false, [1, 2], 'abc']);
+  });
+
+  describe('main()', function () {
+    var run = async function (argv) {
+      var streams = { out: output(), err: output() };
+      var code = await cli.main(argv, streams);
+      return { code: code, out: streams.out.text(), err: streams.err.text() };
+    };
+
+    it('prints the usage with --help', async function () {
+      var res = await run(['--help']);
+      assert.strictEqual(res.code, 0);
+      assert.match(res.out, /^Usage: bowler \[options\] COMMAND/);
+      assert.match(res.out, /call NAMESPACE RPC \[METHOD\] \[ARG\.\.\.\]/);
+    });
+
+    it('fails without a command, with an unknown command, or with bad options', async function () {
+      var res = await run([]);
+      assert.strictEqual(res.code, 2);
+      assert.match(res.err, /^Usage:/);
+
+      res = await run(['frobnicate']);
+      assert.strictEqual(res.code, 2);
+      assert.match(res.err, /^bowler: unknown command frobnicate\n/);
+
+      res = await run(['ping', '--tcp']);
+      assert.strictEqual(res.code, 2);
+      assert.strictEqual(res.err, 'bowler: The option --tcp requires a value\n');
+    });
+
+    it('reports the errors of commands', async function () {
+      var res = await run(['dissect', 'xyz']);
+      assert.strictEqual(res.code, 1);
+      assert.strictEqual(res.err, 'bowler: Usage: bowler dissect HEX...\n');
+    });
+  });
+
+  describe('commands', function () {
+    var device, mock, out;
+
+    beforeEach(async function () {
+      var res = await helpers.connect_mock({ namespaces: [helpers.pid_namespace({ set_points: [10, 20, 30, 40] }), cli_namespace] });
+      device = res.device;
+      mock = res.mock;
+      device.request_timeout = 200;
+      out = output();
+    });
+
+    afterEach(function (done) {
+      device.disconnect(function () { done(); });
+    });
+
+    var run = function (name, args, opts) {
+      return cli.COMMANDS[name].run({ device: device, out: out, opts: opts || {} }, args || []);
+    };
+
+    it('pings the device', async function () {
+      await run('ping', [], { json: true });
+      var res = JSON.parse(out.text());
+      assert.strictEqual(res.mac_address, mock.mac_address);
+      assert.ok(res.time_ms >= 0);
+    });
+
+    it('calls an RPC with a method, printing the reply', async function () {
+      await run('call', ['bcs.pid', 'apid', 'get'], { json: true });
+      assert.deepStrictEqual(JSON.parse(out.text()), { values: [10, 20, 30, 40] });
+
+      out = output();
+      await run('call', ['bcs.pid', '_pid', 'get', '2']);
+      assert.strictEqual(out.text(), [
+        'property  value',
+        '--------  -----',
+        'channel   2',
+        'position  30',
+        ''
+      ].join('\n'));
+    });
+
+    it('introspects namespaces it has no module for', async function () {
+      await run('call', ['test.cli', 'add_', 'get', '40', '2'], { json: true });
+      assert.deepStrictEqual(JSON.parse(out.text()).as_array, [42]);
+      assert.ok(mock.received.some(function (req) { return req.namespace === 'bcs.rpc'; }));
+    });
+
+    it('explains the calls it can\'t make', async function () {
+      await assert.rejects(run('call', ['bcs.pid']), /^Error: Usage: bowler call/);
+      await assert.rejects(run('call', ['bcs.nope', 'abcd']), /does not support the namespace bcs.nope/);
+      await assert.rejects(run('call', ['bcs.pid', 'nope']), /Unknown RPC bcs.pid#nope/);
+      await assert.rejects(run('call', ['bcs.pid', 'apid']), /The RPC bcs.pid#apid requires a method \(one of get, post\)/);
+    });
+
+    it('dissects a packet given in hex', async function () {
+      var raw = bowler_device.make_datagram([0x74, 0xF7, 0x26, 0, 0, 1], 'get', 0, '_png', Buffer.alloc(0));
+      var hex = raw.toString('hex').replace(/(..)/g, '$1:').slice(0, -1);
+
+      await run('dissect', [hex], { json: true });
+      var dissection = JSON.parse(out.text());
+      assert.strictEqual(dissection.rpc.value, '_png');
+      assert.strictEqual(dissection.method.value, 'get');
+      assert.strictEqual(dissection.mac_address.value, '74:F7:26:00:00:01');
+      assert.ok(dissection.checksum.valid);
+
+      out = output();
+      await run('dissect', [raw.toString('hex')]);
+      assert.match(out.text(), /^Bowler packet \(15 bytes\)\n/);
+      assert.match(out.text(), /\n  11-14 +5f 70 6e 67 +rpc +_png\n/);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var extra_namespaces = require('dyio/extra_namespaces');
+var codegen = require('dyio/util/codegen');
+var cli = require('dyio/cli');
+var helpers = require('./helpers');
+
+// a namespace whose RPCs reply to 'get' and 'post' with 'post' packets,
+// laid out differently for 'levl' and the same way for 'mode'
+var gen_namespace = function (state) {
+  return {
+    name: 'test.gen',
+    version: '0.1.0',
+    rpcs: [
+      {
+        name: 'levl',
+        send: { method: 'get', args: ['UInt8'] },
+        recv: { method: 'post', args: ['UInt8', 'Int32'] },
+        handler: function (args) { return [args[0], state.levels[args[0]]]; }
+      },
+      {
+        name: 'levl',
+        send: { method: 'post', args: ['UInt8', 'Int32'] },
+        recv: { method: 'post', args: ['UInt8'] },
+        handler: function (args) {
+          state.levels[args[0]] = args[1];
+          return [args[0]];
+        }
+      },
+      {
+        name: 'mode',
+        send: { method: 'get', args: ['UInt8'] },
+        recv: { method: 'post', args: ['UInt8', 'UInt8'] },
+        handler: function (args) { return [args[0], 7]; }
+      },
+      {
+        name: 'mode',
+        send: { method: 'post', args: ['UInt8', 'UInt8'] },
+        recv: { method: 'post', args: ['UInt8', 'UInt8'] }
+      }
+    ]
+  };
+};
+
+const ARG_NAMES = {
+  levl: { send: ['channel', 'level'], recv: ['channel', 'level'] },
+  mode: { send: ['channel', 'mode'], recv: ['channel', 'mode'] }
+};
+
+describe('dyio.util.codegen', function () {
+  var device, state, tmp_dir;
+
+  before(function () {
+    tmp_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dyio-codegen-'));
+  });
+
+  after(function () {
+    fs.rmSync(tmp_dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    state = { levels: [0, 0] };
+    var res = await helpers.connect_mock({ namespaces: [gen_namespace(state)] });
+    device = res.device;
+    device.request_timeout = 200;
+    await device.populate_supported_namespaces();
+  });
+
+  afterEach(function (done) {
+    device.disconnect(function () { done(); });
+  });
+
+  var load = function (source) {
+    var file = path.join(tmp_dir, 'test_gen_' + Date.now() + '.js');
+    fs.writeFileSync(file, source);
+    return require(file);
+  };
+
+  it('generates a module which talks to the device', async function () {
+    var source = await codegen.generate_from_device(device, 'test.gen', { arg_names: ARG_NAMES });
+    assert.doesNotMatch(source, /TODO/);
+
+    var ns = load(source);
+    assert.ok(ns instanceof extra_namespaces.BowlerNamespace);
+    ns.import_into(device);
+
+    assert.deepStrictEqual(await device.send_request('post', 'test.gen', 'levl', [1, -42]), { channel: 1 });
+    assert.deepStrictEqual(await device.send_request('get', 'test.gen', 'levl', [1]), { channel: 1, level: -42 });
+    assert.deepStrictEqual(await device.send_request('get', 'test.gen', 'mode', [0]), { channel: 0, mode: 7 });
+  });
+
+  it('tells shared replies apart by their length only when they differ', async function () {
+    var source = await codegen.generate_from_device(device, 'test.gen', { arg_names: ARG_NAMES });
+    assert.match(source, /if \(length === 5\) \{  \/\/ the reply to 'get'/);
+    assert.match(source, /\/\/ the reply to 'post'\n/);
+    assert.doesNotMatch(source, /the reply to 'get' and 'post'/);
+    assert.strictEqual(source.match(/getBuffer\(\)/g).length, 1);
+  });
+
+  it('rejects shared replies which can\'t be told apart', function () {
+    var rpcs = [
+      { namespace: 'test.gen', name: 'name', send: { method: 'get', args: [] }, recv: { method: 'post', args: ['NullTerminatedString'] } },
+      { namespace: 'test.gen', name: 'name', send: { method: 'post', args: ['UInt8'] }, recv: { method: 'post', args: ['UInt8'] } }
+    ];
+    assert.throws(function () {
+      codegen.generate_namespace_module('test.gen', rpcs);
+    }, /The replies to 'get' and 'post' of test.gen#name are all 'post' packets/);
+  });
+
+  it('is run by `bowler codegen`', async function () {
+    var chunks = [];
+    var out = new stream.Writable({
+      write: function (chunk, encoding, cb) {
+        chunks.push(chunk);
+        cb();
+      }
+    });
+
+    await cli.COMMANDS.codegen.run({ device: device, out: out, opts: {} }, ['test.gen']);
+    assert.strictEqual(Buffer.concat(chunks).toString(), await codegen.generate_from_device(device, 'test.gen'));
+    await assert.rejects(cli.COMMANDS.codegen.run({ device: device, out: out, opts: {} }, ['no.such']), /does not support/);
+  });
+});
@@ -0,0 +1,175 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var BowlerDevice = require('dyio/bowler_device').BowlerDevice;
+var make_datagram = require('dyio/bowler_device').make_datagram;
+var BowlerDeviceManager = require('dyio/device_manager').BowlerDeviceManager;
+var loopback = require('dyio/transports/loopback');
+var mock_device = require('dyio/mock_device');
+var helpers = require('./helpers');
+
+const MAC_A = '74:F7:26:00:00:0A';
+const MAC_B = '74:F7:26:00:00:0B';
+const MAC_C = '74:F7:26:00:00:0C';
+
+var device_with_mac = function (mac_address) {
+  var device = new BowlerDevice();
+  device.mac_address = mac_address;
+  return device;
+};
+
+var ping = function (device) {
+  return new Promise(function (resolve, reject) {
+    device.send_request('get', 'bcs.core', '_png', [], { timeout: 100, retries: 0 }, function (err, res, base_packet) {
+      if (err) reject(err);
+      else resolve(base_packet.mac_address);
+    });
+  });
+};
+
+describe('BowlerDeviceManager', function () {
+  var manager, manager_errors;
+
+  beforeEach(function () {
+    manager = new BowlerDeviceManager();
+    manager_errors = [];
+    manager.on('error', function (err, device) { manager_errors.push({ err: err, device: device }); });
+  });
+
+  afterEach(async function () {
+    await manager.close().catch(function () {});
+  });
+
+  describe('with a shared bus', function () {
+    var bus, far, mocks;
+
+    beforeEach(function () {
+      var pair = loopback.make_pair();
+      bus = pair[0];
+      far = pair[1];
+      mocks = [MAC_A, MAC_B].map(function (mac_address) {
+        var mock = new mock_device.MockBowlerDevice({ mac_address: mac_address });
+        mock.attach(far);
+        return mock;
+      });
+    });
+
+    it('routes the replies to each device by MAC address', async function () {
+      var left = await manager.add(device_with_mac(MAC_A), { alias: 'left_arm', bus: bus });
+      var right = await manager.add(device_with_mac(MAC_B), { alias: 'right_arm', bus: bus });
+
+      assert.strictEqual(manager.get('left_arm'), left);
+      assert.strictEqual(manager.get(MAC_B.toLowerCase()), right);
+      assert.strictEqual(manager.alias_of(right), 'right_arm');
+      assert.strictEqual(manager.get('nobody'), null);
+
+      assert.strictEqual(await ping(manager.get('left_arm')), MAC_A);
+      assert.strictEqual(await ping(manager.get('right_arm')), MAC_B);
+      assert.strictEqual(mocks[0].received.length, 1);
+      assert.strictEqual(mocks[1].received.length, 1);
+    });
+
+    it('emits the packets of unmanaged devices as \'unrouted\'', async function () {
+      await manager.add(device_with_mac(MAC_A), { bus: bus });
+
+      var unrouted = [];
+      manager.on('unrouted', function (raw, mac_address, transport) { unrouted.push([mac_address, transport]); });
+      far.write(make_datagram([0x74, 0xF7, 0x26, 0, 0, 0x0C], 'post', 0, '_png', Buffer.alloc(0), 1));
+      await helpers.delay(10);
+      assert.deepStrictEqual(unrouted, [[MAC_C, bus]]);
+    });
+
+    it('requires the devices on a bus to have a MAC address', async function () {
+      await assert.rejects(manager.add(new BowlerDevice(), { bus: bus }), /must have a MAC address/);
+      assert.deepStrictEqual(manager.list(), []);
+    });
+
+    it('keeps the other devices going when one is removed', async function () {
+      await manager.add(device_with_mac(MAC_A), { alias: 'left_arm', bus: bus });
+      var right = await manager.add(device_with_mac(MAC_B), { alias: 'right_arm', bus: bus });
+
+      var removed = [];
+      manager.on('removed', function (device) { removed.push(device); });
+      await manager.remove('left_arm');
+      assert.strictEqual(removed.length, 1);
+      assert.ok(bus.is_open);
+      assert.strictEqual(await ping(right), MAC_B);
+      assert.deepStrictEqual(manager.list().map(function (info) { return info.alias; }), ['right_arm']);
+
+      await manager.remove(right);
+      assert.ok(!bus.is_open);
+    });
+  });
+
+  describe('with separate transports', function () {
+    var add_mock = async function (mac_address, opts) {
+      var pair = mock_device.make_mock_pair({ mac_address: mac_address });
+      opts = opts || {};
+      opts.transport = pair[0];
+      var device = await manager.add(new BowlerDevice(), opts);
+      return { device: device, transport: pair[0], mock: pair[1] };
+    };
+
+    it('finds out the MAC address of each device', async function () {
+      var res = await add_mock(MAC_A);
+      assert.strictEqual(res.device.mac_address, MAC_A);
+      assert.deepStrictEqual(manager.list().map(function (info) {
+        return [info.mac_address, info.connected];
+      }), [[MAC_A, true]]);
+    });
+
+    it('rejects a duplicate alias', async function () {
+      await add_mock(MAC_A, { alias: 'left_arm' });
+      await assert.rejects(add_mock(MAC_B, { alias: 'left_arm' }), /already has the alias left_arm/);
+      assert.strictEqual(manager.list().length, 1);
+    });
+
+    it('rejects a duplicate MAC address, closing the transport again', async function () {
+      await add_mock(MAC_A);
+
+      var pair = mock_device.make_mock_pair({ mac_address: MAC_A });
+      await assert.rejects(manager.add(new BowlerDevice(), { transport: pair[0] }), /already has the MAC address/);
+      assert.ok(!pair[0].is_open);
+      await assert.rejects(manager.add(device_with_mac(MAC_A)), /already has the MAC address/);
+      assert.strictEqual(manager.list().length, 1);
+    });
+
+    it('only disconnects the device whose transport closes', async function () {
+      var left = await add_mock(MAC_A, { alias: 'left_arm' });
+      var right = await add_mock(MAC_B, { alias: 'right_arm' });
+
+      var disconnected = [];
+      manager.on('disconnected', function (err, device) { disconnected.push([err.message, device]); });
+      left.transport._closed(new Error('cable pulled'));
+
+      assert.deepStrictEqual(disconnected, [['cable pulled', left.device]]);
+      await assert.rejects(ping(left.device));
+      assert.strictEqual(await ping(right.device), MAC_B);
+    });
+
+    it('forwards device events, with the device', async function () {
+      var left = await add_mock(MAC_A);
+
+      var got = [];
+      manager.on('request_complete', function (info, res, base_packet, device) { got.push([info.rpc, device]); });
+      left.device.emit('error', new Error('oops'));
+      await ping(left.device);
+
+      assert.deepStrictEqual(got, [['_png', left.device]]);
+      assert.strictEqual(manager_errors[0].err.message, 'oops');
+      assert.strictEqual(manager_errors[0].device, left.device);
+    });
+
+    it('removes every device when closing, passing on the first error', async function () {
+      var left = await add_mock(MAC_A);
+      var right = await add_mock(MAC_B);
+      var middle = await add_mock(MAC_C);
+      left.transport._close = function (cb) { cb(new Error('stuck')); };
+      right.transport._close = function (cb) { cb(new Error('also stuck')); };
+
+      await assert.rejects(manager.close(), /^Error: stuck$/);
+      assert.deepStrictEqual(manager.list(), []);
+      assert.ok(!middle.transport.is_open);
+    });
+  });
+});
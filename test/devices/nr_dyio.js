@@ -0,0 +1,96 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var errors = require('dyio/errors');
+var nr_dyio = require('dyio/devices/nr_dyio');
+var helpers = require('../helpers');
+
+describe('DyIOChannel', function () {
+  var device, mock, state, channel;
+
+  beforeEach(async function () {
+    // the mock channels support 'off', 'digital_in' and 'digital_out', and start as 'digital_in'
+    state = {};
+    var res = await helpers.connect_mock({ namespaces: [helpers.io_namespace(state)] }, new nr_dyio.DyIO());
+    device = res.device;
+    mock = res.mock;
+    await device.populate_supported_namespaces();
+    channel = device.channels[0];
+  });
+
+  afterEach(function (done) {
+    device.disconnect(function () { done(); });
+  });
+
+  var sent_rpcs = function () {
+    return mock.received.map(function (req) { return req.rpc; });
+  };
+
+  describe('#set_mode()', function () {
+    it('fetches the supported modes, and then sets the mode', async function () {
+      mock.received = [];
+      assert.strictEqual(await channel.set_mode('digital_out'), 'digital_out');
+      assert.deepStrictEqual(channel.supported_modes, ['off', 'digital_in', 'digital_out']);
+      assert.strictEqual(channel.mode, 'digital_out');
+      assert.strictEqual(channel.value, null);
+      assert.strictEqual(state.modes[0], 0x03);
+      assert.deepStrictEqual(sent_rpcs(), ['gcml', 'schm']);
+
+      // the supported modes are only fetched once
+      mock.received = [];
+      await channel.set_mode('off');
+      assert.deepStrictEqual(sent_rpcs(), ['schm']);
+    });
+
+    it('rejects a mode the channel doesn\'t support without setting it', async function () {
+      mock.received = [];
+      await assert.rejects(channel.set_mode('servo_out'), function (err) {
+        return err instanceof errors.UnsupportedChannelModeError && err.channel === 0 && err.mode === 'servo_out' &&
+          err.message === 'Channel 0 does not support the mode servo_out';
+      });
+      assert.deepStrictEqual(sent_rpcs(), ['gcml']);
+      assert.strictEqual(state.modes[0], 0x02);
+    });
+
+    it('rejects an unknown mode without asking the device', async function () {
+      mock.received = [];
+      await assert.rejects(channel.set_mode('teleport'), function (err) {
+        return err instanceof errors.UnsupportedChannelModeError && err.mode === 'teleport' && /Unknown channel mode teleport/.test(err.message);
+      });
+      assert.deepStrictEqual(sent_rpcs(), []);
+    });
+
+    it('passes the error to a callback', function (done) {
+      channel.set_mode('servo_out', function (err, mode) {
+        assert.ok(err instanceof errors.UnsupportedChannelModeError);
+        assert.strictEqual(mode, undefined);
+        done();
+      });
+    });
+  });
+
+  describe('helpers', function () {
+    beforeEach(async function () {
+      await channel.refresh();
+    });
+
+    it('refuse to run in the wrong mode', async function () {
+      assert.strictEqual(channel.mode, 'digital_in');
+      mock.received = [];
+      await assert.rejects(channel.write_digital(true), function (err) {
+        return err instanceof errors.UnsupportedChannelModeError && err.mode === 'digital_in' &&
+          /Cannot use write_digital on channel 0 in mode digital_in \(it requires one of digital_out\)/.test(err.message);
+      });
+      await assert.rejects(channel.read_analog(), errors.UnsupportedChannelModeError);
+      assert.deepStrictEqual(sent_rpcs(), []);
+    });
+
+    it('convert the values in the right mode', async function () {
+      await channel.set_mode('digital_out');
+      await channel.write_digital(true);
+      assert.strictEqual(state.values[0], 1);
+      assert.strictEqual(await channel.read_digital(), true);
+      assert.strictEqual(channel.value, 1);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var dgram = require('dgram');
+var discovery = require('dyio/util/discovery');
+var mock_device = require('dyio/mock_device');
+var udp = require('dyio/transports/udp');
+
+const MAC_ADDRESS = '74:F7:26:00:00:01';
+
+// find a port which is free on the loopback interface
+var free_port = function () {
+  return new Promise(function (resolve) {
+    var socket = dgram.createSocket('udp4');
+    socket.bind(0, '127.0.0.1', function () {
+      var port = socket.address().port;
+      socket.close(function () { resolve(port); });
+    });
+  });
+};
+
+describe('dyio.util.discovery', function () {
+  describe('probe()', function () {
+    var transport, mock;
+
+    beforeEach(function () {
+      var pair = mock_device.make_mock_pair({ mac_address: MAC_ADDRESS, name: 'bcs.core', version: '0.3.0' });
+      transport = pair[0];
+      mock = pair[1];
+    });
+
+    it('describes the device which replies, and closes the transport again', async function () {
+      var info = await discovery.probe(transport, { timeout: 50 });
+      assert.deepStrictEqual(info, { mac_address: MAC_ADDRESS, name: 'bcs.core', version: '0.3.0', num_namespaces: 2 });
+      assert.ok(!transport.is_open);
+      assert.deepStrictEqual(mock.received.map(function (req) { return req.rpc; }), ['_png', '_nms']);
+    });
+
+    it('resolves with null when nothing replies', async function () {
+      mock.script('bcs.core#_png', { drop: true });
+      assert.strictEqual(await discovery.probe(transport, { timeout: 20 }), null);
+      assert.ok(!transport.is_open);
+    });
+
+    it('only pings the given MAC address', async function () {
+      assert.strictEqual(await discovery.probe(transport, { timeout: 20, mac_address: '74:F7:26:00:00:02' }), null);
+    });
+
+    it('detaches a transport which fails to open', async function () {
+      transport._open = function (cb) { cb(new Error('port busy')); };
+      await assert.rejects(discovery.probe(transport, { timeout: 20 }), /port busy/);
+      assert.strictEqual(transport.listenerCount('data'), 0);
+      assert.strictEqual(transport.listenerCount('close'), 0);
+    });
+  });
+
+  describe('discover()', function () {
+    var port, mock;
+
+    beforeEach(async function () {
+      port = await free_port();
+      mock = new mock_device.MockBowlerDevice({ mac_address: MAC_ADDRESS });
+      var transport = new udp.UdpTransport(null, { local_port: port, local_address: '127.0.0.1', reply_to_sender: true });
+      await new Promise(function (resolve, reject) {
+        mock.attach(transport, function (err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    });
+
+    afterEach(function (done) {
+      mock.transport.close(function () { done(); });
+    });
+
+    it('lists the devices found on each kind of transport, skipping the ports which fail', async function () {
+      var failed = [];
+      var found = await discovery.discover({
+        ports: ['/dev/no-such-port'],
+        udp: { address: '127.0.0.1', port: port, timeout: 50 },
+        timeout: 50,
+        on_error: function (path) { failed.push(path); }
+      });
+
+      assert.deepStrictEqual(failed, ['/dev/no-such-port']);
+      assert.deepStrictEqual(found, [{
+        transport: 'udp',
+        address: '127.0.0.1',
+        port: port,
+        mac_address: MAC_ADDRESS,
+        name: 'bcs.core',
+        version: '0.3.0',
+        num_namespaces: 2
+      }]);
+    });
+
+    it('finds nothing when nobody answers', async function () {
+      mock.script(null, { drop: true });
+      assert.deepStrictEqual(await discovery.discover({ serial: false, udp: { address: '127.0.0.1', port: port, timeout: 30 } }), []);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var bowler_device = require('dyio/bowler_device');
+var dissector = require('dyio/util/dissector');
+
+var CAPTURE = {
+  metadata: {
+    mac_address: '74:F7:26:00:00:01',
+    supported_namespaces: { 0: 'bcs.core', 1: 'bcs.pid', 2: 'bcs.nope' }
+  },
+  records: []
+};
+
+describe('device_for_capture()', function () {
+  it('loads the namespaces which have a module, and skips the others', function () {
+    var device = dissector.device_for_capture(CAPTURE);
+    assert.strictEqual(device.mac_address, '74:F7:26:00:00:01');
+    assert.ok(device.describe_rpc('bcs.pid', 'apid', 'get'));
+  });
+
+  it('passes on the errors of namespace modules which fail to load', function () {
+    var device = new bowler_device.BowlerDevice();
+    device.supports_namespace = function (namespace) {
+      if (namespace === 'bcs.pid') {
+        var err = new Error('Cannot find module \'some-dependency\'');
+        err.code = 'MODULE_NOT_FOUND';
+        throw err;
+      }
+    };
+    assert.throws(function () { dissector.device_for_capture(CAPTURE, device); }, /some-dependency/);
+  });
+});
@@ -0,0 +1,155 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var extra_namespaces = require('dyio/extra_namespaces');
+var bcs_io = require('dyio/extra_namespaces/bcs_io');
+var dissector = require('dyio/util/dissector');
+var helpers = require('./helpers');
+
+describe('BowlerNamespace#load_schema()', function () {
+  it('lets builders take their arguments in a different order', function () {
+    var ns = extra_namespaces.make_schema_namespace({
+      root: 'test.ns',
+      rpcs: {
+        move: {
+          post: {
+            args: [{ name: 'a', type: 'UInt8' }, { name: 'b', type: 'Int32' }],
+            params: ['b', 'a']
+          }
+        }
+      }
+    });
+
+    var builder = ns.builders.move;
+    assert.deepStrictEqual(builder.arg_names, ['b', 'a']);
+    assert.deepStrictEqual(builder.arg_types, ['Int32', 'UInt8']);
+    assert.deepStrictEqual(builder.wire_names, ['a', 'b']);
+  });
+
+  it('rejects params which don\'t match the arguments', function () {
+    assert.throws(function () {
+      extra_namespaces.make_schema_namespace({
+        root: 'test.ns',
+        rpcs: { move: { post: { args: [{ name: 'a', type: 'UInt8' }], params: ['b'] } } }
+      });
+    }, /params/);
+  });
+});
+
+describe('has_module()', function () {
+  it('tells whether a namespace has a module, without loading it', function () {
+    assert.strictEqual(extra_namespaces.module_path('bcs.pid'), 'dyio/extra_namespaces/bcs_pid');
+    assert.strictEqual(extra_namespaces.has_module('bcs.pid'), true);
+    assert.strictEqual(extra_namespaces.has_module('bcs.nope'), false);
+  });
+});
+
+describe('bcs.pid', function () {
+  var device, mock, state;
+
+  beforeEach(async function () {
+    state = {};
+    var res = await helpers.connect_mock({ namespaces: [helpers.pid_namespace(state)] });
+    device = res.device;
+    mock = res.mock;
+    await device.populate_supported_namespaces();
+    device.supports_namespace('bcs.pid');
+  });
+
+  afterEach(function (done) {
+    device.disconnect(function () { done(); });
+  });
+
+  var last_args = function (rpc) {
+    var requests = mock.received.filter(function (req) { return req.rpc === rpc; });
+    return requests[requests.length - 1].args;
+  };
+
+  it('takes the time before the set-point for _pid', async function () {
+    await device.command_to.pid._pid.post(1, 500, 2000);
+    assert.deepStrictEqual(last_args('_pid'), [1, 2000, 500]);
+    assert.strictEqual(state.set_points[1], 2000);
+  });
+
+  it('takes the time before the set-point for _vpd', async function () {
+    await device.command_to.pid._vpd(2, 250, -30);
+    assert.deepStrictEqual(last_args('_vpd'), [2, -30, 250]);
+  });
+
+  it('describes _pid in the order it takes its arguments', function () {
+    var info = device.describe_rpc('bcs.pid', '_pid', 'post');
+    assert.deepStrictEqual(info.send.args.map(function (arg) { return arg.name; }), ['channel', 'time', 'set_point']);
+  });
+
+  it('dissects _pid in the order it is sent', function () {
+    var raw = device.build_packet('post', 'bcs.pid', '_pid', 1, 500, 2000);
+    var res = dissector.dissect(raw, device);
+    assert.deepStrictEqual(res.payload.value, { channel: 1, set_point: 2000, time: 500 });
+  });
+
+  it('reports the channel count of gpdc as channel', async function () {
+    assert.deepStrictEqual(await device.command_to.pid.gpdc(), { channel: 4 });
+  });
+});
+
+describe('bcs.io', function () {
+  var device, mock, state;
+
+  beforeEach(async function () {
+    state = {};
+    var res = await helpers.connect_mock({ namespaces: [helpers.io_namespace(state)] });
+    device = res.device;
+    mock = res.mock;
+    await device.populate_supported_namespaces();
+    device.supports_namespace('bcs.io');
+  });
+
+  afterEach(function (done) {
+    device.disconnect(function () { done(); });
+  });
+
+  it('is a schema namespace', function () {
+    assert.ok(bcs_io instanceof extra_namespaces.BowlerNamespace);
+    assert.strictEqual(bcs_io.schema.root, 'bcs.io');
+    assert.strictEqual(bcs_io.status_codes, null);
+  });
+
+  it('can be imported more than once', async function () {
+    device.supports_namespace('bcs.io');
+    assert.deepStrictEqual(await device.command_to.io.gchm(1), { channel: 1, mode: 'digital_in' });
+  });
+
+  it('reports channel modes by name', async function () {
+    state.modes[1] = 0x03;
+    assert.deepStrictEqual(await device.command_to.io.gchm(1), { channel: 1, mode: 'digital_out' });
+    assert.deepStrictEqual(await device.command_to.io.gcml(1), { channel: 1, modes: ['off', 'digital_in', 'digital_out'] });
+  });
+
+  it('sets channel modes by name or raw byte', async function () {
+    assert.deepStrictEqual(await device.command_to.io.schm(2, 'servo_out'), { channel: 2, mode: 'servo_out' });
+    await device.command_to.io.schm(3, 0x03);
+    assert.deepStrictEqual(state.modes.slice(2), [0x07, 0x03]);
+    assert.throws(function () { device.build_packet('post', 'bcs.io', 'schm', 1, 'no_such_mode'); }, /Unknown channel mode/);
+  });
+
+  it('sets values with an optional time', async function () {
+    await device.command_to.io.schv(1, 128);
+    assert.deepStrictEqual(mock.received[mock.received.length - 1].args, [1, 128, 0]);
+    assert.deepStrictEqual(await device.command_to.io.gchv(1), { channel: 1, value: 128 });
+  });
+
+  it('gets and sets all values as plain Arrays', async function () {
+    assert.deepStrictEqual(await device.command_to.io.sacv(100, [1, 2, 3, 4]), { values: [1, 2, 3, 4] });
+    assert.deepStrictEqual(await device.command_to.io.gacv(), { values: [1, 2, 3, 4] });
+    assert.deepStrictEqual(await device.command_to.io.gchc(), { count: 4 });
+  });
+
+  it('parses values pushed by the device', async function () {
+    var pushed = [];
+    device.subscribe('bcs.io', function (data, base_packet) { pushed.push([base_packet.rpc, data]); });
+    mock.send_packet('async', 'bcs.io', 'gchv', [2, 55]);
+    mock.send_packet('async', 'bcs.io', 'gacv', [[5, 6]]);
+    await helpers.delay(20);
+    assert.deepStrictEqual(pushed, [['gchv', { channel: 2, value: 55 }], ['gacv', { values: [5, 6] }]]);
+  });
+});
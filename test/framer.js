@@ -0,0 +1,124 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var bowler_device = require('dyio/bowler_device');
+var bowler_util = require('dyio/util');
+var BowlerFramer = require('dyio/framer').BowlerFramer;
+
+var MAC_BYTES = [0x74, 0xF7, 0x26, 0x00, 0x00, 0x01];
+
+var packet = function (rpc, body) {
+  return bowler_device.make_datagram(MAC_BYTES, 'post', 0, rpc, Buffer.from(body || []), 1);
+};
+
+describe('BowlerFramer', function () {
+  var framer, packets, invalid;
+
+  beforeEach(function () {
+    framer = new BowlerFramer();
+    packets = [];
+    invalid = [];
+    framer.on('packet', function (pkt) { packets.push(pkt); });
+    framer.on('invalid', function (dropped, reason, header) { invalid.push({ dropped: dropped, reason: reason, header: header }); });
+  });
+
+  it('reassembles a packet split across chunks', function () {
+    var pkt = packet('_png', [1, 2, 3]);
+    framer.push(pkt.slice(0, 5));
+    framer.push(pkt.slice(5, 12));
+    assert.deepStrictEqual(packets, []);
+    assert.strictEqual(framer.buffered_length, 12);
+
+    framer.push(pkt.slice(12));
+    assert.deepStrictEqual(packets, [pkt]);
+    assert.strictEqual(framer.buffered_length, 0);
+  });
+
+  it('splits several packets out of one chunk', function () {
+    var first = packet('_png');
+    var second = packet('_nms', [4, 5]);
+    var third = packet('_rpc', [6]);
+    framer.push(Buffer.concat([first, second, third.slice(0, 3)]));
+    framer.push(third.slice(3));
+
+    assert.deepStrictEqual(packets, [first, second, third]);
+    assert.strictEqual(framer.stats.packets, 3);
+    assert.strictEqual(framer.stats.bytes_received, first.length + second.length + third.length);
+    assert.deepStrictEqual(invalid, []);
+  });
+
+  it('resynchronises after garbage, reporting the dropped bytes together', function () {
+    var pkt = packet('_png');
+    framer.push(Buffer.concat([Buffer.from([0x00, 0xFF, 0x42]), pkt]));
+
+    assert.deepStrictEqual(packets, [pkt]);
+    assert.strictEqual(invalid.length, 1);
+    assert.deepStrictEqual(invalid[0].dropped, Buffer.from([0x00, 0xFF, 0x42]));
+    assert.strictEqual(invalid[0].reason, 'bad_version');
+    assert.deepStrictEqual(invalid[0].header, Buffer.from([0x00]));
+    assert.strictEqual(framer.stats.dropped_bytes, 3);
+    assert.strictEqual(framer.stats.bad_versions, 3);
+  });
+
+  it('drops a header with a bad checksum', function () {
+    var bad = packet('_png');
+    bad[10] ^= 0xFF;
+    var good = packet('_nms');
+    framer.push(Buffer.concat([bad, good]));
+
+    assert.deepStrictEqual(packets, [good]);
+    assert.strictEqual(invalid[0].reason, 'bad_checksum');
+    assert.deepStrictEqual(invalid[0].header, bad.slice(0, bowler_device.BOWLER_HEADER_SIZE));
+    assert.deepStrictEqual(invalid[0].dropped, bad);
+    assert.strictEqual(framer.stats.bad_checksums, 1);
+    assert.strictEqual(framer.stats.dropped_bytes, bad.length);
+  });
+
+  it('drops a header whose size can\'t hold an RPC name', function () {
+    var bad = packet('_png');
+    bad[bowler_device.BOWLER_SIZE_BYTE] = 3;
+    bad[10] = bowler_util.make_checksum(bad.slice(0, 10));
+    var good = packet('_png');
+    framer.push(Buffer.concat([bad, good]));
+
+    assert.deepStrictEqual(packets, [good]);
+    assert.strictEqual(invalid[0].reason, 'bad_size');
+    assert.strictEqual(invalid[0].header[bowler_device.BOWLER_SIZE_BYTE], 3);
+    assert.strictEqual(framer.stats.bad_sizes, 1);
+  });
+
+  it('reports the bytes dropped before each packet separately', function () {
+    var pkt = packet('_png');
+    framer.push(Buffer.concat([Buffer.from([0x00]), pkt, Buffer.from([0x01, 0x02]), pkt]));
+
+    assert.strictEqual(packets.length, 2);
+    assert.deepStrictEqual(invalid.map(function (evt) { return evt.dropped; }), [Buffer.from([0x00]), Buffer.from([0x01, 0x02])]);
+  });
+
+  it('waits for the rest of a header before checking it', function () {
+    var pkt = packet('_png');
+    framer.push(pkt.slice(0, bowler_device.BOWLER_HEADER_SIZE - 1));
+    assert.deepStrictEqual(invalid, []);
+    assert.strictEqual(framer.buffered_length, bowler_device.BOWLER_HEADER_SIZE - 1);
+  });
+
+  it('discards a partial packet on reset, and clears the stats on reset_stats', function () {
+    var pkt = packet('_png');
+    framer.push(pkt.slice(0, 5));
+    framer.reset();
+    assert.strictEqual(framer.buffered_length, 0);
+
+    framer.push(pkt);
+    assert.deepStrictEqual(packets, [pkt]);
+
+    framer.reset_stats();
+    assert.deepStrictEqual(framer.stats, {
+      bytes_received: 0,
+      packets: 0,
+      dropped_bytes: 0,
+      bad_versions: 0,
+      bad_checksums: 0,
+      bad_sizes: 0
+    });
+  });
+});
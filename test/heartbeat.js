@@ -0,0 +1,115 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var Heartbeat = require('dyio/util/heartbeat').Heartbeat;
+var helpers = require('./helpers');
+
+describe('dyio.util.heartbeat', function () {
+  var device, mock, heartbeat, health;
+
+  beforeEach(async function () {
+    var res = await helpers.connect_mock();
+    device = res.device;
+    mock = res.mock;
+    health = [];
+    device.on('health', function (state, previous_state) { health.push([previous_state, state]); });
+  });
+
+  afterEach(function (done) {
+    if (heartbeat) heartbeat.stop();
+    heartbeat = null;
+    device.disconnect(function () { done(); });
+  });
+
+  // wait until the heartbeat has the given health
+  var health_of = async function (state) {
+    for (var i = 0; i < 50 && heartbeat.state !== state; i++) await helpers.delay(5);
+    return heartbeat.state;
+  };
+
+  describe('stats()', function () {
+    it('has no latencies before a reply', function () {
+      heartbeat = new Heartbeat(device);
+      var stats = heartbeat.stats();
+      assert.strictEqual(stats.state, 'unknown');
+      assert.strictEqual(stats.loss, 0);
+      assert.strictEqual(stats.latency, null);
+      assert.strictEqual(stats.jitter, null);
+      assert.strictEqual(stats.time_since_reply, null);
+    });
+
+    it('works out the latency statistics and the loss', function () {
+      heartbeat = new Heartbeat(device);
+      heartbeat._sent = 4;
+      heartbeat._on_reply(10);
+      heartbeat._on_reply(20);
+      heartbeat._on_missed(new Error('missed'));
+      heartbeat._on_reply(15);
+
+      var stats = heartbeat.stats();
+      assert.strictEqual(stats.latency, 15);
+      assert.strictEqual(stats.min_latency, 10);
+      assert.strictEqual(stats.avg_latency, 15);
+      assert.strictEqual(stats.max_latency, 20);
+      assert.strictEqual(stats.jitter, 7.5);
+      assert.strictEqual(stats.missed, 1);
+      assert.strictEqual(stats.consecutive_missed, 0);
+      assert.strictEqual(stats.loss, 0.25);
+      assert.ok(stats.time_since_reply >= 0);
+    });
+
+    it('only covers the last window of replies', function () {
+      heartbeat = new Heartbeat(device, { window: 2 });
+      [100, 10, 20].forEach(function (latency) { heartbeat._on_reply(latency); });
+      assert.strictEqual(heartbeat.stats().max_latency, 20);
+      assert.strictEqual(heartbeat.stats().avg_latency, 15);
+    });
+  });
+
+  it('goes from unknown to healthy to degraded to lost, and back to unknown on reconnecting', async function () {
+    heartbeat = device.start_heartbeat({ interval: 15, timeout: 10, lost_after: 2 });
+    assert.strictEqual(await health_of('healthy'), 'healthy');
+
+    mock.script('bcs.core#_png', { drop: true });
+    assert.strictEqual(await health_of('lost'), 'lost');
+    device.emit('connected');
+    assert.strictEqual(heartbeat.state, 'unknown');
+
+    assert.deepStrictEqual(health, [
+      ['unknown', 'healthy'],
+      ['healthy', 'degraded'],
+      ['degraded', 'lost'],
+      ['lost', 'unknown']
+    ]);
+  });
+
+  it('counts slow replies as degraded', async function () {
+    mock.script('bcs.core#_png', { delay: 15 });
+    heartbeat = device.start_heartbeat({ interval: 30, timeout: 25, max_latency: 5 });
+    assert.strictEqual(await health_of('degraded'), 'degraded');
+    assert.strictEqual(heartbeat.stats().missed, 0);
+  });
+
+  it('counts the link as lost when the device disconnects', async function () {
+    heartbeat = device.start_heartbeat({ interval: 15 });
+    assert.strictEqual(await health_of('healthy'), 'healthy');
+    device.emit('disconnected', new Error('unplugged'));
+    assert.strictEqual(heartbeat.state, 'lost');
+  });
+
+  it('tells the reconnector once enough pings in a row are missed', async function () {
+    var lost = [];
+    device.reconnector = { link_lost: function (err) { lost.push(err); } };
+    mock.script('bcs.core#_png', { drop: true, times: 3 });
+
+    var beats = [];
+    device.on('heartbeat', function (stats) { beats.push(stats.consecutive_missed); });
+    heartbeat = device.start_heartbeat({ interval: 15, timeout: 10, lost_after: 3 });
+    assert.strictEqual(await health_of('lost'), 'lost');
+    assert.deepStrictEqual(beats, [1, 2, 3]);
+    assert.strictEqual(lost.length, 1);
+
+    assert.strictEqual(await health_of('healthy'), 'healthy');
+    assert.strictEqual(lost.length, 1);
+  });
+});
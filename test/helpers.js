@@ -0,0 +1,219 @@
+/* jshint node: true, esnext: true */
+
+// Helpers shared by the tests.
+
+var BowlerDevice = require('dyio/bowler_device').BowlerDevice;
+var mock_device = require('dyio/mock_device');
+
+// connect a device (a new BowlerDevice by default) to a new
+// mock device with the given description, resolving with both
+var connect_mock = function (description, device) {
+  var pair = mock_device.make_mock_pair(description);
+  if (!device) device = new BowlerDevice();
+  return new Promise(function (resolve, reject) {
+    device.connect(pair[0], function (err) {
+      if (err) reject(err);
+      else resolve({ device: device, mock: pair[1], transport: pair[0] });
+    });
+  });
+};
+
+// a mock 'bcs.pid' namespace, for four channels, keeping its state in the
+// given object (`set_points` and `configs`, filled in if missing); if the
+// state has a `status_for(rpc, args)` function, the status codes it returns
+// (if any) are sent instead of success, and the request is otherwise ignored
+var pid_namespace = function (state) {
+  if (!state.set_points) state.set_points = [0, 0, 0, 0];
+  if (!state.configs) state.configs = {};
+
+  var config = ['UInt8', 'Bool', 'UInt8', 'Bool', 'FixedPointTwoPlaces', 'FixedPointTwoPlaces', 'FixedPointTwoPlaces', 'Int32', 'UInt8', 'Bool'];
+  var status = ['UInt8', 'UInt8'];
+  var failure = function (rpc, args) { return state.status_for ? state.status_for(rpc, args) : null; };
+  var ok = [0, 0];
+
+  return {
+    name: 'bcs.pid',
+    version: '0.3.0',
+    rpcs: [
+      {
+        name: 'apid',
+        send: { method: 'get', args: [] },
+        recv: { method: 'post', args: ['Int32Array'] },
+        handler: function () { return [state.set_points]; }
+      },
+      {
+        name: 'apid',
+        send: { method: 'post', args: ['Int32', 'Int32Array'] },
+        recv: { method: 'status', args: status },
+        handler: function (args) {
+          if (failure('apid', args)) return failure('apid', args);
+          state.set_points = Array.from(args[1]);
+          return ok;
+        }
+      },
+      {
+        name: '_pid',
+        send: { method: 'get', args: ['UInt8'] },
+        recv: { method: 'post', args: ['UInt8', 'Int32'] },
+        handler: function (args) { return [args[0], state.set_points[args[0]]]; }
+      },
+      {
+        name: '_pid',
+        send: { method: 'post', args: ['UInt8', 'Int32', 'Int32'] },
+        recv: { method: 'status', args: status },
+        handler: function (args) {
+          if (failure('_pid', args)) return failure('_pid', args);
+          state.set_points[args[0]] = args[1];
+          return ok;
+        }
+      },
+      {
+        name: '_vpd',
+        send: { method: 'post', args: ['UInt8', 'Int32', 'Int32'] },
+        recv: { method: 'status', args: status },
+        handler: function (args) { return failure('_vpd', args) || ok; }
+      },
+      {
+        name: 'cpid',
+        send: { method: 'get', args: ['UInt8'] },
+        recv: { method: 'post', args: config },
+        handler: function (args) { return state.configs[args[0]] || [args[0], false, 0, false, 0, 0, 0, 0, 0, false]; }
+      },
+      {
+        name: 'cpid',
+        send: { method: 'critical', args: config },
+        recv: { method: 'status', args: status },
+        handler: function (args) {
+          if (failure('cpid', args)) return failure('cpid', args);
+          state.configs[args[0]] = args;
+          return ok;
+        }
+      },
+      {
+        name: 'gpdc',
+        send: { method: 'get', args: [] },
+        recv: { method: 'post', args: ['Int32'] },
+        handler: function () { return [state.set_points.length]; }
+      },
+      {
+        name: 'kpid',
+        send: { method: 'critical', args: [] },
+        recv: { method: 'status', args: status },
+        handler: function (args) { return failure('kpid', args) || ok; }
+      }
+    ]
+  };
+};
+
+// a mock 'bcs.io' namespace, for four channels, keeping its state in the
+// given object (`modes` and `values`, filled in if missing)
+var io_namespace = function (state) {
+  if (!state.modes) state.modes = [0x02, 0x02, 0x02, 0x02];
+  if (!state.values) state.values = [0, 0, 0, 0];
+
+  return {
+    name: 'bcs.io',
+    version: '0.3.0',
+    rpcs: [
+      {
+        name: 'gchm',
+        send: { method: 'get', args: ['UInt8'] },
+        recv: { method: 'post', args: ['UInt8', 'UInt8'] },
+        handler: function (args) { return [args[0], state.modes[args[0]]]; }
+      },
+      {
+        name: 'schm',
+        send: { method: 'post', args: ['UInt8', 'UInt8'] },
+        recv: { method: 'post', args: ['UInt8', 'UInt8'] },
+        handler: function (args) {
+          state.modes[args[0]] = args[1];
+          return args;
+        }
+      },
+      {
+        name: 'gchv',
+        send: { method: 'get', args: ['UInt8'] },
+        recv: { method: 'post', args: ['UInt8', 'Int32'] },
+        handler: function (args) { return [args[0], state.values[args[0]]]; }
+      },
+      {
+        name: 'schv',
+        send: { method: 'post', args: ['UInt8', 'Int32', 'Int32'] },
+        recv: { method: 'post', args: ['UInt8', 'Int32'] },
+        handler: function (args) {
+          state.values[args[0]] = args[1];
+          return [args[0], args[1]];
+        }
+      },
+      {
+        name: 'gacv',
+        send: { method: 'get', args: [] },
+        recv: { method: 'post', args: ['Int32Array'] },
+        handler: function () { return [state.values]; }
+      },
+      {
+        name: 'sacv',
+        send: { method: 'post', args: ['Int32', 'Int32Array'] },
+        recv: { method: 'post', args: ['Int32Array'] },
+        handler: function (args) {
+          state.values = Array.from(args[1]);
+          return [state.values];
+        }
+      },
+      {
+        name: 'gchc',
+        send: { method: 'get', args: [] },
+        recv: { method: 'post', args: ['Int32'] },
+        handler: function () { return [state.values.length]; }
+      },
+      {
+        name: 'gcml',
+        send: { method: 'get', args: ['UInt8'] },
+        recv: { method: 'post', args: ['UInt8', 'ByteBuffer'] },
+        handler: function (args) { return [args[0], Buffer.from([0x01, 0x02, 0x03])]; }
+      }
+    ]
+  };
+};
+
+// a mock 'bcs.safe' namespace, keeping the failsafe settings
+// in the given object (`enabled` and `timeout`, filled in if missing)
+var safe_namespace = function (state) {
+  if (state.enabled === undefined) state.enabled = false;
+  if (state.timeout === undefined) state.timeout = 0;
+
+  return {
+    name: 'bcs.safe',
+    version: '0.3.0',
+    rpcs: [
+      {
+        name: 'safe',
+        send: { method: 'get', args: [] },
+        recv: { method: 'post', args: ['Bool', 'Int16'] },
+        handler: function () { return [state.enabled, state.timeout]; }
+      },
+      {
+        name: 'safe',
+        send: { method: 'post', args: ['Bool', 'Int16'] },
+        recv: { method: 'status', args: ['UInt8', 'UInt8'] },
+        handler: function (args) {
+          state.enabled = args[0];
+          state.timeout = args[1];
+          return [0, 0];
+        }
+      }
+    ]
+  };
+};
+
+var delay = function (ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms); });
+};
+
+module.exports = {
+  connect_mock: connect_mock,
+  io_namespace: io_namespace,
+  pid_namespace: pid_namespace,
+  safe_namespace: safe_namespace,
+  delay: delay
+};
@@ -0,0 +1,118 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var introspection_cache = require('dyio/util/introspection_cache');
+var helpers = require('./helpers');
+
+var IntrospectionCache = introspection_cache.IntrospectionCache;
+
+var NS_INFO = [
+  { name: 'bcs.core', version_str: '0.3.0' },
+  { name: 'bcs.io', version_str: '0.3.0' }
+];
+var NEWER_NS_INFO = [
+  { name: 'bcs.core', version_str: '0.3.0' },
+  { name: 'bcs.io', version_str: '0.4.0' }
+];
+var RPCS = [{ namespace: 'bcs.io', name: 'gchv', send: { method: 'get', args: ['UInt8'] }, recv: { method: 'post', args: ['UInt8', 'Int32'] } }];
+
+describe('dyio.util.introspection_cache', function () {
+  var tmp_dir, cache_path;
+
+  beforeEach(function () {
+    tmp_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dyio-introspection-'));
+    cache_path = path.join(tmp_dir, 'nested', 'cache.json');
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmp_dir, { recursive: true, force: true });
+  });
+
+  it('keys the entries by namespace name and version', function () {
+    assert.strictEqual(introspection_cache.make_cache_key(NS_INFO), 'bcs.core;0.3.0|bcs.io;0.3.0');
+    assert.notStrictEqual(introspection_cache.make_cache_key(NEWER_NS_INFO), introspection_cache.make_cache_key(NS_INFO));
+  });
+
+  it('stores entries in its file, and looks them up by namespace versions', async function () {
+    var cache = new IntrospectionCache(cache_path);
+    await cache.store(NS_INFO, RPCS);
+    assert.deepStrictEqual(cache.lookup(NS_INFO), RPCS);
+    assert.strictEqual(cache.lookup(NEWER_NS_INFO), null);
+
+    var reloaded = await new IntrospectionCache(cache_path).load();
+    assert.deepStrictEqual(reloaded.keys, [introspection_cache.make_cache_key(NS_INFO)]);
+    assert.deepStrictEqual(reloaded.lookup(NS_INFO), RPCS);
+    assert.deepStrictEqual(reloaded.entries[reloaded.keys[0]].namespaces, [
+      { name: 'bcs.core', version: '0.3.0' },
+      { name: 'bcs.io', version: '0.3.0' }
+    ]);
+  });
+
+  it('invalidates one entry, by namespace information or key, or all of them', async function () {
+    var cache = new IntrospectionCache(cache_path);
+    await cache.store(NS_INFO, RPCS);
+    await cache.store(NEWER_NS_INFO, RPCS);
+
+    await cache.invalidate(NS_INFO);
+    assert.strictEqual(cache.lookup(NS_INFO), null);
+    assert.deepStrictEqual(cache.lookup(NEWER_NS_INFO), RPCS);
+    assert.strictEqual((await new IntrospectionCache(cache_path).load()).lookup(NS_INFO), null);
+
+    await cache.store(NS_INFO, RPCS);
+    await cache.invalidate(introspection_cache.make_cache_key(NEWER_NS_INFO));
+    assert.deepStrictEqual(cache.keys, [introspection_cache.make_cache_key(NS_INFO)]);
+
+    await cache.invalidate();
+    assert.deepStrictEqual(cache.keys, []);
+    assert.deepStrictEqual((await new IntrospectionCache(cache_path).load()).keys, []);
+  });
+
+  it('starts empty without a file, or with one it can\'t use', async function () {
+    assert.deepStrictEqual((await new IntrospectionCache(cache_path).load()).keys, []);
+
+    fs.mkdirSync(path.dirname(cache_path));
+    fs.writeFileSync(cache_path, '{ not json');
+    assert.deepStrictEqual((await new IntrospectionCache(cache_path).load()).keys, []);
+
+    fs.writeFileSync(cache_path, JSON.stringify({ format_version: 99, entries: { some: {} } }));
+    assert.deepStrictEqual((await new IntrospectionCache(cache_path).load()).keys, []);
+  });
+
+  describe('with a device', function () {
+    var device, mock;
+
+    beforeEach(async function () {
+      var res = await helpers.connect_mock({ namespaces: [helpers.io_namespace({})] });
+      device = res.device;
+      mock = res.mock;
+      device.introspection_cache = new IntrospectionCache(cache_path);
+      await device.populate_supported_namespaces();
+    });
+
+    afterEach(function (done) {
+      device.disconnect(function () { done(); });
+    });
+
+    var introspected = function () {
+      return mock.received.filter(function (req) { return req.namespace === 'bcs.rpc'; }).length;
+    };
+
+    it('only introspects a device with the same namespaces once', async function () {
+      await device.autopopulate_rpcs();
+      assert.ok(introspected() > 0);
+      assert.ok(device.introspection_cache.lookup(device.namespace_info));
+
+      mock.received = [];
+      await device.autopopulate_rpcs();
+      assert.strictEqual(introspected(), 0);
+      assert.ok(device.describe_rpc('bcs.io', 'gchv'));
+
+      await device.invalidate_introspection_cache();
+      await device.autopopulate_rpcs();
+      assert.ok(introspected() > 0);
+    });
+  });
+});
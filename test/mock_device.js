@@ -0,0 +1,163 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var errors = require('dyio/errors');
+var helpers = require('./helpers');
+
+var ECHO_NAMESPACE = {
+  name: 'test.echo',
+  version: '1.2.3',
+  rpcs: [
+    {
+      name: 'echo',
+      send: { method: 'get', args: ['UInt8', 'Int32'] },
+      recv: { method: 'post', args: ['UInt8', 'Int32'] },
+      handler: function (args) { return [args[0], args[1] * 2]; }
+    },
+    {
+      name: 'fixd',
+      send: { method: 'post', args: [] },
+      recv: { method: 'post', args: ['Int16'] },
+      reply: [-7]
+    }
+  ]
+};
+
+describe('MockBowlerDevice', function () {
+  var device, mock;
+
+  beforeEach(async function () {
+    var res = await helpers.connect_mock({ mac_address: '74:F7:26:00:00:42', namespaces: [ECHO_NAMESPACE] });
+    device = res.device;
+    mock = res.mock;
+    device.request_timeout = 100;
+    device.request_retries = 0;
+  });
+
+  afterEach(function (done) {
+    device.disconnect(function () { done(); });
+  });
+
+  describe('core namespaces', function () {
+    it('answers _png', async function () {
+      await device.send_request('get', 'bcs.core', '_png', []);
+      assert.strictEqual(mock.received.length, 1);
+      assert.strictEqual(mock.received[0].rpc, '_png');
+    });
+
+    it('answers _nms with each namespace and its version', async function () {
+      await device.populate_supported_namespaces();
+      assert.deepStrictEqual(device.supported_namespaces_hr, { 'bcs.core': 0, 'bcs.rpc': 1, 'test.echo': 2 });
+      assert.strictEqual(device.namespace_info[2].version_str, '1.2.3');
+    });
+
+    it('answers _rpc and args, so the RPCs can be introspected', async function () {
+      await device.populate_supported_namespaces();
+      await device.autopopulate_rpcs();
+
+      var echo = device.describe_rpc('test.echo', 'echo', 'get');
+      assert.deepStrictEqual(echo.send.args.map(function (arg) { return arg.type; }), ['UInt8', 'Int32']);
+      assert.strictEqual(echo.recv.method, 'post');
+      assert.deepStrictEqual(echo.recv.args.map(function (arg) { return arg.type; }), ['UInt8', 'Int32']);
+    });
+  });
+
+  describe('described RPCs', function () {
+    beforeEach(async function () {
+      await device.populate_supported_namespaces();
+      await device.autopopulate_rpcs();
+    });
+
+    it('replies with the result of the handler', async function () {
+      var res = await device.send_request('get', 'test.echo', 'echo', [3, -21]);
+      assert.deepStrictEqual(res.as_array, [3, -42]);
+      assert.deepStrictEqual(mock.received[mock.received.length - 1].args, [3, -21]);
+    });
+
+    it('replies with a fixed reply', async function () {
+      var res = await device.send_request('post', 'test.echo', 'fixd', []);
+      assert.deepStrictEqual(res.as_array, [-7]);
+    });
+
+    it('ignores requests for other MAC addresses', async function () {
+      device.mac_address = '74:F7:26:00:00:43';
+      var unhandled = 0;
+      mock.on('reply', function () { unhandled++; });
+      await assert.rejects(device.send_request('get', 'test.echo', 'echo', [1, 1]), errors.BowlerTimeoutError);
+      assert.strictEqual(unhandled, 0);
+    });
+  });
+
+  describe('#script()', function () {
+    beforeEach(async function () {
+      await device.populate_supported_namespaces();
+      await device.autopopulate_rpcs();
+    });
+
+    it('delays replies', async function () {
+      mock.script('test.echo#echo', { delay: 40 });
+      var start = Date.now();
+      await device.send_request('get', 'test.echo', 'echo', [1, 1]);
+      assert.ok(Date.now() - start >= 35);
+
+      await assert.rejects(device.send_request('get', 'test.echo', 'echo', [1, 1], { timeout: 10 }), errors.BowlerTimeoutError);
+    });
+
+    it('drops replies, only as many times as asked', async function () {
+      mock.script({ rpc: 'echo' }, { drop: true, times: 1 });
+      var res = await device.send_request('get', 'test.echo', 'echo', [1, 5], { timeout: 30, retries: 1 });
+      assert.deepStrictEqual(res.as_array, [1, 10]);
+      assert.strictEqual(mock.received.filter(function (req) { return req.rpc === 'echo'; }).length, 2);
+    });
+
+    it('corrupts replies', async function () {
+      mock.script('test.echo#echo', { corrupt: 'checksum', times: 1 });
+      mock.script('test.echo#echo', { corrupt: 'version', times: 1 });
+      mock.script('test.echo#echo', { corrupt: 'payload', times: 1 });
+
+      var device_errors = [];
+      device.on('error', function (err) { device_errors.push(err); });
+
+      // the framer throws away packets with a bad header, reporting them as errors
+      await assert.rejects(device.send_request('get', 'test.echo', 'echo', [1, 1], { timeout: 30 }), errors.BowlerTimeoutError);
+      assert.ok(device.framer.stats.bad_checksums > 0);
+      assert.ok(device_errors[0] instanceof errors.ChecksumMismatchError);
+      await assert.rejects(device.send_request('get', 'test.echo', 'echo', [1, 1], { timeout: 30 }), errors.BowlerTimeoutError);
+      assert.ok(device.framer.stats.bad_versions > 0);
+      assert.ok(device_errors[1] instanceof errors.BadVersionError);
+
+      var res = await device.send_request('get', 'test.echo', 'echo', [1, 1]);
+      assert.notDeepStrictEqual(res.as_array, [1, 2]);
+    });
+
+    it('corrupts replies with a function', async function () {
+      mock.script('test.echo#echo', {
+        corrupt: function (reply) {
+          reply.writeInt32BE(99, reply.length - 4);
+          return reply;
+        }
+      });
+      var res = await device.send_request('get', 'test.echo', 'echo', [1, 1]);
+      assert.deepStrictEqual(res.as_array, [1, 99]);
+    });
+
+    it('stops using behaviors once cleared', async function () {
+      mock.script(null, { drop: true });
+      mock.clear_script();
+      await device.send_request('get', 'test.echo', 'echo', [1, 1]);
+    });
+  });
+
+  describe('#send_packet()', function () {
+    it('sends unsolicited packets', async function () {
+      await device.populate_supported_namespaces();
+      await device.autopopulate_rpcs();
+
+      var received = new Promise(function (resolve) {
+        device.subscribe('test.echo', 'echo', function (data) { resolve(data); });
+      });
+      mock.send_packet('async', 'test.echo', 'echo', [9, 100]);
+      assert.deepStrictEqual((await received).as_array, [9, 100]);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var errors = require('dyio/errors');
+var pid = require('dyio/pid');
+var helpers = require('./helpers');
+
+describe('dyio.pid', function () {
+  var device, mock, state;
+
+  beforeEach(async function () {
+    state = {};
+    var res = await helpers.connect_mock({ namespaces: [helpers.pid_namespace(state)] });
+    device = res.device;
+    mock = res.mock;
+    device.request_timeout = 200;
+    await device.populate_supported_namespaces();
+  });
+
+  afterEach(function (done) {
+    device.disconnect(function () { done(); });
+  });
+
+  var requests = function (rpc, method) {
+    return mock.received.filter(function (req) { return req.rpc === rpc && (!method || req.method === method); });
+  };
+
+  describe('PIDChannel', function () {
+    it('reads and changes the configuration', async function () {
+      var loop = new pid.PIDChannel(device, 1);
+      var config = await loop.set_gains(1.5, 0.25, 0.1);
+      assert.strictEqual(config.Kp, 1.5);
+      assert.strictEqual(config.enabled, false);
+
+      await loop.configure({ enabled: true, polarity: true });
+      assert.deepStrictEqual(await new pid.PIDChannel(device, 1).read_config(), {
+        enabled: true, polarity: true, async: false, Kp: 1.5, Ki: 0.25, Kd: 0.1,
+        latch: 0, use_index_latch: false, stop_on_latch: false
+      });
+    });
+
+    it('rejects unknown settings', async function () {
+      await assert.rejects(new pid.PIDChannel(device, 1).configure({ Kq: 1 }), /Unknown PID setting Kq/);
+    });
+
+    it('keeps its configuration when the device rejects a change', async function () {
+      var loop = new pid.PIDChannel(device, 1);
+      await loop.set_gains(1, 0, 0);
+
+      state.status_for = function (rpc, args) { return (rpc === 'cpid' && args[4] > 50) ? [7, 1] : null; };
+      await assert.rejects(loop.set_gains(99, 0, 0), errors.BowlerStatusError);
+      assert.strictEqual(loop.config.Kp, 1);
+    });
+
+    it('moves to a set-point over time', async function () {
+      var loop = new pid.PIDChannel(device, 2);
+      await loop.move_to(555, 1000);
+      assert.deepStrictEqual(requests('_pid').pop().args, [2, 555, 1000]);
+      assert.strictEqual(await loop.get_position(), 555);
+    });
+
+    it('runs at a velocity', async function () {
+      await new pid.PIDChannel(device, 2).move_at(-20);
+      assert.deepStrictEqual(requests('_vpd').pop().args, [2, -20, 0]);
+    });
+
+    it('passes on positions pushed by the device', async function () {
+      var positions = [];
+      new pid.PIDChannel(device, 1).subscribe(function (position, loop) { positions.push([position, loop.number]); });
+      mock.send_packet('async', 'bcs.pid', '_pid', [1, 77]);
+      mock.send_packet('async', 'bcs.pid', '_pid', [2, 88]);
+      mock.send_packet('async', 'bcs.pid', 'apid', [[1, 2, 3, 4]]);
+      await helpers.delay(20);
+      assert.deepStrictEqual(positions, [[77, 1], [2, 1]]);
+    });
+  });
+
+  describe('PIDGroup', function () {
+    it('moves its loops together', async function () {
+      var group = new pid.PIDGroup(device, [0, new pid.PIDChannel(device, 3)]);
+      await group.move_to([10, 30], 500);
+      assert.deepStrictEqual(await group.get_positions(), [10, 30]);
+
+      var args = requests('apid', 'post').pop().args;
+      assert.strictEqual(args[0], 500);
+      assert.deepStrictEqual(Array.from(args[1]), [10, 0, 0, 30]);
+    });
+
+    it('keeps the last set-points of the other loops', async function () {
+      await new pid.PIDChannel(device, 1).move_to(1000, 2000);
+      state.set_points[1] = 400;  // still on the way there
+      state.set_points[2] = 123;  // never commanded
+
+      await new pid.PIDGroup(device, [0]).move_to([5]);
+      assert.deepStrictEqual(Array.from(requests('apid', 'post').pop().args[1]), [5, 1000, 123, 0]);
+    });
+
+    it('checks the number of positions', async function () {
+      await assert.rejects(new pid.PIDGroup(device, [0, 1]).move_to([5]), /Expected 2 positions/);
+    });
+
+    it('kills every loop', async function () {
+      await new pid.PIDGroup(device, [0]).kill();
+      assert.strictEqual(requests('kpid').length, 1);
+    });
+  });
+});
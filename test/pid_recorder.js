@@ -0,0 +1,195 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var pid_recorder = require('dyio/util/pid_recorder');
+var helpers = require('./helpers');
+
+var PIDRecorder = pid_recorder.PIDRecorder;
+
+// a step from 0 to 100 at time 0: it rises from 10% at 20ms to 90% at 40ms,
+// peaks at 110 (10% overshoot) at 50ms, and settles from 60ms on
+var STEP = { time: 0, channel: 0, from: 0, to: 100, duration: 0 };
+var STEP_SAMPLES = [
+  [0, 0], [10, 0], [20, 20], [30, 60], [40, 95], [50, 110],
+  [60, 101], [70, 100], [80, 99], [90, 100], [100, 99]
+].map(function (pair) {
+  return { time: pair[0], channel: 0, setpoint: 100, position: pair[1], velocity: null };
+});
+
+describe('dyio.util.pid_recorder', function () {
+  describe('step_response()', function () {
+    it('measures the rise time, overshoot, settling time and steady-state error', function () {
+      var res = pid_recorder.step_response(STEP_SAMPLES, STEP, { steady_fraction: 0.2 });
+      assert.strictEqual(res.initial, 0);
+      assert.strictEqual(res.target, 100);
+      assert.strictEqual(res.rise_time, 20);
+      assert.strictEqual(res.peak, 110);
+      assert.strictEqual(res.peak_time, 50);
+      assert.ok(Math.abs(res.overshoot - 10) < 1e-9);
+      assert.strictEqual(res.settling_time, 60);
+      assert.strictEqual(res.steady_state_error, 0.5);
+    });
+
+    it('leaves out what never happened', function () {
+      var slow = STEP_SAMPLES.slice(0, 4);
+      var res = pid_recorder.step_response(slow, STEP);
+      assert.strictEqual(res.rise_time, null);
+      assert.strictEqual(res.overshoot, 0);
+      assert.strictEqual(res.settling_time, null);
+      assert.strictEqual(res.steady_state_error, 40);
+    });
+
+    it('returns null without samples after the step', function () {
+      assert.strictEqual(pid_recorder.step_response(STEP_SAMPLES.slice(0, 1), STEP), null);
+    });
+  });
+
+  describe('PIDRecorder', function () {
+    var device, mock, state, recorder, now;
+
+    beforeEach(async function () {
+      state = {};
+      var res = await helpers.connect_mock({ namespaces: [helpers.pid_namespace(state)] });
+      device = res.device;
+      mock = res.mock;
+      device.request_timeout = 50;
+      device.request_retries = 0;
+      await device.populate_supported_namespaces();
+    });
+
+    afterEach(function (done) {
+      if (recorder) recorder.stop();
+      recorder = null;
+      device.disconnect(function () { done(); });
+    });
+
+    // a recorder whose clock is set by hand
+    var make_recorder = function (channels, opts) {
+      recorder = new PIDRecorder(device, channels, opts);
+      now = 0;
+      recorder._now = function () { return now; };
+      return recorder;
+    };
+
+    it('works out the velocity from consecutive positions', function () {
+      make_recorder([0, 1]).start();
+      recorder._record(0, 100);
+      now = 250;
+      recorder._record(0, 150);
+      now = 250;
+      recorder._record(0, 175);
+      recorder._record(3, 10);  // not recorded
+
+      assert.deepStrictEqual(recorder.samples[0].map(function (sample) { return sample.velocity; }), [null, 200, null]);
+      assert.deepStrictEqual(recorder.samples[1], []);
+      assert.strictEqual(recorder.samples[3], undefined);
+    });
+
+    it('records the steps of _pid and apid posts', async function () {
+      make_recorder([1, 2]).start();
+
+      now = 10;
+      await device.command_to.pid._pid.post(1, 500, 2000);
+      await device.command_to.pid._pid.post(1, 500, 2000);  // not a change
+      now = 20;
+      await device.send_request('post', 'bcs.pid', 'apid', [300, [0, 2000, -50, 7]]);
+
+      assert.deepStrictEqual(recorder.steps, [
+        { time: 10, channel: 1, from: null, to: 2000, duration: 500 },
+        { time: 20, channel: 2, from: null, to: -50, duration: 300 }
+      ]);
+
+      recorder._record(1, 1000);
+      assert.strictEqual(recorder.samples[1][0].setpoint, 2000);
+    });
+
+    it('records the positions pushed by the device', async function () {
+      make_recorder([0, 1]).start();
+      mock.send_packet('async', 'bcs.pid', '_pid', [1, 42]);
+      mock.send_packet('async', 'bcs.pid', 'apid', [[5, 6, 7, 8]]);
+      await helpers.delay(20);
+
+      assert.deepStrictEqual(recorder.samples[0].map(function (sample) { return sample.position; }), [5]);
+      assert.deepStrictEqual(recorder.samples[1].map(function (sample) { return sample.position; }), [42, 6]);
+    });
+
+    it('measures the response to the last step of a channel', function () {
+      make_recorder([0]).start();
+      recorder.steps.push(STEP);
+      recorder.steps.push({ time: 55, channel: 0, from: 100, to: 50, duration: 0 });
+      recorder.samples[0] = STEP_SAMPLES.slice();
+
+      assert.strictEqual(recorder.step_response(0).target, 50);
+
+      // the response to a step lasts until the next one
+      var res = recorder.step_response(0, { step: STEP });
+      assert.strictEqual(res.rise_time, 20);
+      assert.strictEqual(res.settling_time, null);
+      assert.strictEqual(recorder.step_response(1), null);
+    });
+
+    it('turns the recording into CSV and JSON', function () {
+      make_recorder([0, 1]).start();
+      recorder._record(1, 5);
+      now = 100;
+      recorder._record(0, 10);
+      recorder._record(1, 15);
+
+      assert.strictEqual(recorder.to_csv(), [
+        'time,channel,setpoint,position,velocity',
+        '0,1,,5,',
+        '100,0,,10,',
+        '100,1,,15,100',
+        ''
+      ].join('\n'));
+
+      var json = recorder.to_json();
+      assert.strictEqual(json.started, recorder.started.toISOString());
+      assert.deepStrictEqual(json.channels, [0, 1]);
+      assert.deepStrictEqual(json.steps, []);
+      assert.strictEqual(json.samples[1].length, 2);
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(json)), json);
+    });
+
+    describe('in poll mode', function () {
+      var apid_gets = function () {
+        return mock.received.filter(function (req) { return req.rpc === 'apid' && req.method === 'get'; }).length;
+      };
+
+      it('polls the positions', async function () {
+        state.set_points = [1, 2, 3, 4];
+        recorder = new PIDRecorder(device, [2], { mode: 'poll', interval: 5 });
+        recorder.start();
+        await helpers.delay(40);
+        assert.ok(recorder.samples[2].length > 1);
+        assert.strictEqual(recorder.samples[2][0].position, 3);
+      });
+
+      it('stops polling while the link is down, without an unhandled error', async function () {
+        recorder = new PIDRecorder(device, [0], { mode: 'poll', interval: 5 });
+        mock.script('bcs.pid#apid', { delay: 20 });
+        recorder.start();
+        await helpers.delay(5);
+
+        // the poll in flight fails, and nobody listens for 'error'
+        await new Promise(function (resolve) { device.drop_connection(new Error('unplugged'), resolve); });
+        var polls = apid_gets();
+        await helpers.delay(40);
+        assert.strictEqual(apid_gets(), polls);
+        assert.deepStrictEqual(recorder.samples[0], []);
+      });
+
+      it('emits failed polls as errors when they are listened for', async function () {
+        var device_errors = [];
+        device.on('error', function (err) { device_errors.push(err); });
+        mock.script('bcs.pid#apid', { drop: true, times: 1 });
+
+        recorder = new PIDRecorder(device, [0], { mode: 'poll', interval: 5 });
+        recorder.start();
+        await helpers.delay(80);
+        assert.strictEqual(device_errors.length, 1);
+        assert.ok(recorder.samples[0].length > 0);
+      });
+    });
+  });
+});
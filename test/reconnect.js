@@ -0,0 +1,135 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var errors = require('dyio/errors');
+var helpers = require('./helpers');
+
+describe('dyio.util.reconnect', function () {
+  var device, mock, state, pid_state, reconnector, device_errors;
+
+  beforeEach(async function () {
+    state = {};
+    pid_state = {};
+    var res = await helpers.connect_mock({
+      mac_address: '74:F7:26:00:00:11',
+      namespaces: [helpers.io_namespace(state), helpers.pid_namespace(pid_state)]
+    });
+    device = res.device;
+    mock = res.mock;
+    device.request_timeout = 200;
+    await device.populate_supported_namespaces();
+    device.supports_namespace('bcs.io');
+    device.supports_namespace('bcs.pid');
+
+    device_errors = [];
+    device.on('error', function (err) { device_errors.push(err); });
+    reconnector = device.enable_reconnect({ initial_delay: 10 });
+    await device.command_to.io.schm(3, 'digital_out');
+  });
+
+  afterEach(function (done) {
+    device.disable_reconnect();
+    device.disconnect(function () { done(); });
+  });
+
+  // drop the link, resolving with the arguments of the first
+  // 'reconnected' or 'reconnect_failed' event
+  var lose_link = function () {
+    return new Promise(function (resolve) {
+      var finish = function (evt) {
+        return function (val) {
+          device.removeListener('reconnected', on_reconnected);
+          device.removeListener('reconnect_failed', on_failed);
+          resolve({ event: evt, value: val });
+        };
+      };
+      var on_reconnected = finish('reconnected');
+      var on_failed = finish('reconnect_failed');
+      device.on('reconnected', on_reconnected);
+      device.on('reconnect_failed', on_failed);
+      device.drop_connection(new Error('link glitch'));
+    });
+  };
+
+  var schm_requests = function () {
+    return mock.received.filter(function (req) { return req.rpc === 'schm'; });
+  };
+
+  it('records the MAC address from the replies', function () {
+    assert.strictEqual(reconnector.mac_address, '74:F7:26:00:00:11');
+  });
+
+  it('restores the settings of the same device', async function () {
+    state.modes[3] = 0;
+    var res = await lose_link();
+    assert.strictEqual(res.event, 'reconnected');
+    assert.strictEqual(schm_requests().length, 2);
+    assert.strictEqual(state.modes[3], 3);
+    assert.deepStrictEqual(device_errors, []);
+  });
+
+  it('gives up without restoring anything when another board of the same model answers', async function () {
+    mock.mac_address = '74:F7:26:00:00:12';
+    var res = await lose_link();
+    assert.strictEqual(res.event, 'reconnect_failed');
+    assert.ok(res.value instanceof errors.BowlerIdentityError);
+    assert.strictEqual(res.value.expected_mac_address, '74:F7:26:00:00:11');
+    assert.strictEqual(res.value.actual_mac_address, '74:F7:26:00:00:12');
+    assert.match(res.value.message, /MAC address 74:F7:26:00:00:11, found 74:F7:26:00:00:12/);
+    assert.strictEqual(reconnector.state, 'failed');
+    assert.strictEqual(schm_requests().length, 1);
+    assert.deepStrictEqual(device_errors, [res.value]);
+  });
+
+  it('skips the identity check when asked to', async function () {
+    device.enable_reconnect({ initial_delay: 10, verify_identity: false });
+    mock.mac_address = '74:F7:26:00:00:12';
+    var res = await lose_link();
+    assert.strictEqual(res.event, 'reconnected');
+    assert.strictEqual(schm_requests().length, 2);
+    assert.strictEqual(device.reconnector.mac_address, '74:F7:26:00:00:12');
+  });
+
+  describe('without an \'error\' listener', function () {
+    beforeEach(function () {
+      device.removeAllListeners('error');
+    });
+
+    it('still gives up on another board', async function () {
+      mock.mac_address = '74:F7:26:00:00:12';
+      var res = await lose_link();
+      assert.strictEqual(res.event, 'reconnect_failed');
+      assert.ok(res.value instanceof errors.BowlerIdentityError);
+      assert.strictEqual(reconnector.state, 'failed');
+    });
+
+    it('restores the other settings when one is refused', async function () {
+      reconnector.record({ method: 'critical', namespace: 'bcs.pid', rpc: 'cpid', args: [0, true, 0, false, 1, 0, 0, 0, 0, false] });
+      pid_state.status_for = function (rpc) { return (rpc === 'cpid') ? [9, 9] : null; };
+      state.modes[3] = 0;
+
+      var res = await lose_link();
+      assert.strictEqual(res.event, 'reconnected');
+      assert.strictEqual(res.value, 1);
+      assert.strictEqual(state.modes[3], 3);
+    });
+  });
+
+  it('emits refused settings as errors when they are listened for', async function () {
+    reconnector.record({ method: 'critical', namespace: 'bcs.pid', rpc: 'cpid', args: [0, true, 0, false, 1, 0, 0, 0, 0, false] });
+    pid_state.status_for = function (rpc) { return (rpc === 'cpid') ? [9, 9] : null; };
+
+    var res = await lose_link();
+    assert.strictEqual(res.event, 'reconnected');
+    assert.strictEqual(device_errors.length, 1);
+    assert.ok(device_errors[0] instanceof errors.BowlerStatusError);
+  });
+
+  it('reports listeners which throw instead of leaving an unhandled rejection', async function () {
+    device.once('reconnecting', function () { throw new Error('oops'); });
+    device.drop_connection(new Error('link glitch'));
+    await helpers.delay(20);
+    assert.strictEqual(reconnector.state, 'failed');
+    assert.deepStrictEqual(device_errors.map(function (err) { return err.message; }), ['oops']);
+  });
+});
@@ -0,0 +1,82 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var stream = require('stream');
+var bowler_repl = require('dyio/repl');
+var helpers = require('./helpers');
+
+describe('dyio.repl', function () {
+  var device, input, output, written, prompt;
+
+  beforeEach(async function () {
+    var res = await helpers.connect_mock({ namespaces: [helpers.pid_namespace({ set_points: [5, 6, 7, 8] })] });
+    device = res.device;
+    await device.populate_supported_namespaces();
+    device.supports_namespace('bcs.pid');
+
+    written = '';
+    input = new stream.PassThrough();
+    output = new stream.Writable({
+      write: function (chunk, encoding, cb) {
+        written += chunk.toString();
+        cb();
+      }
+    });
+    prompt = new bowler_repl.BowlerREPL(device, { input: input, output: output, terminal: false });
+  });
+
+  afterEach(function (done) {
+    prompt.close();
+    device.disconnect(function () { done(); });
+  });
+
+  var complete = function (line) {
+    return new Promise(function (resolve, reject) {
+      prompt.complete(line, function (err, res) {
+        if (err) reject(err);
+        else resolve(res);
+      });
+    });
+  };
+
+  describe('#complete()', function () {
+    it('completes namespaces', async function () {
+      assert.deepStrictEqual(await complete('bcs.p'), [['bcs.pid'], 'bcs.p']);
+      assert.deepStrictEqual(await complete('x = bcs.'), [['bcs.core', 'bcs.pid', 'bcs.rpc'], 'bcs.']);
+    });
+
+    it('completes RPCs, and the methods of multi-method RPCs', async function () {
+      assert.deepStrictEqual(await complete('bcs.pid.a'), [['bcs.pid.apid'], 'bcs.pid.a']);
+      assert.deepStrictEqual(await complete('bcs.pid.cpid.'), [['bcs.pid.cpid.critical', 'bcs.pid.cpid.get'], 'bcs.pid.cpid.']);
+      assert.deepStrictEqual(await complete('bcs.pid.zz'), [[], 'bcs.pid.zz']);
+    });
+
+    it('completes a whole namespace or RPC name at the top level', async function () {
+      assert.deepStrictEqual(await complete('bcs'), [['bcs'], 'bcs']);
+      assert.deepStrictEqual(await complete('_png'), [['_png'], '_png']);
+    });
+
+    it('prints the signature after an opening parenthesis', async function () {
+      assert.deepStrictEqual(await complete('bcs.pid._pid.get('), [[], '']);
+      assert.match(written, /\nbcs\.pid#_pid get\(channel: UInt8\) -> post\(channel: UInt8, position: Int32\)\n/);
+    });
+
+    it('leaves everything else to the default completer', async function () {
+      var res = await complete('device.disc');
+      assert.ok(res[0].indexOf('device.disconnect') > -1);
+    });
+  });
+
+  it('waits for the Promises of RPC calls', async function () {
+    input.write('bcs.pid.apid.get()\n');
+    for (var i = 0; i < 40 && !/values/.test(written); i++) await helpers.delay(5);
+    assert.match(written, /values: Int32Array\(4\) \[ 5, 6, 7, 8 \]/);
+  });
+
+  it('describes RPCs', async function () {
+    input.write('describe("bcs.pid#cpid")\n');
+    for (var i = 0; i < 40 && !/critical/.test(written); i++) await helpers.delay(5);
+    assert.match(written, /bcs\.pid#cpid critical\(/);
+    assert.match(written, /bcs\.pid#cpid get\(channel: UInt8\)/);
+  });
+});
@@ -0,0 +1,103 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var bowler_device = require('dyio/bowler_device');
+var errors = require('dyio/errors');
+var status = require('dyio/status');
+var helpers = require('./helpers');
+
+describe('decode_status()', function () {
+  it('always treats _err as a failure and _rdy as a success', function () {
+    assert.strictEqual(status.decode_status('_err', { location: 0, trace: 0 }).error, true);
+    assert.strictEqual(status.decode_status('_rdy', { location: 9, trace: 9 }).error, false);
+  });
+
+  it('treats any location but 0 as a failure without a table', function () {
+    assert.deepStrictEqual(status.decode_status('cpid', { location: 0, trace: 3 }), { error: false, description: null });
+    assert.deepStrictEqual(status.decode_status('cpid', { location: 9, trace: 9 }), { error: true, description: null });
+    assert.strictEqual(status.decode_status('cpid', { location: 9, trace: 9 }, {}).error, true);
+  });
+
+  it('looks the codes up in the table', function () {
+    var codes = {
+      4: { description: 'bad channel', traces: { 1: 'channel too high' } },
+      5: { description: 'busy, but fine', error: false }
+    };
+    assert.deepStrictEqual(status.decode_status('cpid', { location: 4, trace: 1 }, codes), { error: true, description: 'channel too high' });
+    assert.deepStrictEqual(status.decode_status('cpid', { location: 4, trace: 2 }, codes), { error: true, description: 'bad channel' });
+    assert.deepStrictEqual(status.decode_status('cpid', { location: 5, trace: 0 }, codes), { error: false, description: 'busy, but fine' });
+  });
+});
+
+describe('status replies', function () {
+  var device, mock, state;
+
+  beforeEach(async function () {
+    state = {};
+    var res = await helpers.connect_mock({ namespaces: [helpers.pid_namespace(state)] });
+    device = res.device;
+    mock = res.mock;
+    device.request_timeout = 200;
+    await device.populate_supported_namespaces();
+    device.supports_namespace('bcs.pid');
+  });
+
+  afterEach(function (done) {
+    device.disconnect(function () { done(); });
+  });
+
+  var config = [1, true, 0, false, 1.5, 0, 0, 0, 0, false];
+
+  it('resolve requests which succeeded', async function () {
+    var res = await device.command_to.pid.cpid.critical.apply(device.command_to.pid.cpid, config);
+    assert.deepStrictEqual(res, { location: 0, trace: 0 });
+  });
+
+  it('reject requests which failed, with codes the table doesn\'t have', async function () {
+    state.status_for = function () { return [9, 9]; };
+    await assert.rejects(device.command_to.pid.cpid.critical.apply(device.command_to.pid.cpid, config), function (err) {
+      assert.ok(err instanceof errors.BowlerStatusError);
+      assert.strictEqual(err.rpc, 'cpid');
+      assert.strictEqual(err.location, 9);
+      assert.strictEqual(err.trace, 9);
+      assert.strictEqual(err.description, null);
+      return true;
+    });
+  });
+
+  it('are described by the codes of the namespace module', async function () {
+    state.status_for = function () { return [1, 0]; };
+    await assert.rejects(device.command_to.pid.kpid(), function (err) {
+      assert.strictEqual(err.description, 'no such PID channel');
+      assert.match(err.message, /bcs\.pid#kpid: no such PID channel \(location 1, trace 0\)/);
+      return true;
+    });
+  });
+
+  it('are described by the codes of bcs.core when it answers for another namespace', async function () {
+    mock.script('bcs.pid#kpid', { drop: true });
+    var res = device.command_to.pid.kpid();
+    for (var i = 0; i < 40 && !mock.received.some(function (req) { return req.rpc === 'kpid'; }); i++) await helpers.delay(5);
+
+    device.receive_datagram(bowler_device.make_datagram(device.mac_address_bytes, 'status', 0, '_err', Buffer.from([0, 1]), 1));
+    await assert.rejects(res, function (err) {
+      assert.ok(err instanceof errors.BowlerStatusError);
+      assert.strictEqual(err.namespace, 'bcs.pid');
+      assert.strictEqual(err.rpc, 'kpid');
+      assert.strictEqual(err.description, 'unknown RPC');
+      return true;
+    });
+  });
+
+  it('are described by the registered codes', async function () {
+    device.register_status_codes('bcs.pid', { 9: { description: 'no such channel' } });
+    state.status_for = function () { return [9, 1]; };
+    await assert.rejects(device.command_to.pid.kpid(), /no such channel/);
+  });
+
+  it('emit an error when they answer no request', async function () {
+    var seen = new Promise(function (resolve) { device.once('error', resolve); });
+    device.receive_datagram(bowler_device.make_datagram(device.mac_address_bytes, 'status', device.supported_namespaces_hr['bcs.pid'], 'kpid', Buffer.from([3, 0]), 1));
+    assert.ok(await seen instanceof errors.BowlerStatusError);
+  });
+});
@@ -0,0 +1,56 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var loopback = require('dyio/transports/loopback');
+
+var open = function (transport) {
+  return new Promise(function (resolve, reject) {
+    transport.open(function (err) {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+};
+
+describe('LoopbackTransport', function () {
+  var a, b;
+
+  beforeEach(async function () {
+    var pair = loopback.make_pair();
+    a = pair[0];
+    b = pair[1];
+    await open(a);
+    await open(b);
+  });
+
+  it('delivers writes to its peer', function (done) {
+    b.on('data', function (data) {
+      assert.deepStrictEqual(data, Buffer.from([1, 2, 3]));
+      done();
+    });
+    a.write(Buffer.from([1, 2, 3]));
+  });
+
+  it('splits writes into chunks', function (done) {
+    var chunks = [];
+    a.chunk_size = 2;
+    b.on('data', function (data) {
+      chunks.push(Array.from(data));
+      if (chunks.length === 3) {
+        assert.deepStrictEqual(chunks, [[1, 2], [3, 4], [5]]);
+        done();
+      }
+    });
+    a.write(Buffer.from([1, 2, 3, 4, 5]));
+  });
+
+  it('loses data written to a closed peer', function (done) {
+    b.on('data', function () { done(new Error('data was delivered to a closed transport')); });
+    b.close(function () {
+      a.write(Buffer.from([1]), function (err) {
+        assert.ifError(err);
+        setImmediate(done);
+      });
+    });
+  });
+});
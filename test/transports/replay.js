@@ -0,0 +1,132 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var BowlerDevice = require('dyio/bowler_device').BowlerDevice;
+var capture_util = require('dyio/util/capture');
+var ReplayTransport = require('dyio/transports/replay').ReplayTransport;
+var helpers = require('../helpers');
+
+var connect = function (device, transport) {
+  return new Promise(function (resolve, reject) {
+    device.connect(transport, function (err) {
+      if (err) reject(err);
+      else resolve(device);
+    });
+  });
+};
+
+var disconnect = function (device) {
+  return new Promise(function (resolve) { device.disconnect(function () { resolve(); }); });
+};
+
+describe('ReplayTransport', function () {
+  var tmp_dir, capture_file, capture, replay_device;
+
+  // record a session of populating the namespaces, getting the set points, and pinging
+  before(async function () {
+    tmp_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dyio-replay-'));
+    capture_file = path.join(tmp_dir, 'session.bcap');
+
+    var res = await helpers.connect_mock({ namespaces: [helpers.pid_namespace({ set_points: [1, 2, 3, 4] })] });
+    await res.device.start_capture(capture_file);
+    await res.device.populate_supported_namespaces();
+    res.device.supports_namespace('bcs.pid');
+    await res.device.send_request('get', 'bcs.pid', 'apid', []);
+    await res.device.send_request('get', 'bcs.core', '_png', []);
+    await res.device.stop_capture();
+    await disconnect(res.device);
+
+    capture = await capture_util.read_capture(capture_file);
+  });
+
+  after(function () {
+    fs.rmSync(tmp_dir, { recursive: true, force: true });
+  });
+
+  // a device which knows the namespaces of the capture without asking
+  var replayed_device = function (transport) {
+    var device = new BowlerDevice();
+    transport.apply_metadata(device);
+    device.supports_namespace('bcs.pid');
+    return device;
+  };
+
+  afterEach(async function () {
+    if (replay_device) await disconnect(replay_device);
+    replay_device = null;
+  });
+
+  it('replies to the same requests as the capture', async function () {
+    var transport = new ReplayTransport(capture_file, { speed: 0 });
+    var mismatches = [];
+    transport.on('mismatch', function (written, expected) { mismatches.push([written, expected]); });
+    var ended = new Promise(function (resolve) { transport.on('end', resolve); });
+
+    replay_device = await connect(new BowlerDevice(), transport);
+    await replay_device.populate_supported_namespaces();
+    assert.deepStrictEqual(replay_device.supported_namespaces, capture.metadata.supported_namespaces);
+    replay_device.supports_namespace('bcs.pid');
+    assert.deepStrictEqual(Array.from((await replay_device.command_to.pid.apid.get()).values), [1, 2, 3, 4]);
+    await replay_device.send_request('get', 'bcs.core', '_png', []);
+
+    await ended;
+    assert.strictEqual(transport.position, capture.records.length);
+    assert.deepStrictEqual(mismatches, []);
+  });
+
+  it('reports writes which don\'t match the capture, and carries on', async function () {
+    var transport = new ReplayTransport(capture, { speed: 0 });
+    var mismatches = [];
+    transport.on('mismatch', function (written, expected) { mismatches.push([written, expected]); });
+    replay_device = await connect(replayed_device(transport), transport);
+
+    var received = [];
+    transport.on('data', function (data) { received.push(data); });
+    transport.write(Buffer.from([1, 2, 3]));
+    for (var i = 0; i < 40 && !received.length; i++) await helpers.delay(5);
+
+    assert.strictEqual(mismatches.length, 1);
+    assert.deepStrictEqual(mismatches[0][0], Buffer.from([1, 2, 3]));
+    assert.deepStrictEqual(mismatches[0][1], capture.records[0].data);
+    assert.deepStrictEqual(received, [capture.records[1].data]);
+  });
+
+  it('reports writes made after the end of the capture', async function () {
+    var sent = capture.records.filter(function (record) { return record.direction === 'sent'; });
+    var transport = new ReplayTransport(capture, { speed: 0 });
+    var mismatches = [];
+    transport.on('mismatch', function (written, expected) { mismatches.push(expected); });
+    replay_device = await connect(replayed_device(transport), transport);
+
+    sent.forEach(function (record) { transport.write(record.data); });
+    transport.write(Buffer.from([1, 2, 3]));
+    for (var i = 0; i < 40 && !mismatches.length; i++) await helpers.delay(5);
+    assert.deepStrictEqual(mismatches, [null]);
+  });
+
+  it('plays every received packet in order when not following writes', async function () {
+    var transport = new ReplayTransport(capture, { follow_writes: false, speed: 0 });
+    var received = [];
+    transport.on('data', function (data) { received.push(data); });
+    var ended = new Promise(function (resolve) { transport.on('end', resolve); });
+
+    replay_device = await connect(replayed_device(transport), transport);
+    await ended;
+    assert.deepStrictEqual(received, capture.records.filter(function (record) {
+      return record.direction === 'received';
+    }).map(function (record) { return record.data; }));
+  });
+
+  it('fails to open a missing capture file', async function () {
+    var transport = new ReplayTransport(path.join(tmp_dir, 'missing.bcap'));
+    await assert.rejects(new Promise(function (resolve, reject) {
+      transport.open(function (err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    }), /ENOENT/);
+  });
+});
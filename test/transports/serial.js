@@ -0,0 +1,110 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var child_process = require('child_process');
+var bowler_device = require('dyio/bowler_device');
+var SerialTransport = require('dyio/transports/serial').SerialTransport;
+
+// Opens a pseudo-terminal pair, prints the path of the slave end,
+// and then relays between the master end and stdin/stdout, so that
+// the test can play the device on the other side of the "serial port".
+const PTY_RELAY = [
+  'import os, pty, select, sys, tty',
+  'master, slave = pty.openpty()',
+  'tty.setraw(slave)',
+  'sys.stdout.write(os.ttyname(slave) + "\\n")',
+  'sys.stdout.flush()',
+  'while True:',
+  '    ready = select.select([master, 0], [], [])[0]',
+  '    if master in ready:',
+  '        os.write(1, os.read(master, 1024))',
+  '    if 0 in ready:',
+  '        data = os.read(0, 1024)',
+  '        if not data:',
+  '            break',
+  '        os.write(master, data)'
+].join('\n');
+
+// resolves with the relay process and the path of the slave end
+var open_pty_pair = function () {
+  return new Promise(function (resolve, reject) {
+    var relay = child_process.spawn('python3', ['-c', PTY_RELAY], { stdio: ['pipe', 'pipe', 'inherit'] });
+    var buff = Buffer.alloc(0);
+
+    var on_data = function (data) {
+      buff = Buffer.concat([buff, data]);
+      var end = buff.indexOf('\n');
+      if (end < 0) return;
+
+      relay.stdout.removeListener('data', on_data);
+      relay.removeListener('error', reject);
+      resolve({ relay: relay, path: buff.slice(0, end).toString() });
+    };
+
+    relay.on('error', reject);
+    relay.stdout.on('data', on_data);
+  });
+};
+
+var can_load_serialport = function () {
+  try {
+    require('serialport');
+    return true;
+  }
+  catch (err) {
+    return false;
+  }
+};
+
+describe('SerialTransport', function () {
+  var pty, device;
+
+  before(async function () {
+    if (process.platform === 'win32' || !can_load_serialport()) this.skip();
+
+    try {
+      pty = await open_pty_pair();
+    }
+    catch (err) {
+      this.skip();  // no python3 to open the pseudo-terminal pair with
+    }
+  });
+
+  after(function () {
+    if (pty) pty.relay.kill();
+  });
+
+  afterEach(function (done) {
+    if (!device) return done();
+    device.disconnect(function () { done(); });
+    device = null;
+  });
+
+  it('round-trips a datagram over a pseudo-terminal pair', async function () {
+    device = new bowler_device.BowlerDevice();
+    await new Promise(function (resolve, reject) {
+      device.connect(new SerialTransport(pty.path), function (err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    // answer the ping from the other end of the pair
+    var request = new Promise(function (resolve) {
+      var sent = Buffer.alloc(0);
+      var on_data = function (data) {
+        sent = Buffer.concat([sent, data]);
+        if (sent.length < bowler_device.BOWLER_HEADER_SIZE + 4) return;
+
+        pty.relay.stdout.removeListener('data', on_data);
+        pty.relay.stdin.write(bowler_device.make_datagram([1, 2, 3, 4, 5, 6], 'post', 0, '_png', Buffer.alloc(0), 1));
+        resolve(sent);
+      };
+      pty.relay.stdout.on('data', on_data);
+    });
+
+    await device.send_request('get', 'bcs.core', '_png', [], { timeout: 1000 });
+    var sent = await request;
+    assert.strictEqual(sent.slice(bowler_device.BOWLER_HEADER_SIZE, bowler_device.BOWLER_HEADER_SIZE + 4).toString(), '_png');
+  });
+});
@@ -0,0 +1,157 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var BowlerDevice = require('dyio/bowler_device').BowlerDevice;
+var make_datagram = require('dyio/bowler_device').make_datagram;
+var loopback = require('dyio/transports/loopback');
+var MockBowlerDevice = require('dyio/mock_device').MockBowlerDevice;
+var SharedBus = require('dyio/transports/shared_bus').SharedBus;
+var helpers = require('../helpers');
+
+const MAC_A = '74:F7:26:00:00:0A';
+const MAC_B = '74:F7:26:00:00:0B';
+const MAC_C = '74:F7:26:00:00:0C';
+
+var mac_bytes = function (mac_address) {
+  return mac_address.split(':').map(function (b) { return parseInt(b, 16); });
+};
+
+var ping_from = function (mac_address) {
+  return make_datagram(mac_bytes(mac_address), 'post', 0, '_png', Buffer.alloc(0), 1);
+};
+
+var open = function (transport) {
+  return new Promise(function (resolve, reject) {
+    transport.open(function (err) {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+};
+
+var close = function (transport) {
+  return new Promise(function (resolve, reject) {
+    transport.close(function (err) {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+};
+
+var connect = function (device, transport) {
+  return new Promise(function (resolve, reject) {
+    device.connect(transport, function (err) {
+      if (err) reject(err);
+      else resolve(device);
+    });
+  });
+};
+
+describe('SharedBus', function () {
+  var host, far, bus;
+
+  beforeEach(async function () {
+    var pair = loopback.make_pair();
+    host = pair[0];
+    far = pair[1];
+    await open(far);
+    bus = new SharedBus(host);
+  });
+
+  it('routes the packets to the port for their MAC address', async function () {
+    var mocks = [new MockBowlerDevice({ mac_address: MAC_A }), new MockBowlerDevice({ mac_address: MAC_B })];
+    mocks.forEach(function (mock) { mock.attach(far); });
+
+    var device_a = new BowlerDevice();
+    device_a.mac_address = MAC_A;
+    var device_b = new BowlerDevice();
+    device_b.mac_address = MAC_B.toLowerCase();
+    await connect(device_a, bus.port_for(MAC_A));
+    await connect(device_b, bus.port_for(MAC_B.toLowerCase()));
+    assert.strictEqual(bus.port_for(MAC_B), device_b.transport);
+
+    var received = { a: [], b: [] };
+    device_a.transport.on('data', function (data) { received.a.push(data); });
+    device_b.transport.on('data', function (data) { received.b.push(data); });
+
+    await device_a.send_request('get', 'bcs.core', '_png', []);
+    await device_b.send_request('get', 'bcs.core', '_png', []);
+    assert.strictEqual(mocks[0].received.length, 1);
+    assert.strictEqual(mocks[1].received.length, 1);
+    assert.strictEqual(received.a.length, 1);
+    assert.strictEqual(received.b.length, 1);
+  });
+
+  it('emits the packets nobody has a port for as \'unrouted\'', async function () {
+    var port = bus.port_for(MAC_A);
+    await open(port);
+
+    var unrouted = [];
+    bus.on('unrouted', function (raw, mac_address) { unrouted.push(mac_address); });
+    far.write(Buffer.concat([ping_from(MAC_C), ping_from(MAC_A)]));
+    await helpers.delay(10);
+    assert.deepStrictEqual(unrouted, [MAC_C]);
+  });
+
+  it('hands the packets nobody has a port for to the broadcast port', async function () {
+    var port = bus.port_for(MAC_A);
+    var broadcast = bus.port_for('broadcast');
+    await open(port);
+    await open(broadcast);
+
+    var got = { port: [], broadcast: [], unrouted: [] };
+    port.on('data', function (data) { got.port.push(data); });
+    broadcast.on('data', function (data) { got.broadcast.push(data); });
+    bus.on('unrouted', function (raw) { got.unrouted.push(raw); });
+
+    far.write(Buffer.concat([ping_from(MAC_A), ping_from(MAC_C)]));
+    await helpers.delay(10);
+    assert.deepStrictEqual(got.port, [ping_from(MAC_A)]);
+    assert.deepStrictEqual(got.broadcast, [ping_from(MAC_C)]);
+    assert.deepStrictEqual(got.unrouted, []);
+  });
+
+  it('keeps the transport open until the last port closes', async function () {
+    var port_a = bus.port_for(MAC_A);
+    var port_b = bus.port_for(MAC_B);
+    await open(port_a);
+    await open(port_b);
+    assert.ok(host.is_open);
+
+    await close(port_a);
+    assert.ok(host.is_open);
+    assert.ok(port_b.is_open);
+
+    var got = [];
+    port_b.on('data', function (data) { got.push(data); });
+    far.write(ping_from(MAC_B));
+    await helpers.delay(10);
+    assert.strictEqual(got.length, 1);
+
+    await close(port_b);
+    assert.ok(!host.is_open);
+  });
+
+  it('closes every open port with the error when the transport closes', async function () {
+    var port_a = bus.port_for(MAC_A);
+    var port_b = bus.port_for(MAC_B);
+    await open(port_a);
+    await open(port_b);
+
+    var errs = [];
+    port_a.on('close', function (err) { errs.push(err); });
+    port_b.on('close', function (err) { errs.push(err); });
+    var failure = new Error('cable pulled');
+    host._closed(failure);
+    assert.deepStrictEqual(errs, [failure, failure]);
+    assert.ok(!port_a.is_open && !port_b.is_open);
+  });
+
+  it('removes ports', async function () {
+    var port = bus.port_for(MAC_A);
+    await open(port);
+    await new Promise(function (resolve) { bus.remove_port(MAC_A.toLowerCase(), resolve); });
+    assert.ok(!port.is_open);
+    assert.notStrictEqual(bus.port_for(MAC_A), port);
+  });
+});
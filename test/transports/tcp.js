@@ -0,0 +1,75 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var net = require('net');
+var BowlerDevice = require('dyio/bowler_device').BowlerDevice;
+var MockBowlerDevice = require('dyio/mock_device').MockBowlerDevice;
+var TcpTransport = require('dyio/transports/tcp').TcpTransport;
+
+describe('TcpTransport', function () {
+  var server, mock, device;
+
+  // a stand-in for a network-attached device, on the loopback interface
+  beforeEach(function (done) {
+    mock = new MockBowlerDevice();
+    server = net.createServer(function (socket) {
+      mock.attach(new TcpTransport(null, { socket: socket }));
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach(function (done) {
+    var finish = function () { server.close(function () { done(); }); };
+    if (mock.transport) mock.transport.close();
+    if (device && device.transport) device.disconnect(finish);
+    else finish();
+    device = null;
+  });
+
+  var connect = function (transport) {
+    device = new BowlerDevice();
+    return new Promise(function (resolve, reject) {
+      device.connect(transport, function (err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  };
+
+  it('talks to a device over TCP', async function () {
+    await connect(new TcpTransport('127.0.0.1', server.address().port));
+    await device.populate_supported_namespaces();
+    assert.deepStrictEqual(device.supported_namespaces_hr, { 'bcs.core': 0, 'bcs.rpc': 1 });
+  });
+
+  it('reassembles packets split across segments', async function () {
+    await connect(new TcpTransport('127.0.0.1', server.address().port));
+    mock.script(null, {
+      corrupt: function (reply) {
+        // send the reply a few bytes at a time
+        var socket = mock.transport._socket;
+        for (var i = 0; i < reply.length; i += 3) socket.write(reply.slice(i, i + 3));
+        return Buffer.alloc(0);
+      }
+    });
+    await device.send_request('get', 'bcs.core', '_png', [], { timeout: 500, retries: 0 });
+  });
+
+  it('fails to open when nothing is listening', async function () {
+    var port = server.address().port;
+    await new Promise(function (resolve) { server.close(resolve); });
+    server.listen(0, '127.0.0.1');  // so that afterEach has something to close
+
+    await assert.rejects(connect(new TcpTransport('127.0.0.1', port)));
+    device = null;
+  });
+
+  it('reports the connection being closed', async function () {
+    await connect(new TcpTransport('127.0.0.1', server.address().port));
+    await device.send_request('get', 'bcs.core', '_png', []);
+
+    var disconnected = new Promise(function (resolve) { device.once('disconnected', resolve); });
+    mock.transport.close();
+    assert.ok(await disconnected instanceof Error);
+  });
+});
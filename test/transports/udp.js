@@ -0,0 +1,105 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var dgram = require('dgram');
+var BowlerDevice = require('dyio/bowler_device').BowlerDevice;
+var MockBowlerDevice = require('dyio/mock_device').MockBowlerDevice;
+var udp = require('dyio/transports/udp');
+
+// find a port which is free on the loopback interface
+var free_port = function () {
+  return new Promise(function (resolve) {
+    var socket = dgram.createSocket('udp4');
+    socket.bind(0, '127.0.0.1', function () {
+      var port = socket.address().port;
+      socket.close(function () { resolve(port); });
+    });
+  });
+};
+
+// start a stand-in for a network-attached device on the given port
+var start_mock = function (port, mac_address, local_address) {
+  var mock = new MockBowlerDevice({ mac_address: mac_address });
+  var transport = new udp.UdpTransport(null, { local_port: port, local_address: local_address, reply_to_sender: true });
+  return new Promise(function (resolve, reject) {
+    mock.attach(transport, function (err) {
+      if (err) reject(err);
+      else resolve(mock);
+    });
+  });
+};
+
+var close = function (transport) {
+  return new Promise(function (resolve) { transport.close(function () { resolve(); }); });
+};
+
+describe('UdpTransport', function () {
+  var port, mock, device;
+
+  beforeEach(async function () {
+    port = await free_port();
+    mock = await start_mock(port, '74:F7:26:00:00:01', '127.0.0.1');
+  });
+
+  afterEach(async function () {
+    if (device && device.transport) await new Promise(function (resolve) { device.disconnect(function () { resolve(); }); });
+    device = null;
+    await close(mock.transport);
+  });
+
+  it('talks to a device over UDP', async function () {
+    device = new BowlerDevice();
+    await new Promise(function (resolve, reject) {
+      device.connect(new udp.UdpTransport('127.0.0.1', port), function (err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    await device.populate_supported_namespaces();
+    assert.deepStrictEqual(device.supported_namespaces_hr, { 'bcs.core': 0, 'bcs.rpc': 1 });
+    assert.strictEqual(mock.transport.last_remote.address, '127.0.0.1');
+  });
+
+  it('fails to open on a port which is taken', async function () {
+    var transport = new udp.UdpTransport('127.0.0.1', port, { local_port: port, local_address: '127.0.0.1' });
+    await assert.rejects(new Promise(function (resolve, reject) {
+      transport.open(function (err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    }));
+  });
+});
+
+describe('discover', function () {
+  var port, mock;
+
+  beforeEach(async function () {
+    port = await free_port();
+
+    // bound to every address, so that it hears the broadcast on the loopback interface
+    mock = await start_mock(port, '74:F7:26:00:00:01');
+  });
+
+  afterEach(async function () {
+    await close(mock.transport);
+  });
+
+  it('finds a device at the given address', async function () {
+    var found = await udp.discover({ address: '127.0.0.1', port: port, timeout: 100 });
+    assert.deepStrictEqual(found, [{ address: '127.0.0.1', port: port, mac_address: '74:F7:26:00:00:01' }]);
+  });
+
+  it('finds a device with a broadcast ping', async function () {
+    // 127.255.255.255 is the broadcast address of the loopback network
+    var found = await udp.discover({ address: '127.255.255.255', port: port, timeout: 100 });
+    assert.deepStrictEqual(found, [{ address: '127.0.0.1', port: port, mac_address: '74:F7:26:00:00:01' }]);
+  });
+
+  it('finds nothing when nobody answers', async function () {
+    mock.script(null, { drop: true });
+    var found = await udp.discover({ address: '127.0.0.1', port: port, timeout: 50 });
+    assert.deepStrictEqual(found, []);
+  });
+});
@@ -0,0 +1,151 @@
+/* jshint node: true, esnext: true, mocha: true */
+
+var assert = require('assert');
+var errors = require('dyio/errors');
+var helpers = require('./helpers');
+
+// the requests the mock received, as 'namespace#rpc' strings
+var received_rpcs = function (mock, method) {
+  return mock.received.filter(function (req) {
+    return !method || req.method === method;
+  }).map(function (req) {
+    return req.namespace + '#' + req.rpc;
+  });
+};
+
+// wait until the mock has received the given number of requests
+var receive = async function (mock, count) {
+  for (var i = 0; i < 40 && mock.received.length < count; i++) await helpers.delay(5);
+};
+
+describe('dyio.util.watchdog', function () {
+  var device, mock, safe_state, pid_state, io_state, watchdog;
+
+  beforeEach(async function () {
+    safe_state = {};
+    pid_state = {};
+    io_state = {};
+    var res = await helpers.connect_mock({
+      namespaces: [helpers.safe_namespace(safe_state), helpers.pid_namespace(pid_state), helpers.io_namespace(io_state)]
+    });
+    device = res.device;
+    mock = res.mock;
+    device.request_timeout = 50;
+    device.request_retries = 0;
+    await device.populate_supported_namespaces();
+    device.supports_namespace('bcs.io');
+  });
+
+  afterEach(async function () {
+    if (watchdog) await watchdog.stop().catch(function () {});
+    watchdog = null;
+    await new Promise(function (resolve) { device.disconnect(function () { resolve(); }); });
+  });
+
+  var start = async function (opts) {
+    opts = Object.assign({ handle_signals: false, handle_errors: false }, opts);
+    watchdog = await device.start_watchdog(opts);
+    mock.received = [];
+    return watchdog;
+  };
+
+  var OUTPUTS_OFF = { method: 'post', namespace: 'bcs.io', rpc: 'schv', args: [0, 0, 0] };
+
+  it('enables the firmware failsafe, and keeps it from tripping', async function () {
+    await start({ firmware_timeout: 30 });
+    assert.strictEqual(safe_state.enabled, true);
+    assert.strictEqual(safe_state.timeout, 30);
+    assert.ok(watchdog.firmware_failsafe);
+
+    await helpers.delay(45);
+    assert.ok(received_rpcs(mock, 'get').filter(function (rpc) { return rpc === 'bcs.core#_png'; }).length >= 2);
+  });
+
+  it('leaves the firmware failsafe alone with a zero timeout', async function () {
+    await start({ firmware_timeout: 0 });
+    assert.strictEqual(safe_state.enabled, false);
+    assert.ok(!watchdog.firmware_failsafe);
+  });
+
+  it('disables the firmware failsafe and stops pinging when stopped', async function () {
+    await start({ firmware_timeout: 30 });
+    await watchdog.stop();
+    assert.strictEqual(safe_state.enabled, false);
+    assert.ok(!watchdog.firmware_failsafe);
+    assert.strictEqual(watchdog._process_listeners, null);
+
+    mock.received = [];
+    await helpers.delay(30);
+    assert.deepStrictEqual(mock.received, []);
+  });
+
+  it('kills the PID loops and then sends the safe state in an emergency stop', async function () {
+    var order = [];
+    await start({
+      firmware_timeout: 0,
+      safe_state: [OUTPUTS_OFF, function () { order.push('function'); return Promise.resolve(); }]
+    });
+    device.on('emergency_stop', function (reason) { order.push(reason); });
+
+    io_state.values[0] = 500;
+    await watchdog.emergency_stop('test');
+    assert.deepStrictEqual(order, ['test', 'function']);
+    assert.deepStrictEqual(received_rpcs(mock), ['bcs.pid#kpid', 'bcs.io#schv']);
+    assert.strictEqual(io_state.values[0], 0);
+  });
+
+  it('runs every step of an emergency stop, passing on the first error', async function () {
+    pid_state.status_for = function (rpc) { return rpc === 'kpid' ? [1, 2] : null; };
+    var later = false;
+    await start({
+      firmware_timeout: 0,
+      safe_state: [OUTPUTS_OFF, function () { later = true; return Promise.reject(new Error('later failure')); }]
+    });
+
+    io_state.values[0] = 500;
+    await assert.rejects(watchdog.emergency_stop(), errors.BowlerStatusError);
+    assert.deepStrictEqual(received_rpcs(mock), ['bcs.pid#kpid', 'bcs.io#schv']);
+    assert.strictEqual(io_state.values[0], 0);
+    assert.ok(later);
+  });
+
+  it('shares an emergency stop which is already in progress', async function () {
+    await start({ firmware_timeout: 0 });
+    var first = watchdog.emergency_stop();
+    assert.strictEqual(watchdog.emergency_stop(), first);
+    await first;
+    assert.deepStrictEqual(received_rpcs(mock), ['bcs.pid#kpid']);
+  });
+
+  describe('on exit', function () {
+    var real_exit, exit_codes;
+
+    beforeEach(function () {
+      real_exit = process.exit;
+      exit_codes = [];
+      process.exit = function (code) { exit_codes.push(code); };
+    });
+
+    afterEach(function () {
+      process.exit = real_exit;
+    });
+
+    it('queues the stop requests', async function () {
+      await start({ firmware_timeout: 0, safe_state: [OUTPUTS_OFF] });
+      watchdog._process_listeners.exit();
+      await receive(mock, 2);
+      assert.deepStrictEqual(received_rpcs(mock), ['bcs.pid#kpid', 'bcs.io#schv']);
+    });
+
+    it('doesn\'t queue the stop requests again after an emergency stop', async function () {
+      await start({ firmware_timeout: 0, safe_state: [OUTPUTS_OFF], stop_timeout: 20 });
+      watchdog._stop_and_exit('SIGTERM', 143);
+      await helpers.delay(30);
+      assert.strictEqual(exit_codes[0], 143);
+
+      watchdog._process_listeners.exit();
+      await helpers.delay(10);
+      assert.deepStrictEqual(received_rpcs(mock), ['bcs.pid#kpid', 'bcs.io#schv']);
+    });
+  });
+});